@@ -5,6 +5,37 @@ const socketIo = require('socket.io'); // NEW: Socket.IO
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const deviceTokens = require('./services/deviceTokens');
+const orderStatus = require('./services/orderStatus');
+const orderTimeline = require('./services/orderTimeline');
+const roles = require('./services/roles');
+const merchants = require('./services/merchants');
+const webhooks = require('./services/webhooks');
+const idempotency = require('./services/idempotency');
+const trackingTokens = require('./services/trackingTokens');
+const orderSync = require('./services/orderSync');
+const socketAdapter = require('./services/socketAdapter');
+const riders = require('./services/riders');
+const dispatch = require('./services/dispatch');
+const riderLocation = require('./services/riderLocation');
+const eta = require('./services/eta');
+const pricing = require('./services/pricing');
+const orderPayload = require('./services/orderPayload');
+const validation = require('./services/validation');
+const errors = require('./services/errors');
+const orderQuery = require('./services/orderQuery');
+const analytics = require('./services/analytics');
+const orderExport = require('./services/orderExport');
+const receipts = require('./services/receipts');
+const notificationTemplates = require('./services/notificationTemplates');
+const notifications = require('./services/notifications');
+const sms = require('./services/sms');
+const email = require('./services/email');
+const inbox = require('./services/inbox');
+const notificationPreferences = require('./services/notificationPreferences');
+
+const { ApiError } = errors;
 
 // WITH THIS NEW CODE:
 let serviceAccount;
@@ -60,24 +91,34 @@ try {
 const app = express();
 const server = http.createServer(app); // NEW: Create HTTP server for Socket.IO
 
+// Browser origins allowed to open a socket (origins only - no paths)
+const SOCKET_CORS_ORIGINS = process.env.SOCKET_CORS_ORIGINS
+    ? process.env.SOCKET_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : ['https://reliancewebapp-cbffa.web.app', 'https://reliancewebapp-cbffa.firebaseapp.com'];
+
 // NEW: Initialize Socket.IO with CORS configuration
 const io = socketIo(server, {
     cors: {
-         origin: ['https://reliancewebapp-cbffa.web.app/admin.html', 'https://reliancewebapp-cbffa.web.app/admin.html'],
+        origin: SOCKET_CORS_ORIGINS,
         methods: ["GET", "POST"]
     }
 });
 
-// NEW: Store connected clients by order ID for targeted updates
-const orderClients = new Map(); // orderId -> Set of socket IDs
-const clientOrders = new Map(); // socket ID -> Set of order IDs
+// Order subscriptions are tracked only as `order-<orderId>` rooms, so with a cluster
+// adapter (see services/socketAdapter.js) broadcasts reach subscribers on every instance
+
+// Push direct Firestore edits of subscribed orders to their subscribers
+orderSync.init(io);
+dispatch.init(io);
+inbox.init(io);
 
 
 // Add this BEFORE your existing CORS configuration
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key, X-Request-Id');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id, Idempotent-Replayed');
     
     if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -91,10 +132,18 @@ app.use(cors({
     origin: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'Idempotency-Key', 'X-Tracking-Token', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed', 'Content-Disposition']
 }));
 
-
+// Every response carries X-Request-Id (the client's, if it sent a sane one) so errors and
+// logs can be matched to the request
+app.use((req, res, next) => {
+    const clientRequestId = req.get('X-Request-Id');
+    req.id = clientRequestId && /^[\w.-]{1,128}$/.test(clientRequestId) ? clientRequestId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+});
 
 app.use(express.json());
 
@@ -112,52 +161,326 @@ try {
     console.log('⚠️ Firestore settings warning:', error.message);
 }
 
-// List of allowed admin emails
-const ALLOWED_ADMIN_EMAILS = [
-    'godtim007@gmail.com',
-    'reliancepremiumservices@gmail.com',
-    'julietfredrick21@gmail.com'
-];
+// Emails granted the admin role the first time they check /api/admin-status.
+// Only needed to bootstrap a fresh project - roles are managed through /api/admin/users/:uid/roles.
+const BOOTSTRAP_ADMIN_EMAILS = (process.env.BOOTSTRAP_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
 
 // Authentication middleware
 async function authenticateUser(req, res, next) {
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        throw new ApiError('UNAUTHENTICATED');
+    }
+
     try {
-        const idToken = req.headers.authorization?.split('Bearer ')[1];
-        if (!idToken) {
-            return res.status(401).json({ error: 'Unauthorized - No token provided' });
+        req.user = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        console.error('Authentication error:', error.message);
+        throw new ApiError('AUTHENTICATION_FAILED');
+    }
+    next();
+}
+
+// Role-based authorization middleware - authenticates, then requires any of the given roles
+function authorize(...allowedRoles) {
+    return [
+        authenticateUser,
+        (req, res, next) => {
+            const userRoles = roles.getUserRoles(req.user);
+
+            if (!allowedRoles.some(role => userRoles.includes(role))) {
+                console.log(`⛔ ${req.user.email || req.user.uid} (${userRoles.join(', ')}) denied ${req.method} ${req.path}`);
+                throw new ApiError('FORBIDDEN', undefined, { details: { requiredRoles: allowedRoles } });
+            }
+
+            req.user.roles = userRoles;
+            next();
+        }
+    ];
+}
+
+// Merchant API key middleware - storefronts send their key in the X-API-Key header
+async function authenticateMerchant(req, res, next) {
+    const merchant = await merchants.verifyApiKey(req.get('X-API-Key'));
+    if (!merchant) {
+        throw new ApiError('INVALID_API_KEY');
+    }
+
+    req.merchant = merchant;
+    next();
+}
+
+// Accept either a merchant API key or a Firebase user with one of the given roles.
+// Merchant dashboard users (merchant role) are scoped by the merchantId in their claims.
+function authorizeMerchantOr(...allowedRoles) {
+    const [authenticate, checkRoles] = authorize(...allowedRoles, 'merchant');
+
+    return async (req, res, next) => {
+        if (req.get('X-API-Key')) {
+            return authenticateMerchant(req, res, next);
+        }
+
+        await authenticate(req, res, () => checkRoles(req, res, () => {
+            const isStaff = allowedRoles.some(role => req.user.roles.includes(role));
+            if (!isStaff) {
+                if (!req.user.merchantId) {
+                    throw new ApiError('MERCHANT_NOT_LINKED');
+                }
+                req.merchant = { id: req.user.merchantId, keyId: null };
+            }
+            next();
+        }));
+    };
+}
+
+// Idempotency-Key support - a retried request with the same key and body gets the original
+// response back instead of running again. Keys are scoped per merchant (or per user).
+async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+    if (key.length > 255) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'Idempotency-Key', message: 'Idempotency-Key must be at most 255 characters' }]
+        });
+    }
+
+    const scope = req.merchant ? `merchant:${req.merchant.id}` : `user:${req.user.uid}`;
+    const result = await idempotency.beginRequest(scope, key, idempotency.hashRequestBody(req.body));
+
+    if (result.outcome === 'mismatch') {
+        throw new ApiError('IDEMPOTENCY_KEY_REUSED');
+    }
+    if (result.outcome === 'in-progress') {
+        throw new ApiError('IDEMPOTENCY_KEY_IN_PROGRESS');
+    }
+    if (result.outcome === 'replay') {
+        console.log(`♻️ Replaying response for Idempotency-Key ${key} (${scope})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(result.responseStatus).json(result.responseBody);
+    }
+
+    // Capture the response; server errors release the key so the client can retry
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        const settle = res.statusCode >= 500
+            ? idempotency.releaseRequest(result.ref)
+            : idempotency.completeRequest(result.ref, res.statusCode, body);
+
+        settle.catch(error => {
+            console.error(`❌ Failed to store idempotent response for key ${key}:`, error);
+        });
+        return sendJson(body);
+    };
+    next();
+}
+
+// Public order routes that show more to callers who prove a link to the order: a merchant
+// key, a Firebase user (staff, merchant user or the customer) or the order's tracking token
+// in X-Tracking-Token. Anonymous callers pass through with req.orderViewer = {}.
+async function identifyOrderViewer(req, res, next) {
+    if (req.get('X-API-Key')) {
+        return authenticateMerchant(req, res, () => {
+            req.orderViewer = {};
+            next();
+        });
+    }
+
+    req.orderViewer = {
+        trackedOrderId: trackingTokens.verifyTrackingToken(req.get('X-Tracking-Token'))
+    };
+    if (!req.headers.authorization) {
+        return next();
+    }
+
+    await authenticateUser(req, res, () => {
+        const userRoles = roles.getUserRoles(req.user);
+        req.orderViewer.uid = req.user.uid;
+        req.orderViewer.staff = ['admin', 'dispatcher'].some(role => userRoles.includes(role));
+        if (!req.orderViewer.staff && userRoles.includes('merchant') && req.user.merchantId) {
+            req.merchant = { id: req.user.merchantId, keyId: null };
         }
+        next();
+    });
+}
+
+// Schema validation of a route's input (see services/validation.js), e.g.
+//   validate({ params: { orderId: { type: 'string', required: true } }, body: { ... } })
+// Each location maps property names to schemas. Query and params are coerced from strings
+// first; the checked values are available as req.validated.body / .params / .query.
+function validate(schemas) {
+    return (req, res, next) => {
+        const fields = [];
+        req.validated = {};
+
+        Object.entries(schemas).forEach(([location, properties]) => {
+            const schema = { type: 'object', required: location === 'body', properties };
+            const value = location === 'body'
+                ? req.body
+                : validation.coerceStrings(schema, req[location] || {});
+
+            fields.push(...validation.validate(schema, value));
+            req.validated[location] = value;
+        });
 
-        const decodedToken = await auth.verifyIdToken(idToken);
-        req.user = decodedToken;
+        if (fields.length > 0) {
+            throw new ApiError('VALIDATION_FAILED', undefined, { fields });
+        }
         next();
+    };
+}
+
+// Firebase Auth calls for an unknown uid reject with auth/user-not-found
+async function orUserNotFound(promise) {
+    try {
+        return await promise;
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+            throw new ApiError('USER_NOT_FOUND');
+        }
+        throw error;
+    }
+}
+
+
+// Socket handshake authentication. Clients connect with either
+//   auth: { token: <Firebase ID token> }            - signed-in customers and staff
+//   auth: { trackingToken: <token from create-order> } - one order, no account needed
+io.use(async (socket, next) => {
+    const { token, trackingToken } = socket.handshake.auth || {};
+    socket.data.trackedOrderIds = [];
+
+    try {
+        if (token) {
+            const decodedToken = await auth.verifyIdToken(token);
+            socket.data.user = {
+                uid: decodedToken.uid,
+                email: decodedToken.email || null,
+                roles: roles.getUserRoles(decodedToken),
+                merchantId: decodedToken.merchantId || null
+            };
+            return next();
+        }
+
+        if (trackingToken) {
+            const orderId = trackingTokens.verifyTrackingToken(trackingToken);
+            if (!orderId) {
+                return next(new Error('Invalid or expired tracking token'));
+            }
+            socket.data.trackedOrderIds.push(orderId);
+            return next();
+        }
+
+        next(new Error('Unauthorized - provide a token or trackingToken'));
     } catch (error) {
-        console.error('Authentication error:', error);
-        res.status(401).json({ error: 'Authentication failed' });
+        console.error('Socket authentication error:', error.message);
+        next(new Error('Authentication failed'));
     }
+});
+
+function isStaffSocket(socket) {
+    return ['admin', 'dispatcher'].some(role => socket.data.user?.roles.includes(role));
 }
 
+// Staff see every order; others only orders they hold a tracking token for,
+// placed under their own uid, or (merchant users) belonging to their merchant
+async function canAccessOrder(socket, orderId) {
+    if (isStaffSocket(socket) || socket.data.trackedOrderIds.includes(orderId)) {
+        return true;
+    }
+
+    const user = socket.data.user;
+    if (!user) {
+        return false;
+    }
+
+    const deliveriesQuery = await db.collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    if (deliveriesQuery.empty) {
+        return false;
+    }
+
+    const deliveryData = deliveriesQuery.docs[0].data();
+    return deliveryData.userId === user.uid ||
+        deliveryData.customerInfo?.uid === user.uid ||
+        (!!user.merchantId && deliveryData.merchantId === user.merchantId);
+}
 
 // NEW: WebSocket connection handling
 io.on('connection', (socket) => {
-    console.log('🔌 Client connected:', socket.id);
+    console.log('🔌 Client connected:', socket.id, socket.data.user ? `(${socket.data.user.email || socket.data.user.uid})` : '(tracking token)');
+
+    // Signed-in users get their inbox updates through their own room
+    if (socket.data.user) {
+        socket.join(`user-${socket.data.user.uid}`);
+    }
+
+    // Admins get general updates and the admin inbox through the admins room
+    if (socket.data.user?.roles.includes('admin')) {
+        socket.join('admins');
+    }
+
+    // Riders get job offers through their own room
+    if (socket.data.user?.roles.includes('rider')) {
+        socket.join(`rider-${socket.data.user.uid}`);
+
+        // { offerId, accept: true|false }
+        socket.on('job-offer-response', async ({ offerId, accept } = {}) => {
+            try {
+                const result = await dispatch.respondToOffer(offerId, socket.data.user, accept === true);
+                socket.emit('job-offer-result', { offerId, ...result, assignment: undefined });
+
+                if (result.status === 'accepted') {
+                    broadcastRiderAssignment(result.assignment);
+                }
+            } catch (error) {
+                socket.emit('job-offer-result', { offerId, status: 'error', ...toSocketError(error) });
+            }
+        });
+
+        // { lat, lng, heading?, speed?, orderId? } - GPS ping for the rider's current order
+        socket.on('rider-location', async (ping) => {
+            try {
+                const { orderId, location } = await riderLocation.recordLocation(socket.data.user.uid, ping || {});
+                broadcastLocationUpdate(orderId, location);
+            } catch (error) {
+                socket.emit('rider-location-error', toSocketError(error));
+            }
+        });
+    }
 
-    // Handle client subscribing to order updates
-    socket.on('subscribe-to-order', (orderId) => {
+    // Handle client subscribing to order updates.
+    // Accepts an orderId, or { orderId, trackingToken } to add another tracked order.
+    socket.on('subscribe-to-order', async (payload) => {
+        const { orderId, trackingToken } = typeof payload === 'string' ? { orderId: payload } : payload || {};
         console.log(`📱 Client ${socket.id} subscribing to order: ${orderId}`);
-        
-        // Add client to order's subscriber list
-        if (!orderClients.has(orderId)) {
-            orderClients.set(orderId, new Set());
+
+        if (trackingToken && trackingTokens.verifyTrackingToken(trackingToken) === orderId) {
+            socket.data.trackedOrderIds.push(orderId);
         }
-        orderClients.get(orderId).add(socket.id);
-        
-        // Add order to client's subscription list
-        if (!clientOrders.has(socket.id)) {
-            clientOrders.set(socket.id, new Set());
+
+        try {
+            if (!orderId || !(await canAccessOrder(socket, orderId))) {
+                console.log(`⛔ Client ${socket.id} denied subscription to order: ${orderId}`);
+                return socket.emit('subscription-error', {
+                    orderId,
+                    error: 'Not allowed to subscribe to this order'
+                });
+            }
+        } catch (error) {
+            return socket.emit('subscription-error', {
+                orderId,
+                error: 'Could not verify access to this order'
+            });
         }
-        clientOrders.get(socket.id).add(orderId);
         
-        // Join socket room for this order (alternative approach)
         socket.join(`order-${orderId}`);
         
         // Send confirmation
@@ -171,20 +494,6 @@ io.on('connection', (socket) => {
     socket.on('unsubscribe-from-order', (orderId) => {
         console.log(`📱 Client ${socket.id} unsubscribing from order: ${orderId}`);
         
-        // Remove client from order's subscriber list
-        if (orderClients.has(orderId)) {
-            orderClients.get(orderId).delete(socket.id);
-            if (orderClients.get(orderId).size === 0) {
-                orderClients.delete(orderId);
-            }
-        }
-        
-        // Remove order from client's subscription list
-        if (clientOrders.has(socket.id)) {
-            clientOrders.get(socket.id).delete(orderId);
-        }
-        
-        // Leave socket room
         socket.leave(`order-${orderId}`);
         
         socket.emit('unsubscription-confirmed', {
@@ -196,25 +505,47 @@ io.on('connection', (socket) => {
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log('🔌 Client disconnected:', socket.id);
-        
-        // Clean up subscriptions for this client
-        if (clientOrders.has(socket.id)) {
-            const orderIds = clientOrders.get(socket.id);
-            orderIds.forEach(orderId => {
-                if (orderClients.has(orderId)) {
-                    orderClients.get(orderId).delete(socket.id);
-                    if (orderClients.get(orderId).size === 0) {
-                        orderClients.delete(orderId);
-                    }
-                }
+        // Socket.IO removes the socket from its rooms itself
+    });
+
+    // Handle request for an order's status history
+    socket.on('get-order-timeline', async (orderId) => {
+        try {
+            if (!(await canAccessOrder(socket, orderId))) {
+                return socket.emit('order-timeline-error', {
+                    orderId,
+                    error: 'Order not found'
+                });
+            }
+
+            // canAccessOrder already tied the socket to the order
+            const timeline = await orderTimeline.getOrderTimeline(orderId, {
+                viewer: { staff: isStaffSocket(socket), trackedOrderId: orderId }
             });
-            clientOrders.delete(socket.id);
+
+            if (timeline) {
+                socket.emit('order-timeline-response', timeline);
+            } else {
+                socket.emit('order-timeline-error', {
+                    orderId,
+                    error: 'Order not found'
+                });
+            }
+        } catch (error) {
+            socket.emit('order-timeline-error', { orderId, ...toSocketError(error) });
         }
     });
 
     // Handle request for current order status
     socket.on('get-order-status', async (orderId) => {
         try {
+            if (!(await canAccessOrder(socket, orderId))) {
+                return socket.emit('order-status-error', {
+                    orderId,
+                    error: 'Order not found'
+                });
+            }
+
             const deliveriesQuery = await db.collection('deliveries')
                 .where('id', '==', orderId)
                 .limit(1)
@@ -239,158 +570,135 @@ io.on('connection', (socket) => {
                 });
             }
         } catch (error) {
-            socket.emit('order-status-error', {
-                orderId,
-                error: error.message
-            });
+            socket.emit('order-status-error', { orderId, ...toSocketError(error) });
         }
     });
 });
 
+// Socket handlers answer errors with the same code and message the REST API would
+function toSocketError(error) {
+    const { status, body } = errors.toErrorResponse(error);
+    if (status >= 500) {
+        console.error('❌ Socket handler error:', error);
+    }
+    return {
+        code: body.code,
+        error: body.error,
+        ...(body.fields ? { fields: body.fields } : {}),
+        ...(body.details ? { details: body.details } : {})
+    };
+}
+
 // NEW: Function to broadcast order updates via WebSocket
-function broadcastOrderUpdate(orderId, updateData) {
+// Pass the order's merchantId to also deliver the event to that merchant's webhooks
+function broadcastOrderUpdate(orderId, updateData, { merchantId } = {}) {
     console.log(`📡 Broadcasting update for order ${orderId}:`, updateData);
     
-    // Method 1: Send to specific clients subscribed to this order
-    if (orderClients.has(orderId)) {
-        const subscribedClients = orderClients.get(orderId);
-        subscribedClients.forEach(socketId => {
-            io.to(socketId).emit('order-update', {
-                orderId,
-                ...updateData,
-                timestamp: new Date().toISOString()
-            });
-        });
-    }
-    
-    // Method 2: Send to room (alternative approach)
-    io.to(`order-${orderId}`).emit('order-update', {
+    const room = `order-${orderId}`;
+    io.to(room).emit('order-update', {
         orderId,
         ...updateData,
         timestamp: new Date().toISOString()
     });
-    
 
-    const subs = orderClients.get(orderId);
-    const num = subs?.size ?? 0;
-    console.log(`📊 Update sent to ${num} clients`);
+    const localSubscribers = io.sockets.adapter.rooms.get(room)?.size || 0;
+    console.log(`📊 Update sent to order room (${localSubscribers} subscribers on this instance)`);
 
+    if (merchantId && webhooks.WEBHOOK_EVENTS.includes(updateData.type)) {
+        webhooks.enqueueOrderEvent(merchantId, orderId, updateData).catch(error => {
+            console.error(`❌ Failed to queue webhooks for order ${orderId}:`, error);
+        });
+    }
+}
+
+function broadcastRiderAssignment(assignment) {
+    broadcastOrderUpdate(assignment.orderId, {
+        type: assignment.previousRiderId ? 'rider-reassigned' : 'rider-assigned',
+        status: assignment.status,
+        rider: assignment.rider,
+        message: `${assignment.rider.name} is handling your order.`
+    }, { merchantId: assignment.merchantId });
+    refreshOrderEta(assignment.orderId);
+}
+
+// Rider GPS pings; not logged or sent to webhooks because of their volume
+function broadcastLocationUpdate(orderId, location) {
+    io.to(`order-${orderId}`).emit('location-update', {
+        orderId,
+        ...location,
+        timestamp: new Date().toISOString()
+    });
+    refreshOrderEta(orderId, eta.refreshOrderEtaForLocation);
+}
+
+// Recalculate an order's ETA in the background and push it if it moved.
+// refresh is eta.refreshOrderEta, or the throttled variant for location pings.
+function refreshOrderEta(orderId, refresh = eta.refreshOrderEta) {
+    refresh(orderId)
+        .then(result => {
+            if (!result) return;
+            broadcastOrderUpdate(orderId, {
+                type: 'eta-update',
+                status: result.status,
+                estimatedDeliveryTime: result.estimatedDeliveryTime,
+                estimatedPickupTime: result.estimatedPickupTime,
+                eta: result.eta
+            }, { merchantId: result.merchantId });
+        })
+        .catch(error => {
+            console.error(`❌ Failed to refresh ETA for order ${orderId}:`, error);
+        });
 }
 
-// NEW: Function to broadcast general notifications
+// NEW: Function to broadcast general notifications to connected admins
 function broadcastGeneralUpdate(data) {
-    io.emit('general-update', {
+    io.to('admins').emit('general-update', {
         ...data,
         timestamp: new Date().toISOString()
     });
 }
 
 // 🔥 MAIN NOTIFICATION ENDPOINT
-app.post('/api/notify-user-delivery', async (req, res) => {
+app.post('/api/notify-user-delivery', authorize('admin', 'dispatcher'), validate({
+    body: {
+        userId: { type: 'string', required: true },
+        status: { type: 'string', required: true },
+        feedback: { type: 'string', maxLength: 1000 },
+        deliveryData: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                deliveryType: { type: 'string' }
+            }
+        }
+    }
+}), async (req, res) => {
     console.log('📨 Notification request received');
     console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
 
-    try {
-        const { userId, status, deliveryData, feedback } = req.body;
-
-        if (!userId || !status) {
-            console.log('❌ Missing required fields');
-            return res.status(400).json({ error: 'Missing userId or status' });
-        }
-
-        console.log(`🔍 Processing notification for user: ${userId}, status: ${status}`);
-
-        let title, body;
-
-        switch (status) {
-            case 'viewed':
-                title = "📋 Delivery Viewed";
-                body = "Your delivery request has been reviewed by our team.";
-                break;
-            case 'in-progress':
-                title = "🚚 Delivery In Progress";
-                body = "Great news! Your delivery is now in progress and on its way.";
-                break;
-            case 'delivered':
-                title = "✅ Delivery Completed";
-                body = "Your delivery has been successfully completed. Thank you for using our service!";
-                break;
-            case 'failed':
-                title = "❌ Delivery Failed";
-                body = "Unfortunately, your delivery could not be completed. Please contact support.";
-                break;
-            case 'feedback':
-                title = "💬 Admin Feedback";
-                body = feedback || "You have received feedback from our admin team.";
-                break;
-            default:
-                title = "📦 Delivery Update";
-                body = `Your delivery status has been updated to: ${status}`;
-        }
-
-        if (feedback && status !== 'feedback') {
-            body += `\n\nAdmin Note: ${feedback}`;
-        }
+    const { userId, status, deliveryData, feedback } = req.body;
 
-        console.log('📝 Creating notification documents...');
+    console.log(`🔍 Processing notification for user: ${userId}, status: ${status}`);
 
-        const userNotificationData = {
-            userId: userId,
-            title: title,
-            body: body,
-            type: 'delivery_update',
-            data: {
-                deliveryId: deliveryData?.id || 'unknown',
-                status: status,
-                deliveryType: deliveryData?.deliveryType || 'unknown'
-            },
-            read: false,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-
-        console.log('📄 Creating USER notification...');
-        const userNotificationRef = await db.collection('user_notifications').add(userNotificationData);
-        console.log('✅ User notification created with ID:', userNotificationRef.id);
-
-        let adminNotificationRef = null;
-        const shouldNotifyAdmin = ['delivered', 'failed'].includes(status);
-
-        if (shouldNotifyAdmin) {
-            const adminNotificationData = {
-                type: 'delivery_completed',
-                title: `📦 Delivery ${status.charAt(0).toUpperCase() + status.slice(1)}`,
-                body: `Delivery ${deliveryData?.id?.substring(0, 8) || 'unknown'} has been marked as ${status}`,
-                data: {
-                    deliveryId: deliveryData?.id || 'unknown',
-                    userId: userId,
-                    status: status,
-                    deliveryType: deliveryData?.deliveryType || 'unknown'
-                },
-                read: false,
-                createdAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+    const { userNotificationRef, adminNotificationRef, userPush } = await notifications.notifyDeliveryUser({
+        userId,
+        status,
+        feedback,
+        deliveryData
+    });
 
-            console.log('📄 Creating ADMIN notification...');
-            adminNotificationRef = await db.collection('admin_notifications').add(adminNotificationData);
-            console.log('✅ Admin notification created with ID:', adminNotificationRef.id);
-        } else {
-            console.log('⏭️ Skipping admin notification for status:', status);
+    res.status(200).json({
+        success: true,
+        message: 'Notification sent successfully',
+        userNotificationId: userNotificationRef.id,
+        adminNotificationId: adminNotificationRef?.id || null,
+        push: {
+            successCount: userPush.successCount,
+            failureCount: userPush.failureCount,
+            held: userPush.held,
+            skipped: userPush.skipped
         }
-
-        res.status(200).json({
-            success: true,
-            message: 'Notification sent successfully',
-            userNotificationId: userNotificationRef.id,
-            adminNotificationId: adminNotificationRef?.id || null
-        });
-
-    } catch (error) {
-        console.error('❌ Notification endpoint error:', error);
-        res.status(500).json({
-            error: 'Server error: ' + error.message,
-            code: error.code || 'UNKNOWN'
-        });
-    }
+    });
 });
 
 // Test endpoint
@@ -406,477 +714,863 @@ app.get('/api/test', (req, res) => {
 });
 
 
+// DEVICE TOKEN ENDPOINTS - register/refresh/unregister FCM tokens for the signed-in user
+const deviceTokenBody = {
+    token: { type: 'string', required: true, maxLength: 4096 },
+    platform: { type: 'string', required: true, enum: deviceTokens.PLATFORMS }
+};
 
-// UPDATED: E-COMMERCE ORDER ENDPOINT with WebSocket integration
-app.post('/api/ecommerce/create-order', async (req, res) => {
-    console.log('🛒 Simplified e-commerce order received');
-    console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
-
-    try {
-        const {
-            customerName,
-            phoneNumber,
-            dropOffLocation,
-            dropOffPhoneNumber, // NEW: Drop-off phone number
-            productName,
-            pickupLocation
-        } = req.body;
-
-        // Validate required fields (including new drop-off phone number)
-        if (!customerName || !phoneNumber || !dropOffLocation || !dropOffPhoneNumber || !productName) {
-            return res.status(400).json({
-                error: 'Missing required fields: customerName, phoneNumber, dropOffLocation, dropOffPhoneNumber, productName'
-            });
-        }
-
-        // Generate unique order ID
-        const orderId = `ECO-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+app.get('/api/devices', authenticateUser, async (req, res) => {
+    const devices = await deviceTokens.listUserDevices(req.user.uid);
+    res.json({ success: true, data: devices });
+});
 
-        // Prepare delivery data with optional pickup location and drop-off phone
-        const deliveryData = {
-            id: orderId,
-            userId: 'ecommerce-system',
-            customerInfo: {
-                name: customerName,
-                phone: phoneNumber
-            },
-            pickupAddress: pickupLocation ? {
-                street: pickupLocation,
-                city: '',
-                state: '',
-                postalCode: '',
-                country: 'Nigeria',
-                coordinates: null
-            } : null,
-            deliveryAddress: {
-                street: dropOffLocation,
-                phone: dropOffPhoneNumber, // NEW: Add drop-off phone number
-                city: '',
-                state: '',
-                postalCode: '',
-                country: 'Nigeria'
-            },
-            items: [{
-                name: productName,
-                quantity: 1,
-                price: 0,
-                total: 0,
-                description: '',
-                sku: '',
-                category: 'General'
-            }],
-            deliveryType: 'ECOMMERCE',
-            orderType: 'ecommerce_delivery',
-            serviceType: pickupLocation ? 'PICKUP_AND_DELIVERY' : 'DELIVERY_ONLY',
-            orderSummary: {
-                subtotal: 0,
-                deliveryFee: 0,
-                pickupFee: pickupLocation ? 0 : null,
-                tax: 0,
-                discount: 0,
-                total: 0
-            },
-            status: 'pending',
-            priority: 'normal',
-            estimatedDeliveryTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
-            estimatedPickupTime: pickupLocation ? new Date(Date.now() + 2 * 60 * 60 * 1000) : null,
-            specialInstructions: pickupLocation ? `Pickup from: ${pickupLocation}` : null,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-
-        console.log('📄 Creating delivery request with pickup info...');
-        console.log(`📍 Pickup Location: ${pickupLocation || 'Not specified'}`);
-        console.log(`📍 Drop-off Location: ${dropOffLocation}`);
-        console.log(`📞 Drop-off Phone: ${dropOffPhoneNumber}`); // NEW: Log drop-off phone
-        
-        const deliveryRef = await db.collection('deliveries').add(deliveryData);
-        console.log('✅ Order created with ID:', deliveryRef.id);
+app.post('/api/devices/register', authenticateUser, validate({ body: deviceTokenBody }), async (req, res) => {
+    const { token, platform } = req.body;
+    const result = await deviceTokens.registerDeviceToken(req.user.uid, { token, platform });
+    console.log(`📱 Device token ${result.created ? 'registered' : 'updated'} for user ${req.user.uid} (${platform})`);
 
-        // Prepare response data
-        const responseData = {
-            orderId: orderId,
-            deliveryId: deliveryRef.id,
-            status: 'pending',
-            serviceType: deliveryData.serviceType,
-            estimatedDelivery: deliveryData.estimatedDeliveryTime,
-            dropOffPhoneNumber: dropOffPhoneNumber // NEW: Include in response
-        };
+    res.status(result.created ? 201 : 200).json({ success: true, data: result });
+});
 
-        if (pickupLocation) {
-            responseData.pickupLocation = pickupLocation;
-            responseData.estimatedPickup = deliveryData.estimatedPickupTime;
-        }
+app.post('/api/devices/refresh', authenticateUser, validate({
+    body: {
+        ...deviceTokenBody,
+        previousToken: { type: 'string', maxLength: 4096 }
+    }
+}), async (req, res) => {
+    const { token, previousToken, platform } = req.body;
+    const result = await deviceTokens.refreshDeviceToken(req.user.uid, { token, previousToken, platform });
+    console.log(`🔄 Device token refreshed for user ${req.user.uid} (${platform})`);
 
-        // 🚀 NEW: Broadcast order creation via WebSocket
-        broadcastOrderUpdate(orderId, {
-            type: 'order-created',
-            status: 'pending',
-            customerName: customerName,
-            serviceType: deliveryData.serviceType,
-            pickupLocation: pickupLocation,
-            deliveryLocation: dropOffLocation,
-            dropOffPhoneNumber: dropOffPhoneNumber, // NEW: Include in WebSocket broadcast
-            productName: productName,
-            estimatedDelivery: deliveryData.estimatedDeliveryTime,
-            estimatedPickup: deliveryData.estimatedPickupTime
-        });
+    res.json({ success: true, data: result });
+});
 
-        // Also broadcast to admin dashboard
-        broadcastGeneralUpdate({
-            type: 'new-order',
-            orderId: orderId,
-            customerName: customerName,
-            serviceType: deliveryData.serviceType,
-            dropOffPhoneNumber: dropOffPhoneNumber // NEW: Include in general broadcast
-        });
+app.post('/api/devices/unregister', authenticateUser, validate({
+    body: { token: deviceTokenBody.token }
+}), async (req, res) => {
+    const removed = await deviceTokens.unregisterDeviceToken(req.user.uid, req.body.token);
+    if (!removed) {
+        throw new ApiError('DEVICE_TOKEN_NOT_FOUND');
+    }
+    console.log(`📴 Device token unregistered for user ${req.user.uid}`);
 
-        res.status(200).json({
-            success: true,
-            message: pickupLocation ? 
-                'Pickup and delivery order created successfully' : 
-                'Delivery order created successfully',
-            data: responseData
-        });
+    res.json({ success: true, message: 'Device token unregistered' });
+});
 
-    } catch (error) {
-        console.error('❌ Error creating order:', error);
-        res.status(500).json({
-            error: 'Server error: ' + error.message,
-            code: error.code || 'ORDER_CREATION_ERROR'
-        });
-    }
+// NOTIFICATION PREFERENCES - channels per event, quiet hours and digest for the signed-in user
+app.get('/api/notifications/preferences', authenticateUser, async (req, res) => {
+    res.json({ success: true, data: await notificationPreferences.getPreferences(req.user.uid) });
 });
 
-//GET E-COMMERCE ORDER STATUS (Updated to include pickup info and drop-off phone)
-app.get('/api/ecommerce/order-status/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        
-        console.log(`🔍 Checking status for order: ${orderId}`);
+app.put('/api/notifications/preferences', authenticateUser, validate({
+    body: notificationPreferences.PREFERENCES_BODY
+}), async (req, res) => {
+    const preferences = await notificationPreferences.savePreferences(req.user.uid, req.body);
+    res.json({ success: true, data: preferences });
+});
 
-        // Query deliveries collection for the order
-        const deliveriesQuery = await db.collection('deliveries')
-            .where('id', '==', orderId)
-            .limit(1)
-            .get();
+// NOTIFICATION INBOXES - a user's own notifications, and the admins' shared inbox. Live changes
+// arrive over Socket.IO as `notification` and `notification-count`.
+const notificationIdParams = {
+    notificationId: { type: 'string', required: true, maxLength: 100 }
+};
 
-        if (deliveriesQuery.empty) {
-            return res.status(404).json({
-                error: 'Order not found',
-                orderId: orderId
-            });
+[
+    { basePath: '/api/notifications', inboxName: 'user', guard: authenticateUser },
+    { basePath: '/api/admin/notifications', inboxName: 'admin', guard: authorize('admin') }
+].forEach(({ basePath, inboxName, guard }) => {
+    app.get(basePath, guard, validate({
+        query: {
+            unreadOnly: { type: 'boolean' },
+            limit: { type: 'number', integer: true, min: 1, max: inbox.MAX_PAGE_SIZE },
+            cursor: { type: 'string', maxLength: 1000 }
         }
+    }), async (req, res) => {
+        const { unreadOnly, limit, cursor } = req.validated.query;
+        const page = await inbox.listNotifications(inboxName, req.user.uid, { unreadOnly, limit, cursor });
 
-        const deliveryDoc = deliveriesQuery.docs[0];
-        const deliveryData = deliveryDoc.data();
-
-        res.status(200).json({
+        res.json({
             success: true,
             data: {
-                orderId: orderId,
-                status: deliveryData.status,
-                serviceType: deliveryData.serviceType || 'DELIVERY_ONLY',
-                customerInfo: deliveryData.customerInfo,
-                pickupAddress: deliveryData.pickupAddress || null,
-                deliveryAddress: deliveryData.deliveryAddress, // This now includes the phone number
-                items: deliveryData.items,
-                orderSummary: deliveryData.orderSummary,
-                estimatedPickupTime: deliveryData.estimatedPickupTime || null,
-                estimatedDeliveryTime: deliveryData.estimatedDeliveryTime,
-                specialInstructions: deliveryData.specialInstructions,
-                createdAt: deliveryData.createdAt,
-                updatedAt: deliveryData.updatedAt
+                notifications: page.notifications,
+                unreadCount: page.unreadCount,
+                nextCursor: page.nextCursor,
+                hasMore: page.nextCursor !== null
             }
         });
+    });
 
-    } catch (error) {
-        console.error('❌ Order status check error:', error);
-        res.status(500).json({
-            error: 'Server error: ' + error.message,
-            code: error.code || 'ORDER_STATUS_ERROR'
-        });
-    }
-});
-
-// UPDATED: UPDATE E-COMMERCE ORDER STATUS with WebSocket integration
-app.put('/api/ecommerce/update-order/:orderId', async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        const { status, feedback, trackingInfo, pickupCompleted } = req.body;
+    app.get(`${basePath}/unread-count`, guard, async (req, res) => {
+        res.json({ success: true, data: { unreadCount: await inbox.getUnreadCount(inboxName, req.user.uid) } });
+    });
 
-        if (!status) {
-            return res.status(400).json({ error: 'Status is required' });
-        }
+    app.post(`${basePath}/read-all`, guard, async (req, res) => {
+        const updated = await inbox.markAllRead(inboxName, req.user.uid);
+        res.json({ success: true, data: { updated } });
+    });
 
-        console.log(`🔄 Updating order ${orderId} to status: ${status}`);
+    app.post(`${basePath}/:notificationId/read`, guard, validate({ params: notificationIdParams }), async (req, res) => {
+        res.json({ success: true, data: await inbox.markRead(inboxName, req.user.uid, req.params.notificationId) });
+    });
 
-        // Find the delivery document
-        const deliveriesQuery = await db.collection('deliveries')
-            .where('id', '==', orderId)
-            .limit(1)
-            .get();
+    app.delete(`${basePath}/:notificationId`, guard, validate({ params: notificationIdParams }), async (req, res) => {
+        await inbox.deleteNotification(inboxName, req.user.uid, req.params.notificationId);
+        res.json({ success: true, message: 'Notification deleted' });
+    });
+});
 
-        if (deliveriesQuery.empty) {
-            return res.status(404).json({
-                error: 'Order not found',
-                orderId: orderId
-            });
-        }
+// Coordinates sent with the order's addresses, or geocoded from them (null when neither works)
+async function resolveOrderCoordinates(order) {
+    const [pickupPoint, dropOffPoint] = await Promise.all([
+        order.pickupAddress
+            ? eta.resolveCoordinates(order.pickupAddress.coordinates, orderPayload.formatAddress(order.pickupAddress))
+            : null,
+        eta.resolveCoordinates(order.deliveryAddress.coordinates, orderPayload.formatAddress(order.deliveryAddress))
+    ]);
+    return { pickupPoint, dropOffPoint };
+}
 
-        const deliveryDoc = deliveriesQuery.docs[0];
-        const deliveryData = deliveryDoc.data();
-        
-        const updateData = {
-            status: status,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        };
+// The customer's Firebase account, matched on the order's email and then phone number, so the
+// order reaches their inbox and push and follows their notification preferences. The account
+// can read the order once linked, and the merchant chooses the email and phone, so only
+// verified ones count: an unverified email could belong to anyone, while phone numbers are
+// only put on accounts by SMS sign-in. Resolves null for customers without such an account.
+async function findCustomerUid(order) {
+    const lookups = [];
+    if (order.customerEmail) {
+        lookups.push(async () => {
+            const user = await auth.getUserByEmail(order.customerEmail);
+            return user.emailVerified ? user : null;
+        });
+    }
+    const phoneNumber = sms.normalizePhoneNumber(order.phoneNumber);
+    if (phoneNumber) {
+        lookups.push(() => auth.getUserByPhoneNumber(phoneNumber));
+    }
 
-        if (feedback) {
-            updateData.adminFeedback = feedback;
+    for (const lookup of lookups) {
+        try {
+            const user = await lookup();
+            if (user) {
+                return user.uid;
+            }
+        } catch (error) {
+            if (error.code !== 'auth/user-not-found') {
+                console.error('❌ Customer account lookup failed:', error.message);
+            }
         }
+    }
+    return null;
+}
 
-        if (trackingInfo) {
-            updateData.trackingInfo = trackingInfo;
-        }
+function priceOrder(order, { pickupPoint, dropOffPoint }) {
+    return pricing.quote({
+        serviceType: order.pickupAddress ? 'PICKUP_AND_DELIVERY' : 'DELIVERY_ONLY',
+        pickupCoordinates: pickupPoint,
+        dropOffCoordinates: dropOffPoint,
+        priority: order.priority,
+        discountCode: order.discountCode,
+        subtotal: orderPayload.getSubtotal(order.items)
+    });
+}
 
-        if (pickupCompleted !== undefined) {
-            updateData.pickupCompleted = pickupCompleted;
-            if (pickupCompleted) {
-                updateData.pickupCompletedAt = admin.firestore.FieldValue.serverTimestamp();
-            }
-        }
+// PRICE QUOTE - the same breakdown create-order will store, without creating anything.
+// Takes the create-order payload (either shape); customer details and items are optional.
+app.post('/api/ecommerce/quote', authorizeMerchantOr('admin', 'dispatcher'), async (req, res) => {
+    const { order, errors: fields } = orderPayload.normalizeOrderPayload(req.body, { forQuote: true });
+    if (fields) {
+        throw new ApiError('VALIDATION_FAILED', undefined, { fields });
+    }
 
-        // Update the delivery document
-        await deliveryDoc.ref.update(updateData);
+    const price = await priceOrder(order, await resolveOrderCoordinates(order));
 
-        // 🚀 NEW: Broadcast status update via WebSocket
-        const wsUpdateData = {
-            type: 'status-update',
-            status: status,
-            feedback: feedback,
-            trackingInfo: trackingInfo,
-            pickupCompleted: pickupCompleted,
-            serviceType: deliveryData.serviceType,
-            customerName: deliveryData.customerInfo?.name,
-            hasPickup: !!deliveryData.pickupAddress,
-            dropOffPhoneNumber: deliveryData.deliveryAddress?.phone // NEW: Include drop-off phone in WebSocket updates
-        };
-
-        // Get user-friendly status message
-        let statusMessage = '';
-        switch (status) {
-            case 'confirmed':
-                statusMessage = 'Your order has been confirmed and is being prepared.';
-                break;
-            case 'pickup-ready':
-                statusMessage = 'Your order is ready for pickup.';
-                break;
-            case 'picked-up':
-                statusMessage = 'Your order has been picked up and is on its way.';
-                break;
-            case 'in-progress':
-                statusMessage = 'Your order is out for delivery.';
-                break;
-            case 'delivered':
-                statusMessage = 'Your order has been successfully delivered!';
-                break;
-            case 'failed':
-                statusMessage = 'There was an issue with your order delivery.';
-                break;
-            default:
-                statusMessage = `Order status updated to: ${status}`;
-        }
+    res.json({ success: true, data: price });
+});
+
+// UPDATED: E-COMMERCE ORDER ENDPOINT with WebSocket integration
+// Accepts a cart with structured addresses or the legacy flat payload (see services/orderPayload.js)
+app.post('/api/ecommerce/create-order', authorizeMerchantOr('admin', 'dispatcher'), idempotent, async (req, res) => {
+    console.log('🛒 E-commerce order received');
+    console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
+
+    const { order, errors: fields } = orderPayload.normalizeOrderPayload(req.body);
+    if (fields) {
+        throw new ApiError('VALIDATION_FAILED', undefined, { fields });
+    }
 
-        wsUpdateData.message = statusMessage;
-        if (feedback) {
-            wsUpdateData.message += ` Note: ${feedback}`;
+    const [{ pickupPoint, dropOffPoint }, customerUid] = await Promise.all([
+        resolveOrderCoordinates(order),
+        findCustomerUid(order)
+    ]);
+    const price = await priceOrder(order, { pickupPoint, dropOffPoint });
+    const pickupLocation = order.pickupAddress ? orderPayload.formatAddress(order.pickupAddress) : null;
+    const dropOffLocation = orderPayload.formatAddress(order.deliveryAddress);
+    const dropOffPhoneNumber = order.deliveryAddress.phone;
+
+    // Generate unique order ID
+    const orderId = `ECO-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+    // Prepare delivery data with optional pickup location and drop-off phone
+    const deliveryData = {
+        id: orderId,
+        userId: 'ecommerce-system',
+        merchantId: req.merchant?.id || null,
+        // Set by dispatch; stored as null so unassigned orders can be queried
+        riderId: null,
+        source: req.merchant ? 'merchant-api' : 'admin',
+        customerInfo: {
+            name: order.customerName,
+            phone: order.phoneNumber,
+            ...(customerUid ? { uid: customerUid } : {}),
+            ...(order.customerEmail ? { email: order.customerEmail } : {}),
+            ...(order.locale ? { locale: order.locale } : {})
+        },
+        pickupAddress: order.pickupAddress ? { ...order.pickupAddress, coordinates: pickupPoint } : null,
+        deliveryAddress: { ...order.deliveryAddress, coordinates: dropOffPoint },
+        items: order.items,
+        deliveryType: 'ECOMMERCE',
+        orderType: 'ecommerce_delivery',
+        serviceType: order.pickupAddress ? 'PICKUP_AND_DELIVERY' : 'DELIVERY_ONLY',
+        orderSummary: price.orderSummary,
+        pricing: price.pricing,
+        status: 'pending',
+        priority: order.priority,
+        specialInstructions: order.specialInstructions,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const estimate = await eta.calculateEta(deliveryData);
+    deliveryData.estimatedDeliveryTime = estimate.estimatedDeliveryTime;
+    // Kept as given: estimatedDeliveryTime is refreshed as the order moves, analytics measure
+    // on-time delivery against this
+    deliveryData.promisedDeliveryTime = estimate.estimatedDeliveryTime;
+    deliveryData.estimatedPickupTime = estimate.estimatedPickupTime;
+    deliveryData.eta = estimate.eta;
+
+    console.log(`📄 Creating delivery request with ${order.items.length} item(s)${req.merchant ? ` for merchant ${req.merchant.id}` : ''}...`);
+    console.log(`📍 Pickup Location: ${pickupLocation || 'Not specified'}`);
+    console.log(`📍 Drop-off Location: ${dropOffLocation}`);
+    console.log(`📞 Drop-off Phone: ${dropOffPhoneNumber}`); // NEW: Log drop-off phone
+    
+    // Create the order, the first timeline entry and the discount code redemption together
+    const deliveryRef = db.collection('deliveries').doc();
+    await db.runTransaction(async (transaction) => {
+        if (price.orderSummary.discountCode) {
+            await pricing.redeemDiscountCode(transaction, price.orderSummary.discountCode);
         }
+        transaction.set(deliveryRef, deliveryData);
+        orderTimeline.appendHistoryEntry(transaction, deliveryRef, {
+            type: 'order-created',
+            fromStatus: null,
+            toStatus: 'pending',
+            changedBy: orderTimeline.getActor(req.user, req.merchant)
+        });
+    });
+    console.log('✅ Order created with ID:', deliveryRef.id);
+
+    // Prepare response data
+    const responseData = {
+        orderId: orderId,
+        deliveryId: deliveryRef.id,
+        merchantId: deliveryData.merchantId,
+        // Lets the customer follow this order over Socket.IO without an account
+        trackingToken: trackingTokens.createTrackingToken(orderId),
+        status: 'pending',
+        serviceType: deliveryData.serviceType,
+        itemCount: order.items.length,
+        orderSummary: deliveryData.orderSummary,
+        estimatedDelivery: deliveryData.estimatedDeliveryTime,
+        dropOffPhoneNumber: dropOffPhoneNumber // NEW: Include in response
+    };
+
+    if (pickupLocation) {
+        responseData.pickupLocation = pickupLocation;
+        responseData.estimatedPickup = deliveryData.estimatedPickupTime;
+    }
 
-        broadcastOrderUpdate(orderId, wsUpdateData);
-
-        // Send notification to customer if email exists
-        if (deliveryData.customerInfo?.email) {
-            let title, body;
-            
-            switch (status) {
-                case 'confirmed':
-                    title = "✅ Order Confirmed";
-                    body = `Your order #${orderId} has been confirmed and is being prepared.`;
-                    if (deliveryData.pickupAddress) {
-                        body += `\n📍 Pickup Location: ${deliveryData.pickupAddress.street}`;
-                    }
-                    body += `\n📍 Delivery Location: ${deliveryData.deliveryAddress.street}`;
-                    body += `\n📞 Delivery Contact: ${deliveryData.deliveryAddress.phone}`; // NEW: Include drop-off phone in notifications
-                    break;
-                case 'pickup-ready':
-                    title = "📦 Ready for Pickup";
-                    body = `Your order #${orderId} is ready for pickup at ${deliveryData.pickupAddress?.street || 'the specified location'}.`;
-                    break;
-                case 'picked-up':
-                    title = "🚚 Item Picked Up";
-                    body = `Your order #${orderId} has been picked up and is now on its way for delivery to ${deliveryData.deliveryAddress.street}. Contact: ${deliveryData.deliveryAddress.phone}`;
-                    break;
-                case 'in-progress':
-                    title = "🚚 Order In Transit";
-                    body = `Your order #${orderId} is now out for delivery to ${deliveryData.deliveryAddress.street}. Contact: ${deliveryData.deliveryAddress.phone}`;
-                    break;
-                case 'delivered':
-                    title = "📦 Order Delivered";
-                    body = `Your order #${orderId} has been successfully delivered to ${deliveryData.deliveryAddress.street}. Thank you!`;
-                    break;
-                case 'failed':
-                    title = "❌ Delivery Failed";
-                    body = `Unfortunately, we couldn't ${deliveryData.pickupAddress ? 'pickup or ' : ''}deliver your order #${orderId}. We'll contact you at ${deliveryData.deliveryAddress.phone} soon.`;
-                    break;
-                default:
-                    title = "📋 Order Update";
-                    body = `Your order #${orderId} status has been updated to: ${status}`;
-            }
+    // 🚀 NEW: Broadcast order creation via WebSocket
+    broadcastOrderUpdate(orderId, {
+        type: 'order-created',
+        status: 'pending',
+        customerName: order.customerName,
+        serviceType: deliveryData.serviceType,
+        pickupLocation: pickupLocation,
+        deliveryLocation: dropOffLocation,
+        dropOffPhoneNumber: dropOffPhoneNumber, // NEW: Include in WebSocket broadcast
+        productName: order.items.map(item => item.name).join(', '),
+        itemCount: order.items.length,
+        estimatedDelivery: deliveryData.estimatedDeliveryTime,
+        estimatedPickup: deliveryData.estimatedPickupTime
+    }, { merchantId: deliveryData.merchantId });
+
+    // Also broadcast to admin dashboard
+    broadcastGeneralUpdate({
+        type: 'new-order',
+        orderId: orderId,
+        customerName: order.customerName,
+        serviceType: deliveryData.serviceType,
+        dropOffPhoneNumber: dropOffPhoneNumber // NEW: Include in general broadcast
+    });
 
-            if (feedback) {
-                body += `\n\nNote: ${feedback}`;
-            }
+    res.status(200).json({
+        success: true,
+        message: pickupLocation ? 
+            'Pickup and delivery order created successfully' : 
+            'Delivery order created successfully',
+        data: responseData
+    });
 
-            const customerNotificationData = {
-                userId: 'ecommerce-customer',
-                email: deliveryData.customerInfo.email,
-                title: title,
-                body: body,
-                type: 'order_update',
-                data: {
-                    orderId: orderId,
-                    status: status,
-                    serviceType: deliveryData.serviceType,
-                    hasPickup: !!deliveryData.pickupAddress,
-                    dropOffPhoneNumber: deliveryData.deliveryAddress?.phone, // NEW: Include in notification data
-                    feedback: feedback || null
-                },
-                read: false,
-                createdAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+    // The confirmation email goes out after responding so a slow SMTP server doesn't hold it up
+    notifications.notifyOrderCreated(orderId, deliveryData).catch(error => {
+        console.error(`❌ Order confirmation for ${orderId} failed:`, error);
+    });
+});
 
-            await db.collection('user_notifications').add(customerNotificationData);
-        }
+const orderIdParams = {
+    orderId: { type: 'string', required: true, maxLength: 100 }
+};
+
+// ISO 8601 date or date-time, as accepted by new Date()
+const isoDateSchema = {
+    type: 'string',
+    pattern: /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+    patternMessage: 'must be an ISO 8601 date'
+};
+
+//GET E-COMMERCE ORDER STATUS (Updated to include pickup info and drop-off phone)
+// Anyone with the order ID gets the status and estimates; customer details, addresses, items
+// and prices are only included for the same viewers as the timeline's location trail
+app.get('/api/ecommerce/order-status/:orderId', identifyOrderViewer, validate({ params: orderIdParams }), async (req, res) => {
+    const { orderId } = req.params;
+    
+    console.log(`🔍 Checking status for order: ${orderId}`);
+
+    // Query deliveries collection for the order
+    const deliveriesQuery = await db.collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    // Merchants only see their own orders
+    if (deliveriesQuery.empty || (req.merchant && deliveriesQuery.docs[0].data().merchantId !== req.merchant.id)) {
+        throw new ApiError('ORDER_NOT_FOUND', undefined, { details: { orderId } });
+    }
 
-        res.status(200).json({
+    const deliveryData = deliveriesQuery.docs[0].data();
+
+    if (!orderTimeline.canSeeOrderDetails(deliveryData, orderId, { merchantId: req.merchant?.id, viewer: req.orderViewer })) {
+        return res.status(200).json({
             success: true,
-            message: 'Order status updated successfully',
             data: {
                 orderId: orderId,
-                status: status,
-                serviceType: deliveryData.serviceType,
-                hasPickup: !!deliveryData.pickupAddress,
-                pickupCompleted: updateData.pickupCompleted,
-                dropOffPhoneNumber: deliveryData.deliveryAddress?.phone, // NEW: Include in response
-                updatedAt: new Date().toISOString()
+                status: deliveryData.status,
+                serviceType: deliveryData.serviceType || 'DELIVERY_ONLY',
+                estimatedPickupTime: deliveryData.estimatedPickupTime || null,
+                estimatedDeliveryTime: deliveryData.estimatedDeliveryTime,
+                createdAt: deliveryData.createdAt,
+                updatedAt: deliveryData.updatedAt
             }
         });
+    }
 
-    } catch (error) {
-        console.error('❌ Order update error:', error);
-        res.status(500).json({
-            error: 'Server error: ' + error.message,
-            code: error.code || 'ORDER_UPDATE_ERROR'
-        });
+    res.status(200).json({
+        success: true,
+        data: {
+            orderId: orderId,
+            merchantId: deliveryData.merchantId || null,
+            status: deliveryData.status,
+            serviceType: deliveryData.serviceType || 'DELIVERY_ONLY',
+            customerInfo: deliveryData.customerInfo,
+            pickupAddress: deliveryData.pickupAddress || null,
+            deliveryAddress: deliveryData.deliveryAddress, // This now includes the phone number
+            items: deliveryData.items,
+            orderSummary: deliveryData.orderSummary,
+            estimatedPickupTime: deliveryData.estimatedPickupTime || null,
+            estimatedDeliveryTime: deliveryData.estimatedDeliveryTime,
+            eta: deliveryData.eta || null,
+            specialInstructions: deliveryData.specialInstructions,
+            createdAt: deliveryData.createdAt,
+            updatedAt: deliveryData.updatedAt
+        }
+    });
+});
+
+// GET E-COMMERCE ORDER TIMELINE (status history, oldest first)
+// The rider's location trail and each change's feedback, tracking info and details are only
+// included for staff, the order's merchant, the customer or a caller with the order's tracking token
+app.get('/api/ecommerce/order-status/:orderId/timeline', identifyOrderViewer, validate({ params: orderIdParams }), async (req, res) => {
+    const { orderId } = req.params;
+
+    console.log(`🕒 Fetching timeline for order: ${orderId}`);
+
+    const timeline = await orderTimeline.getOrderTimeline(orderId, {
+        merchantId: req.merchant?.id,
+        viewer: req.orderViewer
+    });
+
+    if (!timeline) {
+        throw new ApiError('ORDER_NOT_FOUND', undefined, { details: { orderId } });
     }
+
+    res.status(200).json({
+        success: true,
+        data: timeline
+    });
 });
 
-// GET E-COMMERCE ORDERS SUMMARY (Updated to include pickup info and drop-off phone)
-app.get('/api/ecommerce/orders-summary', async (req, res) => {
-    try {
-        const { startDate, endDate, status, serviceType } = req.query;
-        
-        console.log('📊 Fetching e-commerce orders summary...');
+// UPDATED: UPDATE E-COMMERCE ORDER STATUS with WebSocket integration
+app.put('/api/ecommerce/update-order/:orderId', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    params: orderIdParams,
+    body: {
+        status: { type: 'string', required: true, enum: orderStatus.ORDER_STATUSES },
+        feedback: { type: 'string', maxLength: 1000 },
+        trackingInfo: { type: 'object' },
+        pickupCompleted: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    const { orderId } = req.params;
+    const { status, feedback, trackingInfo, pickupCompleted } = req.body;
 
-        let query = db.collection('deliveries').where('deliveryType', '==', 'ECOMMERCE');
+    console.log(`🔄 Updating order ${orderId} to status: ${status}`);
 
-        // Add date filters if provided
-        if (startDate) {
-            query = query.where('createdAt', '>=', new Date(startDate));
+    // Stamped so the Firestore listeners don't re-broadcast this write
+    const updateData = orderSync.stampServerWrite({
+        status: status,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (feedback) {
+        updateData.adminFeedback = feedback;
+    }
+
+    // Merged key by key so trackingInfo.lastLocation, written by rider GPS pings, survives
+    if (trackingInfo) {
+        const badKeys = Object.keys(trackingInfo).filter(key => !/^[A-Za-z0-9_]+$/.test(key));
+        if (badKeys.length > 0) {
+            throw new ApiError('VALIDATION_FAILED', undefined, {
+                fields: badKeys.map(key => ({ field: `trackingInfo.${key}`, message: 'trackingInfo keys may only contain letters, digits and _' }))
+            });
         }
-                if (endDate) {
-            query = query.where('createdAt', '<=', new Date(endDate));
+        Object.entries(trackingInfo).forEach(([key, value]) => {
+            updateData[`trackingInfo.${key}`] = value;
+        });
+    }
+
+    if (pickupCompleted !== undefined) {
+        updateData.pickupCompleted = pickupCompleted;
+        if (pickupCompleted) {
+            updateData.pickupCompletedAt = admin.firestore.FieldValue.serverTimestamp();
         }
-        if (status) {
-            query = query.where('status', '==', status);
+    }
+
+    // Read, check the transition and write in one transaction so concurrent updates can't race
+    let withdrawnOffer = null;
+    const deliveryData = await db.runTransaction(async (transaction) => {
+        const deliveriesQuery = await transaction.get(
+            db.collection('deliveries')
+                .where('id', '==', orderId)
+                .limit(1)
+        );
+
+        if (deliveriesQuery.empty) {
+            return null;
         }
-        if (serviceType) {
-            query = query.where('serviceType', '==', serviceType);
+
+        const deliveryDoc = deliveriesQuery.docs[0];
+        const currentData = deliveryDoc.data();
+
+        // Merchants can only update their own orders
+        if (req.merchant && currentData.merchantId !== req.merchant.id) {
+            return null;
         }
 
-        const ordersSnapshot = await query.get();
-        const orders = [];
-        let totalRevenue = 0;
-
-        ordersSnapshot.forEach(doc => {
-            const orderData = doc.data();
-            orders.push({
-                id: doc.id,
-                orderId: orderData.id,
-                customerName: orderData.customerInfo?.name,
-                customerPhone: orderData.customerInfo?.phone,
-                status: orderData.status,
-                serviceType: orderData.serviceType || 'DELIVERY_ONLY',
-                hasPickup: !!orderData.pickupAddress,
-                pickupLocation: orderData.pickupAddress?.street || null,
-                deliveryLocation: orderData.deliveryAddress?.street,
-                dropOffPhoneNumber: orderData.deliveryAddress?.phone || null, // NEW: Include drop-off phone in summary
-                total: orderData.orderSummary?.total || 0,
-                itemCount: orderData.items?.length || 0,
-                createdAt: orderData.createdAt,
-                source: orderData.source
-            });
-            
-            if (orderData.status === 'delivered') {
-                totalRevenue += orderData.orderSummary?.total || 0;
-            }
+        orderStatus.assertTransition(currentData.serviceType, currentData.status, status);
+
+        // A finished order frees its rider and ends its rider offers (reads must come before
+        // the writes)
+        const finished = orderStatus.RIDER_RELEASE_STATUSES.includes(status);
+        const riderDoc = currentData.riderId && finished
+            ? await transaction.get(db.collection('riders').doc(currentData.riderId))
+            : null;
+        const openOffer = finished ? await dispatch.readOpenOffer(transaction, currentData) : null;
+
+        const deliveryUpdate = { ...updateData };
+        // statusTimestamps records when the order reached each status, for analytics; re-sending
+        // the current status (to add feedback or tracking info) leaves it alone
+        if (status !== currentData.status) {
+            deliveryUpdate[`statusTimestamps.${status}`] = admin.firestore.FieldValue.serverTimestamp();
+        }
+        if (finished && currentData.activeOfferId) {
+            deliveryUpdate.activeOfferId = null;
+        }
+        transaction.update(deliveryDoc.ref, deliveryUpdate);
+        if (riderDoc?.exists && riderDoc.data().currentOrderId === orderId) {
+            transaction.update(riderDoc.ref, { status: 'available', currentOrderId: null });
+        }
+        withdrawnOffer = openOffer ? dispatch.withdrawOpenOffer(transaction, openOffer) : null;
+        orderTimeline.appendHistoryEntry(transaction, deliveryDoc.ref, {
+            fromStatus: currentData.status,
+            toStatus: status,
+            changedBy: orderTimeline.getActor(req.user, req.merchant),
+            feedback,
+            trackingInfo,
+            pickupCompleted
         });
+        return currentData;
+    });
 
-        // Calculate statistics
-        const stats = {
-            totalOrders: orders.length,
-            pendingOrders: orders.filter(o => o.status === 'pending').length,
-            inProgressOrders: orders.filter(o => o.status === 'in-progress').length,
-            deliveredOrders: orders.filter(o => o.status === 'delivered').length,
-            failedOrders: orders.filter(o => o.status === 'failed').length,
-            pickupAndDeliveryOrders: orders.filter(o => o.serviceType === 'PICKUP_AND_DELIVERY').length,
-            deliveryOnlyOrders: orders.filter(o => o.serviceType === 'DELIVERY_ONLY').length,
-            totalRevenue: totalRevenue,
-            averageOrderValue: orders.length > 0 ? totalRevenue / orders.filter(o => o.status === 'delivered').length : 0
-        };
-
-        res.status(200).json({
-            success: true,
-            data: {
-                orders: orders,
-                statistics: stats,
-                period: {
-                    startDate: startDate || null,
-                    endDate: endDate || null
-                }
+    if (!deliveryData) {
+        throw new ApiError('ORDER_NOT_FOUND', undefined, { details: { orderId } });
+    }
+    if (withdrawnOffer) {
+        dispatch.notifyOfferWithdrawn(withdrawnOffer);
+    }
+
+    // 🚀 NEW: Broadcast status update via WebSocket
+    const wsUpdateData = {
+        type: 'status-update',
+        status: status,
+        feedback: feedback,
+        trackingInfo: trackingInfo,
+        pickupCompleted: pickupCompleted,
+        serviceType: deliveryData.serviceType,
+        customerName: deliveryData.customerInfo?.name,
+        hasPickup: !!deliveryData.pickupAddress,
+        dropOffPhoneNumber: deliveryData.deliveryAddress?.phone // NEW: Include drop-off phone in WebSocket updates
+    };
+
+    // User-friendly status message, in the customer's language
+    wsUpdateData.message = await notifications.getSocketMessage(orderId, deliveryData, { status, feedback });
+
+    broadcastOrderUpdate(orderId, wsUpdateData, { merchantId: deliveryData.merchantId });
+    if (status !== deliveryData.status) {
+        refreshOrderEta(orderId);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Order status updated successfully',
+        data: {
+            orderId: orderId,
+            status: status,
+            serviceType: deliveryData.serviceType,
+            hasPickup: !!deliveryData.pickupAddress,
+            pickupCompleted: updateData.pickupCompleted,
+            dropOffPhoneNumber: deliveryData.deliveryAddress?.phone, // NEW: Include in response
+            updatedAt: new Date().toISOString()
+        }
+    });
+
+    // After responding: SMTP and SMS providers can take seconds, and a delivered order renders
+    // its receipt PDF
+    notifications.notifyOrderStatus(orderId, deliveryData, { status, feedback }).catch(error => {
+        console.error(`❌ Notifications for order ${orderId} failed:`, error);
+    });
+});
+
+// Filters shared by the order listing, stats and summary endpoints
+const orderFilterQuery = {
+    merchantId: { type: 'string', maxLength: 100 },
+    riderId: { type: 'string', maxLength: 128 },
+    status: { type: 'string', enum: orderStatus.ORDER_STATUSES },
+    serviceType: { type: 'string', enum: orderQuery.SERVICE_TYPES },
+    startDate: isoDateSchema,
+    endDate: isoDateSchema
+};
+
+const orderPageQuery = {
+    sort: { type: 'string', enum: Object.keys(orderQuery.SORT_FIELDS) },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'number', integer: true, min: 1, max: orderQuery.MAX_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 1000 }
+};
+
+// Merchants only see their own orders; admins and dispatchers may filter by merchant
+function getOrderFilters(req) {
+    const { merchantId, riderId, status, serviceType, startDate, endDate } = req.validated.query;
+    return {
+        merchantId: req.merchant ? req.merchant.id : merchantId,
+        riderId,
+        status,
+        serviceType,
+        startDate,
+        endDate
+    };
+}
+
+// LIST E-COMMERCE ORDERS - one page at a time, pass nextCursor back as cursor for the next
+app.get('/api/ecommerce/orders', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    query: { ...orderFilterQuery, ...orderPageQuery }
+}), async (req, res) => {
+    const { sort, order, limit, cursor } = req.validated.query;
+
+    const page = await orderQuery.listOrders(getOrderFilters(req), { sort, order, limit, cursor });
+
+    res.json({
+        success: true,
+        data: {
+            orders: page.orders,
+            nextCursor: page.nextCursor,
+            hasMore: page.nextCursor !== null
+        }
+    });
+});
+
+// E-COMMERCE ORDER STATISTICS - aggregation queries over the same filters as the listing
+app.get('/api/ecommerce/orders/stats', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    query: orderFilterQuery
+}), async (req, res) => {
+    const filters = getOrderFilters(req);
+
+    res.json({
+        success: true,
+        data: {
+            statistics: await orderQuery.getOrderStats(filters),
+            period: {
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null
             }
-        });
+        }
+    });
+});
 
-    } catch (error) {
-        console.error('❌ Orders summary error:', error);
-        res.status(500).json({
-            error: 'Server error: ' + error.message,
-            code: error.code || 'ORDERS_SUMMARY_ERROR'
-        });
+// EXPORT E-COMMERCE ORDERS - streams the filtered list as CSV or XLSX, newest first
+app.get('/api/ecommerce/orders/export', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    query: {
+        ...orderFilterQuery,
+        format: { type: 'string', enum: Object.keys(orderExport.FORMATS) }
+    }
+}), async (req, res) => {
+    const { format = 'csv' } = req.validated.query;
+    const { contentType, extension } = orderExport.FORMATS[format];
+    const filename = `orders-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    console.log(`📤 Exporting orders as ${format}${req.merchant ? ` for merchant ${req.merchant.id}` : ''}`);
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    await orderExport.writeExport(format, res, getOrderFilters(req));
+});
+
+// DELIVERY RECEIPT PDF - proof of delivery once delivered, a receipt before that
+app.get('/api/ecommerce/orders/:orderId/receipt', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    params: orderIdParams
+}), async (req, res) => {
+    const { orderId } = req.params;
+
+    const receipt = await receipts.loadReceipt(orderId, { merchantId: req.merchant?.id });
+    if (!receipt) {
+        throw new ApiError('ORDER_NOT_FOUND');
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="receipt-${orderId}.pdf"`);
+    receipts.writeReceiptPdf(receipt, res);
+});
+
+// E-COMMERCE ORDER ANALYTICS - daily, weekly or monthly buckets in the caller's timezone
+app.get('/api/ecommerce/analytics', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    query: {
+        granularity: { type: 'string', enum: analytics.GRANULARITIES },
+        timezone: { type: 'string', maxLength: 64 },
+        startDate: isoDateSchema,
+        endDate: isoDateSchema,
+        merchantId: { type: 'string', maxLength: 100 },
+        serviceType: { type: 'string', enum: orderQuery.SERVICE_TYPES }
+    }
+}), async (req, res) => {
+    const { granularity, timezone, startDate, endDate, merchantId, serviceType } = req.validated.query;
+
+    res.json({
+        success: true,
+        data: await analytics.getOrderAnalytics({
+            granularity,
+            timezone,
+            startDate,
+            endDate,
+            merchantId: req.merchant ? req.merchant.id : merchantId,
+            serviceType
+        })
+    });
+});
+
+// GET E-COMMERCE ORDERS SUMMARY
+// Deprecated: kept for existing dashboards; use /api/ecommerce/orders and
+// /api/ecommerce/orders/stats instead. Without limit or cursor it returns every order, as it
+// always has; with them, one page, and nextCursor / hasMore say whether the list goes on.
+app.get('/api/ecommerce/orders-summary', authorizeMerchantOr('admin', 'dispatcher'), validate({
+    query: { ...orderFilterQuery, ...orderPageQuery }
+}), async (req, res) => {
+    const { sort, order, limit, cursor } = req.validated.query;
+    const filters = getOrderFilters(req);
+
+    console.log('📊 Fetching e-commerce orders summary...');
+
+    const paged = limit !== undefined || cursor !== undefined;
+    const [page, stats] = await Promise.all([
+        paged
+            ? orderQuery.listOrders(filters, { sort, order, limit, cursor })
+            : orderQuery.listAllOrders(filters, { sort, order }).then(orders => ({ orders, nextCursor: null })),
+        orderQuery.getOrderStats(filters)
+    ]);
+
+    res.set('Deprecation', 'true');
+    res.set('Link', '</api/ecommerce/orders>; rel="successor-version"');
+    res.status(200).json({
+        success: true,
+        data: {
+            orders: page.orders,
+            nextCursor: page.nextCursor,
+            hasMore: page.nextCursor !== null,
+            statistics: {
+                ...stats,
+                pendingOrders: stats.byStatus.pending ?? 0,
+                inProgressOrders: stats.byStatus['in-progress'] ?? 0,
+                failedOrders: stats.byStatus.failed ?? 0,
+                pickupAndDeliveryOrders: stats.byServiceType.PICKUP_AND_DELIVERY ?? 0,
+                deliveryOnlyOrders: stats.byServiceType.DELIVERY_ONLY ?? 0
+            },
+            period: {
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null
+            }
+        }
+    });
+});
+
+// RIDERS - rider registry and availability
+app.get('/api/riders', authorize('admin', 'dispatcher'), validate({
+    query: {
+        status: { type: 'string', enum: riders.RIDER_STATUSES }
+    }
+}), async (req, res) => {
+    res.json({ success: true, data: await riders.listRiders({ status: req.validated.query.status }) });
+});
+
+// Create or update a rider profile for an existing Firebase user and give them the rider role
+app.post('/api/riders', authorize('admin'), validate({
+    body: {
+        uid: { type: 'string', required: true, maxLength: 128 },
+        name: { type: 'string', required: true, maxLength: 100 },
+        phone: { type: 'string', required: true, maxLength: 30 },
+        vehicleType: { type: 'string', maxLength: 50 }
+    }
+}), async (req, res) => {
+    const { uid, name, phone, vehicleType } = req.body;
+
+    await orUserNotFound(roles.grantRole(uid, 'rider'));
+    const result = await riders.upsertRider(uid, { name, phone, vehicleType });
+    console.log(`🏍️ Rider ${uid} ${result.created ? 'created' : 'updated'} by ${req.user.email}`);
+
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.rider });
+});
+
+app.put('/api/riders/me/availability', authorize('rider'), validate({
+    body: {
+        status: { type: 'string', required: true, enum: ['available', 'offline'] }
+    }
+}), async (req, res) => {
+    const { status } = req.body;
+
+    const rider = await riders.setAvailability(req.user.uid, status);
+    if (!rider) {
+        throw new ApiError('RIDER_NOT_FOUND', 'Rider profile not found');
+    }
+    console.log(`🏍️ Rider ${req.user.uid} is now ${status}`);
+
+    res.json({ success: true, data: rider });
+});
+
+// REST alternative to the rider-location socket event, for clients that can't keep a socket open
+app.post('/api/riders/me/location', authorize('rider'), validate({
+    body: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 },
+        heading: { type: 'number', min: 0, max: 360 },
+        speed: { type: 'number', min: 0 },
+        orderId: { type: 'string', maxLength: 100 }
+    }
+}), async (req, res) => {
+    const { orderId, location } = await riderLocation.recordLocation(req.user.uid, req.body);
+    broadcastLocationUpdate(orderId, location);
+
+    res.json({ success: true, data: { orderId, location } });
+});
+
+// DISPATCH - assign, reassign and unassign riders, or offer the job to available riders
+app.put('/api/ecommerce/orders/:orderId/rider', authorize('admin', 'dispatcher'), validate({
+    params: orderIdParams,
+    body: {
+        riderId: { type: 'string', required: true, maxLength: 128 }
+    }
+}), async (req, res) => {
+    const { orderId } = req.params;
+    const { riderId } = req.body;
+
+    const assignment = await dispatch.assignRider(orderId, riderId, { actor: orderTimeline.getActor(req.user) });
+    console.log(`🏍️ Rider ${riderId} assigned to order ${orderId} by ${req.user.email}`);
+    broadcastRiderAssignment(assignment);
+
+    res.json({ success: true, data: assignment });
+});
+
+app.delete('/api/ecommerce/orders/:orderId/rider', authorize('admin', 'dispatcher'), validate({ params: orderIdParams }), async (req, res) => {
+    const { orderId } = req.params;
+
+    const result = await dispatch.unassignRider(orderId, { actor: orderTimeline.getActor(req.user) });
+    console.log(`🏍️ Rider ${result.previousRiderId} unassigned from order ${orderId} by ${req.user.email}`);
+
+    broadcastOrderUpdate(orderId, {
+        type: 'rider-unassigned',
+        status: result.status,
+        message: 'A new rider will be assigned to your order shortly.'
+    }, { merchantId: result.merchantId });
+    refreshOrderEta(orderId);
+
+    res.json({ success: true, data: result });
+});
+
+app.post('/api/ecommerce/orders/:orderId/dispatch', authorize('admin', 'dispatcher'), validate({ params: orderIdParams }), async (req, res) => {
+    const offer = await dispatch.startDispatch(req.params.orderId);
+    if (!offer) {
+        throw new ApiError('NO_RIDERS_AVAILABLE');
     }
+
+    res.status(202).json({
+        success: true,
+        message: `Job offered to rider ${offer.riderId}; it moves to the next rider if not accepted in time`,
+        data: offer
+    });
 });
 
 // NEW: Health check endpoint for WebSocket
-app.get('/api/websocket/health', (req, res) => {
+// Cluster-wide counts, cached for SOCKET_STATS_CACHE_MS so polling this public endpoint can't
+// make every instance answer on each hit; `instance` holds this instance's live counts
+const SOCKET_STATS_CACHE_MS = Number(process.env.SOCKET_STATS_CACHE_MS) || 15 * 1000;
+
+app.get('/api/websocket/health', async (req, res) => {
     res.json({
         success: true,
-        connectedClients: io.sockets.sockets.size,
-        activeSubscriptions: orderClients.size,
+        ...(await socketAdapter.getCachedClusterStats(io, SOCKET_STATS_CACHE_MS)),
+        instance: {
+            ...socketAdapter.getLocalStats(io),
+            // Listeners are per instance: each watches the orders its own clients subscribe to
+            firestoreListeners: orderSync.getActiveListenerCount()
+        },
         timestamp: new Date().toISOString()
     });
 });
 
+// Uncached socket counts across every instance
+app.get('/api/admin/websocket/stats', authorize('admin'), async (req, res) => {
+    res.json({
+        success: true,
+        data: await socketAdapter.getClusterStats(io)
+    });
+});
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
     try {
@@ -887,140 +1581,640 @@ app.get('/api/health', async (req, res) => {
         res.json({
             status: 'healthy',
             firestore: 'connected',
-            websocket: {
-                connectedClients: io.sockets.sockets.size,
-                activeSubscriptions: orderClients.size
-            },
+            // This instance only; /api/websocket/health has the cluster totals
+            websocket: socketAdapter.getLocalStats(io),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
+        // Monitors read this body, so it keeps its own shape instead of the error envelope
+        console.error(`❌ [${req.id}] Health check failed:`, error);
+        res.status(503).json({
             status: 'unhealthy',
             firestore: 'disconnected',
-            websocket: {
-                connectedClients: io.sockets.sockets.size,
-                activeSubscriptions: orderClients.size
-            },
-            error: error.message,
+            websocket: socketAdapter.getLocalStats(io),
+            requestId: req.id,
             timestamp: new Date().toISOString()
         });
     }
 });
 
-// Update the admin-status endpoint with better error handling
+const uidParams = {
+    uid: { type: 'string', required: true, maxLength: 128 }
+};
+
+// Admin status for the signed-in user, from their role claims
 app.get('/api/admin-status', authenticateUser, async (req, res) => {
-    try {
-        console.log("🔍 Admin status check requested");
-        
-        const uid = req.user.uid;
-        const userEmail = req.user.email;
-        
-        console.log(`📧 Checking admin status for: ${userEmail} (${uid})`);
+    console.log("🔍 Admin status check requested");
+    
+    const uid = req.user.uid;
+    const userEmail = req.user.email;
+    
+    console.log(`📧 Checking admin status for: ${userEmail} (${uid})`);
 
-        // Check if user exists in database
-        const userDoc = await db.collection('users').doc(uid).get();
+    // Check if user exists in database
+    const userDoc = await db.collection('users').doc(uid).get();
+
+    if (!userDoc.exists) {
+        console.log("❌ User document not found in database");
+        throw new ApiError('USER_NOT_FOUND', undefined, { details: { uid, email: userEmail } });
+    }
+
+    const userData = userDoc.data();
+    const userRoles = roles.getUserRoles(req.user);
+
+    // Bootstrap admins come from BOOTSTRAP_ADMIN_EMAILS and get the claim on first check.
+    // The isAdmin flag of admins from before role claims is only reported: users could write
+    // it themselves, so they are moved over with scripts/migrateAdminClaims.js or the
+    // grant-role endpoint instead.
+    const isAdminByClaims = userRoles.includes('admin');
+    const isAdminByDatabase = userData.isAdmin === true;
+    const isBootstrapAdmin = req.user.email_verified === true &&
+        BOOTSTRAP_ADMIN_EMAILS.includes((userEmail || '').toLowerCase());
+    let claimsUpdated = false;
+
+    if (!isAdminByClaims && isBootstrapAdmin) {
+        console.log(`🔧 Granting admin role claim to ${userEmail}`);
+        try {
+            await roles.grantRole(uid, 'admin');
+            claimsUpdated = true;
+            console.log("✅ Admin role claim granted");
+        } catch (updateError) {
+            console.error("❌ Error granting admin role claim:", updateError);
+        }
+    }
+
+    const isAdmin = isAdminByClaims || claimsUpdated;
+
+    console.log("🔍 Admin status check results:", {
+        email: userEmail,
+        roles: userRoles,
+        isAdminByClaims,
+        isAdminByDatabase,
+        finalIsAdmin: isAdmin
+    });
 
-        if (!userDoc.exists) {
-            console.log("❌ User document not found in database");
-            return res.status(404).json({ 
-                error: 'User not found',
-                uid,
-                email: userEmail 
+    res.json({
+        uid,
+        email: userData.email || userEmail,
+        isAdmin,
+        isAdminByDatabase,
+        roles: claimsUpdated ? [...userRoles.filter(role => role !== 'customer'), 'admin'] : userRoles,
+        // The client must refresh its ID token (getIdToken(true)) to pick up new claims
+        tokenRefreshRequired: claimsUpdated,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Add a debug endpoint to check user data
+app.get('/api/debug-user/:uid', authenticateUser, validate({ params: uidParams }), async (req, res) => {
+    const { uid } = req.params;
+    const requestingUid = req.user.uid;
+    
+    // Only allow admins or the user themselves to access this
+    if (requestingUid !== uid && !roles.hasRole(req.user, 'admin')) {
+        throw new ApiError('FORBIDDEN', 'Forbidden');
+    }
+    
+    const userDoc = await db.collection('users').doc(uid).get();
+    
+    if (!userDoc.exists) {
+        throw new ApiError('USER_NOT_FOUND');
+    }
+    
+    const userData = userDoc.data();
+    
+    res.json({
+        uid,
+        exists: userDoc.exists,
+        data: userData,
+        roles: await roles.getRoles(uid),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// ROLE MANAGEMENT - grant and revoke role claims (admin only)
+app.get('/api/admin/users/:uid/roles', authorize('admin'), validate({ params: uidParams }), async (req, res) => {
+    const { uid } = req.params;
+
+    res.json({
+        success: true,
+        data: { uid, roles: await orUserNotFound(roles.getRoles(uid)) }
+    });
+});
+
+app.post('/api/admin/users/:uid/roles', authorize('admin'), validate({
+    params: uidParams,
+    body: {
+        role: { type: 'string', required: true, enum: roles.ROLES },
+        merchantId: { type: 'string', maxLength: 100 }
+    }
+}), async (req, res) => {
+    const { uid } = req.params;
+    const { role } = req.body;
+
+    // Merchant users are linked to the merchant whose orders they may see
+    const extraClaims = {};
+    if (role === 'merchant') {
+        if (!req.body.merchantId || !(await merchants.getMerchant(req.body.merchantId))) {
+            throw new ApiError('VALIDATION_FAILED', undefined, {
+                fields: [{ field: 'merchantId', message: 'A valid merchantId is required for the merchant role' }]
             });
         }
+        extraClaims.merchantId = req.body.merchantId;
+    }
+
+    const updatedRoles = await orUserNotFound(roles.grantRole(uid, role, extraClaims));
+    console.log(`🔑 ${req.user.email} granted role '${role}' to ${uid}`);
+
+    res.json({
+        success: true,
+        message: `Role '${role}' granted - it applies once the user refreshes their ID token`,
+        data: { uid, roles: updatedRoles }
+    });
+});
+
+app.delete('/api/admin/users/:uid/roles/:role', authorize('admin'), validate({
+    params: {
+        ...uidParams,
+        role: { type: 'string', required: true, enum: roles.ROLES }
+    }
+}), async (req, res) => {
+    const { uid, role } = req.params;
 
-        const userData = userDoc.data();
-        console.log("📋 User data from database:", {
-            email: userData.email,
-            isAdmin: userData.isAdmin,
-            userType: userData.userType
+    // An admin can't drop their own admin role, so the project is never left without one
+    if (uid === req.user.uid && role === 'admin') {
+        throw new ApiError('VALIDATION_FAILED', 'You cannot revoke your own admin role', {
+            fields: [{ field: 'role', message: 'You cannot revoke your own admin role' }]
         });
+    }
+
+    const updatedRoles = await orUserNotFound(roles.revokeRole(uid, role));
+    console.log(`🔑 ${req.user.email} revoked role '${role}' from ${uid}`);
+
+    res.json({
+        success: true,
+        message: `Role '${role}' revoked - it applies once the user refreshes their ID token`,
+        data: { uid, roles: updatedRoles }
+    });
+});
+
+// Another user's notification preferences, for support (admin only)
+app.get('/api/admin/users/:uid/notification-preferences', authorize('admin'), validate({ params: uidParams }), async (req, res) => {
+    res.json({ success: true, data: await notificationPreferences.getPreferences(req.params.uid) });
+});
+
+app.put('/api/admin/users/:uid/notification-preferences', authorize('admin'), validate({
+    params: uidParams,
+    body: notificationPreferences.PREFERENCES_BODY
+}), async (req, res) => {
+    const preferences = await notificationPreferences.savePreferences(req.params.uid, req.body);
+    console.log(`🔕 Notification preferences of ${req.params.uid} changed by ${req.user.email}`);
+    res.json({ success: true, data: preferences });
+});
+
+// MERCHANT MANAGEMENT - merchant registry and API keys (admin only).
+// Plaintext keys are only ever returned by the create/issue/rotate calls.
+const merchantIdParams = {
+    merchantId: { type: 'string', required: true, maxLength: 100 }
+};
+const apiKeyParams = {
+    ...merchantIdParams,
+    keyId: { type: 'string', required: true, maxLength: 100 }
+};
+
+app.get('/api/admin/merchants', authorize('admin'), async (req, res) => {
+    res.json({ success: true, data: await merchants.listMerchants() });
+});
+
+app.post('/api/admin/merchants', authorize('admin'), validate({
+    body: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        contactEmail: { type: 'string', maxLength: 200, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, patternMessage: 'must be a valid email address' }
+    }
+}), async (req, res) => {
+    const { name, contactEmail } = req.body;
+
+    const result = await merchants.createMerchant({ name, contactEmail });
+    console.log(`🏪 Merchant ${result.merchantId} (${name}) created by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Merchant created - store the API key now, it cannot be shown again',
+        data: result
+    });
+});
+
+app.get('/api/admin/merchants/:merchantId/keys', authorize('admin'), validate({ params: merchantIdParams }), async (req, res) => {
+    const { merchantId } = req.params;
+
+    if (!(await merchants.getMerchant(merchantId))) {
+        throw new ApiError('MERCHANT_NOT_FOUND');
+    }
+
+    res.json({ success: true, data: await merchants.listApiKeys(merchantId) });
+});
+
+app.post('/api/admin/merchants/:merchantId/keys', authorize('admin'), validate({
+    params: merchantIdParams,
+    body: {
+        label: { type: 'string', maxLength: 100 }
+    }
+}), async (req, res) => {
+    const { merchantId } = req.params;
+
+    if (!(await merchants.getMerchant(merchantId))) {
+        throw new ApiError('MERCHANT_NOT_FOUND');
+    }
+
+    const result = await merchants.issueApiKey(merchantId, { label: req.body.label });
+    console.log(`🔑 API key ${result.keyId} issued for merchant ${merchantId} by ${req.user.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'API key issued - store it now, it cannot be shown again',
+        data: result
+    });
+});
+
+app.post('/api/admin/merchants/:merchantId/keys/:keyId/rotate', authorize('admin'), validate({
+    params: apiKeyParams,
+    body: {
+        graceHours: { type: 'number', min: 0, max: 24 * 30 }
+    }
+}), async (req, res) => {
+    const { merchantId, keyId } = req.params;
 
-        // Check admin status by email and database
-        const isAdminByEmail = ALLOWED_ADMIN_EMAILS.includes(userEmail);
-        const isAdminByDatabase = userData.isAdmin === true;
-        const isAdmin = isAdminByEmail || isAdminByDatabase;
+    const result = await merchants.rotateApiKey(merchantId, keyId, { graceHours: req.body.graceHours });
+    if (!result) {
+        throw new ApiError('API_KEY_NOT_FOUND', 'Active API key not found for this merchant');
+    }
+    console.log(`🔁 API key ${keyId} rotated to ${result.keyId} for merchant ${merchantId} by ${req.user.email}`);
+
+    res.json({
+        success: true,
+        message: 'API key rotated - store the new key now, it cannot be shown again',
+        data: result
+    });
+});
+
+app.delete('/api/admin/merchants/:merchantId/keys/:keyId', authorize('admin'), validate({ params: apiKeyParams }), async (req, res) => {
+    const { merchantId, keyId } = req.params;
+
+    if (!(await merchants.revokeApiKey(merchantId, keyId))) {
+        throw new ApiError('API_KEY_NOT_FOUND', 'API key not found for this merchant');
+    }
+    console.log(`🚫 API key ${keyId} revoked for merchant ${merchantId} by ${req.user.email}`);
+
+    res.json({ success: true, message: 'API key revoked' });
+});
+
+// MERCHANT WEBHOOKS - merchants manage their own endpoints (API key or merchant user)
+app.get('/api/merchant/webhooks', authorizeMerchantOr(), async (req, res) => {
+    res.json({ success: true, data: await webhooks.listWebhooks(req.merchant.id) });
+});
+
+app.post('/api/merchant/webhooks', authorizeMerchantOr(), validate({
+    body: {
+        url: { type: 'string', required: true, maxLength: 2048 },
+        events: { type: 'array', minItems: 1, items: { type: 'string', enum: webhooks.WEBHOOK_EVENTS } }
+    }
+}), async (req, res) => {
+    const { url, events } = req.body;
 
-        console.log("🔍 Admin status check results:", {
-            email: userEmail,
-            isAdminByEmail,
-            isAdminByDatabase,
-            finalIsAdmin: isAdmin
+    const urlProblem = await webhooks.checkUrl(url);
+    if (urlProblem) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'url', message: urlProblem }]
         });
+    }
 
-        // Update database if user is admin by email but not in database
-        if (isAdminByEmail && !isAdminByDatabase) {
-            console.log(`🔧 Updating admin status in database for ${userEmail}`);
-            try {
-                await db.collection('users').doc(uid).update({ 
-                    isAdmin: true,
-                    userType: 'ADMIN'
-                });
-                console.log("✅ Admin status updated in database");
-            } catch (updateError) {
-                console.error("❌ Error updating admin status:", updateError);
-            }
-        }
+    const result = await webhooks.registerWebhook(req.merchant.id, { url, events });
+    console.log(`🪝 Webhook ${result.webhookId} registered for merchant ${req.merchant.id}: ${url}`);
 
-        res.json({
-            uid,
-            email: userData.email || userEmail,
-            isAdmin,
-            isAdminByEmail,
-            isAdminByDatabase,
-            timestamp: new Date().toISOString()
+    res.status(201).json({
+        success: true,
+        message: 'Webhook registered - store the signing secret now, it cannot be shown again',
+        data: result
+    });
+});
+
+app.delete('/api/merchant/webhooks/:webhookId', authorizeMerchantOr(), validate({
+    params: {
+        webhookId: { type: 'string', required: true, maxLength: 100 }
+    }
+}), async (req, res) => {
+    if (!(await webhooks.deleteWebhook(req.merchant.id, req.params.webhookId))) {
+        throw new ApiError('WEBHOOK_NOT_FOUND');
+    }
+    console.log(`🪝 Webhook ${req.params.webhookId} removed for merchant ${req.merchant.id}`);
+
+    res.json({ success: true, message: 'Webhook removed' });
+});
+
+// WEBHOOK DELIVERIES - inspect and replay failed deliveries (admin only)
+app.get('/api/admin/webhooks/deliveries', authorize('admin'), validate({
+    query: {
+        status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+        merchantId: { type: 'string', maxLength: 100 },
+        limit: { type: 'number', integer: true, min: 1, max: 200 }
+    }
+}), async (req, res) => {
+    const { status = 'dead', merchantId, limit = 50 } = req.validated.query;
+
+    res.json({
+        success: true,
+        data: await webhooks.listDeliveries({ status, merchantId, limit })
+    });
+});
+
+app.post('/api/admin/webhooks/deliveries/:deliveryId/replay', authorize('admin'), validate({
+    params: {
+        deliveryId: { type: 'string', required: true, maxLength: 100 }
+    }
+}), async (req, res) => {
+    const delivery = await webhooks.replayDelivery(req.params.deliveryId);
+    if (!delivery) {
+        throw new ApiError('WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+    console.log(`🔁 Webhook delivery ${req.params.deliveryId} replayed by ${req.user.email}: ${delivery.status}`);
+
+    res.json({ success: true, data: delivery });
+});
+
+// SMS PROVIDER WEBHOOKS - delivery receipts and inbound replies (STOP/START).
+// Providers post JSON or form data. Twilio requests must carry a valid X-Twilio-Signature;
+// other providers send SMS_WEBHOOK_SECRET as X-Webhook-Token (or ?token=, see services/sms.js).
+const smsWebhookParams = {
+    provider: { type: 'string', required: true, enum: sms.PROVIDER_NAMES }
+};
+
+function requireSmsWebhookAuth(req, res, next) {
+    // Signatures cover the public URL the provider called, which a proxy in front may change
+    const base = process.env.PUBLIC_BASE_URL
+        ? process.env.PUBLIC_BASE_URL.replace(/\/$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+
+    const authentic = sms.isAuthenticWebhook(req.params.provider, {
+        url: base + req.originalUrl,
+        headers: req.headers,
+        body: req.body,
+        token: req.get('X-Webhook-Token') || req.query.token
+    });
+    if (!authentic) {
+        throw new ApiError('AUTHENTICATION_FAILED', 'Invalid webhook signature or token');
+    }
+    next();
+}
+
+app.post('/api/sms/webhooks/:provider/status', express.urlencoded({ extended: false }), requireSmsWebhookAuth, validate({
+    params: smsWebhookParams
+}), async (req, res) => {
+    const messageId = await sms.handleStatusCallback(req.params.provider, req.body);
+    if (!messageId) {
+        console.log(`📬 Unmatched ${req.params.provider} SMS receipt ignored`);
+    }
+    res.json({ success: true });
+});
+
+app.post('/api/sms/webhooks/:provider/inbound', express.urlencoded({ extended: false }), requireSmsWebhookAuth, validate({
+    params: smsWebhookParams
+}), async (req, res) => {
+    const result = await sms.handleInbound(req.params.provider, req.body);
+    res.json({ success: true, action: result?.action || null });
+});
+
+// SMS ADMIN - message log and opt-outs
+const smsPhoneParams = {
+    phone: { type: 'string', required: true, maxLength: 20 }
+};
+
+function normalizePhoneParam(req) {
+    const phoneNumber = sms.normalizePhoneNumber(req.params.phone);
+    if (!phoneNumber) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'phone', message: 'phone must be a valid Nigerian or E.164 phone number' }]
         });
+    }
+    return phoneNumber;
+}
 
-    } catch (error) {
-        console.error('❌ Error checking admin status:', error);
-        res.status(500).json({ 
-            error: 'Server error while checking admin status',
-            details: error.message,
-            code: error.code
+app.get('/api/admin/sms/messages', authorize('admin', 'dispatcher'), validate({
+    query: {
+        orderId: { type: 'string', maxLength: 100 },
+        status: { type: 'string', enum: sms.MESSAGE_STATUSES },
+        limit: { type: 'number', integer: true, min: 1, max: 200 }
+    }
+}), async (req, res) => {
+    const { orderId, status, limit } = req.validated.query;
+    res.json({ success: true, data: await sms.listMessages({ orderId, status, limit }) });
+});
+
+app.get('/api/admin/sms/opt-outs/:phone', authorize('admin', 'dispatcher'), validate({ params: smsPhoneParams }), async (req, res) => {
+    const phoneNumber = normalizePhoneParam(req);
+    res.json({ success: true, data: { phoneNumber, optedOut: await sms.isOptedOut(phoneNumber) } });
+});
+
+app.put('/api/admin/sms/opt-outs/:phone', authorize('admin'), validate({ params: smsPhoneParams }), async (req, res) => {
+    const phoneNumber = normalizePhoneParam(req);
+    await sms.setOptOut(phoneNumber, true, { source: 'admin', changedBy: orderTimeline.getActor(req.user) });
+    res.json({ success: true, data: { phoneNumber, optedOut: true } });
+});
+
+app.delete('/api/admin/sms/opt-outs/:phone', authorize('admin'), validate({ params: smsPhoneParams }), async (req, res) => {
+    const phoneNumber = normalizePhoneParam(req);
+    await sms.setOptOut(phoneNumber, false, { source: 'admin', changedBy: orderTimeline.getActor(req.user) });
+    res.json({ success: true, data: { phoneNumber, optedOut: false } });
+});
+
+// EMAIL PROVIDER WEBHOOKS - delivery, bounce and complaint events.
+// SES posts through SNS as text/plain JSON and is checked against the SNS signature; other
+// sources send EMAIL_WEBHOOK_SECRET as X-Webhook-Token (or ?token=, see services/email.js).
+async function requireEmailWebhookAuth(req, res, next) {
+    const authentic = await email.isAuthenticWebhook(req.params.source, {
+        body: req.body,
+        token: req.get('X-Webhook-Token') || req.query.token
+    });
+    if (!authentic) {
+        throw new ApiError('AUTHENTICATION_FAILED', 'Invalid webhook signature or token');
+    }
+    next();
+}
+
+app.post('/api/email/webhooks/:source', express.text({ type: 'text/plain' }), requireEmailWebhookAuth, validate({
+    params: {
+        source: { type: 'string', required: true, enum: email.WEBHOOK_SOURCES }
+    }
+}), async (req, res) => {
+    const { processed } = await email.handleWebhook(req.params.source, req.body);
+    res.json({ success: true, processed });
+});
+
+// EMAIL ADMIN - message log, suppression list and the capture transport's outbox
+const emailAddressParams = {
+    email: { type: 'string', required: true, maxLength: 254 }
+};
+
+function normalizeEmailParam(req) {
+    const address = email.normalizeEmail(req.params.email);
+    if (!address) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'email', message: 'email must be a valid email address' }]
         });
     }
+    return address;
+}
+
+app.get('/api/admin/email/messages', authorize('admin', 'dispatcher'), validate({
+    query: {
+        orderId: { type: 'string', maxLength: 100 },
+        status: { type: 'string', enum: email.MESSAGE_STATUSES },
+        limit: { type: 'number', integer: true, min: 1, max: 200 }
+    }
+}), async (req, res) => {
+    const { orderId, status, limit } = req.validated.query;
+    res.json({ success: true, data: await email.listMessages({ orderId, status, limit }) });
 });
 
-// Add a debug endpoint to check user data
-app.get('/api/debug-user/:uid', authenticateUser, async (req, res) => {
-    try {
-        const { uid } = req.params;
-        const requestingUid = req.user.uid;
-        
-        // Only allow admins or the user themselves to access this
-        if (requestingUid !== uid) {
-            const requestingUserDoc = await db.collection('users').doc(requestingUid).get();
-            if (!requestingUserDoc.exists || !requestingUserDoc.data().isAdmin) {
-                return res.status(403).json({ error: 'Forbidden' });
-            }
-        }
-        
-        const userDoc = await db.collection('users').doc(uid).get();
-        
-        if (!userDoc.exists) {
-            return res.status(404).json({ error: 'User not found' });
+app.get('/api/admin/email/suppressions/:email', authorize('admin', 'dispatcher'), validate({ params: emailAddressParams }), async (req, res) => {
+    const address = normalizeEmailParam(req);
+    const suppression = await email.getSuppression(address);
+    res.json({
+        success: true,
+        data: {
+            email: address,
+            suppressed: !!suppression,
+            reason: suppression?.reason || null,
+            detail: suppression?.detail || null
         }
-        
-        const userData = userDoc.data();
-        
-        res.json({
-            uid,
-            exists: userDoc.exists,
-            data: userData,
-            isAdminByEmail: ALLOWED_ADMIN_EMAILS.includes(userData.email),
-            timestamp: new Date().toISOString()
+    });
+});
+
+app.put('/api/admin/email/suppressions/:email', authorize('admin'), validate({ params: emailAddressParams }), async (req, res) => {
+    const address = normalizeEmailParam(req);
+    await email.setSuppression(address, true, { reason: 'admin', changedBy: orderTimeline.getActor(req.user) });
+    res.json({ success: true, data: { email: address, suppressed: true } });
+});
+
+app.delete('/api/admin/email/suppressions/:email', authorize('admin'), validate({ params: emailAddressParams }), async (req, res) => {
+    const address = normalizeEmailParam(req);
+    await email.setSuppression(address, false, { reason: 'admin', changedBy: orderTimeline.getActor(req.user) });
+    res.json({ success: true, data: { email: address, suppressed: false } });
+});
+
+app.get('/api/admin/email/outbox', authorize('admin'), async (req, res) => {
+    const messages = email.getCapturedMessages();
+    if (!messages) {
+        throw new ApiError('NOT_FOUND', 'The capture email transport is not in use');
+    }
+    res.json({ success: true, data: messages });
+});
+
+// NOTIFICATION TEMPLATES - view, override and preview notification texts (admin only)
+const templateKeyParams = {
+    event: { type: 'string', required: true, enum: Object.keys(notificationTemplates.EVENTS) },
+    status: { type: 'string', required: true, maxLength: 40 },
+    channel: { type: 'string', required: true, enum: notificationTemplates.CHANNELS },
+    locale: { type: 'string', required: true, enum: notificationTemplates.LOCALES }
+};
+
+const templateFieldsBody = {
+    title: { type: 'string', maxLength: 200 },
+    subject: { type: 'string', maxLength: 200 },
+    body: { type: 'string', maxLength: 5000 },
+    html: { type: 'string', maxLength: 50000 }
+};
+
+function checkTemplateStatus({ event, status }) {
+    if (!notificationTemplates.isKnownStatus(event, status)) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'status', message: `status is not a known status for ${event} templates` }]
         });
-        
-    } catch (error) {
-        console.error('Debug user endpoint error:', error);
-        res.status(500).json({ error: error.message });
     }
+}
+
+function checkTemplateFields({ event, channel }, fields) {
+    const problems = notificationTemplates.validateTemplate(event, channel, fields);
+    if (problems.length > 0) {
+        throw new ApiError('VALIDATION_FAILED', undefined, { fields: problems });
+    }
+}
+
+app.get('/api/admin/notification-templates', authorize('admin'), validate({
+    query: {
+        event: { type: 'string', enum: Object.keys(notificationTemplates.EVENTS) },
+        channel: { type: 'string', enum: notificationTemplates.CHANNELS },
+        locale: { type: 'string', enum: notificationTemplates.LOCALES }
+    }
+}), async (req, res) => {
+    const { event, channel, locale } = req.validated.query;
+
+    res.json({
+        success: true,
+        data: {
+            events: Object.entries(notificationTemplates.EVENTS).map(([name, { description, statuses, variables }]) => ({
+                event: name,
+                description,
+                statuses,
+                variables
+            })),
+            templates: await notificationTemplates.listTemplates({ event, channel, locale })
+        }
+    });
+});
+
+app.put('/api/admin/notification-templates/:event/:status/:channel/:locale', authorize('admin'), validate({
+    params: templateKeyParams,
+    body: templateFieldsBody
+}), async (req, res) => {
+    checkTemplateStatus(req.params);
+    checkTemplateFields(req.params, req.body);
+
+    const template = await notificationTemplates.saveTemplate(req.params, req.body, orderTimeline.getActor(req.user));
+    console.log(`📝 Notification template ${template.id} updated by ${req.user.email}`);
+
+    res.json({ success: true, data: template });
+});
+
+app.delete('/api/admin/notification-templates/:event/:status/:channel/:locale', authorize('admin'), validate({
+    params: templateKeyParams
+}), async (req, res) => {
+    if (!(await notificationTemplates.deleteTemplate(req.params))) {
+        throw new ApiError('NOT_FOUND', 'No stored template for this key - the built-in text already applies');
+    }
+    console.log(`📝 Notification template ${Object.values(req.params).join(':')} reset by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Template reset to the built-in text' });
+});
+
+// Render a stored template, or a draft (body.template) before saving it, with sample variables
+app.post('/api/admin/notification-templates/preview', authorize('admin'), validate({
+    body: {
+        ...templateKeyParams,
+        variables: { type: 'object' },
+        template: { type: 'object', properties: templateFieldsBody }
+    }
+}), async (req, res) => {
+    const { event, status, channel, locale, variables, template } = req.body;
+    checkTemplateStatus({ event, status });
+    if (template) {
+        checkTemplateFields({ event, channel }, template);
+    }
+
+    res.json({
+        success: true,
+        data: await notificationTemplates.preview({ event, status, channel, locale }, { variables, draft: template })
+    });
 });
 
 // NEW: WebSocket test endpoint for debugging
-app.get('/api/websocket/test/:orderId', (req, res) => {
+app.get('/api/websocket/test/:orderId', authorize('admin'), validate({
+    params: orderIdParams,
+    query: {
+        message: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
     const { orderId } = req.params;
-    const { message } = req.query;
+    const { message } = req.validated.query;
     
     // Test broadcasting to a specific order
     broadcastOrderUpdate(orderId, {
@@ -1032,14 +2226,17 @@ app.get('/api/websocket/test/:orderId', (req, res) => {
     res.json({
         success: true,
         message: `Test broadcast sent to order ${orderId}`,
-        connectedClients: io.sockets.sockets.size,
-        subscribedClients: orderClients.get(orderId)?.size || 0
+        subscribedClients: (await io.in(`order-${orderId}`).fetchSockets()).length
     });
 });
 
 // NEW: General broadcast test endpoint
-app.get('/api/websocket/broadcast-test', (req, res) => {
-    const { message } = req.query;
+app.get('/api/websocket/broadcast-test', authorize('admin'), validate({
+    query: {
+        message: { type: 'string', maxLength: 500 }
+    }
+}), async (req, res) => {
+    const { message } = req.validated.query;
     
     broadcastGeneralUpdate({
         type: 'test-broadcast',
@@ -1050,19 +2247,107 @@ app.get('/api/websocket/broadcast-test', (req, res) => {
     res.json({
         success: true,
         message: 'Test general broadcast sent',
-        connectedClients: io.sockets.sockets.size
+        adminClients: (await io.in('admins').fetchSockets()).length
     });
 });
 
+// Unknown endpoints, then the error envelope for everything thrown by the routes above
+app.use((req, res, next) => {
+    next(new ApiError('ROUTE_NOT_FOUND', `No such endpoint: ${req.method} ${req.path}`));
+});
+
+app.use((error, req, res, next) => {
+    const { status, body } = errors.toErrorResponse(error, req.id);
+    if (status >= 500) {
+        console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+    res.status(status).json(body);
+});
+
 // Start server with WebSocket support (UPDATED)
 const PORT = process.env.PORT || 3000;
 
-server.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`🔌 WebSocket server ready`);
-    console.log(`📊 WebSocket health check: http://localhost:${PORT}/api/websocket/health`);
+// Firestore listeners follow this instance's order rooms: attached when the first local
+// subscriber joins, detached when the last one leaves or disconnects
+function watchOrderRooms() {
+    const adapter = io.of('/').adapter;
+
+    adapter.on('create-room', (room) => {
+        if (room.startsWith('order-')) {
+            orderSync.watchOrder(room.slice('order-'.length));
+        }
+    });
+    adapter.on('delete-room', (room) => {
+        if (room.startsWith('order-')) {
+            orderSync.unwatchOrder(room.slice('order-'.length));
+        }
+    });
+}
+
+// The adapter has to be in place before the room listeners attach and clients connect
+socketAdapter.configureAdapter(io).then((adapterKind) => {
+    watchOrderRooms();
+
+    server.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`🔌 WebSocket server ready (${adapterKind} adapter)`);
+        console.log(`📊 WebSocket health check: http://localhost:${PORT}/api/websocket/health`);
+    });
+}).catch((error) => {
+    console.error('❌ Socket.IO adapter setup failed:', error);
+    process.exit(1);
 });
 
+// Sweep device tokens that clients stopped refreshing
+const DEVICE_TOKEN_STALE_DAYS = Number(process.env.DEVICE_TOKEN_STALE_DAYS) || 60;
+const DEVICE_TOKEN_SWEEP_INTERVAL_MS = Number(process.env.DEVICE_TOKEN_SWEEP_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+
+setInterval(async () => {
+    try {
+        const removed = await deviceTokens.sweepStaleDeviceTokens(DEVICE_TOKEN_STALE_DAYS);
+        console.log(`🧹 Stale device token sweep removed ${removed} token(s)`);
+    } catch (error) {
+        console.error('❌ Stale device token sweep failed:', error);
+    }
+}, DEVICE_TOKEN_SWEEP_INTERVAL_MS).unref();
+
+// Retry webhook deliveries whose backoff has elapsed
+const WEBHOOK_RETRY_POLL_MS = Number(process.env.WEBHOOK_RETRY_POLL_MS) || 15 * 1000;
+
+setInterval(async () => {
+    try {
+        await webhooks.processDueDeliveries();
+    } catch (error) {
+        console.error('❌ Webhook retry poll failed:', error);
+    }
+}, WEBHOOK_RETRY_POLL_MS).unref();
+
+// Expire rider job offers whose timer was lost to a restart, so dispatch moves on to the next rider
+const RIDER_OFFER_SWEEP_MS = Number(process.env.RIDER_OFFER_SWEEP_MS) || 15 * 1000;
+
+setInterval(async () => {
+    try {
+        await dispatch.expireDueOffers();
+    } catch (error) {
+        console.error('❌ Rider offer sweep failed:', error);
+    }
+}, RIDER_OFFER_SWEEP_MS).unref();
+
+// Release notifications held for quiet hours or the digest
+const NOTIFICATION_QUEUE_POLL_MS = Number(process.env.NOTIFICATION_QUEUE_POLL_MS) || 60 * 1000;
+
+setInterval(async () => {
+    try {
+        await notifications.processHeldNotifications();
+    } catch (error) {
+        console.error('❌ Held notification poll failed:', error);
+    }
+}, NOTIFICATION_QUEUE_POLL_MS).unref();
+
 // Export the broadcast functions for use in other modules
 module.exports = {
     broadcastOrderUpdate,
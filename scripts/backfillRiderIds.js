@@ -0,0 +1,35 @@
+const admin = require('firebase-admin');
+const eta = require('../services/eta');
+
+// One-time migration: stores riderId: null on deliveries created before create-order did.
+// The dispatch backlog in ETAs counts unassigned orders with where('riderId', '==', null),
+// which doesn't match orders without the field.
+//
+//   node scripts/backfillRiderIds.js            list the orders missing riderId
+//   node scripts/backfillRiderIds.js --apply    store riderId: null on them
+//
+// Credentials as for the server: FIREBASE_SERVICE_ACCOUNT, else serviceAccountKey.json.
+
+const apply = process.argv.includes('--apply');
+
+async function main() {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
+        ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+        : require('../serviceAccountKey.json');
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount), projectId: serviceAccount.project_id });
+
+    const missing = await eta.backfillRiderIds({ dryRun: !apply });
+
+    if (!apply) {
+        missing.forEach(id => console.log(`   would set riderId: null on ${id}`));
+        console.log(`🔍 ${missing.length} order(s) without riderId`);
+        console.log('💡 Run again with --apply to update them');
+        return;
+    }
+    console.log(`✅ Set riderId: null on ${missing.length} order(s)`);
+}
+
+main().catch(error => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,47 @@
+const admin = require('firebase-admin');
+const roles = require('../services/roles');
+
+// One-time migration: gives the admin role claim to users flagged with isAdmin: true in
+// users/{uid}, from before role claims. /api/admin-status only reports that flag.
+//
+//   node scripts/migrateAdminClaims.js            list who would be granted the role
+//   node scripts/migrateAdminClaims.js --apply    grant it
+//
+// Credentials as for the server: FIREBASE_SERVICE_ACCOUNT, else serviceAccountKey.json.
+// Check the list first - anyone who could write their own users document is on it.
+
+const apply = process.argv.includes('--apply');
+
+async function main() {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT
+        ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)
+        : require('../serviceAccountKey.json');
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount), projectId: serviceAccount.project_id });
+
+    const snapshot = await admin.firestore().collection('users').where('isAdmin', '==', true).get();
+    console.log(`🔍 ${snapshot.size} user(s) flagged isAdmin in the database`);
+
+    for (const doc of snapshot.docs) {
+        const label = `${doc.data().email || '(no email)'} (${doc.id})`;
+        if (!apply) {
+            console.log(`   would grant admin to ${label}`);
+            continue;
+        }
+        try {
+            await roles.grantRole(doc.id, 'admin');
+            console.log(`✅ Granted admin to ${label}`);
+        } catch (error) {
+            console.error(`❌ Failed to grant admin to ${label}:`, error.message);
+            process.exitCode = 1;
+        }
+    }
+
+    if (!apply) {
+        console.log('💡 Run again with --apply to grant the role');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+});
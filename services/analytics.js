@@ -0,0 +1,286 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./errors');
+const { isValidTimezone, getZonedParts } = require('./timezones');
+
+// Time-series analytics for e-commerce orders.
+//
+// Orders are grouped by the day, week (starting Monday) or month they were created in, in the
+// requested IANA timezone, so every metric of a bucket describes the orders created in it:
+// how many were created, delivered and failed, delivered revenue, average pickup-to-delivery
+// time, the share delivered by their promisedDeliveryTime, and counts for every status found.
+//
+// Delivery and pickup times come from statusTimestamps (written by update-order). Orders
+// delivered before that existed fall back to updatedAt for the delivery time.
+// promisedDeliveryTime is the estimate given at creation; estimatedDeliveryTime keeps moving
+// as the order progresses, so orders created without a promise are left out of the on-time rate.
+//
+// Orders are read in pages with only the fields needed here, and the range is capped at
+// MAX_RANGE_DAYS.
+
+const GRANULARITIES = ['daily', 'weekly', 'monthly'];
+const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Africa/Lagos';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const READ_PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const ORDER_FIELDS = [
+    'createdAt',
+    'updatedAt',
+    'status',
+    'serviceType',
+    'merchantId',
+    'orderSummary.total',
+    'promisedDeliveryTime',
+    'pickupCompletedAt',
+    'statusTimestamps'
+];
+
+function validationError(field, message) {
+    return new ApiError('VALIDATION_FAILED', undefined, { fields: [{ field, message }] });
+}
+
+// How far the timezone's wall clock is ahead of UTC at an instant
+function getOffsetMs(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant the given calendar day starts in the timezone
+function getZonedMidnight(year, month, day, timezone) {
+    const guess = Date.UTC(year, month - 1, day);
+    const first = guess - getOffsetMs(new Date(guess), timezone);
+    // A second pass settles days where the offset changes (DST)
+    return new Date(guess - getOffsetMs(new Date(first), timezone));
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// Bucket label: YYYY-MM-DD for days and weeks (the Monday), YYYY-MM for months
+function getBucketKey(date, granularity, timezone) {
+    const { year, month, day } = getZonedParts(date, timezone);
+
+    if (granularity === 'monthly') {
+        return `${year}-${pad(month)}`;
+    }
+    if (granularity === 'weekly') {
+        const calendarDay = new Date(Date.UTC(year, month - 1, day));
+        const monday = new Date(calendarDay.getTime() - ((calendarDay.getUTCDay() + 6) % 7) * DAY_MS);
+        return monday.toISOString().slice(0, 10);
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Date-only bounds are whole days in the timezone; the end is exclusive
+function resolveRange({ startDate, endDate }, timezone) {
+    const toDayStart = (value, addDays = 0) => {
+        const [year, month, day] = value.split('-').map(Number);
+        return getZonedMidnight(year, month, day + addDays, timezone);
+    };
+
+    let end;
+    if (!endDate) {
+        end = new Date();
+    } else {
+        end = DATE_ONLY.test(endDate) ? toDayStart(endDate, 1) : new Date(endDate);
+    }
+
+    let start;
+    if (!startDate) {
+        const { year, month, day } = getZonedParts(end, timezone);
+        start = getZonedMidnight(year, month, day - DEFAULT_RANGE_DAYS + 1, timezone);
+    } else {
+        start = DATE_ONLY.test(startDate) ? toDayStart(startDate) : new Date(startDate);
+    }
+
+    if (start >= end) {
+        throw validationError('startDate', 'startDate must be before endDate');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+        throw validationError('startDate', `The range can span at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { start, end };
+}
+
+// Every bucket in the range, so days without orders still show up
+function listBucketKeys({ start, end }, granularity, timezone) {
+    const keys = [];
+    for (let time = start.getTime(); time < end.getTime(); time += DAY_MS) {
+        const key = getBucketKey(new Date(time), granularity, timezone);
+        if (keys[keys.length - 1] !== key) {
+            keys.push(key);
+        }
+    }
+    const lastKey = getBucketKey(new Date(end.getTime() - 1), granularity, timezone);
+    if (keys[keys.length - 1] !== lastKey) {
+        keys.push(lastKey);
+    }
+    return keys;
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const millis = new Date(value).getTime();
+    return Number.isNaN(millis) ? null : millis;
+}
+
+function createMetrics() {
+    return {
+        ordersCreated: 0,
+        delivered: 0,
+        failed: 0,
+        revenue: 0,
+        byStatus: {},
+        deliveryDurationMs: 0,
+        timedDeliveries: 0,
+        onTime: 0,
+        promisedDeliveries: 0
+    };
+}
+
+function addOrder(metrics, order) {
+    const status = order.status || 'unknown';
+    const timestamps = order.statusTimestamps || {};
+
+    metrics.ordersCreated++;
+    metrics.byStatus[status] = (metrics.byStatus[status] || 0) + 1;
+
+    if (status === 'failed') {
+        metrics.failed++;
+    }
+    if (status !== 'delivered') {
+        return;
+    }
+
+    metrics.delivered++;
+    metrics.revenue += order.orderSummary?.total || 0;
+
+    const deliveredAt = toMillis(timestamps.delivered) ?? toMillis(order.updatedAt);
+    const pickedUpAt = toMillis(timestamps['picked-up']) ??
+        toMillis(order.pickupCompletedAt) ??
+        toMillis(timestamps['in-progress']);
+    if (deliveredAt !== null && pickedUpAt !== null && deliveredAt >= pickedUpAt) {
+        metrics.deliveryDurationMs += deliveredAt - pickedUpAt;
+        metrics.timedDeliveries++;
+    }
+
+    const promisedAt = toMillis(order.promisedDeliveryTime);
+    if (deliveredAt !== null && promisedAt !== null) {
+        metrics.promisedDeliveries++;
+        if (deliveredAt <= promisedAt) {
+            metrics.onTime++;
+        }
+    }
+}
+
+function summarize(metrics) {
+    return {
+        ordersCreated: metrics.ordersCreated,
+        delivered: metrics.delivered,
+        failed: metrics.failed,
+        revenue: Math.round(metrics.revenue * 100) / 100,
+        averageDeliveryMinutes: metrics.timedDeliveries > 0
+            ? Math.round(metrics.deliveryDurationMs / metrics.timedDeliveries / 60000 * 10) / 10
+            : null,
+        onTimeRate: metrics.promisedDeliveries > 0
+            ? Math.round(metrics.onTime / metrics.promisedDeliveries * 1000) / 1000
+            : null,
+        byStatus: metrics.byStatus
+    };
+}
+
+function summarizeGroups(groups) {
+    const result = {};
+    groups.forEach((metrics, key) => {
+        result[key] = summarize(metrics);
+    });
+    return result;
+}
+
+// Pages through the orders created in the range, oldest first
+async function forEachOrder({ merchantId, serviceType, start, end }, callback) {
+    let query = admin.firestore().collection('deliveries')
+        .where('deliveryType', '==', 'ECOMMERCE')
+        .where('createdAt', '>=', start)
+        .where('createdAt', '<', end);
+
+    if (merchantId) {
+        query = query.where('merchantId', '==', merchantId);
+    }
+    if (serviceType) {
+        query = query.where('serviceType', '==', serviceType);
+    }
+    query = query.orderBy('createdAt').select(...ORDER_FIELDS).limit(READ_PAGE_SIZE);
+
+    let lastDoc = null;
+    for (;;) {
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+        snapshot.docs.forEach(doc => callback(doc.data()));
+
+        if (snapshot.size < READ_PAGE_SIZE) {
+            return;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+// options: { granularity, timezone, startDate, endDate, merchantId, serviceType }
+async function getOrderAnalytics({ granularity = 'daily', timezone = DEFAULT_TIMEZONE, startDate, endDate, merchantId, serviceType } = {}) {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw validationError('granularity', `granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    if (!isValidTimezone(timezone)) {
+        throw validationError('timezone', 'timezone must be an IANA timezone such as Africa/Lagos');
+    }
+
+    const range = resolveRange({ startDate, endDate }, timezone);
+
+    const totals = createMetrics();
+    const buckets = new Map(listBucketKeys(range, granularity, timezone).map(key => [key, createMetrics()]));
+    const byServiceType = new Map();
+    const byMerchant = new Map();
+
+    const addToGroup = (groups, key, order) => {
+        if (!groups.has(key)) {
+            groups.set(key, createMetrics());
+        }
+        addOrder(groups.get(key), order);
+    };
+
+    await forEachOrder({ merchantId, serviceType, ...range }, (order) => {
+        const createdAt = toMillis(order.createdAt);
+        if (createdAt === null) {
+            return;
+        }
+
+        addOrder(totals, order);
+        addToGroup(buckets, getBucketKey(new Date(createdAt), granularity, timezone), order);
+        addToGroup(byServiceType, order.serviceType || 'DELIVERY_ONLY', order);
+        addToGroup(byMerchant, order.merchantId || 'direct', order);
+    });
+
+    return {
+        granularity,
+        timezone,
+        period: {
+            start: range.start.toISOString(),
+            end: range.end.toISOString()
+        },
+        totals: summarize(totals),
+        buckets: Array.from(buckets, ([period, metrics]) => ({ period, ...summarize(metrics) })),
+        byServiceType: summarizeGroups(byServiceType),
+        byMerchant: summarizeGroups(byMerchant)
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    DEFAULT_TIMEZONE,
+    getOrderAnalytics
+};
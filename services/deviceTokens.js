@@ -0,0 +1,143 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// FCM device tokens live under users/{uid}/deviceTokens/{deviceId}.
+// deviceId is a hash of the token so re-registering the same token is an upsert.
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+// Send errors that mean the token will never work again
+const DEAD_TOKEN_ERROR_CODES = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token',
+    'messaging/invalid-argument'
+];
+
+function getDeviceId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function deviceTokensCollection(userId) {
+    return admin.firestore().collection('users').doc(userId).collection('deviceTokens');
+}
+
+async function getUserDeviceTokens(userId) {
+    const snapshot = await deviceTokensCollection(userId).get();
+
+    return snapshot.docs.map(doc => ({
+        token: doc.data().token,
+        platform: doc.data().platform || 'web'
+    })).filter(device => device.token);
+}
+
+async function listUserDevices(userId) {
+    const snapshot = await deviceTokensCollection(userId).get();
+
+    return snapshot.docs.map(doc => {
+        const device = doc.data();
+        return {
+            deviceId: doc.id,
+            platform: device.platform,
+            tokenSuffix: device.token.slice(-8),
+            createdAt: device.createdAt,
+            lastRefreshedAt: device.lastRefreshedAt
+        };
+    });
+}
+
+// A token belongs to one signed-in user at a time - drop it from anyone else
+async function removeTokenFromOtherUsers(userId, token) {
+    const snapshot = await admin.firestore()
+        .collectionGroup('deviceTokens')
+        .where('token', '==', token)
+        .get();
+
+    const others = snapshot.docs.filter(doc => doc.ref.parent.parent.id !== userId);
+    await Promise.all(others.map(doc => doc.ref.delete()));
+    return others.length;
+}
+
+async function registerDeviceToken(userId, { token, platform }) {
+    const deviceId = getDeviceId(token);
+    const ref = deviceTokensCollection(userId).doc(deviceId);
+    const existing = await ref.get();
+
+    await ref.set({
+        token,
+        platform,
+        lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(existing.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+    }, { merge: true });
+
+    const reassigned = await removeTokenFromOtherUsers(userId, token);
+    if (reassigned > 0) {
+        console.log(`🔁 Moved device token to user ${userId} from ${reassigned} other account(s)`);
+    }
+
+    return { deviceId, created: !existing.exists };
+}
+
+// FCM rotates tokens; the client reports the new one (and the old one if it still has it)
+async function refreshDeviceToken(userId, { token, previousToken, platform }) {
+    if (previousToken && previousToken !== token) {
+        await deviceTokensCollection(userId).doc(getDeviceId(previousToken)).delete();
+    }
+    return registerDeviceToken(userId, { token, platform });
+}
+
+async function unregisterDeviceToken(userId, token) {
+    const ref = deviceTokensCollection(userId).doc(getDeviceId(token));
+    const existing = await ref.get();
+
+    if (!existing.exists) {
+        return false;
+    }
+    await ref.delete();
+    return true;
+}
+
+// Remove tokens that came back from FCM as unregistered/invalid
+async function pruneFailedTokens(results) {
+    const dead = results.filter(result =>
+        !result.success && DEAD_TOKEN_ERROR_CODES.includes(result.error?.code)
+    );
+
+    await Promise.all(dead.map(result =>
+        deviceTokensCollection(result.userId).doc(getDeviceId(result.token)).delete()
+    ));
+
+    if (dead.length > 0) {
+        console.log(`🧹 Pruned ${dead.length} dead device token(s)`);
+    }
+    return dead.length;
+}
+
+// Delete tokens that haven't been refreshed in staleDays.
+// Needs a collection-group index on deviceTokens.lastRefreshedAt.
+async function sweepStaleDeviceTokens(staleDays) {
+    const cutoff = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+    const snapshot = await admin.firestore()
+        .collectionGroup('deviceTokens')
+        .where('lastRefreshedAt', '<', cutoff)
+        .get();
+
+    // Batches are capped at 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = admin.firestore().batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+
+    return snapshot.size;
+}
+
+module.exports = {
+    PLATFORMS,
+    getUserDeviceTokens,
+    listUserDevices,
+    registerDeviceToken,
+    refreshDeviceToken,
+    unregisterDeviceToken,
+    pruneFailedTokens,
+    sweepStaleDeviceTokens
+};
@@ -0,0 +1,452 @@
+const admin = require('firebase-admin');
+const riders = require('./riders');
+const orderStatus = require('./orderStatus');
+const orderTimeline = require('./orderTimeline');
+const orderSync = require('./orderSync');
+
+const { DispatchError } = riders;
+
+// Rider assignment and job offers.
+//
+// Assignments run in a transaction over the delivery and rider documents. Job offers go to one
+// available rider at a time through their `rider-<uid>` socket room; a rider who declines or
+// doesn't answer within RIDER_OFFER_TIMEOUT_MS is skipped and the next rider gets the offer.
+// An order has one chain of offers at a time (deliveries.activeOfferId is its open offer) and a
+// rider holds one offer at a time (riders.pendingOfferId), so a second dispatch is refused and
+// riders with an open offer aren't offered other jobs.
+// Offers are stored in rider_offers/{offerId}. The timeout timer lives on the instance that
+// made the offer, but responses are settled in Firestore so any instance can accept them, and
+// expireDueOffers() picks up offers whose timer was lost to a restart. It needs a composite
+// index on rider_offers (status, expiresAt).
+
+const OFFER_TIMEOUT_MS = Number(process.env.RIDER_OFFER_TIMEOUT_MS) || 30 * 1000;
+
+// Riders looked up per offer, in case the first ones get another offer in the meantime
+const OFFER_CANDIDATES = 5;
+
+let ioRef = null;
+
+function init(io) {
+    ioRef = io;
+}
+
+function ridersCollection() {
+    return admin.firestore().collection('riders');
+}
+
+async function findDeliveryInTransaction(transaction, orderId) {
+    const deliveriesQuery = await transaction.get(
+        admin.firestore().collection('deliveries')
+            .where('id', '==', orderId)
+            .limit(1)
+    );
+
+    if (deliveriesQuery.empty) {
+        throw new DispatchError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+    return deliveriesQuery.docs[0];
+}
+
+function assertAssignable(delivery) {
+    if (!orderStatus.RIDER_ASSIGNABLE_STATUSES.includes(delivery.status)) {
+        throw new DispatchError(
+            'ORDER_NOT_ASSIGNABLE',
+            `Riders can only be assigned to orders that are ${orderStatus.RIDER_ASSIGNABLE_STATUSES.join(', ')} - this order is ${delivery.status}`
+        );
+    }
+}
+
+// Assign a rider, or hand the order over from its current rider. offerId is the accepted offer
+// when a rider takes a job; it must still be the order's open offer. Assigning ends the order's
+// chain of offers.
+async function assignRider(orderId, riderId, { actor, offerId } = {}) {
+    const db = admin.firestore();
+
+    return db.runTransaction(async (transaction) => {
+        const deliveryDoc = await findDeliveryInTransaction(transaction, orderId);
+        const delivery = deliveryDoc.data();
+
+        assertAssignable(delivery);
+
+        if (offerId && delivery.activeOfferId !== offerId) {
+            throw new DispatchError('OFFER_CLOSED', 'This offer is no longer open');
+        }
+
+        const previousRiderId = delivery.riderId || null;
+        if (previousRiderId === riderId) {
+            throw new DispatchError('RIDER_ALREADY_ASSIGNED', 'This rider is already assigned to the order');
+        }
+
+        const riderRef = ridersCollection().doc(riderId);
+        const riderDoc = await transaction.get(riderRef);
+        if (!riderDoc.exists) {
+            throw new DispatchError('RIDER_NOT_FOUND', 'Rider not found', 404);
+        }
+        if (riderDoc.data().status !== 'available') {
+            throw new DispatchError('RIDER_NOT_AVAILABLE', `Rider is ${riderDoc.data().status}`);
+        }
+
+        const previousRiderDoc = previousRiderId
+            ? await transaction.get(ridersCollection().doc(previousRiderId))
+            : null;
+
+        const rider = {
+            id: riderId,
+            name: riderDoc.data().name,
+            phone: riderDoc.data().phone
+        };
+
+        transaction.update(deliveryDoc.ref, orderSync.stampServerWrite({
+            riderId,
+            rider: { ...rider, assignedAt: admin.firestore.Timestamp.now() },
+            activeOfferId: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        transaction.update(riderRef, {
+            status: 'busy',
+            currentOrderId: orderId,
+            lastAssignedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        // The previous rider is free again unless they've moved on already
+        if (previousRiderDoc?.exists && previousRiderDoc.data().currentOrderId === orderId) {
+            transaction.update(previousRiderDoc.ref, { status: 'available', currentOrderId: null });
+        }
+
+        orderTimeline.appendHistoryEntry(transaction, deliveryDoc.ref, {
+            type: previousRiderId ? 'rider-reassigned' : 'rider-assigned',
+            fromStatus: delivery.status,
+            toStatus: delivery.status,
+            changedBy: actor,
+            details: { riderId, riderName: rider.name, previousRiderId }
+        });
+
+        return {
+            orderId,
+            status: delivery.status,
+            merchantId: delivery.merchantId || null,
+            rider,
+            previousRiderId
+        };
+    });
+}
+
+async function unassignRider(orderId, { actor } = {}) {
+    const db = admin.firestore();
+
+    return db.runTransaction(async (transaction) => {
+        const deliveryDoc = await findDeliveryInTransaction(transaction, orderId);
+        const delivery = deliveryDoc.data();
+
+        if (!delivery.riderId) {
+            throw new DispatchError('NO_RIDER_ASSIGNED', 'No rider is assigned to this order');
+        }
+
+        const riderDoc = await transaction.get(ridersCollection().doc(delivery.riderId));
+
+        transaction.update(deliveryDoc.ref, orderSync.stampServerWrite({
+            riderId: null,
+            rider: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        if (riderDoc.exists && riderDoc.data().currentOrderId === orderId) {
+            transaction.update(riderDoc.ref, { status: 'available', currentOrderId: null });
+        }
+
+        orderTimeline.appendHistoryEntry(transaction, deliveryDoc.ref, {
+            type: 'rider-unassigned',
+            fromStatus: delivery.status,
+            toStatus: delivery.status,
+            changedBy: actor,
+            details: { previousRiderId: delivery.riderId }
+        });
+
+        return {
+            orderId,
+            status: delivery.status,
+            merchantId: delivery.merchantId || null,
+            previousRiderId: delivery.riderId
+        };
+    });
+}
+
+// What a rider sees in a job offer
+function buildJobSummary(delivery) {
+    return {
+        serviceType: delivery.serviceType || 'DELIVERY_ONLY',
+        pickupAddress: delivery.pickupAddress?.street || null,
+        deliveryAddress: delivery.deliveryAddress?.street || null,
+        itemCount: delivery.items?.length || 0
+    };
+}
+
+function offersCollection() {
+    return admin.firestore().collection('rider_offers');
+}
+
+// Open an offer to one rider. The transaction checks that the order is still waiting on this
+// chain of offers (its activeOfferId is previousOfferId, null for a new chain) and that the rider
+// is still free. Resolves { offerId, expiresAt }, 'rider-taken' when the rider went busy or got
+// another offer, 'not-assignable' when the order moved to a status riders can't be assigned in,
+// or 'chain-closed' when the order was assigned or another chain owns it.
+async function openOffer(orderId, riderId, job, triedRiderIds, previousOfferId) {
+    const offerRef = offersCollection().doc();
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const deliveryDoc = await findDeliveryInTransaction(transaction, orderId);
+        const riderDoc = await transaction.get(ridersCollection().doc(riderId));
+        const delivery = deliveryDoc.data();
+
+        if (!orderStatus.RIDER_ASSIGNABLE_STATUSES.includes(delivery.status)) {
+            return 'not-assignable';
+        }
+        if (delivery.riderId || (delivery.activeOfferId || null) !== previousOfferId) {
+            return 'chain-closed';
+        }
+        if (!riderDoc.exists || riderDoc.data().status !== 'available' || riderDoc.data().pendingOfferId) {
+            return 'rider-taken';
+        }
+
+        transaction.set(offerRef, {
+            orderId,
+            riderId,
+            job,
+            triedRiderIds: [...triedRiderIds, riderId],
+            status: 'pending',
+            expiresAt,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(deliveryDoc.ref, orderSync.stampServerWrite({ activeOfferId: offerRef.id }));
+        transaction.update(riderDoc.ref, { pendingOfferId: offerRef.id });
+        return { offerId: offerRef.id, expiresAt };
+    });
+}
+
+// End the order's chain of offers if it's still on the given offer, so it can be dispatched
+// again. Resolves whether it was.
+async function closeOfferChain(orderId, offerId) {
+    return admin.firestore().runTransaction(async (transaction) => {
+        const deliveryDoc = await findDeliveryInTransaction(transaction, orderId);
+        if (deliveryDoc.data().activeOfferId !== offerId) {
+            return false;
+        }
+        transaction.update(deliveryDoc.ref, orderSync.stampServerWrite({ activeOfferId: null }));
+        return true;
+    });
+}
+
+// Offer the order to the next free rider. previousOfferId is the chain's last offer, or null to
+// start a chain. Resolves the new offer, or null when no rider is left or the chain was closed.
+async function offerToNextRider(orderId, job, triedRiderIds, previousOfferId = null) {
+    const candidates = await riders.findAvailableRiders({ excludeRiderIds: triedRiderIds, limit: OFFER_CANDIDATES });
+
+    for (const rider of candidates) {
+        const offer = await openOffer(orderId, rider.id, job, triedRiderIds, previousOfferId);
+        if (offer === 'not-assignable') {
+            if (!previousOfferId) {
+                throw new DispatchError('ORDER_NOT_ASSIGNABLE', 'Riders can no longer be assigned to this order');
+            }
+            console.log(`⏹️ Stopped offering order ${orderId}: it can no longer be assigned`);
+            await closeOfferChain(orderId, previousOfferId);
+            return null;
+        }
+        if (offer === 'chain-closed') {
+            if (!previousOfferId) {
+                throw new DispatchError('DISPATCH_IN_PROGRESS', 'This order is already being offered to riders');
+            }
+            console.log(`⏹️ Stopped offering order ${orderId}: it was assigned or dispatched again`);
+            return null;
+        }
+        if (offer === 'rider-taken') {
+            continue;
+        }
+
+        ioRef.to(`rider-${rider.id}`).emit('job-offer', {
+            offerId: offer.offerId,
+            orderId,
+            ...job,
+            expiresAt: offer.expiresAt.toISOString()
+        });
+        console.log(`📨 Offered order ${orderId} to rider ${rider.id} (offer ${offer.offerId})`);
+
+        // Fast path; expireDueOffers() covers offers whose instance goes away first
+        setTimeout(() => {
+            expireOffer(offer.offerId).catch(error => {
+                console.error(`❌ Failed to expire offer ${offer.offerId}:`, error);
+            });
+        }, OFFER_TIMEOUT_MS);
+
+        return { offerId: offer.offerId, riderId: rider.id, expiresAt: offer.expiresAt.toISOString() };
+    }
+
+    if (previousOfferId && !(await closeOfferChain(orderId, previousOfferId))) {
+        return null;
+    }
+    console.log(`🚫 No rider took order ${orderId} after ${triedRiderIds.length} offer(s)`);
+    ioRef.to('admins').emit('general-update', {
+        type: 'dispatch-failed',
+        orderId,
+        message: `No available rider accepted order ${orderId}`,
+        triedRiderIds,
+        timestamp: new Date().toISOString()
+    });
+    return null;
+}
+
+// Settle a pending offer in a transaction and free its rider for other offers.
+// Resolves the offer, or null if it isn't pending any more.
+async function settleOffer(offerId, update, check = () => {}) {
+    const offerRef = offersCollection().doc(offerId);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(offerRef);
+        check(doc);
+        if (!doc.exists || doc.data().status !== 'pending') {
+            return null;
+        }
+        const riderDoc = await transaction.get(ridersCollection().doc(doc.data().riderId));
+
+        transaction.update(offerRef, update);
+        if (riderDoc.exists && riderDoc.data().pendingOfferId === offerId) {
+            transaction.update(riderDoc.ref, { pendingOfferId: null });
+        }
+        return doc.data();
+    });
+}
+
+// For a status update that ends the order while it's being offered. Firestore transactions
+// need every read before the first write, so this reads the open offer and its rider, and the
+// caller passes the result to withdrawOpenOffer() with its writes. Resolves null when the order
+// has no pending offer.
+async function readOpenOffer(transaction, delivery) {
+    if (!delivery.activeOfferId) {
+        return null;
+    }
+    const offerDoc = await transaction.get(offersCollection().doc(delivery.activeOfferId));
+    if (!offerDoc.exists || offerDoc.data().status !== 'pending') {
+        return null;
+    }
+    const riderDoc = await transaction.get(ridersCollection().doc(offerDoc.data().riderId));
+    return { offerDoc, riderDoc };
+}
+
+// Expire the offer read by readOpenOffer() and free its rider. The caller clears the order's
+// activeOfferId. Resolves { offerId, orderId, riderId } for notifyOfferWithdrawn().
+function withdrawOpenOffer(transaction, { offerDoc, riderDoc }) {
+    transaction.update(offerDoc.ref, { status: 'expired', withdrawnAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (riderDoc.exists && riderDoc.data().pendingOfferId === offerDoc.id) {
+        transaction.update(riderDoc.ref, { pendingOfferId: null });
+    }
+    return { offerId: offerDoc.id, orderId: offerDoc.data().orderId, riderId: offerDoc.data().riderId };
+}
+
+// Tell the rider once the withdrawal is committed
+function notifyOfferWithdrawn({ offerId, orderId, riderId }) {
+    console.log(`⌛ Offer ${offerId} for order ${orderId} withdrawn: the order is finished`);
+    ioRef.to(`rider-${riderId}`).emit('job-offer-expired', { offerId, orderId });
+}
+
+// Close an unanswered offer and move on to the next rider
+async function expireOffer(offerId) {
+    const offer = await settleOffer(offerId, { status: 'expired' });
+    if (!offer) {
+        return;
+    }
+
+    console.log(`⌛ Offer ${offerId} for order ${offer.orderId} expired`);
+    ioRef.to(`rider-${offer.riderId}`).emit('job-offer-expired', { offerId, orderId: offer.orderId });
+    await offerToNextRider(offer.orderId, offer.job, offer.triedRiderIds, offerId);
+}
+
+// Expire pending offers past their expiresAt, for offers whose timer didn't fire (the instance
+// that made them restarted). Resolves the number of offers looked at.
+async function expireDueOffers(limit = 100) {
+    const snapshot = await admin.firestore().collection('rider_offers')
+        .where('status', '==', 'pending')
+        .where('expiresAt', '<=', new Date())
+        .orderBy('expiresAt', 'asc')
+        .limit(limit)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        try {
+            await expireOffer(doc.id);
+        } catch (error) {
+            console.error(`❌ Failed to expire offer ${doc.id}:`, error);
+        }
+    }
+    return snapshot.size;
+}
+
+// Start offering an unassigned order to available riders
+async function startDispatch(orderId) {
+    const deliveriesQuery = await admin.firestore().collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    if (deliveriesQuery.empty) {
+        throw new DispatchError('ORDER_NOT_FOUND', 'Order not found', 404);
+    }
+
+    const delivery = deliveriesQuery.docs[0].data();
+    assertAssignable(delivery);
+    if (delivery.riderId) {
+        throw new DispatchError('RIDER_ALREADY_ASSIGNED', 'A rider is already assigned to this order');
+    }
+    if (delivery.activeOfferId) {
+        throw new DispatchError('DISPATCH_IN_PROGRESS', 'This order is already being offered to riders');
+    }
+
+    // Checked again in the offer's transaction, so concurrent calls start one chain
+    return offerToNextRider(orderId, buildJobSummary(delivery), []);
+}
+
+// A rider (their decoded token or socket user) accepts or declines an offer made to them
+async function respondToOffer(offerId, riderUser, accept) {
+    const riderId = riderUser.uid;
+
+    const offer = await settleOffer(offerId, {
+        status: accept ? 'accepted' : 'declined',
+        respondedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, (doc) => {
+        if (!doc.exists || doc.data().riderId !== riderId) {
+            throw new DispatchError('OFFER_NOT_FOUND', 'Offer not found', 404);
+        }
+        if (doc.data().status !== 'pending' || doc.data().expiresAt.toDate() < new Date()) {
+            throw new DispatchError('OFFER_CLOSED', 'This offer is no longer open');
+        }
+    });
+
+    if (!accept) {
+        console.log(`🙅 Rider ${riderId} declined order ${offer.orderId}`);
+        await offerToNextRider(offer.orderId, offer.job, offer.triedRiderIds, offerId);
+        return { status: 'declined', orderId: offer.orderId };
+    }
+
+    try {
+        const assignment = await assignRider(offer.orderId, riderId, { actor: orderTimeline.getActor(riderUser), offerId });
+        console.log(`🙋 Rider ${riderId} accepted order ${offer.orderId}`);
+        return { status: 'accepted', orderId: offer.orderId, assignment };
+    } catch (error) {
+        // The rider still gets the error, but the order goes on to the next rider (the chain
+        // stops by itself if the order was assigned or can't be any more)
+        await offersCollection().doc(offerId).update({ status: 'failed', failureReason: error.message });
+        await offerToNextRider(offer.orderId, offer.job, offer.triedRiderIds, offerId);
+        throw error;
+    }
+}
+
+module.exports = {
+    DispatchError,
+    init,
+    assignRider,
+    unassignRider,
+    startDispatch,
+    respondToOffer,
+    expireDueOffers,
+    readOpenOffer,
+    withdrawOpenOffer,
+    notifyOfferWithdrawn
+};
@@ -0,0 +1,440 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const emailTransports = require('./emailTransports');
+
+// Email channel: sending through the configured transport, the suppression list and bounce /
+// complaint handling.
+//
+// EMAIL_TRANSPORT picks the transport (smtp or capture); without it email is off and sends are
+// recorded as skipped. EMAIL_FROM is the sender. Every send is logged in email_messages/{id}
+// against its order, and provider events move it through queued -> sent -> delivered, then
+// bounced or complained.
+//
+// Addresses that hard-bounce or complain are added to email_suppressions and never mailed
+// again until an admin lifts it. Soft bounces are only recorded on the message.
+//
+// Bounce and complaint events come in through the provider webhooks (Amazon SES through SNS,
+// SendGrid's event webhook, or the generic format below). SNS messages are checked against
+// their signature and must come from a topic in EMAIL_SNS_TOPIC_ARNS (comma-separated), since
+// anyone can sign messages from a topic of their own. The other sources send
+// EMAIL_WEBHOOK_SECRET in an X-Webhook-Token header, or as ?token= when the provider only takes
+// a URL. Events are matched to the logged message by its Message-ID header, which we set on
+// every send.
+
+const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'bounced', 'complained', 'failed', 'skipped'];
+
+// An event never moves a message back to an earlier status
+const STATUS_RANK = { skipped: 0, queued: 1, sent: 2, failed: 3, delivered: 3, bounced: 4, complained: 4 };
+
+const TRANSPORT_NAME = process.env.EMAIL_TRANSPORT || null;
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Reliance Delivery <no-reply@localhost>';
+
+const EMAIL_ADDRESS = /^[^\s@<>()[\]",;]+@[^\s@<>()[\]",;]+\.[^\s@<>()[\]",;]+$/;
+
+function db() {
+    return admin.firestore();
+}
+
+function messagesCollection() {
+    return db().collection('email_messages');
+}
+
+function suppressionsCollection() {
+    return db().collection('email_suppressions');
+}
+
+function getTransport() {
+    return TRANSPORT_NAME ? emailTransports.getTransport(TRANSPORT_NAME) : null;
+}
+
+function isEnabled() {
+    return !!getTransport();
+}
+
+// Trimmed, lower-cased address, or null if it isn't one
+function normalizeEmail(raw) {
+    if (typeof raw !== 'string') {
+        return null;
+    }
+    const address = raw.trim().toLowerCase();
+    return address.length <= 254 && EMAIL_ADDRESS.test(address) ? address : null;
+}
+
+// '<abc@example.com>' -> 'abc@example.com'
+function normalizeMessageId(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().replace(/^<|>$/g, '') : null;
+}
+
+function createMessageId(logId) {
+    const domain = (EMAIL_FROM.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+    return `${logId}.${crypto.randomBytes(6).toString('hex')}@${domain}`;
+}
+
+// Document ids can't contain '/', which addresses technically can
+function suppressionRef(address) {
+    return suppressionsCollection().doc(encodeURIComponent(address));
+}
+
+async function getSuppression(address) {
+    const doc = await suppressionRef(address).get();
+    return doc.exists ? doc.data() : null;
+}
+
+async function isSuppressed(address) {
+    return !!(await getSuppression(address));
+}
+
+// reason: 'bounce', 'complaint' or 'admin'
+async function setSuppression(address, suppressed, { reason, detail, changedBy } = {}) {
+    const ref = suppressionRef(address);
+    if (suppressed) {
+        await ref.set({
+            email: address,
+            reason: reason || 'admin',
+            detail: detail || null,
+            changedBy: changedBy || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } else {
+        await ref.delete();
+    }
+    console.log(`🚫 Email ${suppressed ? 'suppressed' : 'unsuppressed'} for ${address} (${reason || 'admin'})`);
+}
+
+// Send one email and log it. content: { subject, text, html, attachments } (nodemailer
+// attachments). context: { orderId, event, orderStatus, locale }. Never throws for transport
+// problems: the logged message records them. Resolves { messageId, status }.
+async function sendEmail(rawAddress, content, context = {}) {
+    const to = normalizeEmail(rawAddress);
+    const transport = getTransport();
+    const messageRef = messagesCollection().doc();
+    const messageId = createMessageId(messageRef.id);
+
+    const message = {
+        to: to || String(rawAddress || ''),
+        subject: content.subject,
+        transport: transport ? transport.name : null,
+        messageId,
+        attachments: (content.attachments || []).map(attachment => attachment.filename),
+        orderId: context.orderId || null,
+        event: context.event || null,
+        orderStatus: context.orderStatus || null,
+        locale: context.locale || null,
+        status: 'queued',
+        error: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    let skipReason = null;
+    if (!transport) {
+        skipReason = 'Email is not configured';
+    } else if (!to) {
+        skipReason = 'Invalid email address';
+    } else if (await isSuppressed(to)) {
+        skipReason = 'Address is suppressed';
+    }
+
+    if (skipReason) {
+        await messageRef.set({ ...message, status: 'skipped', error: skipReason });
+        return { messageId: messageRef.id, status: 'skipped' };
+    }
+
+    await messageRef.set(message);
+    try {
+        const result = await transport.send({
+            from: EMAIL_FROM,
+            to,
+            subject: content.subject,
+            text: content.text,
+            html: content.html || undefined,
+            attachments: content.attachments,
+            messageId: `<${messageId}>`
+        });
+        await messageRef.update({
+            status: result.status,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`📧 Email ${messageRef.id} to ${to} via ${transport.name}: ${result.status}`);
+        return { messageId: messageRef.id, status: result.status };
+    } catch (error) {
+        console.error(`❌ Email ${messageRef.id} to ${to} via ${transport.name} failed:`, error.message);
+        await messageRef.update({
+            status: 'failed',
+            error: error.message,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { messageId: messageRef.id, status: 'failed' };
+    }
+}
+
+function isValidWebhookToken(token) {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    if (!secret || typeof token !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseJsonBody(body) {
+    if (typeof body !== 'string') {
+        return body || {};
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return {};
+    }
+}
+
+// Webhook payload parsers. Each resolves { events, confirmUrl? } where every event is
+// { type: 'delivered' | 'bounced' | 'complained', email, messageId, permanent, detail }.
+const WEBHOOK_SOURCES = {
+    // Amazon SES notifications delivered by SNS (posted as text/plain JSON)
+    ses(body) {
+        const envelope = parseJsonBody(body);
+        if (envelope.Type === 'SubscriptionConfirmation') {
+            return { events: [], confirmUrl: envelope.SubscribeURL };
+        }
+        if (envelope.Type !== 'Notification') {
+            return { events: [] };
+        }
+
+        const notification = parseJsonBody(envelope.Message);
+        const messageId = normalizeMessageId(notification.mail?.commonHeaders?.messageId);
+        switch (notification.notificationType || notification.eventType) {
+            case 'Bounce':
+                return {
+                    events: (notification.bounce?.bouncedRecipients || []).map(recipient => ({
+                        type: 'bounced',
+                        email: recipient.emailAddress,
+                        messageId,
+                        permanent: notification.bounce.bounceType === 'Permanent',
+                        detail: recipient.diagnosticCode || notification.bounce.bounceSubType || null
+                    }))
+                };
+            case 'Complaint':
+                return {
+                    events: (notification.complaint?.complainedRecipients || []).map(recipient => ({
+                        type: 'complained',
+                        email: recipient.emailAddress,
+                        messageId,
+                        permanent: true,
+                        detail: notification.complaint.complaintFeedbackType || null
+                    }))
+                };
+            case 'Delivery':
+                return {
+                    events: (notification.delivery?.recipients || []).map(email => ({
+                        type: 'delivered', email, messageId, permanent: false, detail: null
+                    }))
+                };
+            default:
+                return { events: [] };
+        }
+    },
+
+    // SendGrid event webhook: an array of events
+    sendgrid(body) {
+        const types = { delivered: 'delivered', bounce: 'bounced', spamreport: 'complained' };
+        const events = Array.isArray(body) ? body : [];
+        return {
+            events: events.filter(event => types[event.event]).map(event => ({
+                type: types[event.event],
+                email: event.email,
+                messageId: normalizeMessageId(event['smtp-id']),
+                // 'blocked' bounces are temporary refusals
+                permanent: event.event === 'spamreport' || (event.event === 'bounce' && event.type !== 'blocked'),
+                detail: event.reason || null
+            }))
+        };
+    },
+
+    // { event: 'delivered' | 'bounce' | 'complaint', email, messageId, permanent (default true), reason }
+    generic(body) {
+        const types = { delivered: 'delivered', bounce: 'bounced', complaint: 'complained' };
+        const payload = parseJsonBody(body);
+        if (!types[payload.event] || !payload.email) {
+            return { events: [] };
+        }
+        return {
+            events: [{
+                type: types[payload.event],
+                email: payload.email,
+                messageId: normalizeMessageId(payload.messageId),
+                permanent: payload.event === 'complaint' || payload.permanent !== false,
+                detail: payload.reason || null
+            }]
+        };
+    }
+};
+
+function isSnsUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    return url.protocol === 'https:' && /^sns\.[a-z0-9-]+\.amazonaws\.com$/.test(url.hostname);
+}
+
+// SNS signs these fields of a message, in this order, as "name\nvalue\n"
+const SNS_SIGNED_FIELDS = {
+    Notification: ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type'],
+    SubscriptionConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'],
+    UnsubscribeConfirmation: ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type']
+};
+
+const SNS_SIGNATURE_ALGORITHMS = { 1: 'RSA-SHA1', 2: 'RSA-SHA256' };
+
+// Signing certificates by URL; a failed fetch is dropped so the next message tries again
+const snsCertificates = new Map();
+
+function fetchSnsCertificate(certUrl) {
+    if (!snsCertificates.has(certUrl)) {
+        const pending = fetch(certUrl, { timeout: 10 * 1000 }).then(response => {
+            if (!response.ok) {
+                throw new Error(`SNS signing certificate: HTTP ${response.status}`);
+            }
+            return response.text();
+        });
+        pending.catch(() => snsCertificates.delete(certUrl));
+        snsCertificates.set(certUrl, pending);
+    }
+    return snsCertificates.get(certUrl);
+}
+
+// Whether an SNS message (the parsed envelope) is signed by SNS and comes from one of our
+// topics. loadCertificate(url) resolves the signing certificate's PEM.
+async function verifySnsMessage(envelope, { loadCertificate = fetchSnsCertificate } = {}) {
+    const topics = (process.env.EMAIL_SNS_TOPIC_ARNS || '').split(',').map(arn => arn.trim()).filter(Boolean);
+    const fields = SNS_SIGNED_FIELDS[envelope?.Type];
+    const algorithm = SNS_SIGNATURE_ALGORITHMS[envelope?.SignatureVersion];
+    if (!fields || !algorithm || !topics.includes(envelope.TopicArn) ||
+        typeof envelope.Signature !== 'string' || !isSnsUrl(envelope.SigningCertURL)) {
+        return false;
+    }
+
+    const signed = fields
+        .filter(field => envelope[field] !== undefined && envelope[field] !== null)
+        .map(field => `${field}\n${envelope[field]}\n`)
+        .join('');
+    try {
+        const certificate = await loadCertificate(envelope.SigningCertURL);
+        return crypto.verify(algorithm, Buffer.from(signed, 'utf8'), certificate, Buffer.from(envelope.Signature, 'base64'));
+    } catch (error) {
+        console.error('❌ SNS signature check failed:', error.message);
+        return false;
+    }
+}
+
+// Whether a webhook request came from the provider: { body, token (X-Webhook-Token or ?token=) }
+async function isAuthenticWebhook(source, { body, token }) {
+    if (source === 'ses') {
+        return verifySnsMessage(parseJsonBody(body));
+    }
+    return isValidWebhookToken(token);
+}
+
+// SNS subscriptions are confirmed by fetching the URL it sends, which must be an AWS one
+async function confirmSnsSubscription(confirmUrl) {
+    if (!isSnsUrl(confirmUrl)) {
+        console.warn('⚠️ Ignoring SNS subscription confirmation for a non-SNS URL');
+        return false;
+    }
+    const response = await fetch(confirmUrl, { timeout: 10 * 1000 });
+    console.log(`📨 SNS subscription confirmation: HTTP ${response.status}`);
+    return response.ok;
+}
+
+async function applyEvent(event) {
+    const address = normalizeEmail(event.email);
+
+    if (event.messageId) {
+        const snapshot = await messagesCollection().where('messageId', '==', event.messageId).limit(1).get();
+        const messageDoc = snapshot.docs[0];
+        if (messageDoc && (STATUS_RANK[event.type] ?? 0) > (STATUS_RANK[messageDoc.data().status] ?? 0)) {
+            await messageDoc.ref.update({
+                status: event.type,
+                error: event.type === 'delivered' ? null : event.detail,
+                ...(event.type === 'bounced' ? { bounceType: event.permanent ? 'permanent' : 'transient' } : {}),
+                ...(event.type === 'delivered' ? { deliveredAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    }
+
+    if (address && event.type !== 'delivered' && event.permanent) {
+        await setSuppression(address, true, {
+            reason: event.type === 'complained' ? 'complaint' : 'bounce',
+            detail: event.detail
+        });
+    }
+}
+
+// Apply a provider webhook. Resolves { processed } - the number of events applied.
+async function handleWebhook(source, body) {
+    const { events, confirmUrl } = WEBHOOK_SOURCES[source](body);
+    if (confirmUrl) {
+        await confirmSnsSubscription(confirmUrl);
+    }
+    for (const event of events) {
+        await applyEvent(event);
+    }
+    if (events.length > 0) {
+        console.log(`📬 Applied ${events.length} ${source} email event(s)`);
+    }
+    return { processed: events.length };
+}
+
+function serializeMessage(doc) {
+    const data = doc.data();
+    const toIso = value => (value?.toDate ? value.toDate().toISOString() : null);
+    return {
+        id: doc.id,
+        ...data,
+        createdAt: toIso(data.createdAt),
+        updatedAt: toIso(data.updatedAt),
+        sentAt: toIso(data.sentAt),
+        deliveredAt: toIso(data.deliveredAt)
+    };
+}
+
+async function listMessages({ orderId, status, limit = 50 } = {}) {
+    let query = messagesCollection();
+    if (orderId) {
+        query = query.where('orderId', '==', orderId);
+    }
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(serializeMessage);
+}
+
+// Messages the capture transport has kept, or null when another transport is in use
+function getCapturedMessages() {
+    const transport = getTransport();
+    return transport?.getOutbox ? transport.getOutbox() : null;
+}
+
+module.exports = {
+    WEBHOOK_SOURCES: Object.keys(WEBHOOK_SOURCES),
+    MESSAGE_STATUSES,
+    isEnabled,
+    normalizeEmail,
+    getSuppression,
+    isSuppressed,
+    setSuppression,
+    sendEmail,
+    verifySnsMessage,
+    isAuthenticWebhook,
+    handleWebhook,
+    listMessages,
+    getCapturedMessages
+};
@@ -0,0 +1,124 @@
+// API error codes and the error envelope.
+//
+// Every error response has the shape
+//   { success: false, error: <message>, code, fields?, details?, requestId }
+// where `fields` lists per-field validation problems ({ field, message }) and `details` carries
+// code-specific data (e.g. the allowed next statuses of an INVALID_STATUS_TRANSITION).
+//
+// Codes are stable and listed in ERROR_CATALOGUE with their HTTP status and default message.
+// Errors whose code isn't catalogued are internal: they are logged and answered with
+// INTERNAL_ERROR so exception messages never reach clients.
+
+const ERROR_CATALOGUE = {
+    // Requests
+    VALIDATION_FAILED: { status: 400, message: 'The request is invalid' },
+    INVALID_JSON: { status: 400, message: 'The request body is not valid JSON' },
+    PAYLOAD_TOO_LARGE: { status: 413, message: 'The request body is too large' },
+    ROUTE_NOT_FOUND: { status: 404, message: 'No such endpoint' },
+    RATE_LIMITED: { status: 429, message: 'Too many requests' },
+
+    // Authentication and access
+    UNAUTHENTICATED: { status: 401, message: 'Unauthorized - no token provided' },
+    AUTHENTICATION_FAILED: { status: 401, message: 'Authentication failed' },
+    INVALID_API_KEY: { status: 401, message: 'Invalid or revoked API key' },
+    FORBIDDEN: { status: 403, message: 'Forbidden - insufficient role' },
+    MERCHANT_NOT_LINKED: { status: 403, message: 'Forbidden - account is not linked to a merchant' },
+
+    // Resources
+    NOT_FOUND: { status: 404, message: 'Not found' },
+    ORDER_NOT_FOUND: { status: 404, message: 'Order not found' },
+    USER_NOT_FOUND: { status: 404, message: 'User not found' },
+    MERCHANT_NOT_FOUND: { status: 404, message: 'Merchant not found' },
+    API_KEY_NOT_FOUND: { status: 404, message: 'API key not found' },
+    WEBHOOK_NOT_FOUND: { status: 404, message: 'Webhook not found' },
+    WEBHOOK_DELIVERY_NOT_FOUND: { status: 404, message: 'Webhook delivery not found' },
+    DEVICE_TOKEN_NOT_FOUND: { status: 404, message: 'Device token not found' },
+    NOTIFICATION_NOT_FOUND: { status: 404, message: 'Notification not found' },
+
+    // Orders
+    INVALID_STATUS_TRANSITION: { status: 409, message: 'The order cannot move to this status' },
+    IDEMPOTENCY_KEY_REUSED: { status: 422, message: 'Idempotency-Key was already used with a different request body' },
+    IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, message: 'A request with this Idempotency-Key is still being processed' },
+
+    // Pricing
+    INVALID_PRIORITY: { status: 400, message: 'Invalid priority' },
+    INVALID_DISCOUNT_CODE: { status: 400, message: 'Discount code is not valid' },
+    DISCOUNT_CODE_EXPIRED: { status: 400, message: 'Discount code has expired' },
+    DISCOUNT_CODE_EXHAUSTED: { status: 400, message: 'Discount code has been fully redeemed' },
+    DISCOUNT_CODE_MINIMUM: { status: 400, message: 'Order is below the discount code minimum' },
+
+    // Riders and dispatch
+    RIDER_NOT_FOUND: { status: 404, message: 'Rider not found' },
+    RIDER_NOT_AVAILABLE: { status: 409, message: 'Rider is not available' },
+    RIDER_BUSY: { status: 409, message: 'Rider is on an order' },
+    RIDER_ALREADY_ASSIGNED: { status: 409, message: 'A rider is already assigned' },
+    ORDER_NOT_ASSIGNABLE: { status: 409, message: 'Riders cannot be assigned to this order' },
+    NO_RIDER_ASSIGNED: { status: 409, message: 'No rider is assigned to this order' },
+    NO_RIDERS_AVAILABLE: { status: 409, message: 'No riders are available' },
+    OFFER_NOT_FOUND: { status: 404, message: 'Offer not found' },
+    OFFER_CLOSED: { status: 409, message: 'This offer is no longer open' },
+    DISPATCH_IN_PROGRESS: { status: 409, message: 'This order is already being offered to riders' },
+    INVALID_LOCATION: { status: 400, message: 'Invalid location' },
+    LOCATION_RATE_LIMITED: { status: 429, message: 'Location updates are sent too often' },
+    NO_ACTIVE_ORDER: { status: 409, message: 'Rider is not assigned to an order' },
+    NOT_ASSIGNED_TO_ORDER: { status: 403, message: 'Rider is not assigned to this order' },
+
+    // Server
+    INTERNAL_ERROR: { status: 500, message: 'Something went wrong on our side' },
+    SERVICE_UNAVAILABLE: { status: 503, message: 'Service temporarily unavailable' }
+};
+
+// An error meant for the client; message defaults to the catalogue's
+class ApiError extends Error {
+    constructor(code, message, { fields, details } = {}) {
+        const entry = ERROR_CATALOGUE[code];
+        if (!entry) {
+            throw new Error(`Unknown API error code: ${code}`);
+        }
+
+        super(message || entry.message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.httpStatus = entry.status;
+        this.fields = fields || null;
+        this.details = details || null;
+    }
+}
+
+// Status and envelope for any thrown error. Service errors (DispatchError, PricingError,
+// InvalidStatusTransitionError, ...) are passed through when their code is catalogued.
+function toErrorResponse(error, requestId) {
+    let status;
+    let body;
+
+    if (ERROR_CATALOGUE[error.code]) {
+        status = error.httpStatus || ERROR_CATALOGUE[error.code].status;
+        body = {
+            error: error.message || ERROR_CATALOGUE[error.code].message,
+            code: error.code,
+            ...(error.fields ? { fields: error.fields } : {}),
+            ...(error.details ? { details: error.details } : {})
+        };
+    } else if (error.type === 'entity.parse.failed') {
+        // express.json() rejected the body
+        status = 400;
+        body = { error: ERROR_CATALOGUE.INVALID_JSON.message, code: 'INVALID_JSON' };
+    } else if (error.type === 'entity.too.large') {
+        status = 413;
+        body = { error: ERROR_CATALOGUE.PAYLOAD_TOO_LARGE.message, code: 'PAYLOAD_TOO_LARGE' };
+    } else {
+        status = 500;
+        body = { error: ERROR_CATALOGUE.INTERNAL_ERROR.message, code: 'INTERNAL_ERROR' };
+    }
+
+    return {
+        status,
+        body: { success: false, ...body, requestId }
+    };
+}
+
+module.exports = {
+    ERROR_CATALOGUE,
+    ApiError,
+    toErrorResponse
+};
@@ -0,0 +1,350 @@
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+const orderSync = require('./orderSync');
+
+// Delivery ETA engine.
+//
+// Travel time is the haversine distance between two points, stretched by ETA_ROAD_FACTOR to
+// approximate the road network, at the speed of the zone the leg runs through. Before a rider
+// is on the way, a dispatch delay based on the current backlog of unassigned orders per
+// available rider is added. Orders without drop-off coordinates fall back to the old fixed
+// estimates (pickup in 2h, delivery in 24h).
+//
+// Zones are configured with ETA_ZONE_PROFILES, a JSON array replacing DEFAULT_ZONE_PROFILES:
+//   [{ "name": "lagos-island", "bounds": [south, west, north, east], "speedKmh": 15, "peakSpeedKmh": 8 }]
+// A profile without bounds matches everywhere and should come last. Peak hours are Lagos time.
+//
+// Addresses are geocoded with the Google Geocoding API when GOOGLE_MAPS_API_KEY is set and the
+// client didn't send coordinates.
+
+const DEFAULT_ZONE_PROFILES = [
+    { name: 'lagos-island', bounds: [6.38, 3.37, 6.48, 3.65], speedKmh: 15, peakSpeedKmh: 8 },
+    { name: 'lagos-mainland', bounds: [6.45, 3.10, 6.70, 3.50], speedKmh: 20, peakSpeedKmh: 10 },
+    { name: 'abuja', bounds: [8.90, 7.30, 9.20, 7.60], speedKmh: 30, peakSpeedKmh: 18 },
+    { name: 'default', speedKmh: 25, peakSpeedKmh: 15 }
+];
+
+const ZONE_PROFILES = process.env.ETA_ZONE_PROFILES
+    ? JSON.parse(process.env.ETA_ZONE_PROFILES)
+    : DEFAULT_ZONE_PROFILES;
+
+const PEAK_HOURS = [[7, 10], [16, 20]];
+const ROAD_FACTOR = Number(process.env.ETA_ROAD_FACTOR) || 1.3;
+
+const MINUTE_MS = 60 * 1000;
+const BASE_DISPATCH_MINUTES = 10;      // finding and notifying a rider with nothing queued
+const MINUTES_PER_QUEUED_ORDER = 15;   // per unassigned order ahead, per available rider
+const MAX_DISPATCH_MINUTES = 180;
+const RIDER_APPROACH_MINUTES = 15;     // rider to pickup, before we know where the rider is
+const PICKUP_HANDLING_MINUTES = 10;
+const DEFAULT_TRIP_MINUTES = 45;       // delivery-only orders have no pickup point to measure from
+
+// Pushed ETAs only change when they move by more than this
+const SIGNIFICANT_CHANGE_MS = 2 * MINUTE_MS;
+// Location pings refresh an order's ETA at most this often
+const LOCATION_REFRESH_MS = Number(process.env.ETA_LOCATION_REFRESH_MS) || MINUTE_MS;
+
+const WORKLOAD_CACHE_MS = MINUTE_MS;
+const QUEUED_STATUSES = ['pending', 'confirmed'];
+const BACKFILL_PAGE_SIZE = 500; // also the most writes a batch takes
+const FINISHED_STATUSES = ['delivered', 'failed', 'cancelled', 'returned'];
+
+let workloadCache = null; // { queuedOrders, availableRiders, fetchedAt }
+const lastLocationRefresh = new Map(); // orderId -> millis
+
+function isCoordinates(value) {
+    return !!value &&
+        typeof value.lat === 'number' && value.lat >= -90 && value.lat <= 90 &&
+        typeof value.lng === 'number' && value.lng >= -180 && value.lng <= 180;
+}
+
+function haversineKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function findZone({ lat, lng }) {
+    return ZONE_PROFILES.find(zone => {
+        if (!zone.bounds) {
+            return true;
+        }
+        const [south, west, north, east] = zone.bounds;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+    }) || DEFAULT_ZONE_PROFILES[DEFAULT_ZONE_PROFILES.length - 1];
+}
+
+function isPeakHour(date) {
+    const hour = Number(new Intl.DateTimeFormat('en-GB', {
+        hour: 'numeric',
+        hourCycle: 'h23',
+        timeZone: 'Africa/Lagos'
+    }).format(date));
+    return PEAK_HOURS.some(([start, end]) => hour >= start && hour < end);
+}
+
+// Minutes to travel between two points, at the speed of the zone around their midpoint
+function estimateTravel(from, to, at = new Date()) {
+    const distanceKm = haversineKm(from, to) * ROAD_FACTOR;
+    const zone = findZone({ lat: (from.lat + to.lat) / 2, lng: (from.lng + to.lng) / 2 });
+    const speedKmh = isPeakHour(at) ? zone.peakSpeedKmh || zone.speedKmh : zone.speedKmh;
+
+    return {
+        distanceKm: Math.round(distanceKm * 10) / 10,
+        minutes: Math.ceil(distanceKm / speedKmh * 60),
+        zone: zone.name
+    };
+}
+
+// Resolves { lat, lng } or null; never throws, an ETA without coordinates just falls back
+async function geocodeAddress(address) {
+    if (!process.env.GOOGLE_MAPS_API_KEY || !address) {
+        return null;
+    }
+
+    try {
+        const url = 'https://maps.googleapis.com/maps/api/geocode/json?' + new URLSearchParams({
+            address,
+            region: 'ng',
+            key: process.env.GOOGLE_MAPS_API_KEY
+        });
+        const response = await fetch(url, { timeout: 5000 });
+        const body = await response.json();
+
+        if (body.status !== 'OK' || !body.results.length) {
+            console.log(`🗺️ Could not geocode "${address}": ${body.status}`);
+            return null;
+        }
+        const { lat, lng } = body.results[0].geometry.location;
+        return { lat, lng };
+    } catch (error) {
+        console.error(`❌ Geocoding failed for "${address}":`, error.message);
+        return null;
+    }
+}
+
+// Coordinates sent by the client win; otherwise geocode the street address
+async function resolveCoordinates(coordinates, address) {
+    if (isCoordinates(coordinates)) {
+        return { lat: coordinates.lat, lng: coordinates.lng };
+    }
+    return geocodeAddress(address);
+}
+
+// Unassigned orders and available riders, cached briefly so ETA refreshes don't count on every call
+async function getWorkload() {
+    if (workloadCache && Date.now() - workloadCache.fetchedAt < WORKLOAD_CACHE_MS) {
+        return workloadCache;
+    }
+
+    const db = admin.firestore();
+    const [queued, available] = await Promise.all([
+        // Orders from before create-order stored riderId: null have no such field and aren't
+        // counted until backfillRiderIds() has run (scripts/backfillRiderIds.js)
+        db.collection('deliveries')
+            .where('status', 'in', QUEUED_STATUSES)
+            .where('riderId', '==', null)
+            .count()
+            .get(),
+        db.collection('riders').where('status', '==', 'available').count().get()
+    ]);
+
+    workloadCache = {
+        queuedOrders: queued.data().count,
+        availableRiders: available.data().count,
+        fetchedAt: Date.now()
+    };
+    return workloadCache;
+}
+
+// Stores riderId: null on orders created before create-order did, so the workload count can
+// find them. Resolves the ids of the orders missing the field; with dryRun they are only listed.
+async function backfillRiderIds({ dryRun = false } = {}) {
+    const db = admin.firestore();
+    const query = db.collection('deliveries')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .select('riderId')
+        .limit(BACKFILL_PAGE_SIZE);
+    const missing = [];
+
+    let lastDoc = null;
+    for (;;) {
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+        const docs = snapshot.docs.filter(doc => doc.get('riderId') === undefined);
+
+        if (docs.length && !dryRun) {
+            const batch = db.batch();
+            docs.forEach(doc => batch.update(doc.ref, { riderId: null }));
+            await batch.commit();
+        }
+        missing.push(...docs.map(doc => doc.id));
+
+        if (snapshot.size < BACKFILL_PAGE_SIZE) {
+            return missing;
+        }
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+}
+
+function getDispatchMinutes({ queuedOrders, availableRiders }) {
+    const backlogMinutes = queuedOrders * MINUTES_PER_QUEUED_ORDER / Math.max(availableRiders, 1);
+    return Math.min(BASE_DISPATCH_MINUTES + Math.round(backlogMinutes), MAX_DISPATCH_MINUTES);
+}
+
+function fallbackEta(delivery, now) {
+    return {
+        estimatedPickupTime: delivery.serviceType === 'PICKUP_AND_DELIVERY'
+            ? new Date(now.getTime() + 2 * 60 * MINUTE_MS)
+            : null,
+        estimatedDeliveryTime: new Date(now.getTime() + 24 * 60 * MINUTE_MS),
+        eta: { method: 'fallback', distanceKm: null, zone: null, calculatedAt: now }
+    };
+}
+
+// ETA for an order in its current state. `delivery` is the deliveries document data (or the
+// data about to be written); resolves { estimatedPickupTime, estimatedDeliveryTime, eta }.
+// Pickup times that have passed (picked-up and later) are left out.
+async function calculateEta(delivery, { now = new Date() } = {}) {
+    const pickup = delivery.pickupAddress?.coordinates;
+    const dropOff = delivery.deliveryAddress?.coordinates;
+    const riderLocation = delivery.riderId && isCoordinates(delivery.trackingInfo?.lastLocation)
+        ? delivery.trackingInfo.lastLocation
+        : null;
+    const hasPickupLeg = delivery.serviceType === 'PICKUP_AND_DELIVERY' && isCoordinates(pickup);
+
+    if (!isCoordinates(dropOff)) {
+        return fallbackEta(delivery, now);
+    }
+
+    const isPickedUp = ['picked-up', 'in-progress'].includes(delivery.status);
+    let startMinutes = 0;
+    let legStart = null;
+    let method = 'distance';
+
+    if (isPickedUp) {
+        legStart = riderLocation || (hasPickupLeg ? pickup : null);
+    } else {
+        if (!delivery.riderId) {
+            startMinutes += getDispatchMinutes(await getWorkload());
+            method = 'distance+queue';
+        }
+
+        if (hasPickupLeg) {
+            startMinutes += riderLocation
+                ? estimateTravel(riderLocation, pickup, now).minutes
+                : RIDER_APPROACH_MINUTES;
+            legStart = pickup;
+        } else {
+            // Delivery-only: the rider already has the parcel or is bringing it from the merchant
+            legStart = riderLocation;
+        }
+    }
+
+    const pickupTime = !isPickedUp && hasPickupLeg
+        ? new Date(now.getTime() + startMinutes * MINUTE_MS)
+        : null;
+    if (pickupTime) {
+        startMinutes += PICKUP_HANDLING_MINUTES;
+    }
+
+    const leg = legStart ? estimateTravel(legStart, dropOff, now) : null;
+    const travelMinutes = leg ? leg.minutes : DEFAULT_TRIP_MINUTES;
+
+    return {
+        estimatedPickupTime: pickupTime,
+        estimatedDeliveryTime: new Date(now.getTime() + (startMinutes + travelMinutes) * MINUTE_MS),
+        eta: {
+            method,
+            distanceKm: leg ? leg.distanceKm : null,
+            zone: leg ? leg.zone : findZone(dropOff).name,
+            calculatedAt: now
+        }
+    };
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    return new Date(value).getTime();
+}
+
+// Recalculate and store an order's ETA. Resolves the new estimates when the delivery time
+// moved significantly (for the caller to broadcast), otherwise null. Finished orders and
+// orders on the fixed fallback are left alone.
+async function refreshOrderEta(orderId) {
+    const deliveriesQuery = await admin.firestore().collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    if (deliveriesQuery.empty) {
+        return null;
+    }
+
+    const deliveryDoc = deliveriesQuery.docs[0];
+    const delivery = deliveryDoc.data();
+    if (FINISHED_STATUSES.includes(delivery.status)) {
+        return null;
+    }
+
+    const result = await calculateEta(delivery);
+    if (result.eta.method === 'fallback') {
+        return null;
+    }
+
+    const previousMillis = toMillis(delivery.estimatedDeliveryTime);
+    const changed = previousMillis === null ||
+        Math.abs(result.estimatedDeliveryTime.getTime() - previousMillis) > SIGNIFICANT_CHANGE_MS;
+    if (!changed) {
+        return null;
+    }
+
+    await deliveryDoc.ref.update(orderSync.stampServerWrite({
+        estimatedDeliveryTime: result.estimatedDeliveryTime,
+        // Keep the pickup time once it has passed
+        ...(result.estimatedPickupTime ? { estimatedPickupTime: result.estimatedPickupTime } : {}),
+        eta: result.eta
+    }));
+
+    return {
+        orderId,
+        status: delivery.status,
+        merchantId: delivery.merchantId || null,
+        estimatedPickupTime: result.estimatedPickupTime,
+        estimatedDeliveryTime: result.estimatedDeliveryTime,
+        eta: result.eta
+    };
+}
+
+// refreshOrderEta for rider location pings, throttled per order
+async function refreshOrderEtaForLocation(orderId) {
+    const now = Date.now();
+    const last = lastLocationRefresh.get(orderId);
+    if (last && now - last < LOCATION_REFRESH_MS) {
+        return null;
+    }
+
+    // Forget orders whose riders stopped sending pings
+    if (lastLocationRefresh.size > 1000) {
+        lastLocationRefresh.forEach((at, id) => {
+            if (now - at > LOCATION_REFRESH_MS) lastLocationRefresh.delete(id);
+        });
+    }
+    lastLocationRefresh.set(orderId, now);
+
+    return refreshOrderEta(orderId);
+}
+
+module.exports = {
+    isCoordinates,
+    findZone,
+    estimateTravel,
+    resolveCoordinates,
+    calculateEta,
+    refreshOrderEta,
+    refreshOrderEtaForLocation,
+    backfillRiderIds
+};
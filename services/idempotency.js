@@ -0,0 +1,90 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Idempotency records: idempotency_keys/{sha256(scope:key)}.
+// expiresAt is meant to back a Firestore TTL policy on the collection; expired records
+// are also ignored here in case the TTL sweep hasn't run yet.
+
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// JSON with sorted object keys so the same body always hashes the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+function hashRequestBody(body) {
+    return sha256(stableStringify(body || {}));
+}
+
+// Reserve a key for a request. Resolves one of:
+//   { outcome: 'new', ref }                              - first use, run the request
+//   { outcome: 'replay', responseStatus, responseBody }  - same key and body, already completed
+//   { outcome: 'in-progress' }                           - same key, original request still running
+//   { outcome: 'mismatch' }                              - same key, different body
+async function beginRequest(scope, key, requestHash) {
+    const db = admin.firestore();
+    const ref = db.collection('idempotency_keys').doc(sha256(`${scope}:${key}`));
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (doc.exists && doc.data().expiresAt.toDate() > new Date()) {
+            const record = doc.data();
+
+            if (record.requestHash !== requestHash) {
+                return { outcome: 'mismatch' };
+            }
+            if (record.status === 'completed') {
+                return {
+                    outcome: 'replay',
+                    responseStatus: record.responseStatus,
+                    responseBody: JSON.parse(record.responseBody)
+                };
+            }
+            return { outcome: 'in-progress' };
+        }
+
+        transaction.set(ref, {
+            scope,
+            key,
+            requestHash,
+            status: 'in-progress',
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+        });
+        return { outcome: 'new', ref };
+    });
+}
+
+// Store the response so retries get it back verbatim
+async function completeRequest(ref, responseStatus, responseBody) {
+    await ref.update({
+        status: 'completed',
+        responseStatus,
+        // Stored as the JSON the client received, so dates replay as the same strings
+        responseBody: JSON.stringify(responseBody),
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// Forget a key whose request failed on our side so the client can retry it
+async function releaseRequest(ref) {
+    await ref.delete();
+}
+
+module.exports = {
+    hashRequestBody,
+    beginRequest,
+    completeRequest,
+    releaseRequest
+};
@@ -0,0 +1,208 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./errors');
+
+// Notification inboxes: the in-app notifications in user_notifications (one inbox per user,
+// matched on userId) and admin_notifications (one inbox shared by all admins, so marking an
+// admin notification read marks it read for every admin).
+//
+// New notifications are pushed to the inbox's socket room as `notification` with the new
+// unread count, and reads and deletes push `notification-count`: users are in `user-<uid>`,
+// admins in `admins`.
+//
+// Listing pages newest first with an opaque cursor; it needs a composite index on
+// (userId, createdAt, __name__), plus read for unreadOnly.
+
+const INBOXES = {
+    user: { collection: 'user_notifications', room: uid => `user-${uid}` },
+    admin: { collection: 'admin_notifications', room: () => 'admins' }
+};
+
+const MAX_PAGE_SIZE = 100;
+const BATCH_SIZE = 500;
+
+let ioRef = null;
+
+function init(io) {
+    ioRef = io;
+}
+
+function db() {
+    return admin.firestore();
+}
+
+function collection(inbox) {
+    return db().collection(INBOXES[inbox].collection);
+}
+
+// The notifications of one inbox
+function inboxQuery(inbox, uid) {
+    return inbox === 'user' ? collection(inbox).where('userId', '==', uid) : collection(inbox);
+}
+
+function belongsTo(inbox, uid, data) {
+    return inbox !== 'user' || data.userId === uid;
+}
+
+function cursorError(message) {
+    return new ApiError('VALIDATION_FAILED', undefined, {
+        fields: [{ field: 'cursor', message }]
+    });
+}
+
+function encodeCursor(doc) {
+    const createdAt = doc.get('createdAt');
+    return Buffer.from(JSON.stringify({ t: createdAt ? createdAt.toMillis() : 0, id: doc.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw cursorError('cursor is not valid');
+    }
+    if (!decoded || typeof decoded.t !== 'number' || typeof decoded.id !== 'string') {
+        throw cursorError('cursor is not valid');
+    }
+    return { createdAt: admin.firestore.Timestamp.fromMillis(decoded.t), id: decoded.id };
+}
+
+function serialize(id, data) {
+    const toIso = value => (value?.toDate ? value.toDate().toISOString() : value || null);
+    return {
+        id,
+        ...data,
+        read: data.read === true,
+        createdAt: toIso(data.createdAt),
+        readAt: toIso(data.readAt)
+    };
+}
+
+async function getUnreadCount(inbox, uid) {
+    const snapshot = await inboxQuery(inbox, uid).where('read', '==', false).count().get();
+    return snapshot.data().count;
+}
+
+// Tell the inbox's sockets. Best effort: a failed count never fails the request.
+async function emitToInbox(inbox, uid, event, payload = {}) {
+    if (!ioRef) {
+        return;
+    }
+    try {
+        const unreadCount = await getUnreadCount(inbox, uid);
+        ioRef.to(INBOXES[inbox].room(uid)).emit(event, {
+            inbox,
+            ...payload,
+            unreadCount,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`❌ Failed to push ${event} to the ${inbox} inbox:`, error.message);
+    }
+}
+
+// Write a notification into an inbox and push it. data carries userId for user notifications.
+// Resolves the document reference.
+async function addNotification(inbox, data) {
+    const notification = {
+        ...data,
+        read: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const ref = await collection(inbox).add(notification);
+
+    await emitToInbox(inbox, data.userId, 'notification', {
+        notification: serialize(ref.id, { ...notification, createdAt: new Date().toISOString() })
+    });
+    return ref;
+}
+
+// One page of an inbox, newest first. Resolves { notifications, nextCursor, unreadCount };
+// nextCursor is null on the last page.
+async function listNotifications(inbox, uid, { unreadOnly = false, limit = 20, cursor } = {}) {
+    let query = inboxQuery(inbox, uid);
+    if (unreadOnly) {
+        query = query.where('read', '==', false);
+    }
+    query = query
+        .orderBy('createdAt', 'desc')
+        .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+    if (cursor) {
+        const after = decodeCursor(cursor);
+        query = query.startAfter(after.createdAt, after.id);
+    }
+
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const [snapshot, unreadCount] = await Promise.all([
+        query.limit(pageSize + 1).get(),
+        getUnreadCount(inbox, uid)
+    ]);
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    return {
+        notifications: docs.map(doc => serialize(doc.id, doc.data())),
+        nextCursor: snapshot.docs.length > pageSize ? encodeCursor(docs[docs.length - 1]) : null,
+        unreadCount
+    };
+}
+
+async function getOwnNotification(inbox, uid, notificationId) {
+    const doc = await collection(inbox).doc(notificationId).get();
+    if (!doc.exists || !belongsTo(inbox, uid, doc.data())) {
+        throw new ApiError('NOTIFICATION_NOT_FOUND', undefined, { details: { notificationId } });
+    }
+    return doc;
+}
+
+// Resolves the updated notification
+async function markRead(inbox, uid, notificationId) {
+    const doc = await getOwnNotification(inbox, uid, notificationId);
+    const data = doc.data();
+    if (data.read === true) {
+        return serialize(doc.id, data);
+    }
+
+    await doc.ref.update({ read: true, readAt: admin.firestore.FieldValue.serverTimestamp() });
+    await emitToInbox(inbox, uid, 'notification-count', { notificationId, change: 'read' });
+    return serialize(doc.id, { ...data, read: true, readAt: new Date().toISOString() });
+}
+
+// Resolves the number of notifications marked read
+async function markAllRead(inbox, uid) {
+    const unreadQuery = inboxQuery(inbox, uid).where('read', '==', false).select().limit(BATCH_SIZE);
+    let updated = 0;
+
+    for (;;) {
+        const snapshot = await unreadQuery.get();
+        if (snapshot.empty) {
+            break;
+        }
+        const batch = db().batch();
+        snapshot.docs.forEach(doc => batch.update(doc.ref, { read: true, readAt: admin.firestore.FieldValue.serverTimestamp() }));
+        await batch.commit();
+        updated += snapshot.size;
+    }
+
+    if (updated > 0) {
+        await emitToInbox(inbox, uid, 'notification-count', { change: 'read-all' });
+    }
+    return updated;
+}
+
+async function deleteNotification(inbox, uid, notificationId) {
+    const doc = await getOwnNotification(inbox, uid, notificationId);
+    await doc.ref.delete();
+    await emitToInbox(inbox, uid, 'notification-count', { notificationId, change: 'deleted' });
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    init,
+    addNotification,
+    listNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    deleteNotification
+};
@@ -0,0 +1,161 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Merchant registry and API keys for the e-commerce integration.
+// Keys look like mk_<keyId>_<secret>; only a SHA-256 hash of the key is stored
+// in merchant_api_keys/{keyId}, so a key can be shown exactly once when issued.
+
+const KEY_PREFIX = 'mk';
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function parseApiKey(apiKey) {
+    const match = /^mk_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/.exec(apiKey || '');
+    return match ? { keyId: match[1] } : null;
+}
+
+function toIsoString(value) {
+    return value?.toDate ? value.toDate().toISOString() : value || null;
+}
+
+function serializeKey(doc) {
+    const key = doc.data();
+    return {
+        keyId: doc.id,
+        prefix: key.prefix,
+        label: key.label || null,
+        createdAt: toIsoString(key.createdAt),
+        lastUsedAt: toIsoString(key.lastUsedAt),
+        expiresAt: toIsoString(key.expiresAt),
+        revokedAt: toIsoString(key.revokedAt)
+    };
+}
+
+async function getMerchant(merchantId) {
+    const doc = await admin.firestore().collection('merchants').doc(merchantId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+}
+
+async function listMerchants() {
+    const snapshot = await admin.firestore().collection('merchants').orderBy('createdAt', 'desc').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function issueApiKey(merchantId, { label } = {}) {
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+    await admin.firestore().collection('merchant_api_keys').doc(keyId).set({
+        merchantId,
+        hash: hashApiKey(apiKey),
+        prefix: `${KEY_PREFIX}_${keyId}`,
+        label: label || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastUsedAt: null,
+        expiresAt: null,
+        revokedAt: null
+    });
+
+    return { keyId, apiKey };
+}
+
+async function createMerchant({ name, contactEmail }) {
+    const merchantRef = admin.firestore().collection('merchants').doc();
+
+    await merchantRef.set({
+        name,
+        contactEmail: contactEmail || null,
+        status: 'active',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const key = await issueApiKey(merchantRef.id, { label: 'default' });
+    return { merchantId: merchantRef.id, ...key };
+}
+
+async function getMerchantKeyDoc(merchantId, keyId) {
+    const doc = await admin.firestore().collection('merchant_api_keys').doc(keyId).get();
+    return doc.exists && doc.data().merchantId === merchantId ? doc : null;
+}
+
+async function listApiKeys(merchantId) {
+    const snapshot = await admin.firestore().collection('merchant_api_keys')
+        .where('merchantId', '==', merchantId)
+        .get();
+    return snapshot.docs.map(serializeKey);
+}
+
+// Issue a replacement key; the old one keeps working for graceHours so the merchant can deploy it
+async function rotateApiKey(merchantId, keyId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS } = {}) {
+    const oldKey = await getMerchantKeyDoc(merchantId, keyId);
+    if (!oldKey || oldKey.data().revokedAt) {
+        return null;
+    }
+
+    const replacement = await issueApiKey(merchantId, { label: oldKey.data().label });
+    const expiresAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    await oldKey.ref.update({ expiresAt, replacedBy: replacement.keyId });
+
+    return { ...replacement, previousKeyId: keyId, previousKeyExpiresAt: expiresAt.toISOString() };
+}
+
+async function revokeApiKey(merchantId, keyId) {
+    const key = await getMerchantKeyDoc(merchantId, keyId);
+    if (!key) {
+        return false;
+    }
+
+    await key.ref.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+}
+
+// Resolve an API key to its merchant. Resolves null for unknown, revoked or expired keys
+// and for merchants that are no longer active.
+async function verifyApiKey(apiKey) {
+    const parsed = parseApiKey(apiKey);
+    if (!parsed) {
+        return null;
+    }
+
+    const keyDoc = await admin.firestore().collection('merchant_api_keys').doc(parsed.keyId).get();
+    if (!keyDoc.exists) {
+        return null;
+    }
+
+    const key = keyDoc.data();
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    if (key.revokedAt || (key.expiresAt && key.expiresAt.toDate() < new Date())) {
+        return null;
+    }
+
+    const merchant = await getMerchant(key.merchantId);
+    if (!merchant || merchant.status !== 'active') {
+        return null;
+    }
+
+    keyDoc.ref.update({ lastUsedAt: admin.firestore.FieldValue.serverTimestamp() }).catch(error => {
+        console.error('⚠️ Could not record API key usage:', error.message);
+    });
+
+    return { id: merchant.id, name: merchant.name, keyId: parsed.keyId };
+}
+
+module.exports = {
+    getMerchant,
+    listMerchants,
+    createMerchant,
+    issueApiKey,
+    listApiKeys,
+    rotateApiKey,
+    revokeApiKey,
+    verifyApiKey
+};
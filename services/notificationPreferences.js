@@ -0,0 +1,218 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./errors');
+const { isValidTimezone, getZonedParts } = require('./timezones');
+
+// Per-user notification preferences, stored in notification_preferences/{uid}:
+//
+//   channels      { <event>: { push, sms, email } } - false turns a channel off for the event
+//   timezone      IANA timezone the quiet hours and digest time are read in
+//   quietHours    { enabled, start, end } ('HH:MM'; may span midnight) - push and SMS are held
+//                 while it's quiet and sent when the quiet hours end
+//   criticalOverridesQuietHours
+//                 statuses in NOTIFICATION_CRITICAL_STATUSES (default: failed) skip quiet hours
+//                 and the digest unless this is false
+//   digest        { enabled, interval: 'hourly' | 'daily', time: 'HH:MM' for daily } - pushes
+//                 are held and sent together as one summary
+//
+// In-app notifications are always written, so the inbox stays complete. Users without a
+// preferences document get the defaults: everything on, no quiet hours, no digest.
+
+const PREFERENCE_EVENTS = ['order-update', 'delivery-update', 'admin-delivery-update'];
+const PREFERENCE_CHANNELS = ['push', 'sms', 'email'];
+const DIGEST_INTERVALS = ['hourly', 'daily'];
+
+// Channels held during quiet hours and batched by the digest
+const QUIET_CHANNELS = ['push', 'sms'];
+const DIGEST_CHANNELS = ['push'];
+
+const CRITICAL_STATUSES = (process.env.NOTIFICATION_CRITICAL_STATUSES || 'failed')
+    .split(',')
+    .map(status => status.trim())
+    .filter(Boolean);
+
+const DEFAULT_TIMEZONE = process.env.NOTIFICATION_TIMEZONE || 'Africa/Lagos';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const timeOfDaySchema = { type: 'string', pattern: TIME_OF_DAY, patternMessage: 'must be a time of day (HH:MM)' };
+
+// Request body for saving preferences (validate() properties); every part is optional and
+// merged into what's stored
+const PREFERENCES_BODY = {
+    timezone: { type: 'string', maxLength: 64 },
+    channels: {
+        type: 'object',
+        properties: Object.fromEntries(PREFERENCE_EVENTS.map(event => [event, {
+            type: 'object',
+            properties: Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [channel, { type: 'boolean' }]))
+        }]))
+    },
+    quietHours: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            start: timeOfDaySchema,
+            end: timeOfDaySchema
+        }
+    },
+    criticalOverridesQuietHours: { type: 'boolean' },
+    digest: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            interval: { type: 'string', enum: DIGEST_INTERVALS },
+            time: timeOfDaySchema
+        }
+    }
+};
+
+function preferencesCollection() {
+    return admin.firestore().collection('notification_preferences');
+}
+
+function getDefaultPreferences() {
+    return {
+        timezone: DEFAULT_TIMEZONE,
+        channels: Object.fromEntries(PREFERENCE_EVENTS.map(event => [
+            event,
+            Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [channel, true]))
+        ])),
+        quietHours: { enabled: false, start: '22:00', end: '07:00' },
+        criticalOverridesQuietHours: true,
+        digest: { enabled: false, interval: 'daily', time: '18:00' }
+    };
+}
+
+function pickKnown(values, defaults) {
+    const known = {};
+    Object.keys(defaults).forEach(key => {
+        if (values?.[key] !== undefined && values[key] !== null) {
+            known[key] = values[key];
+        }
+    });
+    return known;
+}
+
+// Stored values over the defaults, keeping only known settings
+function mergePreferences(base, stored = {}) {
+    const channels = {};
+    PREFERENCE_EVENTS.forEach(event => {
+        channels[event] = { ...base.channels[event] };
+        PREFERENCE_CHANNELS.forEach(channel => {
+            if (typeof stored.channels?.[event]?.[channel] === 'boolean') {
+                channels[event][channel] = stored.channels[event][channel];
+            }
+        });
+    });
+
+    return {
+        timezone: stored.timezone || base.timezone,
+        channels,
+        quietHours: { ...base.quietHours, ...pickKnown(stored.quietHours, base.quietHours) },
+        criticalOverridesQuietHours: typeof stored.criticalOverridesQuietHours === 'boolean'
+            ? stored.criticalOverridesQuietHours
+            : base.criticalOverridesQuietHours,
+        digest: { ...base.digest, ...pickKnown(stored.digest, base.digest) }
+    };
+}
+
+async function getPreferences(uid) {
+    const doc = await preferencesCollection().doc(uid).get();
+    return mergePreferences(getDefaultPreferences(), doc.exists ? doc.data() : {});
+}
+
+// Merge a change (shaped like PREFERENCES_BODY) into the user's preferences.
+// Resolves the full preferences.
+async function savePreferences(uid, changes) {
+    if (changes.timezone && !isValidTimezone(changes.timezone)) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'timezone', message: 'timezone must be a valid IANA timezone, e.g. Africa/Lagos' }]
+        });
+    }
+
+    const preferences = mergePreferences(await getPreferences(uid), changes);
+    await preferencesCollection().doc(uid).set({
+        ...preferences,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return preferences;
+}
+
+function toMinutes(timeOfDay) {
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isWithin(minuteOfDay, start, end) {
+    return start < end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// The next instant after `now` at which the timezone's clock reads the given minute of the day
+function nextTimeOfDay(now, timezone, targetMinute) {
+    const { hour, minute } = getZonedParts(now, timezone);
+    const wait = (targetMinute - (hour * 60 + minute) + DAY_MINUTES) % DAY_MINUTES || DAY_MINUTES;
+    const startOfMinute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+    return new Date(startOfMinute + wait * MINUTE_MS);
+}
+
+function nextDigestTime(now, preferences) {
+    if (preferences.digest.interval === 'hourly') {
+        return new Date((Math.floor(now.getTime() / (60 * MINUTE_MS)) + 1) * 60 * MINUTE_MS);
+    }
+    return nextTimeOfDay(now, preferences.timezone, toMinutes(preferences.digest.time));
+}
+
+function isCritical(status) {
+    return CRITICAL_STATUSES.includes(status);
+}
+
+// What to do with one notification on one channel:
+//   { action: 'send' } | { action: 'skip', reason } | { action: 'hold', reason, releaseAt }
+// with reason 'channel-disabled', 'quiet-hours' or 'digest'.
+function decide(preferences, { event, status, channel }, now = new Date()) {
+    if (preferences.channels[event]?.[channel] === false) {
+        return { action: 'skip', reason: 'channel-disabled' };
+    }
+    if (isCritical(status) && preferences.criticalOverridesQuietHours) {
+        return { action: 'send' };
+    }
+
+    let releaseAt = null;
+    let reason = null;
+
+    const { quietHours } = preferences;
+    if (quietHours.enabled && QUIET_CHANNELS.includes(channel)) {
+        const { hour, minute } = getZonedParts(now, preferences.timezone);
+        const start = toMinutes(quietHours.start);
+        const end = toMinutes(quietHours.end);
+        if (start !== end && isWithin(hour * 60 + minute, start, end)) {
+            releaseAt = nextTimeOfDay(now, preferences.timezone, end);
+            reason = 'quiet-hours';
+        }
+    }
+
+    if (preferences.digest.enabled && DIGEST_CHANNELS.includes(channel) && !isCritical(status)) {
+        // Held pushes wait for the digest's next time after any quiet hours
+        const digestAt = nextDigestTime(releaseAt || now, preferences);
+        if (!releaseAt || digestAt > releaseAt) {
+            releaseAt = digestAt;
+            reason = 'digest';
+        }
+    }
+
+    return releaseAt ? { action: 'hold', reason, releaseAt } : { action: 'send' };
+}
+
+module.exports = {
+    PREFERENCE_EVENTS,
+    PREFERENCE_CHANNELS,
+    DIGEST_INTERVALS,
+    PREFERENCES_BODY,
+    getPreferences,
+    savePreferences,
+    decide
+};
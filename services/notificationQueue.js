@@ -0,0 +1,86 @@
+const admin = require('firebase-admin');
+
+// Notifications held back by a user's preferences (quiet hours or the digest), stored in
+// notification_queue/{id} until their releaseAt:
+//
+//   { uid, channel: 'push' | 'sms', event, eventStatus, reason, releaseAt, status,
+//     push: { title, body, data }   - push entries
+//     sms: { to, body, context }    - SMS entries, context as for sms.sendSms() }
+//
+// status goes pending -> sent | failed. Due entries are leased before sending so that several
+// instances polling at once don't send them twice. Needs a composite index on
+// notification_queue (status, releaseAt).
+
+const LEASE_MS = 2 * 60 * 1000;
+
+function queueCollection() {
+    return admin.firestore().collection('notification_queue');
+}
+
+// Resolves the queue entry's id
+async function holdNotification({ uid, channel, event, eventStatus, reason, releaseAt, push, sms }) {
+    const ref = await queueCollection().add({
+        uid,
+        channel,
+        event,
+        eventStatus: eventStatus || null,
+        reason,
+        releaseAt,
+        status: 'pending',
+        ...(push ? { push } : {}),
+        ...(sms ? { sms } : {}),
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`⏸️ Holding ${channel} ${event} notification for ${uid} until ${releaseAt.toISOString()} (${reason})`);
+    return ref.id;
+}
+
+// Lease a due entry; resolves null if it was sent already or is leased by someone else
+async function claimEntry(entryRef) {
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(entryRef);
+        if (!doc.exists) {
+            return null;
+        }
+
+        const entry = doc.data();
+        const now = Date.now();
+        if (entry.status !== 'pending' || (entry.leaseExpiresAt && entry.leaseExpiresAt.toMillis() > now)) {
+            return null;
+        }
+
+        transaction.update(entryRef, { leaseExpiresAt: new Date(now + LEASE_MS) });
+        return { id: doc.id, ref: entryRef, ...entry };
+    });
+}
+
+// Lease up to `limit` entries whose releaseAt has passed. Resolves the claimed entries.
+async function claimDueEntries(limit = 100) {
+    const snapshot = await queueCollection()
+        .where('status', '==', 'pending')
+        .where('releaseAt', '<=', new Date())
+        .orderBy('releaseAt', 'asc')
+        .limit(limit)
+        .get();
+
+    const claimed = await Promise.all(snapshot.docs.map(doc => claimEntry(doc.ref)));
+    return claimed.filter(Boolean);
+}
+
+// Record the outcome of sending claimed entries
+async function completeEntries(entries, { failed = false, result = null } = {}) {
+    const batch = admin.firestore().batch();
+    entries.forEach(entry => batch.update(entry.ref, {
+        status: failed ? 'failed' : 'sent',
+        result,
+        leaseExpiresAt: null,
+        sentAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    await batch.commit();
+}
+
+module.exports = {
+    holdNotification,
+    claimDueEntries,
+    completeEntries
+};
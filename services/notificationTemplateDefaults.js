@@ -0,0 +1,497 @@
+// Built-in notification texts, per event and locale. notificationTemplates.js expands these into
+// per-channel templates; admins override them through the templates API.
+//
+// Texts use {{variable}} placeholders and {{#variable}}...{{/variable}} sections (shown when the
+// variable is set) - see notificationTemplates.js for the variables of each event.
+//
+// Each status entry has a title and body (push and in-app); order-update entries can add
+// `socket` (the one-line message broadcast to order subscribers) and `sms`. Emails use the title
+// as subject and the body as text, with an HTML version built around them. Missing pieces fall
+// back to the body, and missing locales or statuses to English and `default`.
+
+const ORDER_UPDATE = {
+    en: {
+        note: 'Note',
+        statuses: {
+            confirmed: {
+                title: '✅ Order Confirmed',
+                body: 'Your order #{{orderId}} has been confirmed and is being prepared.{{#pickupAddress}}\n📍 Pickup Location: {{pickupAddress}}{{/pickupAddress}}\n📍 Delivery Location: {{deliveryAddress}}\n📞 Delivery Contact: {{dropOffPhoneNumber}}',
+                socket: 'Your order has been confirmed and is being prepared.',
+                sms: 'Your order {{orderId}} is confirmed and being prepared. Delivery to {{deliveryAddress}}.'
+            },
+            'pickup-ready': {
+                title: '📦 Ready for Pickup',
+                body: 'Your order #{{orderId}} is ready for pickup at {{#pickupAddress}}{{pickupAddress}}{{/pickupAddress}}{{^pickupAddress}}the specified location{{/pickupAddress}}.',
+                socket: 'Your order is ready for pickup.'
+            },
+            'picked-up': {
+                title: '🚚 Item Picked Up',
+                body: 'Your order #{{orderId}} has been picked up and is now on its way for delivery to {{deliveryAddress}}. Contact: {{dropOffPhoneNumber}}',
+                socket: 'Your order has been picked up and is on its way.',
+                sms: 'Your order {{orderId}} has been picked up and is on its way to {{deliveryAddress}}.'
+            },
+            'in-progress': {
+                title: '🚚 Order In Transit',
+                body: 'Your order #{{orderId}} is now out for delivery to {{deliveryAddress}}. Contact: {{dropOffPhoneNumber}}',
+                socket: 'Your order is out for delivery.',
+                sms: 'Your order {{orderId}} is out for delivery to {{deliveryAddress}}.'
+            },
+            delivered: {
+                title: '📦 Order Delivered',
+                body: 'Your order #{{orderId}} has been successfully delivered to {{deliveryAddress}}. Thank you!',
+                socket: 'Your order has been successfully delivered!',
+                sms: 'Your order {{orderId}} has been delivered to {{deliveryAddress}}. Thank you!'
+            },
+            failed: {
+                title: '❌ Delivery Failed',
+                body: "Unfortunately, we couldn't {{#hasPickup}}pickup or {{/hasPickup}}deliver your order #{{orderId}}. We'll contact you at {{dropOffPhoneNumber}} soon.",
+                socket: 'There was an issue with your order delivery.',
+                sms: "We couldn't deliver your order {{orderId}}. We'll contact you at {{dropOffPhoneNumber}} soon."
+            },
+            cancelled: {
+                title: '🚫 Order Cancelled',
+                body: 'Your order #{{orderId}} has been cancelled.',
+                socket: 'Your order has been cancelled.'
+            },
+            returned: {
+                title: '↩️ Order Returned',
+                body: 'Your order #{{orderId}} has been returned to the sender.',
+                socket: 'Your order has been returned to the sender.'
+            },
+            default: {
+                title: '📋 Order Update',
+                body: 'Your order #{{orderId}} status has been updated to: {{status}}',
+                socket: 'Order status updated to: {{status}}'
+            }
+        }
+    },
+    pcm: {
+        note: 'Note',
+        statuses: {
+            confirmed: {
+                title: '✅ We don confirm your order',
+                body: 'Your order #{{orderId}} don confirm and we dey prepare am. We go deliver am for {{deliveryAddress}}.'
+            },
+            'pickup-ready': {
+                title: '📦 E ready for pickup',
+                body: 'Your order #{{orderId}} don ready for pickup{{#pickupAddress}} for {{pickupAddress}}{{/pickupAddress}}.'
+            },
+            'picked-up': {
+                title: '🚚 We don pick am up',
+                body: 'We don pick up your order #{{orderId}}, e dey go {{deliveryAddress}} now. Contact: {{dropOffPhoneNumber}}'
+            },
+            'in-progress': {
+                title: '🚚 Your order dey road',
+                body: 'Your order #{{orderId}} dey road to {{deliveryAddress}}. Contact: {{dropOffPhoneNumber}}'
+            },
+            delivered: {
+                title: '📦 Your order don land',
+                body: 'We don deliver your order #{{orderId}} for {{deliveryAddress}}. Thank you!'
+            },
+            failed: {
+                title: '❌ Delivery no work',
+                body: 'Sorry, we no fit deliver your order #{{orderId}}. We go call you for {{dropOffPhoneNumber}} soon.'
+            },
+            cancelled: {
+                title: '🚫 Order don cancel',
+                body: 'Your order #{{orderId}} don cancel.'
+            },
+            returned: {
+                title: '↩️ Order don return',
+                body: 'Your order #{{orderId}} don go back to the sender.'
+            },
+            default: {
+                title: '📋 Order update',
+                body: 'Your order #{{orderId}} status don change to: {{status}}'
+            }
+        }
+    },
+    yo: {
+        note: 'Àkíyèsí',
+        statuses: {
+            confirmed: {
+                title: '✅ A ti jẹ́rìí order rẹ',
+                body: 'A ti jẹ́rìí order rẹ #{{orderId}}, a sì ń pèsè rẹ̀. A ó fi jíṣẹ́ ní {{deliveryAddress}}.'
+            },
+            'pickup-ready': {
+                title: '📦 Ó ti ṣetán fún gbígbé',
+                body: 'Order rẹ #{{orderId}} ti ṣetán fún gbígbé{{#pickupAddress}} ní {{pickupAddress}}{{/pickupAddress}}.'
+            },
+            'picked-up': {
+                title: '🚚 A ti gbé order rẹ',
+                body: 'A ti gbé order rẹ #{{orderId}}, ó sì ń lọ sí {{deliveryAddress}}. Nọ́mbà: {{dropOffPhoneNumber}}'
+            },
+            'in-progress': {
+                title: '🚚 Order rẹ wà lójú ọ̀nà',
+                body: 'Order rẹ #{{orderId}} wà lójú ọ̀nà sí {{deliveryAddress}}. Nọ́mbà: {{dropOffPhoneNumber}}'
+            },
+            delivered: {
+                title: '📦 Order rẹ ti dé',
+                body: 'A ti fi order rẹ #{{orderId}} jíṣẹ́ ní {{deliveryAddress}}. A dúpẹ́!'
+            },
+            failed: {
+                title: '❌ A kò lè fi jíṣẹ́',
+                body: 'Ẹ má bínú, a kò lè fi order rẹ #{{orderId}} jíṣẹ́. A ó pè ọ́ ní {{dropOffPhoneNumber}} láìpẹ́.'
+            },
+            cancelled: {
+                title: '🚫 A ti fagilé order rẹ',
+                body: 'A ti fagilé order rẹ #{{orderId}}.'
+            },
+            returned: {
+                title: '↩️ A ti dá order rẹ padà',
+                body: 'A ti dá order rẹ #{{orderId}} padà sọ́dọ̀ ẹni tó fi ránṣẹ́.'
+            },
+            default: {
+                title: '📋 Ìròyìn order',
+                body: 'Ipò order rẹ #{{orderId}} ti yí padà sí: {{status}}'
+            }
+        }
+    },
+    ha: {
+        note: 'Lura',
+        statuses: {
+            confirmed: {
+                title: '✅ An tabbatar da odarka',
+                body: 'An tabbatar da odarka #{{orderId}} kuma ana shirya ta. Za a kai ta {{deliveryAddress}}.'
+            },
+            'pickup-ready': {
+                title: '📦 A shirye don ɗauka',
+                body: 'Odarka #{{orderId}} ta shirya don ɗauka{{#pickupAddress}} a {{pickupAddress}}{{/pickupAddress}}.'
+            },
+            'picked-up': {
+                title: '🚚 An ɗauki odarka',
+                body: 'An ɗauki odarka #{{orderId}} kuma tana kan hanyar zuwa {{deliveryAddress}}. Lamba: {{dropOffPhoneNumber}}'
+            },
+            'in-progress': {
+                title: '🚚 Odarka tana kan hanya',
+                body: 'Odarka #{{orderId}} tana kan hanyar zuwa {{deliveryAddress}}. Lamba: {{dropOffPhoneNumber}}'
+            },
+            delivered: {
+                title: '📦 An kai odarka',
+                body: 'An kai odarka #{{orderId}} zuwa {{deliveryAddress}}. Mun gode!'
+            },
+            failed: {
+                title: '❌ Isarwa ta gaza',
+                body: 'Yi haƙuri, ba mu iya kai odarka #{{orderId}} ba. Za mu kira ka a {{dropOffPhoneNumber}} nan ba da jimawa ba.'
+            },
+            cancelled: {
+                title: '🚫 An soke odarka',
+                body: 'An soke odarka #{{orderId}}.'
+            },
+            returned: {
+                title: '↩️ An mayar da odarka',
+                body: 'An mayar da odarka #{{orderId}} ga mai aikawa.'
+            },
+            default: {
+                title: '📋 Sabunta oda',
+                body: 'An canza matsayin odarka #{{orderId}} zuwa: {{status}}'
+            }
+        }
+    },
+    ig: {
+        note: 'Ndetu',
+        statuses: {
+            confirmed: {
+                title: '✅ Anyị kwadoro order gị',
+                body: 'Anyị kwadoro order gị #{{orderId}}, anyị na-akwadebe ya ugbu a. A ga-eweta ya na {{deliveryAddress}}.'
+            },
+            'pickup-ready': {
+                title: '📦 Ọ dị njikere ka e bulie ya',
+                body: 'Order gị #{{orderId}} dị njikere ka e bulie ya{{#pickupAddress}} na {{pickupAddress}}{{/pickupAddress}}.'
+            },
+            'picked-up': {
+                title: '🚚 E buliela order gị',
+                body: 'E buliela order gị #{{orderId}}, ọ na-aga {{deliveryAddress}} ugbu a. Nọmba: {{dropOffPhoneNumber}}'
+            },
+            'in-progress': {
+                title: '🚚 Order gị nọ n\'ụzọ',
+                body: 'Order gị #{{orderId}} nọ n\'ụzọ na-aga {{deliveryAddress}}. Nọmba: {{dropOffPhoneNumber}}'
+            },
+            delivered: {
+                title: '📦 Order gị erutela',
+                body: 'E nyefela order gị #{{orderId}} na {{deliveryAddress}}. Daalụ!'
+            },
+            failed: {
+                title: '❌ Anyị enweghị ike inyefe ya',
+                body: 'Ndo, anyị enweghị ike inyefe order gị #{{orderId}}. Anyị ga-akpọ gị na {{dropOffPhoneNumber}} n\'oge na-adịghị anya.'
+            },
+            cancelled: {
+                title: '🚫 E kagburu order gị',
+                body: 'E kagburu order gị #{{orderId}}.'
+            },
+            returned: {
+                title: '↩️ E weghachiri order gị',
+                body: 'E weghachiri order gị #{{orderId}} nye onye zitere ya.'
+            },
+            default: {
+                title: '📋 Mmelite order',
+                body: 'Ọnọdụ order gị #{{orderId}} agbanweela gaa: {{status}}'
+            }
+        }
+    }
+};
+
+// Delivery requests made in the customer app (notify-user-delivery)
+const DELIVERY_UPDATE = {
+    en: {
+        note: 'Admin Note',
+        statuses: {
+            viewed: {
+                title: '📋 Delivery Viewed',
+                body: 'Your delivery request has been reviewed by our team.'
+            },
+            'in-progress': {
+                title: '🚚 Delivery In Progress',
+                body: 'Great news! Your delivery is now in progress and on its way.'
+            },
+            delivered: {
+                title: '✅ Delivery Completed',
+                body: 'Your delivery has been successfully completed. Thank you for using our service!'
+            },
+            failed: {
+                title: '❌ Delivery Failed',
+                body: 'Unfortunately, your delivery could not be completed. Please contact support.'
+            },
+            feedback: {
+                title: '💬 Admin Feedback',
+                body: '{{#feedback}}{{feedback}}{{/feedback}}{{^feedback}}You have received feedback from our admin team.{{/feedback}}'
+            },
+            default: {
+                title: '📦 Delivery Update',
+                body: 'Your delivery status has been updated to: {{status}}'
+            }
+        }
+    },
+    pcm: {
+        note: 'Admin Note',
+        statuses: {
+            viewed: {
+                title: '📋 We don see your delivery',
+                body: 'Our team don check your delivery request.'
+            },
+            'in-progress': {
+                title: '🚚 Delivery dey move',
+                body: 'Good news! Your delivery don start and e dey road now.'
+            },
+            delivered: {
+                title: '✅ Delivery don finish',
+                body: 'We don complete your delivery. Thank you say you use us!'
+            },
+            failed: {
+                title: '❌ Delivery no work',
+                body: 'Sorry, we no fit complete your delivery. Abeg contact support.'
+            },
+            feedback: {
+                title: '💬 Message from admin',
+                body: '{{#feedback}}{{feedback}}{{/feedback}}{{^feedback}}You get message from our admin team.{{/feedback}}'
+            },
+            default: {
+                title: '📦 Delivery update',
+                body: 'Your delivery status don change to: {{status}}'
+            }
+        }
+    },
+    yo: {
+        note: 'Àkíyèsí alábòójútó',
+        statuses: {
+            viewed: {
+                title: '📋 A ti wo ìbéèrè rẹ',
+                body: 'Ẹgbẹ́ wa ti ṣàyẹ̀wò ìbéèrè ìfijíṣẹ́ rẹ.'
+            },
+            'in-progress': {
+                title: '🚚 Ìfijíṣẹ́ ń lọ lọ́wọ́',
+                body: 'Ìròyìn ayọ̀! Ìfijíṣẹ́ rẹ ti bẹ̀rẹ̀, ó sì wà lójú ọ̀nà.'
+            },
+            delivered: {
+                title: '✅ Ìfijíṣẹ́ ti parí',
+                body: 'A ti parí ìfijíṣẹ́ rẹ. A dúpẹ́ pé o lo iṣẹ́ wa!'
+            },
+            failed: {
+                title: '❌ Ìfijíṣẹ́ kùnà',
+                body: 'Ẹ má bínú, a kò lè parí ìfijíṣẹ́ rẹ. Jọ̀wọ́ kàn sí àwọn olùrànlọ́wọ́ wa.'
+            },
+            feedback: {
+                title: '💬 Ọ̀rọ̀ láti ọ̀dọ̀ alábòójútó',
+                body: '{{#feedback}}{{feedback}}{{/feedback}}{{^feedback}}O ní ọ̀rọ̀ láti ọ̀dọ̀ àwọn alábòójútó wa.{{/feedback}}'
+            },
+            default: {
+                title: '📦 Ìròyìn ìfijíṣẹ́',
+                body: 'Ipò ìfijíṣẹ́ rẹ ti yí padà sí: {{status}}'
+            }
+        }
+    },
+    ha: {
+        note: 'Bayanin admin',
+        statuses: {
+            viewed: {
+                title: '📋 An duba buƙatarka',
+                body: 'Ƙungiyarmu ta duba buƙatar isar da kayanka.'
+            },
+            'in-progress': {
+                title: '🚚 Ana kan isarwa',
+                body: 'Albishir! Ana kan isar da kayanka yanzu.'
+            },
+            delivered: {
+                title: '✅ An kammala isarwa',
+                body: 'An kammala isar da kayanka. Mun gode da amfani da mu!'
+            },
+            failed: {
+                title: '❌ Isarwa ta gaza',
+                body: 'Yi haƙuri, ba mu iya kammala isar da kayanka ba. Da fatan za a tuntuɓi tallafi.'
+            },
+            feedback: {
+                title: '💬 Saƙo daga admin',
+                body: '{{#feedback}}{{feedback}}{{/feedback}}{{^feedback}}Kana da saƙo daga ƙungiyar admin ɗinmu.{{/feedback}}'
+            },
+            default: {
+                title: '📦 Sabunta isarwa',
+                body: 'An canza matsayin isarwarka zuwa: {{status}}'
+            }
+        }
+    },
+    ig: {
+        note: 'Ndetu admin',
+        statuses: {
+            viewed: {
+                title: '📋 Anyị lere arịrịọ gị',
+                body: 'Ndị otu anyị enyochala arịrịọ nnyefe gị.'
+            },
+            'in-progress': {
+                title: '🚚 Nnyefe na-aga n\'ihu',
+                body: 'Ozi ọma! Nnyefe gị amalitela, ọ nọ n\'ụzọ ugbu a.'
+            },
+            delivered: {
+                title: '✅ Nnyefe emechaala',
+                body: 'Anyị emechaala nnyefe gị. Daalụ maka iji ọrụ anyị!'
+            },
+            failed: {
+                title: '❌ Nnyefe emeghị',
+                body: 'Ndo, anyị enweghị ike imecha nnyefe gị. Biko kpọtụrụ ndị nkwado.'
+            },
+            feedback: {
+                title: '💬 Ozi sitere n\'aka admin',
+                body: '{{#feedback}}{{feedback}}{{/feedback}}{{^feedback}}Ị nwetara ozi sitere n\'aka ndị admin anyị.{{/feedback}}'
+            },
+            default: {
+                title: '📦 Mmelite nnyefe',
+                body: 'Ọnọdụ nnyefe gị agbanweela gaa: {{status}}'
+            }
+        }
+    }
+};
+
+// Sent to the drop-off contact of an e-commerce order (SMS). They didn't place the order, so
+// the texts name the customer it comes from.
+function recipientTexts(title, statuses) {
+    const result = {};
+    Object.entries(statuses).forEach(([status, body]) => {
+        result[status] = { title, body };
+    });
+    return { statuses: result };
+}
+
+const RECIPIENT_UPDATE = {
+    en: recipientTexts('📦 Delivery Update', {
+        'picked-up': 'Hello{{#recipientName}} {{recipientName}}{{/recipientName}}, a package from {{customerName}} (order {{orderId}}) has been picked up and will be delivered to {{deliveryAddress}}.',
+        'in-progress': 'Hello{{#recipientName}} {{recipientName}}{{/recipientName}}, your delivery from {{customerName}} (order {{orderId}}) is on its way to {{deliveryAddress}}. Please keep your phone reachable.',
+        delivered: 'Your delivery from {{customerName}} (order {{orderId}}) has been delivered. Thank you!',
+        failed: "We couldn't complete the delivery of order {{orderId}} from {{customerName}}. We'll reach out to arrange another attempt.",
+        default: 'Order {{orderId}} from {{customerName}} is now {{status}}.'
+    }),
+    pcm: recipientTexts('📦 Delivery update', {
+        'picked-up': 'Hello{{#recipientName}} {{recipientName}}{{/recipientName}}, we don pick up package from {{customerName}} (order {{orderId}}), e dey come {{deliveryAddress}}.',
+        'in-progress': 'Hello{{#recipientName}} {{recipientName}}{{/recipientName}}, your delivery from {{customerName}} (order {{orderId}}) dey road to {{deliveryAddress}}. Abeg make your phone dey on.',
+        delivered: 'We don deliver your package from {{customerName}} (order {{orderId}}). Thank you!',
+        failed: 'We no fit complete delivery for order {{orderId}} from {{customerName}}. We go call you to arrange am again.',
+        default: 'Order {{orderId}} from {{customerName}} don change to {{status}}.'
+    }),
+    yo: recipientTexts('📦 Ìròyìn ìfijíṣẹ́', {
+        'picked-up': 'Ẹ n lẹ{{#recipientName}} {{recipientName}}{{/recipientName}}, a ti gbé ẹrù láti ọ̀dọ̀ {{customerName}} (order {{orderId}}), ó ń bọ̀ sí {{deliveryAddress}}.',
+        'in-progress': 'Ẹ n lẹ{{#recipientName}} {{recipientName}}{{/recipientName}}, ẹrù yín láti ọ̀dọ̀ {{customerName}} (order {{orderId}}) wà lójú ọ̀nà sí {{deliveryAddress}}. Ẹ jọ̀wọ́ ẹ jẹ́ kí fóònù yín wà ní títàn.',
+        delivered: 'A ti fi ẹrù yín láti ọ̀dọ̀ {{customerName}} (order {{orderId}}) jíṣẹ́. A dúpẹ́!',
+        failed: 'A kò lè parí ìfijíṣẹ́ order {{orderId}} láti ọ̀dọ̀ {{customerName}}. A ó kàn sí yín láti ṣètò mìíràn.',
+        default: 'Ipò order {{orderId}} láti ọ̀dọ̀ {{customerName}} ti di {{status}}.'
+    }),
+    ha: recipientTexts('📦 Sabunta isarwa', {
+        'picked-up': 'Sannu{{#recipientName}} {{recipientName}}{{/recipientName}}, an ɗauki kaya daga {{customerName}} (oda {{orderId}}), ana kawo shi {{deliveryAddress}}.',
+        'in-progress': 'Sannu{{#recipientName}} {{recipientName}}{{/recipientName}}, kayanka daga {{customerName}} (oda {{orderId}}) yana kan hanyar zuwa {{deliveryAddress}}. Da fatan ka bar wayarka a kunne.',
+        delivered: 'An kai kayanka daga {{customerName}} (oda {{orderId}}). Mun gode!',
+        failed: 'Ba mu iya kammala isar da oda {{orderId}} daga {{customerName}} ba. Za mu tuntuɓe ka don sake shiryawa.',
+        default: 'Matsayin oda {{orderId}} daga {{customerName}} ya zama {{status}}.'
+    }),
+    ig: recipientTexts('📦 Mmelite nnyefe', {
+        'picked-up': "Ndeewo{{#recipientName}} {{recipientName}}{{/recipientName}}, e buliela ngwugwu sitere n'aka {{customerName}} (order {{orderId}}), ọ na-abịa {{deliveryAddress}}.",
+        'in-progress': "Ndeewo{{#recipientName}} {{recipientName}}{{/recipientName}}, ngwugwu gị sitere n'aka {{customerName}} (order {{orderId}}) nọ n'ụzọ na-abịa {{deliveryAddress}}. Biko mee ka ekwentị gị dị ndụ.",
+        delivered: "E nyefela ngwugwu gị sitere n'aka {{customerName}} (order {{orderId}}). Daalụ!",
+        failed: "Anyị enweghị ike imecha nnyefe order {{orderId}} sitere n'aka {{customerName}}. Anyị ga-akpọ gị ịhazi ọzọ.",
+        default: "Ọnọdụ order {{orderId}} sitere n'aka {{customerName}} aghọọla {{status}}."
+    })
+};
+
+// Emails to the customer: a confirmation when the order is placed and a receipt (with the
+// PDF attached) once it's delivered. Only the default status applies.
+function emailTexts(title, body) {
+    return { statuses: { default: { title, body } } };
+}
+
+const ORDER_CONFIRMATION = {
+    en: emailTexts('✅ We received your order {{orderId}}',
+        'Hello {{customerName}},\n\nThank you for your order. We have received it and will let you know as it moves.\n\nOrder: {{orderId}}\nItems: {{itemsSummary}}\nTotal: {{total}}{{#pickupAddress}}\nPickup: {{pickupAddress}}{{/pickupAddress}}\nDelivery: {{deliveryAddress}}\nDelivery contact: {{dropOffPhoneNumber}}{{#estimatedDelivery}}\nEstimated delivery: {{estimatedDelivery}}{{/estimatedDelivery}}'),
+    pcm: emailTexts('✅ We don receive your order {{orderId}}',
+        'Hello {{customerName}},\n\nThank you for your order. We don receive am and we go dey tell you as e dey move.\n\nOrder: {{orderId}}\nItems: {{itemsSummary}}\nTotal: {{total}}{{#pickupAddress}}\nPickup: {{pickupAddress}}{{/pickupAddress}}\nDelivery: {{deliveryAddress}}\nDelivery contact: {{dropOffPhoneNumber}}{{#estimatedDelivery}}\nE go reach around: {{estimatedDelivery}}{{/estimatedDelivery}}'),
+    yo: emailTexts('✅ A ti gba order yín {{orderId}}',
+        'Ẹ n lẹ {{customerName}},\n\nẸ ṣé fún order yín. A ti gbà á, a ó sì máa sọ fún yín bí ó ṣe ń lọ.\n\nOrder: {{orderId}}\nÀwọn ẹrù: {{itemsSummary}}\nÀpapọ̀: {{total}}{{#pickupAddress}}\nIbi gbígbé: {{pickupAddress}}{{/pickupAddress}}\nIbi ìfijíṣẹ́: {{deliveryAddress}}\nNọ́mbà olùgbà: {{dropOffPhoneNumber}}{{#estimatedDelivery}}\nÀkókò ìfijíṣẹ́: {{estimatedDelivery}}{{/estimatedDelivery}}'),
+    ha: emailTexts('✅ Mun karɓi odarka {{orderId}}',
+        'Sannu {{customerName}},\n\nMun gode da odarka. Mun karɓe ta kuma za mu sanar da kai yayin da take tafiya.\n\nOda: {{orderId}}\nKayayyaki: {{itemsSummary}}\nJimilla: {{total}}{{#pickupAddress}}\nWurin ɗauka: {{pickupAddress}}{{/pickupAddress}}\nWurin isarwa: {{deliveryAddress}}\nLambar mai karɓa: {{dropOffPhoneNumber}}{{#estimatedDelivery}}\nLokacin isarwa: {{estimatedDelivery}}{{/estimatedDelivery}}'),
+    ig: emailTexts('✅ Anyị natara order gị {{orderId}}',
+        "Ndeewo {{customerName}},\n\nDaalụ maka order gị. Anyị natara ya, anyị ga-agwa gị ka ọ na-aga.\n\nOrder: {{orderId}}\nNgwa: {{itemsSummary}}\nNchịkọta: {{total}}{{#pickupAddress}}\nEbe ibuli: {{pickupAddress}}{{/pickupAddress}}\nEbe nnyefe: {{deliveryAddress}}\nNọmba onye nnata: {{dropOffPhoneNumber}}{{#estimatedDelivery}}\nOge nnyefe: {{estimatedDelivery}}{{/estimatedDelivery}}")
+};
+
+const DELIVERY_RECEIPT = {
+    en: emailTexts('📦 Your order {{orderId}} has been delivered',
+        'Hello {{customerName}},\n\nYour order {{orderId}} was delivered to {{deliveryAddress}}{{#deliveredAt}} on {{deliveredAt}}{{/deliveredAt}}.\n\nItems: {{itemsSummary}}\nTotal: {{total}}\n\nYour receipt is attached. Thank you for choosing us!'),
+    pcm: emailTexts('📦 We don deliver your order {{orderId}}',
+        'Hello {{customerName}},\n\nWe don deliver your order {{orderId}} for {{deliveryAddress}}{{#deliveredAt}} on {{deliveredAt}}{{/deliveredAt}}.\n\nItems: {{itemsSummary}}\nTotal: {{total}}\n\nYour receipt dey attached. Thank you say you choose us!'),
+    yo: emailTexts('📦 A ti fi order yín {{orderId}} jíṣẹ́',
+        'Ẹ n lẹ {{customerName}},\n\nA ti fi order yín {{orderId}} jíṣẹ́ sí {{deliveryAddress}}{{#deliveredAt}} ní {{deliveredAt}}{{/deliveredAt}}.\n\nÀwọn ẹrù: {{itemsSummary}}\nÀpapọ̀: {{total}}\n\nÌwé-ẹ̀rí yín wà nínú ìsomọ́. A dúpẹ́ pé ẹ yàn wá!'),
+    ha: emailTexts('📦 An kai odarka {{orderId}}',
+        'Sannu {{customerName}},\n\nAn kai odarka {{orderId}} zuwa {{deliveryAddress}}{{#deliveredAt}} a {{deliveredAt}}{{/deliveredAt}}.\n\nKayayyaki: {{itemsSummary}}\nJimilla: {{total}}\n\nRasit ɗinka yana haɗe. Mun gode da ka zaɓe mu!'),
+    ig: emailTexts('📦 E nyefela order gị {{orderId}}',
+        "Ndeewo {{customerName}},\n\nE nyefela order gị {{orderId}} na {{deliveryAddress}}{{#deliveredAt}} na {{deliveredAt}}{{/deliveredAt}}.\n\nNgwa: {{itemsSummary}}\nNchịkọta: {{total}}\n\nRisịtị gị dị n'ime ya. Daalụ maka ịhọrọ anyị!")
+};
+
+// One push summing up the notifications held back by quiet hours or the digest; summary lists
+// their titles
+function digestTexts(title) {
+    return { statuses: { default: { title, body: '{{summary}}' } } };
+}
+
+const NOTIFICATION_DIGEST = {
+    en: digestTexts('🔔 {{count}} new updates'),
+    pcm: digestTexts('🔔 {{count}} new updates don land'),
+    yo: digestTexts('🔔 Ìròyìn tuntun {{count}}'),
+    ha: digestTexts('🔔 Sabbin sanarwa {{count}}'),
+    ig: digestTexts('🔔 Mmelite ọhụrụ {{count}}')
+};
+
+// Sent to admins when a delivery request finishes
+const ADMIN_DELIVERY_UPDATE = {
+    en: {
+        statuses: {
+            default: {
+                title: '📦 Delivery {{statusTitle}}',
+                body: 'Delivery {{shortOrderId}} has been marked as {{status}}'
+            }
+        }
+    }
+};
+
+module.exports = {
+    'order-update': ORDER_UPDATE,
+    'recipient-update': RECIPIENT_UPDATE,
+    'order-confirmation': ORDER_CONFIRMATION,
+    'delivery-receipt': DELIVERY_RECEIPT,
+    'notification-digest': NOTIFICATION_DIGEST,
+    'delivery-update': DELIVERY_UPDATE,
+    'admin-delivery-update': ADMIN_DELIVERY_UPDATE
+};
@@ -0,0 +1,439 @@
+const admin = require('firebase-admin');
+const { ORDER_STATUSES } = require('./orderStatus');
+const DEFAULTS = require('./notificationTemplateDefaults');
+
+// Notification template registry, keyed by event, status, channel and locale.
+//
+// Built-in texts live in notificationTemplateDefaults.js. Admins override single templates
+// through the API; overrides are stored in notification_templates/{event}:{status}:{channel}:{locale}
+// and cached for TEMPLATE_CACHE_MS (writes on this instance clear the cache straight away).
+//
+// Lookup for (event, status, channel, locale) tries the locale then English, and within each
+// the status then `default`, taking an override before the built-in text at every step.
+//
+// Template syntax: {{name}} inserts a variable, {{#name}}...{{/name}} is shown only when the
+// variable is set and {{^name}}...{{/name}} only when it isn't. Unknown variables are rejected
+// when a template is saved.
+
+const LOCALES = ['en', 'pcm', 'yo', 'ha', 'ig'];
+const DEFAULT_LOCALE = 'en';
+
+// Fields each channel's templates carry
+const CHANNEL_FIELDS = {
+    push: ['title', 'body'],
+    'in-app': ['title', 'body'],
+    socket: ['body'],
+    sms: ['body'],
+    email: ['subject', 'body', 'html']
+};
+const CHANNELS = Object.keys(CHANNEL_FIELDS);
+
+// statuses: the statuses templates can be written for (null = any status slug)
+const EVENTS = {
+    'order-update': {
+        description: 'E-commerce order status changes, sent to the customer',
+        statuses: [...ORDER_STATUSES, 'default'],
+        variables: ['orderId', 'shortOrderId', 'status', 'customerName', 'pickupAddress', 'deliveryAddress', 'dropOffPhoneNumber', 'feedback', 'hasPickup'],
+        sample: {
+            orderId: 'ECO-1760000000000-abc123',
+            shortOrderId: 'ECO-1760',
+            status: 'in-progress',
+            customerName: 'Adaeze Okafor',
+            pickupAddress: '12 Admiralty Way, Lekki, Lagos',
+            deliveryAddress: '5 Allen Avenue, Ikeja, Lagos',
+            dropOffPhoneNumber: '+2348012345678',
+            feedback: '',
+            hasPickup: true
+        }
+    },
+    'recipient-update': {
+        description: 'E-commerce order status changes, sent to the drop-off contact by SMS',
+        statuses: [...ORDER_STATUSES, 'default'],
+        variables: ['orderId', 'shortOrderId', 'status', 'customerName', 'recipientName', 'deliveryAddress', 'dropOffPhoneNumber'],
+        sample: {
+            orderId: 'ECO-1760000000000-abc123',
+            shortOrderId: 'ECO-1760',
+            status: 'in-progress',
+            customerName: 'Adaeze Okafor',
+            recipientName: 'Tunde Bakare',
+            deliveryAddress: '5 Allen Avenue, Ikeja, Lagos',
+            dropOffPhoneNumber: '+2348012345678'
+        }
+    },
+    'order-confirmation': {
+        description: 'New e-commerce orders, sent to the customer by email',
+        statuses: ['default'],
+        variables: ['orderId', 'shortOrderId', 'customerName', 'pickupAddress', 'deliveryAddress', 'dropOffPhoneNumber', 'itemsSummary', 'total', 'estimatedDelivery', 'hasPickup'],
+        sample: {
+            orderId: 'ECO-1760000000000-abc123',
+            shortOrderId: 'ECO-1760',
+            customerName: 'Adaeze Okafor',
+            pickupAddress: '12 Admiralty Way, Lekki, Lagos',
+            deliveryAddress: '5 Allen Avenue, Ikeja, Lagos',
+            dropOffPhoneNumber: '+2348012345678',
+            itemsSummary: '2 x Ankara tote bag, 1 x Leather sandals',
+            total: '₦18,562.50',
+            estimatedDelivery: '18 Oct 2026, 3:30 pm',
+            hasPickup: true
+        }
+    },
+    'delivery-receipt': {
+        description: 'Delivered e-commerce orders, sent to the customer by email with the PDF receipt',
+        statuses: ['default'],
+        variables: ['orderId', 'shortOrderId', 'customerName', 'deliveryAddress', 'itemsSummary', 'total', 'deliveredAt'],
+        sample: {
+            orderId: 'ECO-1760000000000-abc123',
+            shortOrderId: 'ECO-1760',
+            customerName: 'Adaeze Okafor',
+            deliveryAddress: '5 Allen Avenue, Ikeja, Lagos',
+            itemsSummary: '2 x Ankara tote bag, 1 x Leather sandals',
+            total: '₦18,562.50',
+            deliveredAt: '18 Oct 2026, 3:12 pm'
+        }
+    },
+    'notification-digest': {
+        description: 'Pushes held back by quiet hours or the digest, sent together as one summary',
+        statuses: ['default'],
+        variables: ['count', 'summary'],
+        sample: {
+            count: 3,
+            summary: '🚚 Order In Transit\n📦 Order Delivered\n📋 Order Update'
+        }
+    },
+    'delivery-update': {
+        description: 'Delivery request updates from notify-user-delivery, sent to the app user',
+        statuses: null,
+        variables: ['orderId', 'shortOrderId', 'status', 'feedback'],
+        sample: {
+            orderId: 'a1b2c3d4e5f6',
+            shortOrderId: 'a1b2c3d4',
+            status: 'in-progress',
+            feedback: ''
+        }
+    },
+    'admin-delivery-update': {
+        description: 'Finished delivery requests, sent to admins',
+        statuses: null,
+        variables: ['orderId', 'shortOrderId', 'status', 'statusTitle', 'userId'],
+        sample: {
+            orderId: 'a1b2c3d4e5f6',
+            shortOrderId: 'a1b2c3d4',
+            status: 'delivered',
+            statusTitle: 'Delivered',
+            userId: 'user-uid'
+        }
+    }
+};
+
+const STATUS_PATTERN = /^[a-z][a-z0-9-]{0,39}$/;
+const TAG_PATTERN = /{{\s*([#^/]?)\s*([A-Za-z][A-Za-z0-9]*)\s*}}/g;
+
+const TEMPLATE_CACHE_MS = Number(process.env.NOTIFICATION_TEMPLATE_CACHE_MS) || 60 * 1000;
+
+let overrideCache = null; // { overrides: Map(id -> template), loadedAt }
+
+function templatesCollection() {
+    return admin.firestore().collection('notification_templates');
+}
+
+function getTemplateId(event, status, channel, locale) {
+    return `${event}:${status}:${channel}:${locale}`;
+}
+
+// 'en-NG', 'YO' or 'pcm_NG' -> a supported locale, or the default
+function normalizeLocale(value) {
+    if (typeof value !== 'string') {
+        return DEFAULT_LOCALE;
+    }
+    const language = value.trim().toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function isKnownStatus(event, status) {
+    const { statuses } = EVENTS[event];
+    return statuses ? statuses.includes(status) : STATUS_PATTERN.test(status);
+}
+
+// Problems with a template text: unknown variables and unbalanced sections
+function checkTemplateText(text, variables) {
+    const problems = [];
+    const open = [];
+
+    for (const [, kind, name] of text.matchAll(TAG_PATTERN)) {
+        if (!variables.includes(name)) {
+            problems.push(`unknown variable {{${name}}}`);
+        }
+        if (kind === '#' || kind === '^') {
+            open.push(name);
+        } else if (kind === '/') {
+            if (open.pop() !== name) {
+                problems.push(`{{/${name}}} does not close the innermost open section`);
+            }
+        }
+    }
+    open.forEach(name => problems.push(`section {{#${name}}} is never closed`));
+    return problems;
+}
+
+function escapeHtml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+// Sections first (innermost outwards), then variables
+function renderText(text, variables, { html = false } = {}) {
+    const sectionPattern = /{{\s*([#^])\s*([A-Za-z][A-Za-z0-9]*)\s*}}((?:(?!{{\s*[#^])[\s\S])*?){{\s*\/\s*\2\s*}}/;
+    let result = text;
+    let match;
+    while ((match = sectionPattern.exec(result))) {
+        const [whole, kind, name, inner] = match;
+        const show = kind === '#' ? isSet(variables[name]) : !isSet(variables[name]);
+        result = result.slice(0, match.index) + (show ? inner : '') + result.slice(match.index + whole.length);
+    }
+
+    return result.replace(/{{\s*([A-Za-z][A-Za-z0-9]*)\s*}}/g, (tag, name) => {
+        const value = isSet(variables[name]) ? String(variables[name]) : '';
+        return html ? escapeHtml(value) : value;
+    });
+}
+
+// HTML email around a built-in text: the title as heading, the body's lines kept. Runs on the
+// template text, so the variables are still HTML-escaped when it's rendered.
+function toEmailHtml(title, body) {
+    return [
+        '<!DOCTYPE html>',
+        '<html><body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b">',
+        '<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px">',
+        `<h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(title)}</h1>`,
+        `<p style="font-size:15px;line-height:1.5;margin:0">${escapeHtml(body).replace(/\n/g, '<br>')}</p>`,
+        '</div>',
+        '</body></html>'
+    ].join('\n');
+}
+
+// Built-in template for one channel, or null if this locale/status has no text of its own
+function getBuiltinTemplate(event, status, channel, locale) {
+    const localeTexts = DEFAULTS[event]?.[locale];
+    const texts = localeTexts?.statuses[status];
+    if (!texts) {
+        return null;
+    }
+
+    // Bodies that don't show the feedback themselves get it as a note
+    const note = (separator) => localeTexts.note && !/{{\s*[#^]?\s*feedback\s*}}/.test(texts.body)
+        ? `{{#feedback}}${separator}${localeTexts.note}: {{feedback}}{{/feedback}}`
+        : '';
+
+    switch (channel) {
+        case 'push':
+        case 'in-app':
+            return { title: texts.title, body: texts.body + note('\n\n') };
+        case 'socket':
+            return { body: (texts.socket || texts.body) + note(' ') };
+        case 'sms':
+            return { body: texts.sms || texts.body };
+        case 'email': {
+            const body = texts.body + note('\n\n');
+            return { subject: texts.title, body, html: toEmailHtml(texts.title, body) };
+        }
+        default:
+            return null;
+    }
+}
+
+async function getOverrides() {
+    if (overrideCache && Date.now() - overrideCache.loadedAt < TEMPLATE_CACHE_MS) {
+        return overrideCache.overrides;
+    }
+
+    const snapshot = await templatesCollection().get();
+    const overrides = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+    overrideCache = { overrides, loadedAt: Date.now() };
+    return overrides;
+}
+
+function pickFields(channel, template) {
+    const fields = {};
+    CHANNEL_FIELDS[channel].forEach(field => {
+        fields[field] = template[field] ?? null;
+    });
+    return fields;
+}
+
+// Resolves { template, source, status, locale } - the template that applies and where it came from
+async function resolveTemplate(event, status, channel, locale) {
+    const overrides = await getOverrides();
+    const locales = [...new Set([normalizeLocale(locale), DEFAULT_LOCALE])];
+    const statuses = [...new Set([status, 'default'])];
+
+    for (const candidateLocale of locales) {
+        for (const candidateStatus of statuses) {
+            const override = overrides.get(getTemplateId(event, candidateStatus, channel, candidateLocale));
+            if (override) {
+                return { template: pickFields(channel, override), source: 'override', status: candidateStatus, locale: candidateLocale };
+            }
+            const builtin = getBuiltinTemplate(event, candidateStatus, channel, candidateLocale);
+            if (builtin) {
+                return { template: builtin, source: 'default', status: candidateStatus, locale: candidateLocale };
+            }
+        }
+    }
+    return null;
+}
+
+// Render the message for one channel. Resolves { title?, body, subject?, html?, locale }.
+async function render(event, status, channel, locale, variables) {
+    const resolved = await resolveTemplate(event, status, channel, locale);
+    if (!resolved) {
+        throw new Error(`No ${channel} template for ${event}/${status}`);
+    }
+    return renderTemplate(channel, resolved.template, variables, resolved.locale);
+}
+
+function renderTemplate(channel, template, variables, locale) {
+    const rendered = { locale };
+    CHANNEL_FIELDS[channel].forEach(field => {
+        rendered[field] = template[field] ? renderText(template[field], variables, { html: field === 'html' }) : null;
+    });
+    return rendered;
+}
+
+// Every built-in and stored template, optionally filtered
+async function listTemplates({ event, channel, locale } = {}) {
+    const overrides = await getOverrides();
+    const templates = new Map();
+
+    Object.keys(EVENTS).forEach(eventName => {
+        Object.entries(DEFAULTS[eventName] || {}).forEach(([localeName, texts]) => {
+            Object.keys(texts.statuses).forEach(status => {
+                CHANNELS.forEach(channelName => {
+                    const id = getTemplateId(eventName, status, channelName, localeName);
+                    templates.set(id, {
+                        id,
+                        event: eventName,
+                        status,
+                        channel: channelName,
+                        locale: localeName,
+                        source: 'default',
+                        ...getBuiltinTemplate(eventName, status, channelName, localeName)
+                    });
+                });
+            });
+        });
+    });
+
+    overrides.forEach((override, id) => {
+        templates.set(id, {
+            id,
+            event: override.event,
+            status: override.status,
+            channel: override.channel,
+            locale: override.locale,
+            source: 'override',
+            ...pickFields(override.channel, override),
+            updatedAt: override.updatedAt?.toDate ? override.updatedAt.toDate().toISOString() : null,
+            updatedBy: override.updatedBy || null
+        });
+    });
+
+    return Array.from(templates.values()).filter(template =>
+        (!event || template.event === event) &&
+        (!channel || template.channel === channel) &&
+        (!locale || template.locale === locale)
+    );
+}
+
+// Field problems ({ field, message }) with a template for this event and channel
+function validateTemplate(event, channel, fields) {
+    const problems = [];
+    const { variables } = EVENTS[event];
+
+    CHANNEL_FIELDS[channel].forEach(field => {
+        if (typeof fields[field] === 'string') {
+            checkTemplateText(fields[field], variables).forEach(message => problems.push({ field, message: `${field}: ${message}` }));
+        }
+    });
+    if (!fields.body) {
+        problems.push({ field: 'body', message: 'body is required' });
+    }
+    if (CHANNEL_FIELDS[channel].includes('title') && !fields.title) {
+        problems.push({ field: 'title', message: `title is required for ${channel} templates` });
+    }
+    if (channel === 'email' && !fields.subject) {
+        problems.push({ field: 'subject', message: 'subject is required for email templates' });
+    }
+    return problems;
+}
+
+async function saveTemplate({ event, status, channel, locale }, fields, changedBy) {
+    const id = getTemplateId(event, status, channel, locale);
+    const template = {
+        event,
+        status,
+        channel,
+        locale,
+        ...pickFields(channel, fields),
+        updatedBy: changedBy || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await templatesCollection().doc(id).set(template);
+    overrideCache = null;
+    return { id, ...template, updatedAt: new Date().toISOString() };
+}
+
+// Drop an override so the built-in text applies again. Resolves false if there was none.
+async function deleteTemplate({ event, status, channel, locale }) {
+    const ref = templatesCollection().doc(getTemplateId(event, status, channel, locale));
+    const doc = await ref.get();
+    if (!doc.exists) {
+        return false;
+    }
+    await ref.delete();
+    overrideCache = null;
+    return true;
+}
+
+// Render with the event's sample variables (overridable). With a draft template, the draft is
+// rendered instead of the stored one.
+async function preview({ event, status, channel, locale }, { variables = {}, draft } = {}) {
+    const allVariables = { ...EVENTS[event].sample, status, ...variables };
+
+    if (draft) {
+        return {
+            source: 'draft',
+            ...renderTemplate(channel, pickFields(channel, draft), allVariables, normalizeLocale(locale))
+        };
+    }
+
+    const resolved = await resolveTemplate(event, status, channel, locale);
+    return {
+        source: resolved.source,
+        resolvedStatus: resolved.status,
+        ...renderTemplate(channel, resolved.template, allVariables, resolved.locale)
+    };
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    CHANNELS,
+    CHANNEL_FIELDS,
+    EVENTS,
+    normalizeLocale,
+    isKnownStatus,
+    render,
+    listTemplates,
+    validateTemplate,
+    saveTemplate,
+    deleteTemplate,
+    preview
+};
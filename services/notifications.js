@@ -0,0 +1,495 @@
+const admin = require('firebase-admin');
+const push = require('./push');
+const sms = require('./sms');
+const email = require('./email');
+const inbox = require('./inbox');
+const receipts = require('./receipts');
+const templates = require('./notificationTemplates');
+const preferences = require('./notificationPreferences');
+const notificationQueue = require('./notificationQueue');
+
+// Notification pipeline: renders the templates for an event and delivers them on each channel
+// (in-app notifications through the inboxes, push, SMS, email, and the socket message returned
+// to the caller for broadcasting).
+//
+// The recipient's locale comes from the order (customerInfo.locale) or their user document.
+//
+// Order status SMS go to the customer's phoneNumber on SMS_CUSTOMER_STATUSES and to the
+// drop-off phone on SMS_RECIPIENT_STATUSES (comma-separated lists). A drop-off phone that is
+// the customer's own number only gets the customer message.
+//
+// Customers with an email address get an order confirmation, status emails on
+// EMAIL_CUSTOMER_STATUSES and, once delivered, a receipt email with the PDF attached in place
+// of the status email.
+//
+// Push, SMS and email to a signed-in user follow their notification preferences: a channel they
+// turned off is skipped, and pushes and SMS held for quiet hours or the digest wait in the
+// notification queue until processHeldNotifications() releases them. Several pushes released
+// for a user at once go out as one summary.
+
+function parseStatusList(value, fallback) {
+    return (value || fallback).split(',').map(status => status.trim()).filter(Boolean);
+}
+
+const SMS_CUSTOMER_STATUSES = parseStatusList(process.env.SMS_CUSTOMER_STATUSES, 'confirmed,picked-up,in-progress,delivered,failed');
+const SMS_RECIPIENT_STATUSES = parseStatusList(process.env.SMS_RECIPIENT_STATUSES, 'in-progress,delivered,failed');
+const EMAIL_CUSTOMER_STATUSES = parseStatusList(process.env.EMAIL_CUSTOMER_STATUSES, 'confirmed,picked-up,in-progress,delivered,failed,cancelled,returned');
+
+const DISPLAY_TIMEZONE = 'Africa/Lagos';
+
+// Titles listed in a summary of released pushes before the rest are only counted
+const HELD_SUMMARY_LINES = 5;
+
+function db() {
+    return admin.firestore();
+}
+
+function getShortId(id) {
+    return id ? String(id).substring(0, 8) : 'unknown';
+}
+
+async function getUserLocale(uid) {
+    if (!uid) {
+        return templates.DEFAULT_LOCALE;
+    }
+    const userDoc = await db().collection('users').doc(uid).get();
+    return templates.normalizeLocale(userDoc.exists ? userDoc.data().locale : null);
+}
+
+async function getOrderLocale(delivery) {
+    if (delivery.customerInfo?.locale) {
+        return templates.normalizeLocale(delivery.customerInfo.locale);
+    }
+    return getUserLocale(delivery.customerInfo?.uid);
+}
+
+// Variables for order-update templates
+function getOrderVariables(orderId, delivery, { status, feedback }) {
+    return {
+        orderId,
+        shortOrderId: getShortId(orderId),
+        status,
+        customerName: delivery.customerInfo?.name || '',
+        pickupAddress: delivery.pickupAddress?.street || '',
+        deliveryAddress: delivery.deliveryAddress?.street || '',
+        dropOffPhoneNumber: delivery.deliveryAddress?.phone || '',
+        feedback: feedback || '',
+        hasPickup: !!delivery.pickupAddress
+    };
+}
+
+function formatMoney(amount, currency = 'NGN') {
+    return new Intl.NumberFormat('en-NG', { style: 'currency', currency }).format(Number(amount || 0));
+}
+
+function formatDateTime(value) {
+    const date = value?.toDate ? value.toDate() : (value ? new Date(value) : null);
+    if (!date || Number.isNaN(date.getTime())) {
+        return '';
+    }
+    return date.toLocaleString('en-NG', { timeZone: DISPLAY_TIMEZONE, dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Variables for the confirmation and receipt emails
+function getEmailVariables(orderId, delivery) {
+    const summary = delivery.orderSummary || {};
+    return {
+        ...getOrderVariables(orderId, delivery, { status: delivery.status }),
+        itemsSummary: (delivery.items || []).map(item => `${item.quantity || 1} x ${item.name}`).join(', '),
+        total: formatMoney(summary.total, summary.currency),
+        estimatedDelivery: formatDateTime(delivery.estimatedDeliveryTime),
+        deliveredAt: formatDateTime(delivery.statusTimestamps?.delivered)
+    };
+}
+
+// Push for a stored notification, following each user's preferences. Resolves the push
+// outcome for the users sent to now, plus how many were held or skipped.
+async function deliverPush(notificationRef, userIds, message, { event, status }) {
+    const sendNow = [];
+    let held = 0;
+    let skipped = 0;
+
+    await Promise.all(userIds.map(async (uid) => {
+        const decision = preferences.decide(await preferences.getPreferences(uid), { event, status, channel: 'push' });
+        if (decision.action === 'send') {
+            sendNow.push(uid);
+        } else if (decision.action === 'hold') {
+            held += 1;
+            await notificationQueue.holdNotification({
+                uid,
+                channel: 'push',
+                event,
+                eventStatus: status,
+                reason: decision.reason,
+                releaseAt: decision.releaseAt,
+                push: message
+            });
+        } else {
+            skipped += 1;
+        }
+    }));
+
+    const outcome = sendNow.length > 0
+        ? await push.dispatchNotification(notificationRef, sendNow, message)
+        : { successCount: 0, failureCount: 0, results: [] };
+    return { ...outcome, held, skipped };
+}
+
+// The customer's decision for one channel; storefront customers without an account have no
+// preferences, so everything is sent
+async function decideForCustomer(delivery, { status, channel }) {
+    const uid = delivery.customerInfo?.uid;
+    if (!uid) {
+        return { action: 'send' };
+    }
+    return preferences.decide(await preferences.getPreferences(uid), { event: 'order-update', status, channel });
+}
+
+// One-line message for the order's socket subscribers, in the order's locale
+async function getSocketMessage(orderId, delivery, { status, feedback }) {
+    const locale = await getOrderLocale(delivery);
+    const { body } = await templates.render('order-update', status, 'socket', locale,
+        getOrderVariables(orderId, delivery, { status, feedback }));
+    return body;
+}
+
+// In-app notification and push for the customer. Resolves the notification id, or null when
+// the customer has no account or email on file to attach it to.
+async function notifyOrderCustomer(orderId, delivery, { status, feedback }) {
+    // create-order links the customer's account (customerInfo.uid) when one matches their
+    // verified email or phone; guests only have their email
+    const customerUserId = delivery.customerInfo?.uid || null;
+    if (!delivery.customerInfo?.email && !customerUserId) {
+        return null;
+    }
+
+    const locale = await getOrderLocale(delivery);
+    const variables = getOrderVariables(orderId, delivery, { status, feedback });
+    const message = await templates.render('order-update', status, 'in-app', locale, variables);
+
+    const customerNotificationData = {
+        userId: customerUserId || 'ecommerce-customer',
+        email: delivery.customerInfo.email || null,
+        title: message.title,
+        body: message.body,
+        locale: message.locale,
+        type: 'order_update',
+        data: {
+            orderId: orderId,
+            status: status,
+            serviceType: delivery.serviceType,
+            hasPickup: !!delivery.pickupAddress,
+            dropOffPhoneNumber: delivery.deliveryAddress?.phone,
+            feedback: feedback || null
+        }
+    };
+
+    const customerNotificationRef = await inbox.addNotification('user', customerNotificationData);
+
+    if (customerUserId) {
+        const pushMessage = await templates.render('order-update', status, 'push', locale, variables);
+        await deliverPush(customerNotificationRef, [customerUserId], {
+            title: pushMessage.title,
+            body: pushMessage.body,
+            data: {
+                notificationId: customerNotificationRef.id,
+                ...customerNotificationData.data
+            }
+        }, { event: 'order-update', status });
+    }
+
+    return customerNotificationRef.id;
+}
+
+async function holdCustomerSms(delivery, decision, message) {
+    await notificationQueue.holdNotification({
+        uid: delivery.customerInfo.uid,
+        channel: 'sms',
+        event: 'order-update',
+        eventStatus: message.context.orderStatus,
+        reason: decision.reason,
+        releaseAt: decision.releaseAt,
+        sms: message
+    });
+    return { messageId: null, status: 'held', releaseAt: decision.releaseAt.toISOString() };
+}
+
+// Status SMS for the customer and the drop-off contact. Resolves the logged (or held) messages.
+async function sendOrderSms(orderId, delivery, { status }) {
+    const locale = await getOrderLocale(delivery);
+    const customerPhone = sms.normalizePhoneNumber(delivery.customerInfo?.phone);
+    const dropOffPhone = sms.normalizePhoneNumber(delivery.deliveryAddress?.phone);
+    const sends = [];
+
+    if (customerPhone && SMS_CUSTOMER_STATUSES.includes(status)) {
+        const decision = await decideForCustomer(delivery, { status, channel: 'sms' });
+        if (decision.action !== 'skip') {
+            const { body } = await templates.render('order-update', status, 'sms', locale,
+                getOrderVariables(orderId, delivery, { status }));
+            const context = { orderId, recipient: 'customer', event: 'order-update', orderStatus: status, locale };
+            sends.push(decision.action === 'hold'
+                ? holdCustomerSms(delivery, decision, { to: customerPhone, body, context })
+                : sms.sendSms(customerPhone, body, context));
+        }
+    }
+
+    if (dropOffPhone && dropOffPhone !== customerPhone && SMS_RECIPIENT_STATUSES.includes(status)) {
+        const { body } = await templates.render('recipient-update', status, 'sms', locale, {
+            ...getOrderVariables(orderId, delivery, { status }),
+            recipientName: delivery.deliveryAddress?.contactName || ''
+        });
+        sends.push(sms.sendSms(dropOffPhone, body, { orderId, recipient: 'drop-off', event: 'recipient-update', orderStatus: status, locale }));
+    }
+
+    return Promise.all(sends);
+}
+
+// Status email for the customer; a delivered order gets its receipt instead. Resolves the
+// logged message, or null when the customer has no email address or this status isn't emailed.
+async function sendOrderEmail(orderId, delivery, { status, feedback }) {
+    const address = delivery.customerInfo?.email;
+    if (!address || !EMAIL_CUSTOMER_STATUSES.includes(status)) {
+        return null;
+    }
+    if ((await decideForCustomer(delivery, { status, channel: 'email' })).action === 'skip') {
+        return null;
+    }
+    const locale = await getOrderLocale(delivery);
+
+    if (status === 'delivered') {
+        // Read back so the receipt shows the delivery time and the full timeline
+        const receipt = await receipts.loadReceipt(orderId);
+        if (receipt) {
+            const message = await templates.render('delivery-receipt', 'default', 'email', locale,
+                getEmailVariables(orderId, receipt.delivery));
+            return email.sendEmail(address, {
+                subject: message.subject,
+                text: message.body,
+                html: message.html,
+                attachments: [{
+                    filename: `receipt-${orderId}.pdf`,
+                    content: await receipts.renderReceiptPdf(receipt),
+                    contentType: 'application/pdf'
+                }]
+            }, { orderId, event: 'delivery-receipt', orderStatus: status, locale });
+        }
+    }
+
+    const message = await templates.render('order-update', status, 'email', locale,
+        getOrderVariables(orderId, delivery, { status, feedback }));
+    return email.sendEmail(address, { subject: message.subject, text: message.body, html: message.html },
+        { orderId, event: 'order-update', orderStatus: status, locale });
+}
+
+// Order confirmation email for a new e-commerce order. Never throws; resolves the logged
+// message, or null when the customer gave no email address.
+async function notifyOrderCreated(orderId, delivery) {
+    const address = delivery.customerInfo?.email;
+    if (!address) {
+        return null;
+    }
+
+    try {
+        if ((await decideForCustomer(delivery, { status: delivery.status, channel: 'email' })).action === 'skip') {
+            return null;
+        }
+        const locale = await getOrderLocale(delivery);
+        const message = await templates.render('order-confirmation', 'default', 'email', locale,
+            getEmailVariables(orderId, delivery));
+        return await email.sendEmail(address, { subject: message.subject, text: message.body, html: message.html },
+            { orderId, event: 'order-confirmation', orderStatus: delivery.status, locale });
+    } catch (error) {
+        console.error(`❌ Confirmation email for order ${orderId} failed:`, error);
+        return null;
+    }
+}
+
+// Everything that goes out when an e-commerce order is updated, apart from the socket
+// broadcast. SMS and email only go out when the status actually changed (delivery is the order
+// as it was before the update). One failing channel doesn't stop the others.
+// Resolves { notificationId, sms: [{ messageId, status }], email: { messageId, status } | null }.
+async function notifyOrderStatus(orderId, delivery, { status, feedback }) {
+    const statusChanged = status !== delivery.status;
+    const [inApp, smsResult, emailResult] = await Promise.allSettled([
+        notifyOrderCustomer(orderId, delivery, { status, feedback }),
+        statusChanged ? sendOrderSms(orderId, delivery, { status }) : [],
+        statusChanged ? sendOrderEmail(orderId, delivery, { status, feedback }) : null
+    ]);
+
+    if (inApp.status === 'rejected') {
+        console.error(`❌ Customer notification for order ${orderId} failed:`, inApp.reason);
+    }
+    if (smsResult.status === 'rejected') {
+        console.error(`❌ Status SMS for order ${orderId} failed:`, smsResult.reason);
+    }
+    if (emailResult.status === 'rejected') {
+        console.error(`❌ Status email for order ${orderId} failed:`, emailResult.reason);
+    }
+
+    return {
+        notificationId: inApp.status === 'fulfilled' ? inApp.value : null,
+        sms: smsResult.status === 'fulfilled' ? smsResult.value : [],
+        email: emailResult.status === 'fulfilled' ? emailResult.value : null
+    };
+}
+
+// Delivery request updates (notify-user-delivery): the app user gets an in-app notification and
+// a push; admins are told when the delivery finishes. Resolves the notification refs and the
+// user's push outcome.
+async function notifyDeliveryUser({ userId, status, feedback, deliveryData }) {
+    const deliveryId = deliveryData?.id || 'unknown';
+    const locale = await getUserLocale(userId);
+    const variables = {
+        orderId: deliveryId,
+        shortOrderId: getShortId(deliveryData?.id),
+        status,
+        feedback: feedback || ''
+    };
+
+    const message = await templates.render('delivery-update', status, 'in-app', locale, variables);
+    const userNotificationData = {
+        userId: userId,
+        title: message.title,
+        body: message.body,
+        locale: message.locale,
+        type: 'delivery_update',
+        data: {
+            deliveryId,
+            status: status,
+            deliveryType: deliveryData?.deliveryType || 'unknown'
+        }
+    };
+
+    console.log('📄 Creating USER notification...');
+    const userNotificationRef = await inbox.addNotification('user', userNotificationData);
+    console.log('✅ User notification created with ID:', userNotificationRef.id);
+
+    const pushMessage = await templates.render('delivery-update', status, 'push', locale, variables);
+    const userPush = await deliverPush(userNotificationRef, [userId], {
+        title: pushMessage.title,
+        body: pushMessage.body,
+        data: {
+            notificationId: userNotificationRef.id,
+            ...userNotificationData.data
+        }
+    }, { event: 'delivery-update', status });
+
+    let adminNotificationRef = null;
+    if (['delivered', 'failed'].includes(status)) {
+        adminNotificationRef = await notifyAdminsOfDelivery({ userId, status, deliveryData });
+    } else {
+        console.log('⏭️ Skipping admin notification for status:', status);
+    }
+
+    return { userNotificationRef, adminNotificationRef, userPush };
+}
+
+async function notifyAdminsOfDelivery({ userId, status, deliveryData }) {
+    const message = await templates.render('admin-delivery-update', status, 'in-app', templates.DEFAULT_LOCALE, {
+        orderId: deliveryData?.id || 'unknown',
+        shortOrderId: getShortId(deliveryData?.id),
+        status,
+        statusTitle: status.charAt(0).toUpperCase() + status.slice(1),
+        userId
+    });
+
+    const adminNotificationData = {
+        type: 'delivery_completed',
+        title: message.title,
+        body: message.body,
+        data: {
+            deliveryId: deliveryData?.id || 'unknown',
+            userId: userId,
+            status: status,
+            deliveryType: deliveryData?.deliveryType || 'unknown'
+        }
+    };
+
+    console.log('📄 Creating ADMIN notification...');
+    const adminNotificationRef = await inbox.addNotification('admin', adminNotificationData);
+    console.log('✅ Admin notification created with ID:', adminNotificationRef.id);
+
+    const adminsSnapshot = await db().collection('users').where('isAdmin', '==', true).get();
+    await deliverPush(adminNotificationRef, adminsSnapshot.docs.map(doc => doc.id), {
+        title: adminNotificationData.title,
+        body: adminNotificationData.body,
+        data: {
+            notificationId: adminNotificationRef.id,
+            ...adminNotificationData.data
+        }
+    }, { event: 'admin-delivery-update', status });
+
+    return adminNotificationRef;
+}
+
+// Pushes released together become one summary in the user's language
+async function sendHeldPushes(uid, entries) {
+    if (entries.length === 1) {
+        return push.sendPushToUsers([uid], entries[0].push);
+    }
+
+    const locale = await getUserLocale(uid);
+    const titles = entries.map(entry => entry.push.title);
+    const summary = titles.length > HELD_SUMMARY_LINES
+        ? [...titles.slice(0, HELD_SUMMARY_LINES), `+${titles.length - HELD_SUMMARY_LINES}`].join('\n')
+        : titles.join('\n');
+    const message = await templates.render('notification-digest', 'default', 'push', locale, {
+        count: entries.length,
+        summary
+    });
+
+    return push.sendPushToUsers([uid], {
+        title: message.title,
+        body: message.body,
+        data: {
+            type: 'notification_digest',
+            notificationIds: entries.map(entry => entry.push.data?.notificationId).filter(Boolean)
+        }
+    });
+}
+
+// Send the held notifications whose time has come (quiet hours over, digest due).
+// Resolves the number of queue entries released.
+async function processHeldNotifications() {
+    const entries = await notificationQueue.claimDueEntries();
+    if (entries.length === 0) {
+        return 0;
+    }
+
+    const pushesByUser = new Map();
+    entries.filter(entry => entry.channel === 'push').forEach(entry => {
+        pushesByUser.set(entry.uid, [...(pushesByUser.get(entry.uid) || []), entry]);
+    });
+
+    for (const [uid, userEntries] of pushesByUser) {
+        try {
+            const outcome = await sendHeldPushes(uid, userEntries);
+            await notificationQueue.completeEntries(userEntries, {
+                result: { successCount: outcome.successCount, failureCount: outcome.failureCount }
+            });
+        } catch (error) {
+            console.error(`❌ Releasing held pushes for ${uid} failed:`, error);
+            await notificationQueue.completeEntries(userEntries, { failed: true, result: { error: error.message } });
+        }
+    }
+
+    for (const entry of entries.filter(entry => entry.channel === 'sms')) {
+        try {
+            const result = await sms.sendSms(entry.sms.to, entry.sms.body, entry.sms.context);
+            await notificationQueue.completeEntries([entry], { failed: result.status === 'failed', result });
+        } catch (error) {
+            console.error(`❌ Releasing held SMS ${entry.id} failed:`, error);
+        }
+    }
+
+    console.log(`▶️ Released ${entries.length} held notification(s)`);
+    return entries.length;
+}
+
+module.exports = {
+    getSocketMessage,
+    notifyOrderCreated,
+    notifyOrderStatus,
+    notifyDeliveryUser,
+    processHeldNotifications
+};
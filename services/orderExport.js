@@ -0,0 +1,122 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const orderQuery = require('./orderQuery');
+
+// Streams the filtered order list (same filters as orderQuery) as CSV or XLSX.
+//
+// Orders are read with Firestore's query.stream() and written row by row, waiting for the
+// response to drain, so an export never holds the whole list in memory.
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+function toIsoString(value) {
+    return value?.toDate ? value.toDate().toISOString() : value || '';
+}
+
+function formatAddress(address) {
+    if (!address) return '';
+    return [address.street, address.city, address.state, address.country].filter(Boolean).join(', ');
+}
+
+const COLUMNS = [
+    { header: 'Order ID', value: order => order.id },
+    { header: 'Created At', value: order => toIsoString(order.createdAt) },
+    { header: 'Status', value: order => order.status },
+    { header: 'Service Type', value: order => order.serviceType || 'DELIVERY_ONLY' },
+    { header: 'Merchant ID', value: order => order.merchantId || '' },
+    { header: 'Rider ID', value: order => order.riderId || '' },
+    { header: 'Customer Name', value: order => order.customerInfo?.name || '' },
+    { header: 'Customer Phone', value: order => order.customerInfo?.phone || '' },
+    { header: 'Customer Email', value: order => order.customerInfo?.email || '' },
+    { header: 'Pickup Address', value: order => formatAddress(order.pickupAddress) },
+    { header: 'Delivery Address', value: order => formatAddress(order.deliveryAddress) },
+    { header: 'Drop-off Phone', value: order => order.deliveryAddress?.phone || '' },
+    { header: 'Items', value: order => order.items?.length || 0 },
+    { header: 'Subtotal', value: order => order.orderSummary?.subtotal ?? '' },
+    { header: 'Delivery Fee', value: order => order.orderSummary?.deliveryFee ?? '' },
+    { header: 'Pickup Fee', value: order => order.orderSummary?.pickupFee ?? '' },
+    { header: 'Priority Fee', value: order => order.orderSummary?.priorityFee ?? '' },
+    { header: 'Discount', value: order => order.orderSummary?.discount ?? '' },
+    { header: 'Tax', value: order => order.orderSummary?.tax ?? '' },
+    { header: 'Total', value: order => order.orderSummary?.total ?? '' },
+    { header: 'Currency', value: order => order.orderSummary?.currency || 'NGN' },
+    { header: 'Delivered At', value: order => toIsoString(order.statusTimestamps?.delivered) }
+];
+
+// Quotes fields that need it, and defuses text a spreadsheet would run as a formula.
+// Phone numbers like +234 801 ... are left alone.
+function toCsvField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-][0-9 ()-]*$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+    return values.map(toCsvField).join(',') + '\r\n';
+}
+
+function streamOrders(filters) {
+    return orderQuery.buildQuery(filters).orderBy('createdAt', 'desc').stream();
+}
+
+// A client that goes away closes the response instead of draining it
+function drained(output) {
+    return Promise.race([once(output, 'drain'), once(output, 'close')]);
+}
+
+// Leaving the for await loop early destroys the query stream, so a closed response also
+// stops the read
+async function writeCsv(output, filters) {
+    const write = async (chunk) => {
+        if (!output.write(chunk)) {
+            await drained(output);
+        }
+    };
+
+    // The byte order mark makes Excel read the file as UTF-8
+    await write('\uFEFF' + toCsvLine(COLUMNS.map(column => column.header)));
+    for await (const doc of streamOrders(filters)) {
+        if (output.destroyed) {
+            return;
+        }
+        await write(toCsvLine(COLUMNS.map(column => column.value(doc.data()))));
+    }
+    output.end();
+}
+
+async function writeXlsx(output, filters) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Orders');
+    sheet.columns = COLUMNS.map(column => ({ header: column.header, width: Math.max(12, column.header.length + 2) }));
+
+    // ExcelJS pipes its zip stream into output and buffers whatever output won't take yet
+    for await (const doc of streamOrders(filters)) {
+        if (output.destroyed) {
+            return;
+        }
+        sheet.addRow(COLUMNS.map(column => column.value(doc.data()))).commit();
+        if (output.writableNeedDrain) {
+            await drained(output);
+        }
+    }
+    if (output.destroyed) {
+        return;
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+// Streams the export to output (usually the response) and ends it
+function writeExport(format, output, filters) {
+    return format === 'xlsx' ? writeXlsx(output, filters) : writeCsv(output, filters);
+}
+
+module.exports = {
+    FORMATS,
+    writeExport
+};
@@ -0,0 +1,210 @@
+const { validate } = require('./validation');
+const { PRIORITIES, DISCOUNT_CODE_PATTERN } = require('./pricing');
+const { LOCALES } = require('./notificationTemplates');
+
+// Order payloads accepted by create-order and quote, normalized to one shape.
+//
+// Structured payload (storefront carts):
+//   { customerName, phoneNumber, customerEmail?, items: [{ name, quantity, price, sku?, ... }],
+//     pickupAddress?: { street, city, state, postalCode?, country?, phone?, contactName?, coordinates? },
+//     deliveryAddress: { ...same, phone required }, priority?, discountCode?, specialInstructions?,
+//     locale? }
+//
+// Legacy flat payload, still accepted for existing callers:
+//   { customerName, phoneNumber, productName, dropOffLocation, dropOffPhoneNumber,
+//     pickupLocation?, pickupCoordinates?, dropOffCoordinates?, priority?, discountCode?, locale? }
+//
+// locale picks the language of customer notifications (see notificationTemplates).
+//
+// A payload with `items` or `deliveryAddress` is treated as structured.
+
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{6,19}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function phoneSchema(required) {
+    return { type: 'string', required, pattern: PHONE_PATTERN, patternMessage: 'must be a valid phone number' };
+}
+
+const coordinatesSchema = {
+    type: 'object',
+    properties: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lng: { type: 'number', required: true, min: -180, max: 180 }
+    }
+};
+
+function addressSchema({ required, requirePhone }) {
+    return {
+        type: 'object',
+        required,
+        properties: {
+            street: { type: 'string', required: true, maxLength: 200 },
+            city: { type: 'string', required: true, maxLength: 100 },
+            state: { type: 'string', required: true, maxLength: 100 },
+            postalCode: { type: 'string', maxLength: 20 },
+            country: { type: 'string', maxLength: 100 },
+            contactName: { type: 'string', maxLength: 100 },
+            phone: phoneSchema(requirePhone),
+            coordinates: coordinatesSchema
+        }
+    };
+}
+
+const itemSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, maxLength: 200 },
+        quantity: { type: 'number', required: true, integer: true, min: 1, max: 1000 },
+        price: { type: 'number', required: true, min: 0 },
+        sku: { type: 'string', maxLength: 100 },
+        description: { type: 'string', maxLength: 500 },
+        category: { type: 'string', maxLength: 100 },
+        weightKg: { type: 'number', min: 0 }
+    }
+};
+
+const sharedProperties = {
+    priority: { type: 'string', enum: PRIORITIES },
+    discountCode: { type: 'string', pattern: DISCOUNT_CODE_PATTERN, patternMessage: 'must be up to 50 letters, digits, - or _' },
+    locale: { type: 'string', enum: LOCALES }
+};
+
+// Quotes only need what affects the price, so customer details and items are optional there
+function structuredSchema({ forQuote }) {
+    return {
+        type: 'object',
+        required: true,
+        properties: {
+            customerName: { type: 'string', required: !forQuote, maxLength: 100 },
+            phoneNumber: phoneSchema(!forQuote),
+            customerEmail: { type: 'string', pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' },
+            items: { type: 'array', required: !forQuote, minItems: 1, maxItems: 100, items: itemSchema },
+            pickupAddress: addressSchema({ required: false, requirePhone: false }),
+            deliveryAddress: addressSchema({ required: true, requirePhone: !forQuote }),
+            specialInstructions: { type: 'string', maxLength: 500 },
+            ...sharedProperties
+        }
+    };
+}
+
+// Phone numbers aren't format-checked here because existing callers never had to
+function legacySchema({ forQuote }) {
+    return {
+        type: 'object',
+        required: true,
+        properties: {
+            customerName: { type: 'string', required: !forQuote },
+            phoneNumber: { type: 'string', required: !forQuote },
+            productName: { type: 'string', required: !forQuote },
+            dropOffLocation: { type: 'string', required: true },
+            dropOffPhoneNumber: { type: 'string', required: !forQuote },
+            pickupLocation: { type: 'string' },
+            pickupCoordinates: coordinatesSchema,
+            dropOffCoordinates: coordinatesSchema,
+            ...sharedProperties
+        }
+    };
+}
+
+function isStructured(body) {
+    return !!body && typeof body === 'object' && ('items' in body || 'deliveryAddress' in body);
+}
+
+function normalizeAddress(address) {
+    return {
+        street: address.street.trim(),
+        city: address.city.trim(),
+        state: address.state.trim(),
+        postalCode: address.postalCode || '',
+        country: address.country || 'Nigeria',
+        contactName: address.contactName || null,
+        phone: address.phone || null,
+        coordinates: address.coordinates ? { lat: address.coordinates.lat, lng: address.coordinates.lng } : null
+    };
+}
+
+function normalizeItem(item) {
+    return {
+        name: item.name.trim(),
+        quantity: item.quantity,
+        price: item.price,
+        total: Math.round(item.quantity * item.price * 100) / 100,
+        description: item.description || '',
+        sku: item.sku || '',
+        category: item.category || 'General',
+        weightKg: item.weightKg ?? null
+    };
+}
+
+function normalizeStructured(body) {
+    return {
+        customerName: body.customerName || null,
+        phoneNumber: body.phoneNumber || null,
+        customerEmail: body.customerEmail || null,
+        items: (body.items || []).map(normalizeItem),
+        pickupAddress: body.pickupAddress ? normalizeAddress(body.pickupAddress) : null,
+        deliveryAddress: normalizeAddress(body.deliveryAddress),
+        priority: body.priority || 'normal',
+        discountCode: body.discountCode || null,
+        specialInstructions: body.specialInstructions || null,
+        locale: body.locale || null
+    };
+}
+
+function normalizeLegacy(body) {
+    const flatAddress = (street, coordinates) => ({
+        street,
+        city: '',
+        state: '',
+        postalCode: '',
+        country: 'Nigeria',
+        contactName: null,
+        phone: null,
+        coordinates: coordinates ? { lat: coordinates.lat, lng: coordinates.lng } : null
+    });
+
+    return {
+        customerName: body.customerName || null,
+        phoneNumber: body.phoneNumber || null,
+        customerEmail: null,
+        items: body.productName ? [normalizeItem({ name: body.productName, quantity: 1, price: 0 })] : [],
+        pickupAddress: body.pickupLocation ? flatAddress(body.pickupLocation, body.pickupCoordinates) : null,
+        deliveryAddress: {
+            ...flatAddress(body.dropOffLocation, body.dropOffCoordinates),
+            phone: body.dropOffPhoneNumber || null
+        },
+        priority: body.priority || 'normal',
+        discountCode: body.discountCode || null,
+        specialInstructions: body.pickupLocation ? `Pickup from: ${body.pickupLocation}` : null,
+        locale: body.locale || null
+    };
+}
+
+// Returns { errors } (a list of { field, message }) or { order } in the normalized shape
+function normalizeOrderPayload(body, { forQuote = false } = {}) {
+    const structured = isStructured(body);
+    const schema = structured ? structuredSchema({ forQuote }) : legacySchema({ forQuote });
+
+    const errors = validate(schema, body);
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { order: structured ? normalizeStructured(body) : normalizeLegacy(body) };
+}
+
+// One line for geocoding and notifications
+function formatAddress(address) {
+    return [address.street, address.city, address.state, address.country]
+        .filter(Boolean)
+        .join(', ');
+}
+
+function getSubtotal(items) {
+    return items.reduce((sum, item) => sum + item.total, 0);
+}
+
+module.exports = {
+    normalizeOrderPayload,
+    formatAddress,
+    getSubtotal
+};
@@ -0,0 +1,214 @@
+const admin = require('firebase-admin');
+const { ApiError } = require('./errors');
+const { ORDER_STATUSES } = require('./orderStatus');
+
+// Listing and statistics for e-commerce orders (deliveries with deliveryType ECOMMERCE).
+//
+// listOrders() pages with Firestore cursors: results are ordered by the sort field and then the
+// document id, and nextCursor is an opaque token holding the last row's values for startAfter().
+// A cursor carries its sort and is only meaningful with the filters it was issued with.
+//
+// getOrderStats() runs count()/sum() aggregation queries, so it never reads the orders themselves.
+//
+// Filter and sort combinations need composite indexes on deliveries; Firestore answers a missing
+// one with FAILED_PRECONDITION and a link that creates it.
+
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    total: 'orderSummary.total'
+};
+
+const SERVICE_TYPES = ['PICKUP_AND_DELIVERY', 'DELIVERY_ONLY'];
+
+const MAX_PAGE_SIZE = 100;
+
+function db() {
+    return admin.firestore();
+}
+
+function cursorError(message) {
+    return new ApiError('VALIDATION_FAILED', undefined, {
+        fields: [{ field: 'cursor', message }]
+    });
+}
+
+// filters: { merchantId, riderId, status, serviceType, startDate, endDate } - dates bound createdAt
+function buildQuery({ merchantId, riderId, status, serviceType, startDate, endDate } = {}) {
+    let query = db().collection('deliveries').where('deliveryType', '==', 'ECOMMERCE');
+
+    if (merchantId) {
+        query = query.where('merchantId', '==', merchantId);
+    }
+    if (riderId) {
+        query = query.where('riderId', '==', riderId);
+    }
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    if (serviceType) {
+        query = query.where('serviceType', '==', serviceType);
+    }
+    if (startDate) {
+        query = query.where('createdAt', '>=', new Date(startDate));
+    }
+    if (endDate) {
+        query = query.where('createdAt', '<=', new Date(endDate));
+    }
+    return query;
+}
+
+// Timestamps are kept as millis so they survive the JSON round trip
+function encodeCursor(sort, order, doc) {
+    const value = doc.get(SORT_FIELDS[sort]);
+    const encoded = value instanceof admin.firestore.Timestamp
+        ? { t: value.toMillis() }
+        : { v: value ?? null };
+    return Buffer.from(JSON.stringify({ s: sort, o: order, ...encoded, id: doc.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw cursorError('cursor is not valid');
+    }
+    if (!decoded || typeof decoded !== 'object' || typeof decoded.id !== 'string') {
+        throw cursorError('cursor is not valid');
+    }
+    if (decoded.s !== sort || decoded.o !== order) {
+        throw cursorError('cursor was issued for a different sort order');
+    }
+    return {
+        value: decoded.t !== undefined ? admin.firestore.Timestamp.fromMillis(decoded.t) : decoded.v,
+        id: decoded.id
+    };
+}
+
+function toListItem(doc) {
+    const orderData = doc.data();
+    return {
+        id: doc.id,
+        orderId: orderData.id,
+        merchantId: orderData.merchantId || null,
+        riderId: orderData.riderId || null,
+        customerName: orderData.customerInfo?.name,
+        customerPhone: orderData.customerInfo?.phone,
+        status: orderData.status,
+        serviceType: orderData.serviceType || 'DELIVERY_ONLY',
+        hasPickup: !!orderData.pickupAddress,
+        pickupLocation: orderData.pickupAddress?.street || null,
+        deliveryLocation: orderData.deliveryAddress?.street,
+        dropOffPhoneNumber: orderData.deliveryAddress?.phone || null,
+        total: orderData.orderSummary?.total || 0,
+        itemCount: orderData.items?.length || 0,
+        createdAt: orderData.createdAt,
+        updatedAt: orderData.updatedAt || null,
+        source: orderData.source
+    };
+}
+
+// One page of orders, newest first by default. Resolves { orders, nextCursor }; nextCursor is
+// null on the last page.
+async function listOrders(filters, { sort = 'createdAt', order = 'desc', limit = 25, cursor } = {}) {
+    const field = SORT_FIELDS[sort];
+    if (!field) {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'sort', message: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` }]
+        });
+    }
+    // Firestore orders a range filter's results by that field first
+    if ((filters.startDate || filters.endDate) && sort !== 'createdAt') {
+        throw new ApiError('VALIDATION_FAILED', undefined, {
+            fields: [{ field: 'sort', message: 'startDate and endDate can only be used when sorting by createdAt' }]
+        });
+    }
+
+    let query = buildQuery(filters)
+        .orderBy(field, order)
+        .orderBy(admin.firestore.FieldPath.documentId(), order);
+
+    if (cursor) {
+        const after = decodeCursor(cursor, sort, order);
+        query = query.startAfter(after.value, after.id);
+    }
+
+    // One extra row tells us whether there's another page
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const snapshot = await query.limit(pageSize + 1).get();
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    return {
+        orders: docs.map(toListItem),
+        nextCursor: snapshot.docs.length > pageSize ? encodeCursor(sort, order, docs[docs.length - 1]) : null
+    };
+}
+
+// Every matching order, read a page at a time. Only for the deprecated orders-summary route,
+// whose callers expect the whole list.
+async function listAllOrders(filters, { sort, order } = {}) {
+    const orders = [];
+    let cursor;
+    do {
+        const page = await listOrders(filters, { sort, order, limit: MAX_PAGE_SIZE, cursor });
+        orders.push(...page.orders);
+        cursor = page.nextCursor;
+    } while (cursor);
+    return orders;
+}
+
+async function aggregate(query, fields) {
+    const snapshot = await query.aggregate(fields).get();
+    return snapshot.data();
+}
+
+// Order counts by status and service type, plus revenue from delivered orders. A status or
+// serviceType filter narrows the breakdowns to that value.
+async function getOrderStats(filters) {
+    const { AggregateField } = admin.firestore;
+    const statuses = filters.status ? [filters.status] : ORDER_STATUSES;
+    const serviceTypes = filters.serviceType ? [filters.serviceType] : SERVICE_TYPES;
+
+    const [totals, byStatus, byServiceType] = await Promise.all([
+        aggregate(buildQuery(filters), { count: AggregateField.count() }),
+        Promise.all(statuses.map(status => aggregate(buildQuery({ ...filters, status }), {
+            count: AggregateField.count(),
+            revenue: AggregateField.sum('orderSummary.total')
+        }))),
+        Promise.all(serviceTypes.map(serviceType => aggregate(buildQuery({ ...filters, serviceType }), {
+            count: AggregateField.count()
+        })))
+    ]);
+
+    const statusCounts = {};
+    statuses.forEach((status, index) => {
+        statusCounts[status] = byStatus[index].count;
+    });
+    const serviceTypeCounts = {};
+    serviceTypes.forEach((serviceType, index) => {
+        serviceTypeCounts[serviceType] = byServiceType[index].count;
+    });
+
+    const delivered = byStatus[statuses.indexOf('delivered')] || { count: 0, revenue: 0 };
+    const totalRevenue = delivered.revenue || 0;
+
+    return {
+        totalOrders: totals.count,
+        byStatus: statusCounts,
+        byServiceType: serviceTypeCounts,
+        deliveredOrders: delivered.count,
+        totalRevenue,
+        averageOrderValue: delivered.count > 0 ? Math.round(totalRevenue / delivered.count * 100) / 100 : 0
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    SERVICE_TYPES,
+    MAX_PAGE_SIZE,
+    buildQuery,
+    listOrders,
+    listAllOrders,
+    getOrderStats
+};
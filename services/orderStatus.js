@@ -0,0 +1,106 @@
+// Order status state machine for e-commerce deliveries.
+// Each service type has its own transition graph; a status maps to the statuses it may move to next.
+
+const ORDER_STATUS_TRANSITIONS = {
+    PICKUP_AND_DELIVERY: {
+        'pending': ['confirmed', 'cancelled'],
+        'confirmed': ['pickup-ready', 'cancelled'],
+        'pickup-ready': ['picked-up', 'failed', 'cancelled'],
+        'picked-up': ['in-progress', 'failed', 'returned'],
+        'in-progress': ['delivered', 'failed', 'returned'],
+        'delivered': ['returned'],
+        'failed': ['returned'],
+        'cancelled': [],
+        'returned': []
+    },
+    DELIVERY_ONLY: {
+        'pending': ['confirmed', 'cancelled'],
+        'confirmed': ['in-progress', 'cancelled'],
+        'in-progress': ['delivered', 'failed', 'returned'],
+        'delivered': ['returned'],
+        'failed': ['returned'],
+        'cancelled': [],
+        'returned': []
+    }
+};
+
+const ORDER_STATUSES = [
+    'pending',
+    'confirmed',
+    'pickup-ready',
+    'picked-up',
+    'in-progress',
+    'delivered',
+    'failed',
+    'cancelled',
+    'returned'
+];
+
+// Statuses in which a rider can be assigned or handed over
+const RIDER_ASSIGNABLE_STATUSES = ['confirmed', 'pickup-ready', 'picked-up', 'in-progress'];
+
+// Statuses that end the job for the assigned rider
+const RIDER_RELEASE_STATUSES = ['delivered', 'failed', 'cancelled', 'returned'];
+
+class InvalidStatusTransitionError extends Error {
+    constructor(currentStatus, requestedStatus, allowedNextStatuses) {
+        super(`Cannot change order status from '${currentStatus}' to '${requestedStatus}'`);
+        this.name = 'InvalidStatusTransitionError';
+        this.code = 'INVALID_STATUS_TRANSITION';
+        this.httpStatus = 409;
+        this.currentStatus = currentStatus;
+        this.requestedStatus = requestedStatus;
+        this.allowedNextStatuses = allowedNextStatuses;
+    }
+
+    get details() {
+        return {
+            currentStatus: this.currentStatus,
+            requestedStatus: this.requestedStatus,
+            allowedNextStatuses: this.allowedNextStatuses
+        };
+    }
+}
+
+function isValidStatus(status) {
+    return ORDER_STATUSES.includes(status);
+}
+
+function getTransitions(serviceType) {
+    return ORDER_STATUS_TRANSITIONS[serviceType] || ORDER_STATUS_TRANSITIONS.DELIVERY_ONLY;
+}
+
+function getAllowedNextStatuses(serviceType, currentStatus) {
+    const transitions = getTransitions(serviceType);
+
+    // Orders written before the state machine existed can hold statuses outside the graph;
+    // let them move to any state of their service type so they can be corrected.
+    if (!(currentStatus in transitions)) {
+        return Object.keys(transitions);
+    }
+    return transitions[currentStatus];
+}
+
+// Throws InvalidStatusTransitionError unless currentStatus -> requestedStatus is allowed.
+// Re-applying the current status is allowed so feedback/tracking can be updated on their own.
+function assertTransition(serviceType, currentStatus, requestedStatus) {
+    if (currentStatus === requestedStatus) {
+        return;
+    }
+
+    const allowed = getAllowedNextStatuses(serviceType, currentStatus);
+    if (!allowed.includes(requestedStatus)) {
+        throw new InvalidStatusTransitionError(currentStatus, requestedStatus, allowed);
+    }
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    RIDER_ASSIGNABLE_STATUSES,
+    RIDER_RELEASE_STATUSES,
+    InvalidStatusTransitionError,
+    isValidStatus,
+    getAllowedNextStatuses,
+    assertTransition
+};
@@ -0,0 +1,143 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Pushes changes made directly to `deliveries` (e.g. by the admin web app) to socket subscribers.
+// One onSnapshot listener is kept per order that has subscribers; each snapshot is diffed
+// against the previous one and the changed fields are emitted as `order-update`.
+//
+// Writes made by this server are stamped with a fresh serverWriteId (see stampServerWrite) and
+// already broadcast by the endpoint that made them, so snapshots carrying a new serverWriteId
+// are absorbed without emitting.
+//
+// Runs against the Firestore emulator when FIRESTORE_EMULATOR_HOST is set.
+
+const WATCHED_FIELDS = [
+    'status',
+    'pickupCompleted',
+    'adminFeedback',
+    'trackingInfo',
+    'estimatedDeliveryTime',
+    'estimatedPickupTime',
+    'pickupAddress',
+    'deliveryAddress',
+    'specialInstructions'
+];
+
+const watchers = new Map(); // orderId -> { unsubscribe, state, serverWriteId }
+let ioRef = null;
+
+function init(io) {
+    ioRef = io;
+}
+
+// Add to every update this server writes to a delivery document
+function stampServerWrite(updateData) {
+    return { ...updateData, serverWriteId: crypto.randomUUID() };
+}
+
+// Comparable form of a field value: Timestamps become millis, everything else JSON
+function fingerprint(value) {
+    return JSON.stringify(value, (key, nested) => {
+        if (nested && typeof nested.toMillis === 'function') {
+            return nested.toMillis();
+        }
+        return nested;
+    });
+}
+
+function toClientValue(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    return value === undefined ? null : value;
+}
+
+function handleSnapshot(orderId, snapshot) {
+    const watcher = watchers.get(orderId);
+    if (!watcher || snapshot.empty) {
+        return;
+    }
+
+    const data = snapshot.docs[0].data();
+    const state = {};
+    WATCHED_FIELDS.forEach(field => {
+        state[field] = fingerprint(data[field]);
+    });
+
+    const previous = watcher.state;
+    const isServerWrite = !!data.serverWriteId && data.serverWriteId !== watcher.serverWriteId;
+    watcher.state = state;
+    watcher.serverWriteId = data.serverWriteId;
+
+    // First snapshot is the baseline; server writes were broadcast by their endpoint
+    if (!previous || isServerWrite) {
+        return;
+    }
+
+    const changes = {};
+    WATCHED_FIELDS.forEach(field => {
+        if (state[field] !== previous[field]) {
+            changes[field] = toClientValue(data[field]);
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return;
+    }
+
+    console.log(`🔄 External change to order ${orderId}:`, Object.keys(changes).join(', '));
+    // Local only: every instance runs listeners for its own subscribers
+    ioRef.local.to(`order-${orderId}`).emit('order-update', {
+        orderId,
+        type: 'status' in changes ? 'status-update' : 'order-changed',
+        source: 'firestore',
+        status: data.status,
+        changes,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Start listening to an order; no-op if it is already watched
+function watchOrder(orderId) {
+    if (watchers.has(orderId)) {
+        return;
+    }
+
+    const watcher = { unsubscribe: null, state: null, serverWriteId: null };
+    watchers.set(orderId, watcher);
+
+    watcher.unsubscribe = admin.firestore().collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .onSnapshot(
+            snapshot => handleSnapshot(orderId, snapshot),
+            error => {
+                console.error(`❌ Listener for order ${orderId} failed:`, error.message);
+                watchers.delete(orderId);
+            }
+        );
+    console.log(`👂 Watching order ${orderId} (${watchers.size} active listeners)`);
+}
+
+function unwatchOrder(orderId) {
+    const watcher = watchers.get(orderId);
+    if (!watcher) {
+        return;
+    }
+
+    watcher.unsubscribe();
+    watchers.delete(orderId);
+    console.log(`🔇 Stopped watching order ${orderId} (${watchers.size} active listeners)`);
+}
+
+function getActiveListenerCount() {
+    return watchers.size;
+}
+
+module.exports = {
+    init,
+    stampServerWrite,
+    watchOrder,
+    unwatchOrder,
+    getActiveListenerCount
+};
@@ -0,0 +1,119 @@
+const admin = require('firebase-admin');
+
+// Append-only audit trail of order changes: deliveries/{docId}/statusHistory/{entryId}
+
+function statusHistoryCollection(deliveryRef) {
+    return deliveryRef.collection('statusHistory');
+}
+
+// Who made a change: the decoded Firebase ID token, or the merchant whose API key was used
+function getActor(user, merchant) {
+    if (user) {
+        return {
+            uid: user.uid,
+            email: user.email || null
+        };
+    }
+    if (merchant) {
+        return {
+            merchantId: merchant.id,
+            apiKeyId: merchant.keyId
+        };
+    }
+    return null;
+}
+
+// details holds event-specific data, e.g. the rider on rider-assigned entries
+function buildHistoryEntry({ type = 'status-change', fromStatus, toStatus, changedBy, feedback, trackingInfo, pickupCompleted, details }) {
+    return {
+        type,
+        fromStatus: fromStatus || null,
+        toStatus,
+        changedBy: changedBy || null,
+        feedback: feedback || null,
+        trackingInfo: trackingInfo || null,
+        pickupCompleted: pickupCompleted === undefined ? null : pickupCompleted,
+        details: details || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Queue a history entry on a transaction or write batch (both expose set())
+function appendHistoryEntry(writer, deliveryRef, entry) {
+    const entryRef = statusHistoryCollection(deliveryRef).doc();
+    writer.set(entryRef, buildHistoryEntry(entry));
+    return entryRef;
+}
+
+function toIsoString(value) {
+    return value?.toDate ? value.toDate().toISOString() : value || null;
+}
+
+// Whether the viewer may see the order's details and follow the rider: staff, the order's
+// merchant (already matched on merchantId), the customer, or whoever holds the order's
+// tracking token
+function canSeeOrderDetails(deliveryData, orderId, { merchantId, viewer = {} }) {
+    return !!(viewer.staff ||
+        merchantId ||
+        viewer.trackedOrderId === orderId ||
+        (viewer.uid && (deliveryData.userId === viewer.uid || deliveryData.customerInfo?.uid === viewer.uid)));
+}
+
+// Timeline for an order by its public order ID, oldest first. Resolves null if the order
+// doesn't exist, or belongs to another merchant when merchantId is given.
+// viewer ({ staff, uid, trackedOrderId }) decides whether the location trail, each change's
+// feedback, tracking info and details, and who made each change are included.
+async function getOrderTimeline(orderId, { merchantId, viewer = {} } = {}) {
+    const deliveriesQuery = await admin.firestore().collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    if (deliveriesQuery.empty) {
+        return null;
+    }
+
+    const deliveryDoc = deliveriesQuery.docs[0];
+    if (merchantId && deliveryDoc.data().merchantId !== merchantId) {
+        return null;
+    }
+
+    const historySnapshot = await statusHistoryCollection(deliveryDoc.ref)
+        .orderBy('createdAt', 'asc')
+        .get();
+
+    const deliveryData = deliveryDoc.data();
+    const showDetails = canSeeOrderDetails(deliveryData, orderId, { merchantId, viewer });
+    const timeline = {
+        orderId,
+        currentStatus: deliveryData.status,
+        entries: historySnapshot.docs.map(doc => {
+            // Who made each change (staff uids and emails) is only shown to staff, and the
+            // free text and rider details of each change only to those who see the order
+            const { changedBy, feedback, trackingInfo, details, ...entry } = doc.data();
+            return {
+                id: doc.id,
+                ...entry,
+                ...(showDetails ? { feedback, trackingInfo, details } : {}),
+                ...(viewer.staff ? { changedBy } : {}),
+                createdAt: toIsoString(entry.createdAt)
+            };
+        })
+    };
+
+    if (showDetails) {
+        // Rider GPS breadcrumbs, oldest first (see riderLocation)
+        timeline.locationTrail = (deliveryData.locationTrail || []).map(point => ({
+            ...point,
+            recordedAt: toIsoString(point.recordedAt)
+        }));
+    }
+    return timeline;
+}
+
+module.exports = {
+    canSeeOrderDetails,
+    getActor,
+    appendHistoryEntry,
+    getOrderTimeline
+};
@@ -0,0 +1,182 @@
+const admin = require('firebase-admin');
+const eta = require('./eta');
+
+// Delivery pricing for e-commerce orders, in naira.
+//
+// The delivery fee is distance based (base fee + per-km fee, with a minimum) when both ends of
+// the trip have coordinates, otherwise the flat fee of the drop-off zone (zones as in eta.js).
+// PICKUP_AND_DELIVERY orders add a pickup fee, express orders multiply all fees, discount codes
+// come off the fees and VAT is charged on what's left. Goods (subtotal) are passed through.
+//
+// PRICING_CONFIG is a JSON object overriding any of DEFAULT_CONFIG's keys.
+//
+// Discount codes live in discount_codes/{CODE}:
+//   { type: 'percent' | 'fixed', value, active, expiresAt?, maxRedemptions?, redemptionCount,
+//     minFees? }
+// Percent values are 0-100, and no discount is more than the fees.
+
+const DEFAULT_CONFIG = {
+    baseFee: 1000,
+    perKmFee: 150,
+    minDeliveryFee: 1500,
+    zoneFees: {
+        'lagos-island': 3000,
+        'lagos-mainland': 2500,
+        'abuja': 2500,
+        'default': 3500
+    },
+    pickupFee: 1000,
+    expressMultiplier: 1.5,
+    vatRate: 0.075
+};
+
+const CONFIG = {
+    ...DEFAULT_CONFIG,
+    ...(process.env.PRICING_CONFIG ? JSON.parse(process.env.PRICING_CONFIG) : {})
+};
+
+const PRIORITIES = ['normal', 'express'];
+
+class PricingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PricingError';
+        this.code = code;
+        this.httpStatus = 400;
+    }
+}
+
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Discount codes as customers may type them; they're stored upper-cased
+const DISCOUNT_CODE_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+function normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+function discountCodeRef(code) {
+    return admin.firestore().collection('discount_codes').doc(code);
+}
+
+// Throws PricingError unless the stored code (null if missing) can be redeemed now
+function assertUsable(code, discount) {
+    const validValue = discount && typeof discount.value === 'number' && discount.value >= 0 &&
+        (discount.type === 'fixed' || (discount.type === 'percent' && discount.value <= 100));
+
+    if (!validValue || !discount.active) {
+        throw new PricingError('INVALID_DISCOUNT_CODE', `Discount code ${code} is not valid`);
+    }
+    if (discount.expiresAt && discount.expiresAt.toDate() < new Date()) {
+        throw new PricingError('DISCOUNT_CODE_EXPIRED', `Discount code ${code} has expired`);
+    }
+    if (discount.maxRedemptions && (discount.redemptionCount || 0) >= discount.maxRedemptions) {
+        throw new PricingError('DISCOUNT_CODE_EXHAUSTED', `Discount code ${code} has been fully redeemed`);
+    }
+}
+
+// Resolves the discount code document, or throws PricingError if it can't be used
+async function getDiscountCode(code) {
+    const normalized = normalizeCode(code);
+    if (!DISCOUNT_CODE_PATTERN.test(normalized)) {
+        throw new PricingError('INVALID_DISCOUNT_CODE', `Discount code ${code} is not valid`);
+    }
+
+    const doc = await discountCodeRef(normalized).get();
+    const discount = doc.exists ? doc.data() : null;
+    assertUsable(code, discount);
+    return { code: doc.id, ...discount };
+}
+
+function getDeliveryFee(pickup, dropOff) {
+    if (eta.isCoordinates(pickup) && eta.isCoordinates(dropOff)) {
+        const { distanceKm, zone } = eta.estimateTravel(pickup, dropOff);
+        return {
+            method: 'distance',
+            distanceKm,
+            zone,
+            fee: Math.max(CONFIG.baseFee + distanceKm * CONFIG.perKmFee, CONFIG.minDeliveryFee)
+        };
+    }
+
+    const zone = eta.isCoordinates(dropOff) ? eta.findZone(dropOff).name : 'default';
+    return {
+        method: 'zone',
+        distanceKm: null,
+        zone,
+        fee: CONFIG.zoneFees[zone] ?? CONFIG.zoneFees.default
+    };
+}
+
+// Price an order. Coordinates are { lat, lng } or null; subtotal is the value of the goods.
+// Resolves the orderSummary stored on the delivery, plus how the delivery fee was worked out.
+async function quote({ serviceType, pickupCoordinates, dropOffCoordinates, priority = 'normal', discountCode, subtotal = 0 }) {
+    if (!PRIORITIES.includes(priority)) {
+        throw new PricingError('INVALID_PRIORITY', `priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    const hasPickup = serviceType === 'PICKUP_AND_DELIVERY';
+    const delivery = getDeliveryFee(hasPickup ? pickupCoordinates : null, dropOffCoordinates);
+
+    const deliveryFee = roundMoney(delivery.fee);
+    const pickupFee = hasPickup ? CONFIG.pickupFee : null;
+    const baseFees = deliveryFee + (pickupFee || 0);
+    const priorityFee = priority === 'express' ? roundMoney(baseFees * (CONFIG.expressMultiplier - 1)) : 0;
+    const fees = baseFees + priorityFee;
+
+    let discount = 0;
+    let appliedCode = null;
+    if (discountCode) {
+        const code = await getDiscountCode(discountCode);
+        if (code.minFees && fees < code.minFees) {
+            throw new PricingError('DISCOUNT_CODE_MINIMUM', `Discount code ${code.code} needs fees of at least ${code.minFees}`);
+        }
+        discount = Math.min(code.type === 'percent' ? roundMoney(fees * code.value / 100) : code.value, fees);
+        appliedCode = code.code;
+    }
+
+    const tax = roundMoney((fees - discount) * CONFIG.vatRate);
+
+    return {
+        orderSummary: {
+            currency: 'NGN',
+            subtotal: roundMoney(subtotal),
+            deliveryFee,
+            pickupFee,
+            priorityFee,
+            discount,
+            discountCode: appliedCode,
+            tax,
+            total: roundMoney(subtotal + fees - discount + tax)
+        },
+        pricing: {
+            method: delivery.method,
+            distanceKm: delivery.distanceKm,
+            zone: delivery.zone,
+            priority,
+            vatRate: CONFIG.vatRate
+        }
+    };
+}
+
+// Count a redemption in the order's transaction. The code is read and checked again there,
+// so concurrent orders can't redeem it past maxRedemptions. Firestore transactions read before
+// they write, so call this before queueing the order's writes.
+async function redeemDiscountCode(transaction, code) {
+    const ref = discountCodeRef(code);
+    const doc = await transaction.get(ref);
+    assertUsable(code, doc.exists ? doc.data() : null);
+    transaction.update(ref, {
+        redemptionCount: admin.firestore.FieldValue.increment(1)
+    });
+}
+
+module.exports = {
+    PRIORITIES,
+    DISCOUNT_CODE_PATTERN,
+    PricingError,
+    quote,
+    redeemDiscountCode
+};
@@ -0,0 +1,217 @@
+const admin = require('firebase-admin');
+const fetch = require('node-fetch');
+const deviceTokens = require('./deviceTokens');
+
+// FCM HTTP v1 push dispatcher.
+// Set FCM_EMULATOR_HOST (e.g. "localhost:9099") to send to a local stub
+// messaging endpoint instead of fcm.googleapis.com - no OAuth token is needed then.
+
+// FCM v1 error details -> the same codes admin.messaging() reports
+const FCM_ERROR_CODES = {
+    UNREGISTERED: 'messaging/registration-token-not-registered',
+    INVALID_ARGUMENT: 'messaging/invalid-argument',
+    SENDER_ID_MISMATCH: 'messaging/mismatched-credential',
+    QUOTA_EXCEEDED: 'messaging/message-rate-exceeded',
+    UNAVAILABLE: 'messaging/server-unavailable',
+    INTERNAL: 'messaging/internal-error',
+    THIRD_PARTY_AUTH_ERROR: 'messaging/third-party-auth-error'
+};
+
+function getFcmEndpoint() {
+    const projectId = admin.app().options.projectId;
+
+    if (process.env.FCM_EMULATOR_HOST) {
+        return `http://${process.env.FCM_EMULATOR_HOST}/v1/projects/${projectId}/messages:send`;
+    }
+    return `https://fcm.googleapis.com/v1/projects/${projectId}/messages:send`;
+}
+
+async function getAccessToken() {
+    if (process.env.FCM_EMULATOR_HOST) {
+        return 'owner';
+    }
+    // The cert credential caches its token until it expires
+    const { access_token } = await admin.app().options.credential.getAccessToken();
+    return access_token;
+}
+
+// FCM only accepts string values in the data payload
+function toStringMap(data = {}) {
+    const result = {};
+    Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        result[key] = typeof value === 'string' ? value : JSON.stringify(value);
+    });
+    return result;
+}
+
+// Build a v1 message for one device token with a payload shaped for its platform
+function buildMessage(token, platform, { title, body, data, link }) {
+    const message = {
+        token,
+        notification: { title, body },
+        data: toStringMap(data)
+    };
+
+    switch (platform) {
+        case 'android':
+            message.android = {
+                priority: 'high',
+                notification: {
+                    channel_id: 'delivery_updates',
+                    sound: 'default'
+                }
+            };
+            break;
+        case 'ios':
+            message.apns = {
+                headers: { 'apns-priority': '10' },
+                payload: {
+                    aps: {
+                        alert: { title, body },
+                        sound: 'default'
+                    }
+                }
+            };
+            break;
+        case 'web':
+            message.webpush = {
+                headers: { Urgency: 'high' },
+                notification: { title, body, icon: '/icons/icon-192.png' }
+            };
+            if (link) {
+                message.webpush.fcm_options = { link };
+            }
+            break;
+    }
+
+    return { message };
+}
+
+function parseFcmError(status, payload) {
+    const error = payload?.error || {};
+    const fcmError = (error.details || []).find(detail => detail.errorCode)?.errorCode;
+    const code = FCM_ERROR_CODES[fcmError] || FCM_ERROR_CODES[error.status] || 'messaging/unknown-error';
+
+    return {
+        code,
+        message: error.message || `FCM request failed with HTTP ${status}`
+    };
+}
+
+async function sendToToken(device, notification, accessToken) {
+    try {
+        const response = await fetch(getFcmEndpoint(), {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildMessage(device.token, device.platform, notification))
+        });
+        const payload = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            return {
+                token: device.token,
+                platform: device.platform,
+                success: false,
+                error: parseFcmError(response.status, payload)
+            };
+        }
+
+        return {
+            token: device.token,
+            platform: device.platform,
+            success: true,
+            messageId: payload?.name || null
+        };
+    } catch (error) {
+        return {
+            token: device.token,
+            platform: device.platform,
+            success: false,
+            error: { code: 'messaging/network-error', message: error.message }
+        };
+    }
+}
+
+// Send a notification to every device of every given user.
+// Never throws - failures are reported per token in the results.
+async function sendPushToUsers(userIds, notification) {
+    const devices = (await Promise.all(userIds.map(async (userId) => {
+        const tokens = await deviceTokens.getUserDeviceTokens(userId);
+        return tokens.map(device => ({ ...device, userId }));
+    }))).flat();
+
+    if (devices.length === 0) {
+        return { successCount: 0, failureCount: 0, results: [] };
+    }
+
+    let accessToken;
+    try {
+        accessToken = await getAccessToken();
+    } catch (error) {
+        console.error('❌ Could not get FCM access token:', error.message);
+        const results = devices.map(device => ({
+            token: device.token,
+            platform: device.platform,
+            userId: device.userId,
+            success: false,
+            error: { code: 'messaging/authentication-error', message: error.message }
+        }));
+        return { successCount: 0, failureCount: results.length, results };
+    }
+
+    const results = await Promise.all(devices.map(async (device) => ({
+        ...(await sendToToken(device, notification, accessToken)),
+        userId: device.userId
+    })));
+
+    await deviceTokens.pruneFailedTokens(results).catch(error => {
+        console.error('❌ Failed to prune dead device tokens:', error);
+    });
+
+    const successCount = results.filter(result => result.success).length;
+    return {
+        successCount,
+        failureCount: results.length - successCount,
+        results
+    };
+}
+
+// Push a stored notification document and record the outcome on it
+async function dispatchNotification(notificationRef, userIds, notification) {
+    try {
+        const outcome = await sendPushToUsers(userIds, notification);
+        console.log(`📲 Push sent for ${notificationRef.path}: ${outcome.successCount} ok, ${outcome.failureCount} failed`);
+
+        await notificationRef.update({
+            push: {
+                successCount: outcome.successCount,
+                failureCount: outcome.failureCount,
+                results: outcome.results.map(result => ({
+                    userId: result.userId,
+                    platform: result.platform,
+                    // Only keep the token tail - the full token is a credential
+                    tokenSuffix: result.token.slice(-8),
+                    success: result.success,
+                    messageId: result.messageId || null,
+                    error: result.error || null
+                })),
+                sentAt: admin.firestore.FieldValue.serverTimestamp()
+            }
+        });
+
+        return outcome;
+    } catch (error) {
+        console.error(`❌ Push dispatch failed for ${notificationRef.path}:`, error);
+        return { successCount: 0, failureCount: 0, results: [], error: error.message };
+    }
+}
+
+module.exports = {
+    buildMessage,
+    sendPushToUsers,
+    dispatchNotification
+};
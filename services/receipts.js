@@ -0,0 +1,208 @@
+const admin = require('firebase-admin');
+const { PassThrough } = require('stream');
+const PDFDocument = require('pdfkit');
+const orderTimeline = require('./orderTimeline');
+
+// Delivery receipt / proof-of-delivery PDF for an e-commerce order: customer and addresses,
+// drop-off phone, items, fees and the status timeline, rendered from the delivery document.
+//
+// RECEIPT_COMPANY_NAME and RECEIPT_COMPANY_DETAILS (address, phone, ...) head the page.
+// The built-in PDF fonts have no naira sign, so amounts are written as "NGN 1,500.00".
+
+const COMPANY_NAME = process.env.RECEIPT_COMPANY_NAME || 'Reliance Delivery';
+const COMPANY_DETAILS = process.env.RECEIPT_COMPANY_DETAILS || '';
+
+const PAGE_MARGIN = 50;
+const MUTED = '#666666';
+
+function toDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+}
+
+function formatDate(value) {
+    const date = toDate(value);
+    if (!date || Number.isNaN(date.getTime())) return '-';
+    return date.toLocaleString('en-NG', { timeZone: 'Africa/Lagos', dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function formatMoney(amount, currency = 'NGN') {
+    return `${currency} ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatAddress(address) {
+    if (!address) return '-';
+    return [address.street, address.city, address.state, address.postalCode, address.country]
+        .filter(Boolean)
+        .join(', ');
+}
+
+// Delivery data and timeline for the receipt, or null if the order doesn't exist (or belongs
+// to another merchant when merchantId is given)
+async function loadReceipt(orderId, { merchantId } = {}) {
+    const deliveriesQuery = await admin.firestore().collection('deliveries')
+        .where('id', '==', orderId)
+        .limit(1)
+        .get();
+
+    if (deliveriesQuery.empty) {
+        return null;
+    }
+    const delivery = deliveriesQuery.docs[0].data();
+    if (merchantId && delivery.merchantId !== merchantId) {
+        return null;
+    }
+
+    const timeline = await orderTimeline.getOrderTimeline(orderId);
+    return { delivery, timelineEntries: timeline ? timeline.entries : [] };
+}
+
+function sectionTitle(doc, title) {
+    doc.moveDown(0.8)
+        .font('Helvetica-Bold').fontSize(11).fillColor('black').text(title.toUpperCase())
+        .moveDown(0.3)
+        .font('Helvetica').fontSize(10);
+}
+
+function labelled(doc, label, value) {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+        .font('Helvetica').text(value || '-');
+}
+
+function drawItems(doc, items, currency) {
+    const left = PAGE_MARGIN;
+    const columns = { name: left, quantity: left + 270, price: left + 320, total: left + 420 };
+    const row = (values, font) => {
+        const y = doc.y;
+        doc.font(font);
+        doc.text(values.name, columns.name, y, { width: 260 });
+        const nameBottom = doc.y;
+        doc.text(values.quantity, columns.quantity, y, { width: 40, align: 'right' });
+        doc.text(values.price, columns.price, y, { width: 90, align: 'right' });
+        doc.text(values.total, columns.total, y, { width: 90, align: 'right' });
+        doc.x = left;
+        doc.y = Math.max(nameBottom, doc.y) + 4;
+    };
+
+    row({ name: 'Item', quantity: 'Qty', price: 'Price', total: 'Total' }, 'Helvetica-Bold');
+    items.forEach(item => row({
+        name: item.sku ? `${item.name} (${item.sku})` : item.name,
+        quantity: String(item.quantity),
+        price: formatMoney(item.price, currency),
+        total: formatMoney(item.total ?? item.quantity * item.price, currency)
+    }, 'Helvetica'));
+}
+
+function drawFees(doc, summary) {
+    const currency = summary.currency || 'NGN';
+    const lines = [
+        ['Goods subtotal', summary.subtotal],
+        ['Delivery fee', summary.deliveryFee],
+        summary.pickupFee ? ['Pickup fee', summary.pickupFee] : null,
+        summary.priorityFee ? ['Express priority', summary.priorityFee] : null,
+        summary.discount ? [`Discount${summary.discountCode ? ` (${summary.discountCode})` : ''}`, -summary.discount] : null,
+        ['VAT', summary.tax]
+    ].filter(Boolean);
+
+    const left = PAGE_MARGIN + 270;
+    lines.forEach(([label, amount]) => {
+        const y = doc.y;
+        doc.font('Helvetica').text(label, left, y, { width: 140 });
+        doc.text(formatMoney(amount, currency), left + 150, y, { width: 90, align: 'right' });
+    });
+    const y = doc.y + 4;
+    doc.font('Helvetica-Bold').text('Total', left, y, { width: 140 });
+    doc.text(formatMoney(summary.total, currency), left + 150, y, { width: 90, align: 'right' });
+    doc.x = PAGE_MARGIN;
+}
+
+function describeEntry(entry) {
+    if (entry.type === 'status-change' || !entry.type) {
+        return entry.fromStatus ? `${entry.fromStatus} -> ${entry.toStatus}` : `Order ${entry.toStatus}`;
+    }
+    return entry.type.replace(/-/g, ' ');
+}
+
+// Renders the receipt into output (usually the response) and ends it
+function writeReceiptPdf({ delivery, timelineEntries }, output) {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Receipt ${delivery.id}` } });
+    doc.pipe(output);
+
+    const summary = delivery.orderSummary || {};
+    const currency = summary.currency || 'NGN';
+
+    doc.font('Helvetica-Bold').fontSize(18).text(COMPANY_NAME);
+    if (COMPANY_DETAILS) {
+        doc.font('Helvetica').fontSize(9).fillColor(MUTED).text(COMPANY_DETAILS).fillColor('black');
+    }
+    doc.moveDown(0.5)
+        .font('Helvetica-Bold').fontSize(14)
+        .text(delivery.status === 'delivered' ? 'Proof of Delivery' : 'Delivery Receipt');
+
+    doc.moveDown(0.3).fontSize(10);
+    labelled(doc, 'Order', delivery.id);
+    labelled(doc, 'Placed', formatDate(delivery.createdAt));
+    labelled(doc, 'Status', delivery.status);
+    if (delivery.statusTimestamps?.delivered) {
+        labelled(doc, 'Delivered', formatDate(delivery.statusTimestamps.delivered));
+    }
+
+    sectionTitle(doc, 'Customer');
+    labelled(doc, 'Name', delivery.customerInfo?.name);
+    labelled(doc, 'Phone', delivery.customerInfo?.phone);
+    if (delivery.customerInfo?.email) {
+        labelled(doc, 'Email', delivery.customerInfo.email);
+    }
+
+    if (delivery.pickupAddress) {
+        sectionTitle(doc, 'Pickup');
+        labelled(doc, 'Address', formatAddress(delivery.pickupAddress));
+        if (delivery.pickupAddress.phone) {
+            labelled(doc, 'Phone', delivery.pickupAddress.phone);
+        }
+    }
+
+    sectionTitle(doc, 'Drop-off');
+    labelled(doc, 'Address', formatAddress(delivery.deliveryAddress));
+    labelled(doc, 'Contact', delivery.deliveryAddress?.contactName);
+    labelled(doc, 'Phone', delivery.deliveryAddress?.phone);
+
+    if (delivery.items?.length) {
+        sectionTitle(doc, 'Items');
+        drawItems(doc, delivery.items, currency);
+    }
+
+    sectionTitle(doc, 'Charges');
+    drawFees(doc, summary);
+
+    if (timelineEntries.length > 0) {
+        sectionTitle(doc, 'Timeline');
+        timelineEntries.forEach(entry => {
+            doc.font('Helvetica').fillColor(MUTED).text(formatDate(entry.createdAt), { continued: true })
+                .fillColor('black').text(`   ${describeEntry(entry)}${entry.feedback ? ` - ${entry.feedback}` : ''}`);
+        });
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor(MUTED)
+        .text(`Generated ${formatDate(new Date())}. Amounts include VAT where shown.`, { align: 'center' });
+
+    doc.end();
+}
+
+// The same PDF as a Buffer, e.g. for an email attachment
+function renderReceiptPdf(receipt) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        const output = new PassThrough();
+        output.on('data', chunk => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
+        output.on('error', reject);
+        writeReceiptPdf(receipt, output);
+    });
+}
+
+module.exports = {
+    loadReceipt,
+    writeReceiptPdf,
+    renderReceiptPdf
+};
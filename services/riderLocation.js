@@ -0,0 +1,107 @@
+const admin = require('firebase-admin');
+const orderSync = require('./orderSync');
+const { DispatchError } = require('./riders');
+
+// GPS pings from riders on a job. The latest ping is stored as trackingInfo.lastLocation on
+// the rider's current delivery, and every accepted ping is appended to the delivery's
+// locationTrail (oldest dropped past RIDER_LOCATION_TRAIL_SIZE) for the order timeline.
+//
+// Pings closer together than RIDER_LOCATION_MIN_INTERVAL_MS are rejected. The limit is kept
+// in memory per instance, which is fine as long as a rider's connection sticks to one instance.
+
+const MIN_INTERVAL_MS = Number(process.env.RIDER_LOCATION_MIN_INTERVAL_MS) || 5 * 1000;
+const TRAIL_SIZE = Number(process.env.RIDER_LOCATION_TRAIL_SIZE) || 200;
+
+const lastPingAt = new Map(); // riderId -> millis of the last accepted ping
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns the cleaned ping, or throws DispatchError (400) naming the bad field
+function validatePing({ lat, lng, heading, speed } = {}) {
+    if (!isNumberInRange(lat, -90, 90)) {
+        throw new DispatchError('INVALID_LOCATION', 'lat must be a number between -90 and 90', 400);
+    }
+    if (!isNumberInRange(lng, -180, 180)) {
+        throw new DispatchError('INVALID_LOCATION', 'lng must be a number between -180 and 180', 400);
+    }
+    if (heading !== undefined && heading !== null && !isNumberInRange(heading, 0, 360)) {
+        throw new DispatchError('INVALID_LOCATION', 'heading must be a number of degrees between 0 and 360', 400);
+    }
+    // m/s; anything above ~300 km/h is a GPS glitch rather than a rider
+    if (speed !== undefined && speed !== null && !isNumberInRange(speed, 0, 85)) {
+        throw new DispatchError('INVALID_LOCATION', 'speed must be a number of m/s between 0 and 85', 400);
+    }
+
+    return {
+        lat,
+        lng,
+        heading: heading ?? null,
+        speed: speed ?? null
+    };
+}
+
+function checkRateLimit(riderId, now) {
+    const previous = lastPingAt.get(riderId);
+    if (previous && now - previous < MIN_INTERVAL_MS) {
+        throw new DispatchError(
+            'LOCATION_RATE_LIMITED',
+            `Location updates are limited to one every ${MIN_INTERVAL_MS / 1000}s`,
+            429
+        );
+    }
+}
+
+// Store a ping from a rider against the order they're assigned to.
+// Resolves { orderId, location } with location.recordedAt as an ISO string.
+async function recordLocation(riderId, ping) {
+    const point = validatePing(ping);
+    const now = Date.now();
+    checkRateLimit(riderId, now);
+
+    const db = admin.firestore();
+    const riderDoc = await db.collection('riders').doc(riderId).get();
+    const orderId = riderDoc.exists ? riderDoc.data().currentOrderId : null;
+
+    if (!orderId) {
+        throw new DispatchError('NO_ACTIVE_ORDER', 'Rider is not assigned to an order');
+    }
+    if (ping.orderId && ping.orderId !== orderId) {
+        throw new DispatchError('NOT_ASSIGNED_TO_ORDER', 'Rider is not assigned to this order', 403);
+    }
+
+    const location = { ...point, recordedAt: admin.firestore.Timestamp.fromMillis(now) };
+
+    await db.runTransaction(async (transaction) => {
+        const deliveriesQuery = await transaction.get(
+            db.collection('deliveries')
+                .where('id', '==', orderId)
+                .limit(1)
+        );
+
+        // Re-checked here in case the order was handed to someone else in the meantime
+        if (deliveriesQuery.empty || deliveriesQuery.docs[0].data().riderId !== riderId) {
+            throw new DispatchError('NOT_ASSIGNED_TO_ORDER', 'Rider is not assigned to this order', 403);
+        }
+
+        const deliveryDoc = deliveriesQuery.docs[0];
+        const trail = [...(deliveryDoc.data().locationTrail || []), location].slice(-TRAIL_SIZE);
+
+        transaction.update(deliveryDoc.ref, orderSync.stampServerWrite({
+            'trackingInfo.lastLocation': location,
+            locationTrail: trail
+        }));
+    });
+
+    lastPingAt.set(riderId, now);
+
+    return {
+        orderId,
+        location: { ...point, recordedAt: new Date(now).toISOString() }
+    };
+}
+
+module.exports = {
+    recordLocation
+};
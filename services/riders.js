@@ -0,0 +1,126 @@
+const admin = require('firebase-admin');
+
+// Rider records: riders/{uid}, keyed by the rider's Firebase uid.
+// status is 'offline' | 'available' | 'busy'; busy is set and cleared by dispatch, as is
+// pendingOfferId while the rider has a job offer open.
+
+const RIDER_STATUSES = ['offline', 'available', 'busy'];
+
+// Rejected rider/assignment operation; httpStatus is what the API should answer with
+class DispatchError extends Error {
+    constructor(code, message, httpStatus = 409) {
+        super(message);
+        this.name = 'DispatchError';
+        this.code = code;
+        this.httpStatus = httpStatus;
+    }
+}
+
+function ridersCollection() {
+    return admin.firestore().collection('riders');
+}
+
+function serializeRider(doc) {
+    const rider = doc.data();
+    return {
+        id: doc.id,
+        name: rider.name,
+        phone: rider.phone,
+        vehicleType: rider.vehicleType || null,
+        status: rider.status,
+        currentOrderId: rider.currentOrderId || null,
+        lastAssignedAt: rider.lastAssignedAt?.toDate ? rider.lastAssignedAt.toDate().toISOString() : null
+    };
+}
+
+async function getRider(riderId) {
+    const doc = await ridersCollection().doc(riderId).get();
+    return doc.exists ? serializeRider(doc) : null;
+}
+
+async function upsertRider(riderId, { name, phone, vehicleType }) {
+    const ref = ridersCollection().doc(riderId);
+    const existing = await ref.get();
+
+    await ref.set({
+        name,
+        phone,
+        vehicleType: vehicleType || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(existing.exists ? {} : {
+            status: 'offline',
+            currentOrderId: null,
+            // null sorts first, so new riders get the next offer
+            lastAssignedAt: null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        })
+    }, { merge: true });
+
+    return { rider: serializeRider(await ref.get()), created: !existing.exists };
+}
+
+async function listRiders({ status } = {}) {
+    let query = ridersCollection();
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(serializeRider);
+}
+
+// Riders switch themselves between available and offline; resolves null if the rider
+// doesn't exist and throws if they try to go offline in the middle of a job
+async function setAvailability(riderId, status) {
+    const ref = ridersCollection().doc(riderId);
+
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            return null;
+        }
+
+        if (doc.data().status === 'busy') {
+            throw new DispatchError('RIDER_BUSY', `Rider is on order ${doc.data().currentOrderId} and can't change availability`);
+        }
+
+        transaction.update(ref, {
+            status,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { ...serializeRider(doc), status };
+    });
+}
+
+// Available riders without an open job offer, least recently assigned first.
+// Needs a composite index on riders (status, lastAssignedAt).
+async function findAvailableRiders({ excludeRiderIds = [], limit = 10 } = {}) {
+    const pageSize = limit + excludeRiderIds.length;
+    const found = [];
+    let query = ridersCollection()
+        .where('status', '==', 'available')
+        .orderBy('lastAssignedAt', 'asc')
+        .limit(pageSize);
+
+    // Riders holding an offer are filtered out here, so keep paging until there are enough
+    for (;;) {
+        const snapshot = await query.get();
+        found.push(...snapshot.docs.filter(doc => !excludeRiderIds.includes(doc.id) && !doc.data().pendingOfferId));
+        if (found.length >= limit || snapshot.size < pageSize) {
+            break;
+        }
+        query = query.startAfter(snapshot.docs[snapshot.size - 1]);
+    }
+
+    return found.slice(0, limit).map(serializeRider);
+}
+
+module.exports = {
+    RIDER_STATUSES,
+    DispatchError,
+    getRider,
+    upsertRider,
+    listRiders,
+    setAvailability,
+    findAvailableRiders
+};
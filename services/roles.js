@@ -0,0 +1,66 @@
+const admin = require('firebase-admin');
+
+// Roles are stored as a `roles` array in Firebase custom claims, so they arrive
+// in every verified ID token. They are mirrored to users/{uid} for the web apps.
+
+const ROLES = ['admin', 'dispatcher', 'rider', 'merchant', 'customer'];
+
+// Every signed-in user is at least a customer
+function getUserRoles(decodedToken) {
+    const roles = Array.isArray(decodedToken?.roles) ? decodedToken.roles : [];
+    return roles.length > 0 ? roles : ['customer'];
+}
+
+function hasRole(decodedToken, role) {
+    return getUserRoles(decodedToken).includes(role);
+}
+
+async function getRoles(uid) {
+    const userRecord = await admin.auth().getUser(uid);
+    return getUserRoles(userRecord.customClaims);
+}
+
+async function setRoles(uid, roles, extraClaims = {}) {
+    const userRecord = await admin.auth().getUser(uid);
+    const claims = { ...(userRecord.customClaims || {}), ...extraClaims, roles };
+
+    await admin.auth().setCustomUserClaims(uid, claims);
+    await admin.firestore().collection('users').doc(uid).set({
+        roles,
+        isAdmin: roles.includes('admin'),
+        ...(roles.includes('admin') ? { userType: 'ADMIN' } : {}),
+        rolesUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return roles;
+}
+
+// extraClaims carries role-specific claims, e.g. the merchantId a merchant user is linked to
+async function grantRole(uid, role, extraClaims = {}) {
+    const userRecord = await admin.auth().getUser(uid);
+    const current = Array.isArray(userRecord.customClaims?.roles) ? userRecord.customClaims.roles : [];
+
+    if (current.includes(role) && Object.keys(extraClaims).length === 0) {
+        return current;
+    }
+    return setRoles(uid, current.includes(role) ? current : [...current, role], extraClaims);
+}
+
+async function revokeRole(uid, role) {
+    const userRecord = await admin.auth().getUser(uid);
+    const current = Array.isArray(userRecord.customClaims?.roles) ? userRecord.customClaims.roles : [];
+
+    if (!current.includes(role)) {
+        return current;
+    }
+    return setRoles(uid, current.filter(existing => existing !== role));
+}
+
+module.exports = {
+    ROLES,
+    getUserRoles,
+    hasRole,
+    getRoles,
+    grantRole,
+    revokeRole
+};
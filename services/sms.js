@@ -0,0 +1,285 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const smsProviders = require('./smsProviders');
+
+// SMS channel: number normalization, opt-outs, sending through the configured provider and
+// delivery receipts.
+//
+// SMS_PROVIDER picks the provider (termii, twilio or fake); without it SMS is off and sends
+// are recorded as skipped. Every send is logged in sms_messages/{id} against its order, and
+// provider receipts move it through queued -> sent -> delivered | undelivered | failed.
+//
+// Opt-outs are kept in sms_opt_outs/{E.164 number}. Recipients opt out by replying STOP (and
+// back in with START) through the inbound webhook, or an admin sets it for them.
+//
+// Provider webhooks are authenticated by the provider's signature where it signs them
+// (Twilio). Other providers must send SMS_WEBHOOK_SECRET in an X-Webhook-Token header, or as
+// ?token= when their dashboard only takes a URL. PUBLIC_BASE_URL (e.g. https://api.example.com)
+// lets sends ask providers that support it to call back with receipts, and is the URL signatures
+// are checked against.
+
+const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'undelivered', 'failed', 'skipped'];
+
+// A receipt never moves a message back to an earlier status
+const STATUS_RANK = { skipped: 0, queued: 1, sent: 2, delivered: 3, undelivered: 3, failed: 3 };
+
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE'];
+
+const PROVIDER_NAME = process.env.SMS_PROVIDER || null;
+
+// Nigerian mobile numbers: 070x, 080x, 081x, 090x, 091x ...
+const NIGERIAN_NATIONAL_NUMBER = /^[789][01]\d{8}$/;
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+function db() {
+    return admin.firestore();
+}
+
+function messagesCollection() {
+    return db().collection('sms_messages');
+}
+
+function optOutsCollection() {
+    return db().collection('sms_opt_outs');
+}
+
+function getProvider() {
+    return PROVIDER_NAME ? smsProviders.getProvider(PROVIDER_NAME) : null;
+}
+
+function isEnabled() {
+    return !!getProvider();
+}
+
+// Local (0803 123 4567), national (803...) and international (+234 / 234 / 00234) forms of a
+// Nigerian number -> +234XXXXXXXXXX. Other international numbers are kept if they are valid
+// E.164. Resolves null for anything else.
+function normalizePhoneNumber(raw) {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return null;
+    }
+    let digits = String(raw).trim().replace(/[\s().-]/g, '');
+    const international = digits.startsWith('+') || digits.startsWith('00');
+    digits = digits.replace(/^(\+|00)/, '');
+    if (!/^\d+$/.test(digits)) {
+        return null;
+    }
+
+    if (digits.startsWith('234')) {
+        const national = digits.slice(3).replace(/^0/, '');
+        return NIGERIAN_NATIONAL_NUMBER.test(national) ? `+234${national}` : null;
+    }
+    if (international) {
+        return E164.test(`+${digits}`) ? `+${digits}` : null;
+    }
+
+    const national = digits.replace(/^0/, '');
+    return NIGERIAN_NATIONAL_NUMBER.test(national) ? `+234${national}` : null;
+}
+
+async function isOptedOut(phoneNumber) {
+    const doc = await optOutsCollection().doc(phoneNumber).get();
+    return doc.exists;
+}
+
+// source: 'keyword' (the recipient replied STOP/START) or 'admin'
+async function setOptOut(phoneNumber, optedOut, { source, changedBy } = {}) {
+    const ref = optOutsCollection().doc(phoneNumber);
+    if (optedOut) {
+        await ref.set({
+            phoneNumber,
+            source: source || 'admin',
+            changedBy: changedBy || null,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } else {
+        await ref.delete();
+    }
+    console.log(`📵 SMS ${optedOut ? 'opt-out' : 'opt-in'} for ${phoneNumber} (${source || 'admin'})`);
+}
+
+// Only providers that sign their webhooks are given a callback URL, so the secret never has
+// to travel in one
+function getCallbackUrl(kind) {
+    if (!process.env.PUBLIC_BASE_URL || !getProvider()?.verifyWebhook) {
+        return null;
+    }
+    const base = process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+    return `${base}/api/sms/webhooks/${PROVIDER_NAME}/${kind}`;
+}
+
+// Send one SMS and log it. context: { orderId, recipient ('customer' | 'drop-off'), event,
+// orderStatus }. Never throws for provider problems: the logged message records them.
+// Resolves { messageId, status }.
+async function sendSms(rawNumber, body, context = {}) {
+    const to = normalizePhoneNumber(rawNumber);
+    const provider = getProvider();
+    const messageRef = messagesCollection().doc();
+
+    const message = {
+        to: to || String(rawNumber || ''),
+        body,
+        provider: provider ? provider.name : null,
+        providerMessageId: null,
+        orderId: context.orderId || null,
+        recipient: context.recipient || null,
+        event: context.event || null,
+        orderStatus: context.orderStatus || null,
+        locale: context.locale || null,
+        status: 'queued',
+        error: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    let skipReason = null;
+    if (!provider) {
+        skipReason = 'SMS is not configured';
+    } else if (!to) {
+        skipReason = 'Invalid phone number';
+    } else if (await isOptedOut(to)) {
+        skipReason = 'Recipient opted out';
+    }
+
+    if (skipReason) {
+        await messageRef.set({ ...message, status: 'skipped', error: skipReason });
+        return { messageId: messageRef.id, status: 'skipped' };
+    }
+
+    await messageRef.set(message);
+    try {
+        const result = await provider.send({ to, body, statusCallbackUrl: getCallbackUrl('status') });
+        await messageRef.update({
+            status: result.status,
+            providerMessageId: result.providerMessageId,
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`💬 SMS ${messageRef.id} to ${to} via ${provider.name}: ${result.status}`);
+        return { messageId: messageRef.id, status: result.status };
+    } catch (error) {
+        console.error(`❌ SMS ${messageRef.id} to ${to} via ${provider.name} failed:`, error.message);
+        await messageRef.update({
+            status: 'failed',
+            error: error.message,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { messageId: messageRef.id, status: 'failed' };
+    }
+}
+
+function isValidWebhookToken(token) {
+    const secret = process.env.SMS_WEBHOOK_SECRET;
+    if (!secret || typeof token !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(secret);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Whether a webhook request came from the provider. request: { url (the full URL called),
+// headers (lower-cased names), body, token (X-Webhook-Token or ?token=) }
+function isAuthenticWebhook(providerName, request) {
+    const provider = smsProviders.getProvider(providerName);
+    if (!provider) {
+        return false;
+    }
+    return provider.verifyWebhook
+        ? provider.verifyWebhook(request)
+        : isValidWebhookToken(request.token);
+}
+
+// Apply a provider delivery receipt. Resolves the message id, or null if the receipt isn't
+// one we can match.
+async function handleStatusCallback(providerName, payload) {
+    const provider = smsProviders.getProvider(providerName);
+    const receipt = provider?.parseStatusCallback(payload || {});
+    if (!receipt || !MESSAGE_STATUSES.includes(receipt.status)) {
+        return null;
+    }
+
+    const snapshot = await messagesCollection()
+        .where('provider', '==', providerName)
+        .where('providerMessageId', '==', receipt.providerMessageId)
+        .limit(1)
+        .get();
+    if (snapshot.empty) {
+        return null;
+    }
+
+    const messageDoc = snapshot.docs[0];
+    const current = messageDoc.data().status;
+    if ((STATUS_RANK[receipt.status] ?? 0) > (STATUS_RANK[current] ?? 0)) {
+        await messageDoc.ref.update({
+            status: receipt.status,
+            error: receipt.error || null,
+            ...(receipt.status === 'delivered' ? { deliveredAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`📬 SMS ${messageDoc.id} receipt: ${receipt.status}`);
+    }
+    return messageDoc.id;
+}
+
+// Inbound SMS: STOP-style keywords opt the sender out, START-style ones opt them back in.
+// Resolves { phoneNumber, action: 'opted-out' | 'opted-in' | null }, or null if unparseable.
+async function handleInbound(providerName, payload) {
+    const provider = smsProviders.getProvider(providerName);
+    const inbound = provider?.parseInbound(payload || {});
+    const phoneNumber = inbound ? normalizePhoneNumber(inbound.from) : null;
+    if (!phoneNumber) {
+        return null;
+    }
+
+    const keyword = inbound.text.trim().split(/\s+/)[0].toUpperCase();
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+        await setOptOut(phoneNumber, true, { source: 'keyword' });
+        return { phoneNumber, action: 'opted-out' };
+    }
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+        await setOptOut(phoneNumber, false, { source: 'keyword' });
+        return { phoneNumber, action: 'opted-in' };
+    }
+    return { phoneNumber, action: null };
+}
+
+function serializeMessage(doc) {
+    const data = doc.data();
+    const toIso = value => (value?.toDate ? value.toDate().toISOString() : null);
+    return {
+        id: doc.id,
+        ...data,
+        createdAt: toIso(data.createdAt),
+        updatedAt: toIso(data.updatedAt),
+        sentAt: toIso(data.sentAt),
+        deliveredAt: toIso(data.deliveredAt)
+    };
+}
+
+async function listMessages({ orderId, status, limit = 50 } = {}) {
+    let query = messagesCollection();
+    if (orderId) {
+        query = query.where('orderId', '==', orderId);
+    }
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(serializeMessage);
+}
+
+module.exports = {
+    PROVIDER_NAMES: smsProviders.PROVIDER_NAMES,
+    MESSAGE_STATUSES,
+    isEnabled,
+    normalizePhoneNumber,
+    isOptedOut,
+    setOptOut,
+    sendSms,
+    isAuthenticWebhook,
+    handleStatusCallback,
+    handleInbound,
+    listMessages
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// SMS provider adapters. Each provider implements
+//   send({ to, body, statusCallbackUrl }) -> { providerMessageId, status }
+//   parseStatusCallback(body) -> { providerMessageId, status, error } | null
+//   parseInbound(body) -> { from, text } | null
+// and, when the provider signs its webhook requests,
+//   verifyWebhook({ url, headers, body }) -> boolean
+// where status is one of sms.js's MESSAGE_STATUSES. Errors thrown by send() are recorded on
+// the message as a failed send.
+//
+// termii: TERMII_API_KEY, TERMII_SENDER_ID, TERMII_CHANNEL (generic | dnd), TERMII_BASE_URL
+// twilio: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER
+// fake:   keeps the last FAKE_OUTBOX_SIZE messages in memory for local development and tests
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const FAKE_OUTBOX_SIZE = 100;
+
+async function readJson(response, providerName) {
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch (error) {
+        data = null;
+    }
+    if (!response.ok) {
+        const reason = data?.message || data?.error || text.slice(0, 200);
+        throw new Error(`${providerName} responded with HTTP ${response.status}: ${reason}`);
+    }
+    return data || {};
+}
+
+const TERMII_STATUSES = {
+    delivered: 'delivered',
+    sent: 'sent',
+    'message sent': 'sent',
+    'message failed': 'failed',
+    failed: 'failed',
+    rejected: 'failed',
+    expired: 'undelivered',
+    'dnd active on phone number': 'undelivered'
+};
+
+const termii = {
+    name: 'termii',
+
+    async send({ to, body }) {
+        const response = await fetch(`${process.env.TERMII_BASE_URL || 'https://api.ng.termii.com'}/api/sms/send`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                api_key: process.env.TERMII_API_KEY,
+                from: process.env.TERMII_SENDER_ID,
+                to: to.replace(/^\+/, ''),
+                sms: body,
+                type: 'plain',
+                channel: process.env.TERMII_CHANNEL || 'generic'
+            }),
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        const data = await readJson(response, 'Termii');
+        return { providerMessageId: data.message_id ? String(data.message_id) : null, status: 'sent' };
+    },
+
+    parseStatusCallback(body) {
+        const providerMessageId = body.message_id || body.id;
+        if (!providerMessageId || !body.status) {
+            return null;
+        }
+        const status = TERMII_STATUSES[String(body.status).toLowerCase()] || 'sent';
+        return {
+            providerMessageId: String(providerMessageId),
+            status,
+            error: status === 'failed' || status === 'undelivered' ? String(body.status) : null
+        };
+    },
+
+    parseInbound(body) {
+        const from = body.sender || body.from;
+        const text = body.message || body.sms || body.text;
+        return from && typeof text === 'string' ? { from: String(from), text } : null;
+    }
+};
+
+const twilio = {
+    name: 'twilio',
+
+    async send({ to, body, statusCallbackUrl }) {
+        const accountSid = process.env.TWILIO_ACCOUNT_SID;
+        const form = new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER || '', Body: body });
+        if (statusCallbackUrl) {
+            form.set('StatusCallback', statusCallbackUrl);
+        }
+
+        const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Authorization: `Basic ${Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`
+            },
+            body: form.toString(),
+            timeout: REQUEST_TIMEOUT_MS
+        });
+        const data = await readJson(response, 'Twilio');
+        return { providerMessageId: data.sid || null, status: data.status === 'failed' ? 'failed' : 'sent' };
+    },
+
+    parseStatusCallback(body) {
+        if (!body.MessageSid || !body.MessageStatus) {
+            return null;
+        }
+        const status = {
+            queued: 'queued',
+            accepted: 'queued',
+            sending: 'queued',
+            sent: 'sent',
+            delivered: 'delivered',
+            undelivered: 'undelivered',
+            failed: 'failed'
+        }[body.MessageStatus] || 'sent';
+        return {
+            providerMessageId: body.MessageSid,
+            status,
+            error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null
+        };
+    },
+
+    parseInbound(body) {
+        return body.From && typeof body.Body === 'string' ? { from: body.From, text: body.Body } : null;
+    },
+
+    // X-Twilio-Signature: base64 HMAC-SHA1, keyed with the auth token, of the full URL Twilio
+    // called followed by every POST parameter's name and value, sorted by name
+    verifyWebhook({ url, headers, body }) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        const signature = headers['x-twilio-signature'];
+        if (!authToken || typeof signature !== 'string') {
+            return false;
+        }
+        const params = body || {};
+        const data = Object.keys(params).sort().reduce((text, key) => {
+            const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+            return text + values.map(value => key + value).join('');
+        }, url);
+
+        const expected = crypto.createHmac('sha1', authToken).update(data, 'utf8').digest();
+        const actual = Buffer.from(signature, 'base64');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+};
+
+const fakeOutbox = [];
+
+const fake = {
+    name: 'fake',
+
+    async send({ to, body }) {
+        const providerMessageId = `fake-${crypto.randomUUID()}`;
+        fakeOutbox.push({ providerMessageId, to, body, sentAt: new Date().toISOString() });
+        if (fakeOutbox.length > FAKE_OUTBOX_SIZE) {
+            fakeOutbox.shift();
+        }
+        console.log(`📵 [fake SMS] to ${to}: ${body}`);
+        return { providerMessageId, status: 'sent' };
+    },
+
+    // { id, status } with status as in MESSAGE_STATUSES
+    parseStatusCallback(body) {
+        return body.id && body.status
+            ? { providerMessageId: String(body.id), status: String(body.status), error: body.error || null }
+            : null;
+    },
+
+    parseInbound(body) {
+        return body.from && typeof body.text === 'string' ? { from: String(body.from), text: body.text } : null;
+    },
+
+    getOutbox() {
+        return [...fakeOutbox];
+    }
+};
+
+const PROVIDERS = { termii, twilio, fake };
+
+function getProvider(name) {
+    return PROVIDERS[name] || null;
+}
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(PROVIDERS),
+    getProvider
+};
@@ -0,0 +1,193 @@
+const admin = require('firebase-admin');
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Cross-instance Socket.IO adapters, picked with SOCKET_ADAPTER:
+//   local     - default, single instance (Socket.IO's built-in in-memory adapter)
+//   memory    - in-process bus shared by every Server in this process; for tests that run
+//               several instances side by side
+//   firestore - messages relayed through the socket_bus collection; no extra infrastructure,
+//               but adds Firestore latency, so only suited to low traffic
+//   redis     - @socket.io/redis-adapter on REDIS_URL
+
+// A bus carries adapter messages between instances:
+//   publish(channel, message) -> Promise
+//   subscribe(channel, handler) -> unsubscribe function
+
+const memoryEmitter = new EventEmitter();
+memoryEmitter.setMaxListeners(0);
+
+const memoryBus = {
+    async publish(channel, message) {
+        // Delivered asynchronously, like a real transport
+        setImmediate(() => memoryEmitter.emit(channel, message));
+    },
+    subscribe(channel, handler) {
+        memoryEmitter.on(channel, handler);
+        return () => memoryEmitter.off(channel, handler);
+    }
+};
+
+// Messages are stored as JSON, so (as over the wire) dates arrive as ISO strings and
+// binary payloads aren't supported. Needs a composite index on socket_bus (channel, createdAt)
+// and a TTL policy on expiresAt to clean up old messages.
+function createFirestoreBus() {
+    const collection = admin.firestore().collection('socket_bus');
+
+    return {
+        async publish(channel, message) {
+            await collection.add({
+                channel,
+                message: JSON.stringify(message),
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+            });
+        },
+        subscribe(channel, handler) {
+            return collection
+                .where('channel', '==', channel)
+                .where('createdAt', '>', admin.firestore.Timestamp.now())
+                .onSnapshot(snapshot => {
+                    snapshot.docChanges()
+                        .filter(change => change.type === 'added')
+                        .forEach(change => handler(JSON.parse(change.doc.data().message)));
+                }, error => {
+                    console.error(`❌ Socket bus listener for ${channel} failed:`, error.message);
+                });
+        }
+    };
+}
+
+// ClusterAdapter over a bus: one channel per namespace for broadcasts,
+// plus one per server for responses to fetchSockets/serverSideEmit requests
+function createBusAdapter(bus) {
+    return class BusAdapter extends ClusterAdapterWithHeartbeat {
+        constructor(nsp) {
+            super(nsp, {});
+            this.channel = `socket.io#${nsp.name}`;
+            this.unsubscribers = [
+                bus.subscribe(this.channel, message => this.onMessage(message)),
+                bus.subscribe(`${this.channel}#${this.uid}`, response => this.onResponse(response))
+            ];
+        }
+
+        async doPublish(message) {
+            await bus.publish(this.channel, message);
+            // Offsets are only used for connection state recovery, which this adapter doesn't support
+            return '';
+        }
+
+        async doPublishResponse(requesterUid, response) {
+            await bus.publish(`${this.channel}#${requesterUid}`, response);
+        }
+
+        close() {
+            super.close();
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        }
+    };
+}
+
+async function createRedisAdapter() {
+    // Only required when Redis is actually used
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', error => console.error('❌ Redis pub client error:', error.message));
+    subClient.on('error', error => console.error('❌ Redis sub client error:', error.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+}
+
+// Install the adapter named by `kind` on the server; resolves to the kind in use
+async function configureAdapter(io, kind = process.env.SOCKET_ADAPTER || 'local') {
+    switch (kind) {
+        case 'local':
+            break;
+        case 'memory':
+            io.adapter(createBusAdapter(memoryBus));
+            break;
+        case 'firestore':
+            io.adapter(createBusAdapter(createFirestoreBus()));
+            break;
+        case 'redis':
+            io.adapter(await createRedisAdapter());
+            break;
+        default:
+            throw new Error(`Unknown SOCKET_ADAPTER: ${kind}`);
+    }
+    return kind;
+}
+
+function countOrderRooms(rooms) {
+    let count = 0;
+    rooms.forEach((members, room) => {
+        if (room.startsWith('order-')) {
+            count++;
+        }
+    });
+    return count;
+}
+
+// This instance's socket counts, read from memory without asking the other instances
+function getLocalStats(io) {
+    return {
+        connectedClients: io.engine.clientsCount,
+        activeSubscriptions: countOrderRooms(io.of('/').adapter.rooms)
+    };
+}
+
+// Cluster-wide socket counts. fetchSockets() asks every instance through the adapter, so this
+// costs a round trip per instance (and Firestore writes on the firestore bus).
+async function getClusterStats(io) {
+    const sockets = await io.fetchSockets();
+    const orderRooms = new Set();
+
+    sockets.forEach(socket => {
+        socket.rooms.forEach(room => {
+            if (room.startsWith('order-')) {
+                orderRooms.add(room);
+            }
+        });
+    });
+
+    return {
+        servers: await io.of('/').adapter.serverCount(),
+        connectedClients: sockets.length,
+        activeSubscriptions: orderRooms.size
+    };
+}
+
+// Cluster stats at most maxAgeMs old, so an endpoint anyone can poll asks the other instances
+// once per interval however often it is hit. Resolves { ...stats, cachedAt }.
+const clusterStatsCache = new WeakMap();
+
+function getCachedClusterStats(io, maxAgeMs) {
+    const cached = clusterStatsCache.get(io);
+    if (cached && Date.now() - cached.startedAt < maxAgeMs) {
+        return cached.stats;
+    }
+
+    const entry = {
+        startedAt: Date.now(),
+        stats: getClusterStats(io).then(stats => ({ ...stats, cachedAt: new Date().toISOString() }))
+    };
+    // A failed read isn't kept, so the next call tries again
+    entry.stats.catch(() => {
+        if (clusterStatsCache.get(io) === entry) {
+            clusterStatsCache.delete(io);
+        }
+    });
+    clusterStatsCache.set(io, entry);
+    return entry.stats;
+}
+
+module.exports = {
+    configureAdapter,
+    getLocalStats,
+    getClusterStats,
+    getCachedClusterStats
+};
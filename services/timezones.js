@@ -0,0 +1,39 @@
+// IANA timezone helpers built on Intl, shared by analytics and notification preferences.
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+// Wall-clock date and time of an instant in the timezone
+function getZonedParts(date, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return parts;
+}
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts
+};
@@ -0,0 +1,54 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// Signed per-order tracking tokens, handed out by create-order so a customer without a
+// Firebase account can follow one order over Socket.IO.
+// Format: base64url({"o":orderId,"exp":unixSeconds}).hex(HMAC-SHA256)
+
+const TTL_DAYS = Number(process.env.TRACKING_TOKEN_TTL_DAYS) || 30;
+
+// Without TRACKING_TOKEN_SECRET the secret is derived from the service account key,
+// so every instance running with the same credentials agrees on it
+function getSecret() {
+    if (process.env.TRACKING_TOKEN_SECRET) {
+        return process.env.TRACKING_TOKEN_SECRET;
+    }
+    const privateKey = admin.app().options.credential.privateKey;
+    return crypto.createHash('sha256').update(`tracking-token:${privateKey}`).digest('hex');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+function createTrackingToken(orderId) {
+    const exp = Math.floor(Date.now() / 1000) + TTL_DAYS * 24 * 60 * 60;
+    const payload = Buffer.from(JSON.stringify({ o: orderId, exp })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+// Resolves to the order ID the token grants access to, or null if it is invalid or expired
+function verifyTrackingToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const { o: orderId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return exp > Date.now() / 1000 ? orderId : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    createTrackingToken,
+    verifyTrackingToken
+};
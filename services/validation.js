@@ -0,0 +1,121 @@
+// Small schema validator for request payloads.
+//
+// A schema is a plain object describing one value:
+//   { type: 'string', required, minLength, maxLength, pattern, patternMessage, enum }
+//   { type: 'number', required, min, max, integer }
+//   { type: 'boolean', required }
+//   { type: 'object', required, properties: { name: schema, ... } }
+//   { type: 'array', required, items: schema, minItems, maxItems }
+// `required` means not undefined, null or (for strings) empty. patternMessage completes
+// "<field> ..." when a string doesn't match its pattern, e.g. 'must be a valid email address'.
+// Unknown object properties are ignored. validate() returns a list of { field, message } with
+// dotted paths such as "items[2].quantity"; an empty list means the value is valid.
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function describeType(type) {
+    return type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`;
+}
+
+function checkType(schema, value) {
+    switch (schema.type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        default:
+            throw new Error(`Unknown schema type: ${schema.type}`);
+    }
+}
+
+function validateValue(schema, value, field, errors) {
+    const label = field || 'body';
+    if (isMissing(value)) {
+        if (schema.required) {
+            errors.push({ field, message: `${label} is required` });
+        }
+        return;
+    }
+
+    if (!checkType(schema, value)) {
+        errors.push({ field, message: `${label} must be ${describeType(schema.type)}` });
+        return;
+    }
+
+    switch (schema.type) {
+        case 'string': {
+            // Padding doesn't count towards minLength, but it is stored, so it counts towards maxLength
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push({ field, message: `${label} must be at least ${schema.minLength} characters` });
+            } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ field, message: `${label} must be at most ${schema.maxLength} characters` });
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                errors.push({ field, message: `${label} must be one of: ${schema.enum.join(', ')}` });
+            } else if (schema.pattern && !schema.pattern.test(value)) {
+                errors.push({ field, message: `${label} ${schema.patternMessage || 'has an invalid format'}` });
+            }
+            break;
+        }
+        case 'number':
+            if (schema.integer && !Number.isInteger(value)) {
+                errors.push({ field, message: `${label} must be a whole number` });
+            } else if (schema.min !== undefined && value < schema.min) {
+                errors.push({ field, message: `${label} must be at least ${schema.min}` });
+            } else if (schema.max !== undefined && value > schema.max) {
+                errors.push({ field, message: `${label} must be at most ${schema.max}` });
+            }
+            break;
+        case 'array':
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ field, message: `${label} must have at least ${schema.minItems} item(s)` });
+            } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ field, message: `${label} must have at most ${schema.maxItems} items` });
+            } else if (schema.items) {
+                value.forEach((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors));
+            }
+            break;
+        case 'object':
+            Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+                validateValue(propertySchema, value[name], field ? `${field}.${name}` : name, errors);
+            });
+            break;
+    }
+}
+
+function validate(schema, value) {
+    const errors = [];
+    validateValue(schema, value, '', errors);
+    return errors.map(error => ({ ...error, field: error.field || null }));
+}
+
+// Query strings and route params arrive as strings; convert the ones an object schema
+// expects as numbers or booleans so they can be validated (and used) as such
+function coerceStrings(schema, values) {
+    const result = { ...values };
+
+    Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+        const value = result[name];
+        if (typeof value !== 'string' || value.trim() === '') {
+            return;
+        }
+        if (propertySchema.type === 'number' && !Number.isNaN(Number(value))) {
+            result[name] = Number(value);
+        } else if (propertySchema.type === 'boolean' && (value === 'true' || value === 'false')) {
+            result[name] = value === 'true';
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    validate,
+    coerceStrings
+};
@@ -0,0 +1,422 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+
+// Outbound merchant webhooks for order lifecycle events.
+//
+// merchant_webhooks/{webhookId}    - endpoint URL, subscribed events and signing secret
+// webhook_deliveries/{deliveryId}  - one document per event per endpoint; retried with
+//                                    exponential backoff until delivered or dead-lettered
+//
+// Every request carries X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">.
+//
+// Endpoints must be https URLs on public addresses: hosts resolving to loopback, private,
+// link-local (including cloud metadata) or other reserved addresses are refused when the
+// webhook is registered and again on every delivery, where the address actually connected to
+// is checked. WEBHOOK_ALLOW_INSECURE_URLS=true lifts both rules, for local development only.
+
+const WEBHOOK_EVENTS = ['order-created', 'status-update'];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = Number(process.env.WEBHOOK_BASE_RETRY_DELAY_MS) || 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A delivery being attempted is leased so two instances don't send it twice
+const LEASE_MS = 60 * 1000;
+
+function webhooksCollection() {
+    return admin.firestore().collection('merchant_webhooks');
+}
+
+function deliveriesCollection() {
+    return admin.firestore().collection('webhook_deliveries');
+}
+
+function toIsoString(value) {
+    return value?.toDate ? value.toDate().toISOString() : value || null;
+}
+
+// Addresses a webhook may never be sent to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function allowsInsecureUrls() {
+    return process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true';
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedUrlError(message) {
+    const error = new Error(message);
+    error.code = 'WEBHOOK_URL_BLOCKED';
+    return error;
+}
+
+// dns.lookup that refuses non-public addresses, used for every delivery connection so a host
+// can't be pointed at an internal address after it was registered
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked && !allowsInsecureUrls()) {
+            return callback(blockedUrlError(`${hostname} resolves to a non-public address (${blocked.address})`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const deliveryAgents = {
+    'http:': new http.Agent({ lookup: publicOnlyLookup }),
+    'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// Reason the URL can't receive webhooks, or null if it can. Hostnames are resolved when
+// `resolve` is set (registration); deliveries check the address they connect to instead.
+async function checkUrl(url, { resolve = true } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'url must be a valid https URL';
+    }
+
+    if (!['https:', 'http:'].includes(parsed.protocol) || (parsed.protocol === 'http:' && !allowsInsecureUrls())) {
+        return 'url must be a valid https URL';
+    }
+    if (allowsInsecureUrls()) {
+        return null;
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        return isBlockedAddress(hostname) ? 'url must not point to a private or reserved address' : null;
+    }
+    if (!resolve) {
+        return null;
+    }
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        return `url host ${hostname} could not be resolved`;
+    }
+    return addresses.some(entry => isBlockedAddress(entry.address))
+        ? 'url must not point to a private or reserved address'
+        : null;
+}
+
+function signPayload(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function getRetryDelay(attempts) {
+    const delay = BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+    // Up to 10% jitter so retries from a burst of events don't line up
+    return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+function serializeWebhook(doc) {
+    const webhook = doc.data();
+    return {
+        webhookId: doc.id,
+        url: webhook.url,
+        events: webhook.events,
+        active: webhook.active,
+        createdAt: toIsoString(webhook.createdAt)
+    };
+}
+
+function serializeDelivery(doc) {
+    const delivery = doc.data();
+    return {
+        deliveryId: doc.id,
+        webhookId: delivery.webhookId,
+        merchantId: delivery.merchantId,
+        url: delivery.url,
+        event: delivery.event,
+        orderId: delivery.orderId,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastError: delivery.lastError || null,
+        lastResponseStatus: delivery.lastResponseStatus || null,
+        nextAttemptAt: toIsoString(delivery.nextAttemptAt),
+        deliveredAt: toIsoString(delivery.deliveredAt),
+        createdAt: toIsoString(delivery.createdAt)
+    };
+}
+
+async function registerWebhook(merchantId, { url, events = WEBHOOK_EVENTS }) {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const webhookRef = webhooksCollection().doc();
+
+    await webhookRef.set({
+        merchantId,
+        url,
+        events,
+        // Kept in plaintext: the server needs it to sign every delivery
+        secret,
+        active: true,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { webhookId: webhookRef.id, url, events, secret };
+}
+
+async function listWebhooks(merchantId) {
+    const snapshot = await webhooksCollection()
+        .where('merchantId', '==', merchantId)
+        .where('active', '==', true)
+        .get();
+    return snapshot.docs.map(serializeWebhook);
+}
+
+async function deleteWebhook(merchantId, webhookId) {
+    const doc = await webhooksCollection().doc(webhookId).get();
+    if (!doc.exists || doc.data().merchantId !== merchantId || !doc.data().active) {
+        return false;
+    }
+
+    // Deactivated rather than deleted so past deliveries still resolve to an endpoint
+    await doc.ref.update({ active: false, deletedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return true;
+}
+
+// Lease a due delivery; resolves null if it is delivered, dead or leased by someone else
+async function claimDelivery(deliveryRef) {
+    return admin.firestore().runTransaction(async (transaction) => {
+        const doc = await transaction.get(deliveryRef);
+        if (!doc.exists) {
+            return null;
+        }
+
+        const delivery = doc.data();
+        const now = Date.now();
+        if (delivery.status !== 'pending' || (delivery.leaseExpiresAt && delivery.leaseExpiresAt.toMillis() > now)) {
+            return null;
+        }
+
+        transaction.update(deliveryRef, { leaseExpiresAt: new Date(now + LEASE_MS) });
+        return delivery;
+    });
+}
+
+async function attemptDelivery(deliveryRef) {
+    const delivery = await claimDelivery(deliveryRef);
+    if (!delivery) {
+        return;
+    }
+
+    const webhookDoc = await webhooksCollection().doc(delivery.webhookId).get();
+    if (!webhookDoc.exists || !webhookDoc.data().active) {
+        await deliveryRef.update({
+            status: 'dead',
+            lastError: 'Webhook endpoint was removed',
+            leaseExpiresAt: null
+        });
+        return;
+    }
+
+    const attempts = (delivery.attempts || 0) + 1;
+    const rawBody = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let errorMessage = null;
+    let blocked = false;
+
+    try {
+        const urlProblem = await checkUrl(delivery.url, { resolve: false });
+        if (urlProblem) {
+            throw blockedUrlError(urlProblem);
+        }
+
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Reliance-Webhooks/1.0',
+                'X-Webhook-Id': deliveryRef.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhookDoc.data().secret, timestamp, rawBody)}`
+            },
+            body: rawBody,
+            redirect: 'manual',
+            timeout: REQUEST_TIMEOUT_MS,
+            agent: parsedUrl => deliveryAgents[parsedUrl.protocol]
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            errorMessage = `Receiver responded with HTTP ${response.status}`;
+        }
+    } catch (error) {
+        errorMessage = error.message;
+        blocked = error.code === 'WEBHOOK_URL_BLOCKED';
+    }
+
+    if (!errorMessage) {
+        await deliveryRef.update({
+            status: 'delivered',
+            attempts,
+            lastResponseStatus: responseStatus,
+            lastError: null,
+            leaseExpiresAt: null,
+            deliveredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.log(`🪝 Webhook ${deliveryRef.id} (${delivery.event}) delivered to ${delivery.url}`);
+        return;
+    }
+
+    // A blocked address won't become allowed by retrying
+    if (attempts >= MAX_ATTEMPTS || blocked) {
+        await deliveryRef.update({
+            status: 'dead',
+            attempts,
+            lastResponseStatus: responseStatus,
+            lastError: errorMessage,
+            leaseExpiresAt: null,
+            deadAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        console.error(`💀 Webhook ${deliveryRef.id} dead-lettered after ${attempts} attempts: ${errorMessage}`);
+        return;
+    }
+
+    const delay = getRetryDelay(attempts);
+    await deliveryRef.update({
+        attempts,
+        lastResponseStatus: responseStatus,
+        lastError: errorMessage,
+        leaseExpiresAt: null,
+        nextAttemptAt: new Date(Date.now() + delay)
+    });
+    console.log(`⏳ Webhook ${deliveryRef.id} attempt ${attempts} failed (${errorMessage}), retrying in ${Math.round(delay / 1000)}s`);
+}
+
+// Queue an order event for every active endpoint of the merchant subscribed to it
+async function enqueueOrderEvent(merchantId, orderId, event) {
+    const snapshot = await webhooksCollection()
+        .where('merchantId', '==', merchantId)
+        .where('active', '==', true)
+        .get();
+
+    const endpoints = snapshot.docs.filter(doc => doc.data().events.includes(event.type));
+    if (endpoints.length === 0) {
+        return [];
+    }
+
+    const createdAt = new Date().toISOString();
+    const deliveryRefs = await Promise.all(endpoints.map(async (doc) => {
+        const deliveryRef = deliveriesCollection().doc();
+        await deliveryRef.set({
+            webhookId: doc.id,
+            merchantId,
+            url: doc.data().url,
+            event: event.type,
+            orderId,
+            payload: {
+                id: deliveryRef.id,
+                type: event.type,
+                createdAt,
+                data: { orderId, ...event }
+            },
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return deliveryRef;
+    }));
+
+    // First attempt right away; failures are picked up by processDueDeliveries
+    deliveryRefs.forEach(deliveryRef => {
+        attemptDelivery(deliveryRef).catch(error => {
+            console.error(`❌ Webhook delivery ${deliveryRef.id} errored:`, error);
+        });
+    });
+
+    return deliveryRefs.map(ref => ref.id);
+}
+
+// Retry pending deliveries whose backoff has elapsed.
+// Needs a composite index on webhook_deliveries (status, nextAttemptAt).
+async function processDueDeliveries(limit = 50) {
+    const snapshot = await deliveriesCollection()
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', new Date())
+        .orderBy('nextAttemptAt', 'asc')
+        .limit(limit)
+        .get();
+
+    for (const doc of snapshot.docs) {
+        try {
+            await attemptDelivery(doc.ref);
+        } catch (error) {
+            console.error(`❌ Webhook delivery ${doc.id} errored:`, error);
+        }
+    }
+    return snapshot.size;
+}
+
+async function listDeliveries({ status, merchantId, limit = 50 } = {}) {
+    let query = deliveriesCollection();
+
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+    if (merchantId) {
+        query = query.where('merchantId', '==', merchantId);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(serializeDelivery);
+}
+
+// Put a delivery (usually a dead-lettered one) back in the queue with a fresh attempt budget
+async function replayDelivery(deliveryId) {
+    const deliveryRef = deliveriesCollection().doc(deliveryId);
+    const doc = await deliveryRef.get();
+    if (!doc.exists) {
+        return null;
+    }
+
+    await deliveryRef.update({
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        leaseExpiresAt: null,
+        replayedAt: admin.firestore.FieldValue.serverTimestamp(),
+        replayCount: admin.firestore.FieldValue.increment(1)
+    });
+
+    await attemptDelivery(deliveryRef);
+    return serializeDelivery(await deliveryRef.get());
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    checkUrl,
+    signPayload,
+    registerWebhook,
+    listWebhooks,
+    deleteWebhook,
+    enqueueOrderEvent,
+    processDueDeliveries,
+    listDeliveries,
+    replayDelivery
+};
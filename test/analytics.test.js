@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const analytics = require('../services/analytics');
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+});
+
+const MINUTE_MS = 60 * 1000;
+
+// An e-commerce order created at the given instant; delivered orders are picked up at
+// creation and delivered `deliveredAfterMinutes` later
+function addOrder(createdAt, { status = 'pending', deliveredAfterMinutes = 60, promisedAfterMinutes = 90, ...data } = {}) {
+    const created = new Date(createdAt);
+    const order = {
+        deliveryType: 'ECOMMERCE',
+        serviceType: 'DELIVERY_ONLY',
+        merchantId: 'merchant-1',
+        status,
+        createdAt: created,
+        updatedAt: created,
+        promisedDeliveryTime: new Date(created.getTime() + promisedAfterMinutes * MINUTE_MS),
+        orderSummary: { total: 5000 },
+        ...data
+    };
+    if (status === 'delivered') {
+        order.statusTimestamps = {
+            'picked-up': created,
+            delivered: new Date(created.getTime() + deliveredAfterMinutes * MINUTE_MS)
+        };
+    }
+    return db.collection('deliveries').add(order);
+}
+
+test('days are bucketed in the requested timezone', async () => {
+    // 23:30 UTC on 1 May is already 2 May in Lagos
+    await addOrder('2026-05-01T23:30:00Z');
+    await addOrder('2026-05-01T12:00:00Z');
+
+    const lagos = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-02' });
+    assert.equal(lagos.timezone, 'Africa/Lagos');
+    assert.equal(lagos.period.start, '2026-04-30T23:00:00.000Z');
+    assert.deepEqual(lagos.buckets.map(({ period, ordersCreated }) => [period, ordersCreated]), [['2026-05-01', 1], ['2026-05-02', 1]]);
+
+    const utc = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-02', timezone: 'UTC' });
+    assert.deepEqual(utc.buckets.map(({ period, ordersCreated }) => [period, ordersCreated]), [['2026-05-01', 2], ['2026-05-02', 0]]);
+});
+
+test('weeks start on Monday and months are calendar months', async () => {
+    await addOrder('2026-05-06T10:00:00Z'); // Wednesday
+    await addOrder('2026-05-11T10:00:00Z'); // the next Monday
+
+    const weekly = await analytics.getOrderAnalytics({ granularity: 'weekly', startDate: '2026-05-04', endDate: '2026-05-17' });
+    assert.deepEqual(weekly.buckets.map(({ period, ordersCreated }) => [period, ordersCreated]), [['2026-05-04', 1], ['2026-05-11', 1]]);
+
+    const monthly = await analytics.getOrderAnalytics({ granularity: 'monthly', startDate: '2026-04-15', endDate: '2026-05-31' });
+    assert.deepEqual(monthly.buckets.map(({ period, ordersCreated }) => [period, ordersCreated]), [['2026-04', 0], ['2026-05', 2]]);
+});
+
+test('delivered orders count towards revenue, delivery time and the on-time rate', async () => {
+    await addOrder('2026-05-01T10:00:00Z', { status: 'delivered', deliveredAfterMinutes: 60 });
+    await addOrder('2026-05-01T11:00:00Z', { status: 'delivered', deliveredAfterMinutes: 120 });
+    await addOrder('2026-05-01T12:00:00Z', { status: 'failed' });
+    await addOrder('2026-05-01T13:00:00Z', { status: 'in-progress' });
+
+    const { totals } = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-01' });
+
+    assert.deepEqual(totals, {
+        ordersCreated: 4,
+        delivered: 2,
+        failed: 1,
+        revenue: 10000,
+        averageDeliveryMinutes: 90,
+        onTimeRate: 0.5,
+        byStatus: { delivered: 2, failed: 1, 'in-progress': 1 }
+    });
+});
+
+test('on time means by the time promised at creation, not the latest estimate', async () => {
+    const late = new Date('2026-05-01T12:00:00Z');
+    await addOrder('2026-05-01T10:00:00Z', { status: 'delivered', deliveredAfterMinutes: 120, estimatedDeliveryTime: late });
+    await addOrder('2026-05-01T11:00:00Z', { status: 'delivered', promisedDeliveryTime: null, estimatedDeliveryTime: late });
+
+    const { totals } = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-01' });
+
+    assert.equal(totals.delivered, 2);
+    assert.equal(totals.onTimeRate, 0);
+});
+
+test('a range without deliveries reports null averages rather than NaN', async () => {
+    await addOrder('2026-05-01T10:00:00Z');
+
+    const { totals } = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-01' });
+
+    assert.equal(totals.averageDeliveryMinutes, null);
+    assert.equal(totals.onTimeRate, null);
+    assert.equal(totals.revenue, 0);
+});
+
+test('results are broken down by service type and merchant and can be filtered', async () => {
+    await addOrder('2026-05-01T10:00:00Z');
+    await addOrder('2026-05-01T11:00:00Z', { serviceType: 'PICKUP_AND_DELIVERY', merchantId: 'merchant-2' });
+    await addOrder('2026-05-01T12:00:00Z', { merchantId: null });
+
+    const all = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-01' });
+    assert.deepEqual(Object.keys(all.byServiceType).sort(), ['DELIVERY_ONLY', 'PICKUP_AND_DELIVERY']);
+    assert.deepEqual(Object.fromEntries(Object.entries(all.byMerchant).map(([key, value]) => [key, value.ordersCreated])),
+        { 'merchant-1': 1, 'merchant-2': 1, direct: 1 });
+
+    const merchant = await analytics.getOrderAnalytics({ startDate: '2026-05-01', endDate: '2026-05-01', merchantId: 'merchant-2' });
+    assert.equal(merchant.totals.ordersCreated, 1);
+});
+
+test('bad granularities, timezones and ranges are validation errors', async () => {
+    await assert.rejects(analytics.getOrderAnalytics({ granularity: 'hourly' }), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(analytics.getOrderAnalytics({ timezone: 'Mars/Olympus_Mons' }), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(analytics.getOrderAnalytics({ startDate: '2026-05-02', endDate: '2026-05-01' }), { code: 'VALIDATION_FAILED' });
+    await assert.rejects(analytics.getOrderAnalytics({ startDate: '2024-01-01', endDate: '2026-01-01' }), { code: 'VALIDATION_FAILED' });
+});
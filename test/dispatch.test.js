@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const dispatch = require('../services/dispatch');
+
+// Stand-in for the Socket.IO server: records what is emitted to which room
+const emitted = [];
+dispatch.init({
+    to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+});
+
+let db;
+
+test.beforeEach((t) => {
+    db = fakeFirestore.install();
+    emitted.length = 0;
+    // Offer timeouts are driven by expiresAt and expireDueOffers() here, not the timers
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+async function addOrder(orderId, data = {}) {
+    const ref = db.collection('deliveries').doc();
+    await ref.set({
+        id: orderId,
+        status: 'confirmed',
+        serviceType: 'DELIVERY_ONLY',
+        deliveryAddress: { street: '5 Allen Avenue, Ikeja' },
+        items: [{ name: 'Shoes' }],
+        riderId: null,
+        ...data
+    });
+    return ref;
+}
+
+// Riders are offered jobs least recently assigned first, so this is the order they're tried in
+async function addRiders(...riderIds) {
+    for (const [index, riderId] of riderIds.entries()) {
+        await db.collection('riders').doc(riderId).set({
+            name: `Rider ${riderId}`,
+            phone: '+2348030000000',
+            status: 'available',
+            currentOrderId: null,
+            lastAssignedAt: new Date(Date.UTC(2026, 0, 1, index))
+        });
+    }
+}
+
+function order(ref) {
+    return db.dump('deliveries')[ref.id];
+}
+
+function rider(riderId) {
+    return db.dump('riders')[riderId];
+}
+
+function offers() {
+    return Object.entries(db.dump('rider_offers')).map(([offerId, offer]) => ({ offerId, ...offer }));
+}
+
+function riderUser(uid) {
+    return { uid, email: `${uid}@example.com` };
+}
+
+test('startDispatch offers the job to the least recently assigned rider', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+
+    const offer = await dispatch.startDispatch('ECO-1');
+
+    assert.equal(offer.riderId, 'r1');
+    assert.equal(order(ref).activeOfferId, offer.offerId);
+    assert.equal(rider('r1').pendingOfferId, offer.offerId);
+    assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [['rider-r1', 'job-offer']]);
+    assert.deepEqual(emitted[0].payload, {
+        offerId: offer.offerId,
+        orderId: 'ECO-1',
+        serviceType: 'DELIVERY_ONLY',
+        pickupAddress: null,
+        deliveryAddress: '5 Allen Avenue, Ikeja',
+        itemCount: 1,
+        expiresAt: offer.expiresAt
+    });
+});
+
+test('an order is offered by one chain at a time', async () => {
+    await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+
+    await dispatch.startDispatch('ECO-1');
+
+    await assert.rejects(dispatch.startDispatch('ECO-1'), { code: 'DISPATCH_IN_PROGRESS' });
+    assert.equal(offers().length, 1);
+});
+
+test('riders holding an offer are not offered another job', async () => {
+    await addOrder('ECO-1');
+    await addOrder('ECO-2');
+    await addRiders('r1', 'r2');
+
+    const first = await dispatch.startDispatch('ECO-1');
+    const second = await dispatch.startDispatch('ECO-2');
+
+    assert.equal(first.riderId, 'r1');
+    assert.equal(second.riderId, 'r2');
+});
+
+test('a declined offer moves on to the next rider and frees the first', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const first = await dispatch.startDispatch('ECO-1');
+
+    assert.deepEqual(await dispatch.respondToOffer(first.offerId, riderUser('r1'), false), { status: 'declined', orderId: 'ECO-1' });
+
+    const second = offers().find(offer => offer.riderId === 'r2');
+    assert.equal(second.status, 'pending');
+    assert.deepEqual(second.triedRiderIds, ['r1', 'r2']);
+    assert.equal(order(ref).activeOfferId, second.offerId);
+    assert.equal(rider('r1').pendingOfferId, null);
+    assert.equal(offers().find(offer => offer.riderId === 'r1').status, 'declined');
+});
+
+test('accepting an offer assigns the rider and ends the chain', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1');
+    const offer = await dispatch.startDispatch('ECO-1');
+
+    const result = await dispatch.respondToOffer(offer.offerId, riderUser('r1'), true);
+
+    assert.equal(result.status, 'accepted');
+    assert.equal(result.assignment.rider.id, 'r1');
+    assert.equal(order(ref).riderId, 'r1');
+    assert.equal(order(ref).activeOfferId, null);
+    assert.equal(rider('r1').status, 'busy');
+    assert.equal(rider('r1').currentOrderId, 'ECO-1');
+    assert.equal(rider('r1').pendingOfferId, null);
+
+    const [entry] = Object.values(db.dump(`deliveries/${ref.id}/statusHistory`));
+    assert.equal(entry.type, 'rider-assigned');
+    assert.deepEqual(entry.changedBy, { uid: 'r1', email: 'r1@example.com' });
+});
+
+test('only the rider an offer was made to can answer it, and only while it is open', async () => {
+    await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const offer = await dispatch.startDispatch('ECO-1');
+
+    await assert.rejects(dispatch.respondToOffer(offer.offerId, riderUser('r2'), true), { code: 'OFFER_NOT_FOUND' });
+
+    await db.collection('rider_offers').doc(offer.offerId).update({ expiresAt: new Date(Date.now() - 1000) });
+    await assert.rejects(dispatch.respondToOffer(offer.offerId, riderUser('r1'), true), { code: 'OFFER_CLOSED' });
+});
+
+test('expireDueOffers expires offers whose timer was lost and offers the job on', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const first = await dispatch.startDispatch('ECO-1');
+    await db.collection('rider_offers').doc(first.offerId).update({ expiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal(await dispatch.expireDueOffers(), 1);
+
+    assert.equal(offers().find(offer => offer.offerId === first.offerId).status, 'expired');
+    assert.ok(emitted.some(({ room, event }) => room === 'rider-r1' && event === 'job-offer-expired'));
+    const second = offers().find(offer => offer.riderId === 'r2');
+    assert.equal(order(ref).activeOfferId, second.offerId);
+});
+
+test('when every rider has passed, admins are told and the order can be dispatched again', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1');
+    const offer = await dispatch.startDispatch('ECO-1');
+
+    await dispatch.respondToOffer(offer.offerId, riderUser('r1'), false);
+
+    const failed = emitted.find(({ event, payload }) => event === 'general-update' && payload.type === 'dispatch-failed');
+    assert.equal(failed.room, 'admins');
+    assert.deepEqual(failed.payload.triedRiderIds, ['r1']);
+    assert.equal(order(ref).activeOfferId, null);
+});
+
+test('orders that are not ready for a rider, or already have one, are not dispatched', async () => {
+    await addOrder('ECO-1', { status: 'pending' });
+    await addOrder('ECO-2', { riderId: 'r9' });
+    await addRiders('r1');
+
+    await assert.rejects(dispatch.startDispatch('ECO-1'), { code: 'ORDER_NOT_ASSIGNABLE' });
+    await assert.rejects(dispatch.startDispatch('ECO-2'), { code: 'RIDER_ALREADY_ASSIGNED' });
+    await assert.rejects(dispatch.startDispatch('ECO-404'), { code: 'ORDER_NOT_FOUND' });
+    assert.equal(offers().length, 0);
+});
+
+test('a failed accept tells the rider and offers the job to the next one', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const first = await dispatch.startDispatch('ECO-1');
+    await db.collection('riders').doc('r1').update({ status: 'offline' });
+
+    await assert.rejects(dispatch.respondToOffer(first.offerId, riderUser('r1'), true), { code: 'RIDER_NOT_AVAILABLE' });
+
+    assert.equal(offers().find(offer => offer.offerId === first.offerId).status, 'failed');
+    const second = offers().find(offer => offer.riderId === 'r2');
+    assert.equal(second.status, 'pending');
+    assert.equal(order(ref).activeOfferId, second.offerId);
+});
+
+test('offers stop once the order can no longer be assigned', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const first = await dispatch.startDispatch('ECO-1');
+    await ref.update({ status: 'cancelled' });
+
+    await dispatch.respondToOffer(first.offerId, riderUser('r1'), false);
+
+    assert.equal(offers().length, 1);
+    assert.equal(order(ref).activeOfferId, null);
+    assert.equal(emitted.some(({ payload }) => payload.type === 'dispatch-failed'), false);
+});
+
+test('a finished order withdraws its open offer in the status update\'s transaction', async () => {
+    const ref = await addOrder('ECO-1');
+    await addRiders('r1', 'r2');
+    const offer = await dispatch.startDispatch('ECO-1');
+    emitted.length = 0;
+
+    // What update-order does when the order is cancelled, failed or delivered
+    const withdrawn = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        const openOffer = await dispatch.readOpenOffer(transaction, doc.data());
+        transaction.update(ref, { status: 'cancelled', activeOfferId: null });
+        return dispatch.withdrawOpenOffer(transaction, openOffer);
+    });
+    dispatch.notifyOfferWithdrawn(withdrawn);
+
+    assert.deepEqual(withdrawn, { offerId: offer.offerId, orderId: 'ECO-1', riderId: 'r1' });
+    assert.equal(offers()[0].status, 'expired');
+    assert.equal(rider('r1').pendingOfferId, null);
+    assert.deepEqual(emitted.map(({ room, event }) => [room, event]), [['rider-r1', 'job-offer-expired']]);
+
+    // The offer's timer finds nothing left to do
+    await db.collection('rider_offers').doc(offer.offerId).update({ expiresAt: new Date(Date.now() - 1000) });
+    assert.equal(await dispatch.expireDueOffers(), 0);
+    assert.equal(offers().length, 1);
+});
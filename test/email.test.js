@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const email = require('../services/email');
+
+const TOPIC_ARN = 'arn:aws:sns:eu-west-1:123456789012:ses-events';
+const CERT_URL = 'https://sns.eu-west-1.amazonaws.com/SimpleNotificationService-abc.pem';
+
+// Stands in for the SNS signing certificate: crypto.verify takes a public key PEM as well
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const loadCertificate = async () => publicKey.export({ type: 'spki', format: 'pem' });
+
+function signedNotification(fields = {}) {
+    const envelope = {
+        Type: 'Notification',
+        MessageId: 'message-1',
+        TopicArn: TOPIC_ARN,
+        Message: JSON.stringify({ notificationType: 'Bounce' }),
+        Timestamp: '2026-05-01T10:00:00.000Z',
+        SignatureVersion: '2',
+        SigningCertURL: CERT_URL,
+        ...fields
+    };
+    const signed = ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+        .filter(field => envelope[field] !== undefined)
+        .map(field => `${field}\n${envelope[field]}\n`)
+        .join('');
+    envelope.Signature = crypto.sign('RSA-SHA256', Buffer.from(signed), privateKey).toString('base64');
+    return envelope;
+}
+
+test.beforeEach((t) => {
+    process.env.EMAIL_SNS_TOPIC_ARNS = `arn:aws:sns:eu-west-1:123456789012:other, ${TOPIC_ARN}`;
+    process.env.EMAIL_WEBHOOK_SECRET = 'webhook-secret';
+    t.after(() => {
+        delete process.env.EMAIL_SNS_TOPIC_ARNS;
+        delete process.env.EMAIL_WEBHOOK_SECRET;
+    });
+});
+
+test('SNS messages signed by SNS for one of our topics are accepted', async () => {
+    assert.equal(await email.verifySnsMessage(signedNotification(), { loadCertificate }), true);
+    assert.equal(await email.verifySnsMessage(signedNotification({ Subject: 'Amazon SES Email Event' }), { loadCertificate }), true);
+});
+
+test('tampered, foreign-topic and oddly certified SNS messages are refused', async () => {
+    const tampered = { ...signedNotification(), Message: JSON.stringify({ notificationType: 'Complaint' }) };
+    assert.equal(await email.verifySnsMessage(tampered, { loadCertificate }), false);
+
+    // A validly signed message from someone else's topic
+    assert.equal(await email.verifySnsMessage(signedNotification({ TopicArn: 'arn:aws:sns:eu-west-1:999999999999:theirs' }), { loadCertificate }), false);
+
+    assert.equal(await email.verifySnsMessage(signedNotification({ SigningCertURL: 'https://evil.example.com/cert.pem' }), { loadCertificate }), false);
+    assert.equal(await email.verifySnsMessage(signedNotification({ SignatureVersion: '3' }), { loadCertificate }), false);
+    assert.equal(await email.verifySnsMessage({}, { loadCertificate }), false);
+});
+
+test('without EMAIL_SNS_TOPIC_ARNS no SNS message is accepted', async () => {
+    delete process.env.EMAIL_SNS_TOPIC_ARNS;
+    assert.equal(await email.verifySnsMessage(signedNotification(), { loadCertificate }), false);
+});
+
+test('other webhook sources must send the shared secret', async () => {
+    assert.equal(await email.isAuthenticWebhook('generic', { body: {}, token: 'webhook-secret' }), true);
+    assert.equal(await email.isAuthenticWebhook('sendgrid', { body: [], token: 'wrong-secret' }), false);
+    assert.equal(await email.isAuthenticWebhook('generic', { body: {} }), false);
+
+    // SES never falls back to the secret
+    assert.equal(await email.isAuthenticWebhook('ses', { body: '{}', token: 'webhook-secret' }), false);
+});
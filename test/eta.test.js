@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const eta = require('../services/eta');
+
+const MINUTE_MS = 60 * 1000;
+
+// 13:00 in Lagos, outside peak hours. Each test starts a few minutes after the last so the
+// cached dispatch workload (kept for a minute) is read again.
+let clock = Date.parse('2026-05-04T12:00:00Z');
+let db;
+
+test.beforeEach((t) => {
+    clock += 5 * MINUTE_MS;
+    t.mock.timers.enable({ apis: ['Date'], now: clock });
+    db = fakeFirestore.install();
+});
+
+// Ikeja and Yaba, both on the Lagos mainland
+const IKEJA = { lat: 6.6018, lng: 3.3515 };
+const YABA = { lat: 6.5095, lng: 3.3711 };
+
+function deliveryOnly(data = {}) {
+    return {
+        status: 'confirmed',
+        serviceType: 'DELIVERY_ONLY',
+        riderId: 'rider-1',
+        pickupAddress: null,
+        deliveryAddress: { street: '5 Allen Avenue, Ikeja', coordinates: IKEJA },
+        ...data
+    };
+}
+
+function minutesFromNow(date) {
+    return (date.getTime() - Date.now()) / MINUTE_MS;
+}
+
+async function addDeliveries(count, data) {
+    for (let i = 0; i < count; i += 1) {
+        await db.collection('deliveries').add(data);
+    }
+}
+
+test('orders without drop-off coordinates keep the fixed estimates', async () => {
+    const result = await eta.calculateEta({
+        serviceType: 'PICKUP_AND_DELIVERY',
+        status: 'pending',
+        deliveryAddress: { street: 'somewhere' }
+    });
+
+    assert.equal(result.eta.method, 'fallback');
+    assert.equal(minutesFromNow(result.estimatedPickupTime), 2 * 60);
+    assert.equal(minutesFromNow(result.estimatedDeliveryTime), 24 * 60);
+});
+
+test('a picked-up order is timed from the rider\'s last location at the zone speed', async () => {
+    const result = await eta.calculateEta(deliveryOnly({
+        status: 'in-progress',
+        trackingInfo: { lastLocation: YABA }
+    }));
+
+    // 13.6 km by road at 20 km/h
+    assert.equal(result.eta.method, 'distance');
+    assert.equal(result.eta.zone, 'lagos-mainland');
+    assert.equal(result.eta.distanceKm, 13.6);
+    assert.equal(minutesFromNow(result.estimatedDeliveryTime), 41);
+    assert.equal(result.estimatedPickupTime, null);
+});
+
+test('peak hours use the zone\'s peak speed', async () => {
+    const order = deliveryOnly({ status: 'in-progress', trackingInfo: { lastLocation: YABA } });
+    const offPeak = new Date('2026-05-04T12:00:00Z');
+    const peak = new Date('2026-05-04T17:00:00Z'); // 18:00 in Lagos
+
+    const offPeakMinutes = (await eta.calculateEta(order, { now: offPeak })).estimatedDeliveryTime - offPeak;
+    const peakMinutes = (await eta.calculateEta(order, { now: peak })).estimatedDeliveryTime - peak;
+
+    assert.equal(offPeakMinutes / MINUTE_MS, 41);
+    assert.equal(peakMinutes / MINUTE_MS, 82);
+});
+
+test('pickup orders add the rider\'s approach and handling before the delivery leg', async () => {
+    const result = await eta.calculateEta(deliveryOnly({
+        serviceType: 'PICKUP_AND_DELIVERY',
+        pickupAddress: { street: 'Yaba market', coordinates: YABA }
+    }));
+
+    assert.equal(minutesFromNow(result.estimatedPickupTime), 15);
+    assert.equal(minutesFromNow(result.estimatedDeliveryTime), 15 + 10 + 41);
+});
+
+test('unassigned orders wait for the dispatch backlog, counting only orders without a rider', async () => {
+    await addDeliveries(3, { status: 'pending', riderId: null });
+    await addDeliveries(2, { status: 'confirmed', riderId: 'rider-9' });
+    await addDeliveries(2, { status: 'delivered', riderId: null });
+    await db.collection('riders').add({ status: 'available' });
+
+    const result = await eta.calculateEta(deliveryOnly({ riderId: null }));
+
+    // 10 minutes to dispatch plus 15 per queued order per available rider, then the
+    // default 45 minute trip as there's no rider location to measure from
+    assert.equal(result.eta.method, 'distance+queue');
+    assert.equal(minutesFromNow(result.estimatedDeliveryTime), 10 + 3 * 15 + 45);
+});
+
+test('backfillRiderIds stores riderId: null on orders from before it was stored', async () => {
+    const legacy = await db.collection('deliveries').add({ status: 'confirmed' });
+    await db.collection('deliveries').add({ status: 'pending', riderId: null });
+    await db.collection('deliveries').add({ status: 'confirmed', riderId: 'rider-9' });
+
+    assert.deepEqual(await eta.backfillRiderIds({ dryRun: true }), [legacy.id]);
+    assert.equal('riderId' in db.dump('deliveries')[legacy.id], false);
+
+    assert.deepEqual(await eta.backfillRiderIds(), [legacy.id]);
+    const stored = db.dump('deliveries');
+    assert.equal(stored[legacy.id].riderId, null);
+    assert.equal(Object.values(stored).filter(order => order.riderId === 'rider-9').length, 1);
+    assert.deepEqual(await eta.backfillRiderIds(), []);
+
+    // Both unassigned orders now count towards the backlog
+    const result = await eta.calculateEta(deliveryOnly({ riderId: null }));
+    assert.equal(minutesFromNow(result.estimatedDeliveryTime), 10 + 2 * 15 + 45);
+});
+
+test('refreshOrderEta stores and resolves an estimate that moved', async () => {
+    const ref = db.collection('deliveries').doc();
+    await ref.set({
+        id: 'ECO-1',
+        ...deliveryOnly({ status: 'in-progress', trackingInfo: { lastLocation: YABA } }),
+        estimatedDeliveryTime: new Date(Date.now() + 90 * MINUTE_MS)
+    });
+
+    const refreshed = await eta.refreshOrderEta('ECO-1');
+
+    assert.equal(minutesFromNow(refreshed.estimatedDeliveryTime), 41);
+    const stored = db.dump('deliveries')[ref.id];
+    assert.equal(stored.estimatedDeliveryTime.toMillis(), refreshed.estimatedDeliveryTime.getTime());
+    assert.ok(stored.serverWriteId);
+});
+
+test('refreshOrderEta leaves small changes and finished orders alone', async () => {
+    await db.collection('deliveries').add({
+        id: 'ECO-1',
+        ...deliveryOnly({ status: 'in-progress', trackingInfo: { lastLocation: YABA } }),
+        estimatedDeliveryTime: new Date(Date.now() + 43 * MINUTE_MS)
+    });
+    await db.collection('deliveries').add({
+        id: 'ECO-2',
+        ...deliveryOnly({ status: 'delivered' }),
+        estimatedDeliveryTime: new Date(Date.now() - 90 * MINUTE_MS)
+    });
+
+    assert.equal(await eta.refreshOrderEta('ECO-1'), null);
+    assert.equal(await eta.refreshOrderEta('ECO-2'), null);
+    assert.equal(await eta.refreshOrderEta('ECO-404'), null);
+});
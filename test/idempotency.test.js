@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const idempotency = require('../services/idempotency');
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+});
+
+const BODY = { customerName: 'Adaeze Okafor', items: [{ name: 'Shoes', quantity: 1 }] };
+
+test('hashRequestBody ignores key order but not values', () => {
+    assert.equal(
+        idempotency.hashRequestBody({ b: 1, a: { y: 2, x: [1, 2] } }),
+        idempotency.hashRequestBody({ a: { x: [1, 2], y: 2 }, b: 1 })
+    );
+    assert.notEqual(idempotency.hashRequestBody({ a: [1, 2] }), idempotency.hashRequestBody({ a: [2, 1] }));
+    assert.equal(idempotency.hashRequestBody(undefined), idempotency.hashRequestBody({}));
+});
+
+test('a completed request replays its stored response', async () => {
+    const hash = idempotency.hashRequestBody(BODY);
+    const first = await idempotency.beginRequest('merchant:m1', 'key-1', hash);
+    assert.equal(first.outcome, 'new');
+
+    await idempotency.completeRequest(first.ref, 200, { success: true, data: { orderId: 'ECO-1' } });
+
+    assert.deepEqual(await idempotency.beginRequest('merchant:m1', 'key-1', hash), {
+        outcome: 'replay',
+        responseStatus: 200,
+        responseBody: { success: true, data: { orderId: 'ECO-1' } }
+    });
+});
+
+test('a retry while the first request runs is reported in progress', async () => {
+    const hash = idempotency.hashRequestBody(BODY);
+    await idempotency.beginRequest('merchant:m1', 'key-1', hash);
+
+    assert.deepEqual(await idempotency.beginRequest('merchant:m1', 'key-1', hash), { outcome: 'in-progress' });
+});
+
+test('reusing a key with a different body is a mismatch', async () => {
+    await idempotency.beginRequest('merchant:m1', 'key-1', idempotency.hashRequestBody(BODY));
+
+    const result = await idempotency.beginRequest('merchant:m1', 'key-1', idempotency.hashRequestBody({ ...BODY, customerName: 'Someone else' }));
+    assert.deepEqual(result, { outcome: 'mismatch' });
+});
+
+test('keys are scoped, so two merchants can use the same key', async () => {
+    const hash = idempotency.hashRequestBody(BODY);
+    await idempotency.beginRequest('merchant:m1', 'key-1', hash);
+
+    assert.equal((await idempotency.beginRequest('merchant:m2', 'key-1', hash)).outcome, 'new');
+});
+
+test('a released or expired key can be used again', async () => {
+    const hash = idempotency.hashRequestBody(BODY);
+    const first = await idempotency.beginRequest('merchant:m1', 'key-1', hash);
+    await idempotency.releaseRequest(first.ref);
+
+    const second = await idempotency.beginRequest('merchant:m1', 'key-1', hash);
+    assert.equal(second.outcome, 'new');
+
+    await idempotency.completeRequest(second.ref, 200, { success: true });
+    await second.ref.update({ expiresAt: new Date(Date.now() - 1000) });
+    assert.equal((await idempotency.beginRequest('merchant:m1', 'key-1', hash)).outcome, 'new');
+    assert.equal(Object.keys(db.dump('idempotency_keys')).length, 1);
+});
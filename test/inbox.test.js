@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const inbox = require('../services/inbox');
+
+// Stand-in for the Socket.IO server: records what is emitted to which room
+const emitted = [];
+inbox.init({
+    to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+});
+
+test.beforeEach(() => {
+    fakeFirestore.install();
+    emitted.length = 0;
+});
+
+async function addUserNotifications(uid, count) {
+    const ids = [];
+    for (let i = 1; i <= count; i++) {
+        const ref = await inbox.addNotification('user', { userId: uid, title: `Update ${i}` });
+        ids.push(ref.id);
+    }
+    return ids;
+}
+
+test('new notifications are pushed to the user\'s room with the unread count', async () => {
+    await addUserNotifications('customer-1', 2);
+
+    assert.deepEqual(emitted.map(({ room, event, payload }) => [room, event, payload.unreadCount, payload.notification.read]), [
+        ['user-customer-1', 'notification', 1, false],
+        ['user-customer-1', 'notification', 2, false]
+    ]);
+});
+
+test('listing pages an inbox newest first and leaves other users\' notifications out', async () => {
+    await addUserNotifications('customer-1', 3);
+    await addUserNotifications('customer-2', 1);
+
+    const first = await inbox.listNotifications('user', 'customer-1', { limit: 2 });
+    assert.deepEqual(first.notifications.map(notification => notification.title), ['Update 3', 'Update 2']);
+    assert.equal(first.unreadCount, 3);
+    assert.ok(first.nextCursor);
+
+    const second = await inbox.listNotifications('user', 'customer-1', { limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.notifications.map(notification => notification.title), ['Update 1']);
+    assert.equal(second.nextCursor, null);
+
+    await assert.rejects(inbox.listNotifications('user', 'customer-1', { cursor: 'not-a-cursor' }), { code: 'VALIDATION_FAILED' });
+});
+
+test('marking a notification read lowers the unread count once', async () => {
+    const [id] = await addUserNotifications('customer-1', 2);
+    emitted.length = 0;
+
+    const notification = await inbox.markRead('user', 'customer-1', id);
+    assert.equal(notification.read, true);
+    assert.ok(notification.readAt);
+    await inbox.markRead('user', 'customer-1', id);
+
+    assert.deepEqual(emitted.map(({ event, payload }) => [event, payload.change, payload.unreadCount]), [
+        ['notification-count', 'read', 1]
+    ]);
+    const { notifications } = await inbox.listNotifications('user', 'customer-1', { unreadOnly: true });
+    assert.deepEqual(notifications.map(notification => notification.title), ['Update 2']);
+});
+
+test('mark all read and delete only touch the caller\'s own inbox', async () => {
+    const [id] = await addUserNotifications('customer-1', 2);
+    await addUserNotifications('customer-2', 1);
+
+    await assert.rejects(inbox.markRead('user', 'customer-2', id), { code: 'NOTIFICATION_NOT_FOUND' });
+    await assert.rejects(inbox.deleteNotification('user', 'customer-2', id), { code: 'NOTIFICATION_NOT_FOUND' });
+
+    assert.equal(await inbox.markAllRead('user', 'customer-1'), 2);
+    assert.equal(await inbox.markAllRead('user', 'customer-1'), 0);
+    assert.equal(await inbox.getUnreadCount('user', 'customer-2'), 1);
+
+    await inbox.deleteNotification('user', 'customer-1', id);
+    const { notifications } = await inbox.listNotifications('user', 'customer-1');
+    assert.deepEqual(notifications.map(notification => notification.title), ['Update 2']);
+});
+
+test('the admin inbox is shared by every admin', async () => {
+    const ref = await inbox.addNotification('admin', { title: 'Dispatch failed' });
+
+    assert.equal(emitted[0].room, 'admins');
+    await inbox.markRead('admin', 'admin-1', ref.id);
+    assert.equal(await inbox.getUnreadCount('admin', 'admin-2'), 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const preferences = require('../services/notificationPreferences');
+
+// Preferences are read in Africa/Lagos (UTC+1, no daylight saving)
+function lagosTime(isoLocal) {
+    return new Date(`${isoLocal}+01:00`);
+}
+
+function withPreferences(changes) {
+    const base = {
+        timezone: 'Africa/Lagos',
+        channels: Object.fromEntries(preferences.PREFERENCE_EVENTS.map(event => [
+            event,
+            Object.fromEntries(preferences.PREFERENCE_CHANNELS.map(channel => [channel, true]))
+        ])),
+        quietHours: { enabled: false, start: '22:00', end: '07:00' },
+        criticalOverridesQuietHours: true,
+        digest: { enabled: false, interval: 'daily', time: '18:00' }
+    };
+    return {
+        ...base,
+        ...changes,
+        quietHours: { ...base.quietHours, ...changes.quietHours },
+        digest: { ...base.digest, ...changes.digest }
+    };
+}
+
+const orderUpdate = { event: 'order-update', status: 'in-progress' };
+
+test('everything is sent by default', () => {
+    assert.deepEqual(preferences.decide(withPreferences({}), { ...orderUpdate, channel: 'push' }), { action: 'send' });
+    assert.deepEqual(preferences.decide(withPreferences({}), { ...orderUpdate, channel: 'sms' }), { action: 'send' });
+});
+
+test('a channel turned off for the event is skipped, even for critical statuses', () => {
+    const prefs = withPreferences({});
+    prefs.channels['order-update'].sms = false;
+
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'sms' }), { action: 'skip', reason: 'channel-disabled' });
+    assert.deepEqual(preferences.decide(prefs, { event: 'order-update', status: 'failed', channel: 'sms' }), { action: 'skip', reason: 'channel-disabled' });
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'push' }), { action: 'send' });
+});
+
+test('push and SMS are held during quiet hours until they end', () => {
+    const prefs = withPreferences({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+    const lateEvening = lagosTime('2026-03-10T23:30:00');
+
+    for (const channel of ['push', 'sms']) {
+        const decision = preferences.decide(prefs, { ...orderUpdate, channel }, lateEvening);
+        assert.equal(decision.action, 'hold');
+        assert.equal(decision.reason, 'quiet-hours');
+        assert.equal(decision.releaseAt.toISOString(), lagosTime('2026-03-11T07:00:00').toISOString());
+    }
+
+    // Quiet hours span midnight
+    const earlyMorning = preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-11T06:59:00'));
+    assert.equal(earlyMorning.releaseAt.toISOString(), lagosTime('2026-03-11T07:00:00').toISOString());
+});
+
+test('email and times outside quiet hours are not held', () => {
+    const prefs = withPreferences({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'email' }, lagosTime('2026-03-10T23:30:00')), { action: 'send' });
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T07:00:00')), { action: 'send' });
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T21:59:00')), { action: 'send' });
+});
+
+test('critical statuses override quiet hours unless the user turned that off', () => {
+    const critical = { event: 'order-update', status: 'failed', channel: 'push' };
+    const night = lagosTime('2026-03-10T23:30:00');
+
+    const overriding = withPreferences({ quietHours: { enabled: true } });
+    assert.deepEqual(preferences.decide(overriding, critical, night), { action: 'send' });
+
+    const strict = withPreferences({ quietHours: { enabled: true }, criticalOverridesQuietHours: false });
+    assert.equal(preferences.decide(strict, critical, night).reason, 'quiet-hours');
+});
+
+test('a daily digest holds pushes until the digest time', () => {
+    const prefs = withPreferences({ digest: { enabled: true, interval: 'daily', time: '18:00' } });
+
+    const morning = preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T10:15:30'));
+    assert.deepEqual(morning, { action: 'hold', reason: 'digest', releaseAt: lagosTime('2026-03-10T18:00:00') });
+
+    const evening = preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T18:00:00'));
+    assert.equal(evening.releaseAt.toISOString(), lagosTime('2026-03-11T18:00:00').toISOString());
+
+    // Only pushes are batched
+    assert.deepEqual(preferences.decide(prefs, { ...orderUpdate, channel: 'sms' }, lagosTime('2026-03-10T10:15:30')), { action: 'send' });
+});
+
+test('an hourly digest holds pushes until the top of the next hour', () => {
+    const prefs = withPreferences({ digest: { enabled: true, interval: 'hourly' } });
+    const decision = preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T10:15:30'));
+
+    assert.equal(decision.reason, 'digest');
+    assert.equal(decision.releaseAt.toISOString(), lagosTime('2026-03-10T11:00:00').toISOString());
+});
+
+test('the digest after quiet hours wins when it is later', () => {
+    const prefs = withPreferences({
+        quietHours: { enabled: true, start: '22:00', end: '07:00' },
+        digest: { enabled: true, interval: 'daily', time: '18:00' }
+    });
+    const decision = preferences.decide(prefs, { ...orderUpdate, channel: 'push' }, lagosTime('2026-03-10T23:30:00'));
+
+    assert.equal(decision.reason, 'digest');
+    assert.equal(decision.releaseAt.toISOString(), lagosTime('2026-03-11T18:00:00').toISOString());
+});
+
+test('critical statuses skip the digest', () => {
+    const prefs = withPreferences({ digest: { enabled: true, interval: 'hourly' } });
+    assert.deepEqual(
+        preferences.decide(prefs, { event: 'order-update', status: 'failed', channel: 'push' }, lagosTime('2026-03-10T10:15:30')),
+        { action: 'send' }
+    );
+});
+
+test('saved preferences merge into the defaults and drop unknown settings', async () => {
+    const db = fakeFirestore.install();
+
+    const saved = await preferences.savePreferences('user-1', {
+        channels: { 'order-update': { sms: false } },
+        quietHours: { enabled: true, start: '21:30', mystery: true }
+    });
+
+    assert.equal(saved.channels['order-update'].sms, false);
+    assert.equal(saved.channels['order-update'].push, true);
+    assert.deepEqual(saved.quietHours, { enabled: true, start: '21:30', end: '07:00' });
+    assert.equal(db.dump('notification_preferences')['user-1'].quietHours.mystery, undefined);
+    assert.deepEqual(await preferences.getPreferences('user-1'), saved);
+});
+
+test('saving an unknown timezone is refused', async () => {
+    fakeFirestore.install();
+    await assert.rejects(
+        preferences.savePreferences('user-1', { timezone: 'Mars/Olympus_Mons' }),
+        { code: 'VALIDATION_FAILED' }
+    );
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const templates = require('../services/notificationTemplates');
+
+const ORDER = {
+    orderId: 'ECO-1',
+    status: 'in-progress',
+    deliveryAddress: '5 Allen Avenue, Ikeja',
+    dropOffPhoneNumber: '+2348012345678'
+};
+
+test.beforeEach(() => {
+    fakeFirestore.install();
+});
+
+test('render fills the built-in text for the status and channel', async () => {
+    const push = await templates.render('order-update', 'in-progress', 'push', 'en', ORDER);
+    assert.deepEqual(push, {
+        locale: 'en',
+        title: '🚚 Order In Transit',
+        body: 'Your order #ECO-1 is now out for delivery to 5 Allen Avenue, Ikeja. Contact: +2348012345678'
+    });
+
+    const text = await templates.render('order-update', 'in-progress', 'sms', 'en', ORDER);
+    assert.equal(text.body, 'Your order ECO-1 is out for delivery to 5 Allen Avenue, Ikeja.');
+});
+
+test('render shows sections only when their variable is set', async () => {
+    const withPickup = await templates.render('order-update', 'pickup-ready', 'push', 'en', { ...ORDER, pickupAddress: '12 Admiralty Way' });
+    const withoutPickup = await templates.render('order-update', 'pickup-ready', 'push', 'en', ORDER);
+
+    assert.equal(withPickup.body, 'Your order #ECO-1 is ready for pickup at 12 Admiralty Way.');
+    assert.equal(withoutPickup.body, 'Your order #ECO-1 is ready for pickup at the specified location.');
+
+    const withFeedback = await templates.render('order-update', 'delivered', 'push', 'en', { ...ORDER, feedback: 'Left at the gate' });
+    assert.match(withFeedback.body, /\n\nNote: Left at the gate$/);
+});
+
+test('render falls back to the status default, then to English', async () => {
+    const unknownStatus = await templates.render('order-update', 'on-hold', 'push', 'pcm', { ...ORDER, status: 'on-hold' });
+    assert.deepEqual(unknownStatus, {
+        locale: 'pcm',
+        title: '📋 Order update',
+        body: 'Your order #ECO-1 status don change to: on-hold'
+    });
+
+    const english = await templates.render('admin-delivery-update', 'delivered', 'push', 'yo-NG', {
+        shortOrderId: 'a1b2c3d4',
+        status: 'delivered',
+        statusTitle: 'Delivered'
+    });
+    assert.deepEqual(english, { locale: 'en', title: '📦 Delivery Delivered', body: 'Delivery a1b2c3d4 has been marked as delivered' });
+
+    // Locales without an SMS text of their own use their body
+    const pidginSms = await templates.render('order-update', 'in-progress', 'sms', 'pcm', ORDER);
+    assert.equal(pidginSms.body, 'Your order #ECO-1 dey road to 5 Allen Avenue, Ikeja. Contact: +2348012345678');
+});
+
+test('normalizeLocale maps language tags to supported locales', () => {
+    assert.equal(templates.normalizeLocale('en-NG'), 'en');
+    assert.equal(templates.normalizeLocale('YO'), 'yo');
+    assert.equal(templates.normalizeLocale('pcm_NG'), 'pcm');
+    assert.equal(templates.normalizeLocale('fr-FR'), 'en');
+    assert.equal(templates.normalizeLocale(undefined), 'en');
+});
+
+test('email HTML escapes variables but not the plain-text body', async () => {
+    const email = await templates.render('order-update', 'in-progress', 'email', 'en', {
+        ...ORDER,
+        deliveryAddress: '<script>alert("x")</script> & Sons'
+    });
+
+    assert.equal(email.subject, '🚚 Order In Transit');
+    assert.match(email.body, /<script>alert\("x"\)<\/script> & Sons/);
+    assert.match(email.html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt; &amp; Sons/);
+    assert.doesNotMatch(email.html, /<script>/);
+});
+
+test('a saved override replaces the built-in text until it is deleted', async () => {
+    const key = { event: 'order-update', status: 'in-progress', channel: 'sms', locale: 'en' };
+
+    await templates.saveTemplate(key, { body: 'On the way: {{orderId}}{{#feedback}} ({{feedback}}){{/feedback}}' }, 'admin-1');
+    assert.equal((await templates.render('order-update', 'in-progress', 'sms', 'en', ORDER)).body, 'On the way: ECO-1');
+    assert.equal((await templates.render('order-update', 'in-progress', 'sms', 'en', { ...ORDER, feedback: 'gate' })).body, 'On the way: ECO-1 (gate)');
+
+    // Locales with a text of their own keep it
+    assert.doesNotMatch((await templates.render('order-update', 'in-progress', 'sms', 'pcm', ORDER)).body, /On the way/);
+
+    assert.equal(await templates.deleteTemplate(key), true);
+    assert.equal(
+        (await templates.render('order-update', 'in-progress', 'sms', 'en', ORDER)).body,
+        'Your order ECO-1 is out for delivery to 5 Allen Avenue, Ikeja.'
+    );
+});
+
+test('preview renders a draft with the sample variables', async () => {
+    const result = await templates.preview(
+        { event: 'order-update', status: 'delivered', channel: 'push', locale: 'en' },
+        { draft: { title: 'Hi {{customerName}}', body: '{{shortOrderId}} is {{status}}' } }
+    );
+    assert.deepEqual(result, { source: 'draft', locale: 'en', title: 'Hi Adaeze Okafor', body: 'ECO-1760 is delivered' });
+});
+
+test('validateTemplate reports unknown variables, unbalanced sections and missing fields', () => {
+    assert.deepEqual(templates.validateTemplate('order-update', 'push', { title: 'Hi', body: 'Order {{orderId}}' }), []);
+
+    const problems = templates.validateTemplate('order-update', 'email', {
+        body: '{{#pickupAddress}}{{secret}}'
+    });
+    assert.deepEqual(problems.map(problem => problem.message), [
+        'body: unknown variable {{secret}}',
+        'body: section {{#pickupAddress}} is never closed',
+        'subject is required for email templates'
+    ]);
+
+    assert.deepEqual(
+        templates.validateTemplate('order-update', 'sms', { body: '{{#feedback}}x{{/orderId}}' }).map(problem => problem.message),
+        ['body: {{/orderId}} does not close the innermost open section']
+    );
+});
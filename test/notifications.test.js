@@ -0,0 +1,117 @@
+process.env.SMS_PROVIDER = 'fake';
+process.env.EMAIL_TRANSPORT = 'capture';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const notifications = require('../services/notifications');
+const preferences = require('../services/notificationPreferences');
+const smsProviders = require('../services/smsProviders');
+const email = require('../services/email');
+
+const CUSTOMER_PHONE = '+2348031234567';
+const DROP_OFF_PHONE = '+2348098765432';
+
+// A customer's order as create-order stores it, with their account linked
+function customerOrder(customerInfo = {}) {
+    return {
+        status: 'confirmed',
+        serviceType: 'DELIVERY_ONLY',
+        customerInfo: { uid: 'customer-1', name: 'Adaeze Okafor', email: 'adaeze@example.com', phone: '08031234567', ...customerInfo },
+        deliveryAddress: { street: '5 Allen Avenue, Ikeja', phone: DROP_OFF_PHONE },
+        pickupAddress: null
+    };
+}
+
+// HH:MM in UTC, `minutes` from now
+function utcTimeOfDay(minutes) {
+    return new Date(Date.now() + minutes * 60 * 1000).toISOString().slice(11, 16);
+}
+
+// Quiet hours that started an hour ago and end in two hours. Resolves their end.
+async function saveQuietHoursNow(uid) {
+    const end = utcTimeOfDay(120);
+    await preferences.savePreferences(uid, {
+        timezone: 'UTC',
+        quietHours: { enabled: true, start: utcTimeOfDay(-60), end }
+    });
+    return end;
+}
+
+function sentSms() {
+    return smsProviders.getProvider('fake').getOutbox();
+}
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+});
+
+test('a linked customer in quiet hours has push and SMS held while email goes out', async () => {
+    const quietHoursEnd = await saveQuietHoursNow('customer-1');
+    const smsBefore = sentSms().length;
+    const emailsBefore = email.getCapturedMessages().length;
+
+    const result = await notifications.notifyOrderStatus('ECO-1', customerOrder(), { status: 'in-progress' });
+
+    const held = Object.values(db.dump('notification_queue'));
+    assert.deepEqual(held.map(entry => entry.channel).sort(), ['push', 'sms']);
+    held.forEach(entry => {
+        assert.equal(entry.uid, 'customer-1');
+        assert.equal(entry.reason, 'quiet-hours');
+        assert.equal(entry.releaseAt.toDate().toISOString().slice(11, 16), quietHoursEnd);
+    });
+    assert.equal(held.find(entry => entry.channel === 'sms').sms.to, CUSTOMER_PHONE);
+    assert.equal(held.find(entry => entry.channel === 'push').push.title, '🚚 Order In Transit');
+
+    // Only the drop-off contact, who has no preferences, was texted
+    assert.deepEqual(sentSms().slice(smsBefore).map(message => message.to), [DROP_OFF_PHONE]);
+    assert.deepEqual(result.sms.map(send => send.status).sort(), ['held', 'sent']);
+
+    assert.equal(result.email.status, 'sent');
+    assert.equal(email.getCapturedMessages().length, emailsBefore + 1);
+
+    // The in-app notification is always written
+    const inApp = db.dump('user_notifications')[result.notificationId];
+    assert.equal(inApp.userId, 'customer-1');
+    assert.equal(inApp.push, undefined);
+});
+
+test('channels the customer turned off are skipped', async () => {
+    await preferences.savePreferences('customer-1', { channels: { 'order-update': { sms: false, email: false } } });
+    const smsBefore = sentSms().length;
+    const emailsBefore = email.getCapturedMessages().length;
+
+    const result = await notifications.notifyOrderStatus('ECO-1', customerOrder(), { status: 'in-progress' });
+
+    assert.deepEqual(sentSms().slice(smsBefore).map(message => message.to), [DROP_OFF_PHONE]);
+    assert.equal(result.email, null);
+    assert.equal(email.getCapturedMessages().length, emailsBefore);
+    assert.deepEqual(db.dump('notification_queue'), {});
+
+    // Push is still on, so it was sent (to no devices) rather than held
+    assert.equal(db.dump('user_notifications')[result.notificationId].push.successCount, 0);
+});
+
+test('critical statuses reach the customer during quiet hours', async () => {
+    await saveQuietHoursNow('customer-1');
+    const smsBefore = sentSms().length;
+
+    await notifications.notifyOrderStatus('ECO-1', customerOrder({ phone: CUSTOMER_PHONE }), { status: 'failed' });
+
+    assert.deepEqual(db.dump('notification_queue'), {});
+    assert.deepEqual(sentSms().slice(smsBefore).map(message => message.to).sort(), [CUSTOMER_PHONE, DROP_OFF_PHONE]);
+});
+
+test('guest customers without an account get every channel', async () => {
+    await saveQuietHoursNow('customer-1');
+    const smsBefore = sentSms().length;
+
+    const result = await notifications.notifyOrderStatus('ECO-1', customerOrder({ uid: undefined }), { status: 'in-progress' });
+
+    assert.deepEqual(db.dump('notification_queue'), {});
+    assert.deepEqual(sentSms().slice(smsBefore).map(message => message.to).sort(), [CUSTOMER_PHONE, DROP_OFF_PHONE]);
+    assert.equal(result.email.status, 'sent');
+    assert.equal(db.dump('user_notifications')[result.notificationId].userId, 'ecommerce-customer');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough, Writable } = require('stream');
+const { buffer } = require('stream/consumers');
+const ExcelJS = require('exceljs');
+const fakeFirestore = require('./support/fakeFirestore');
+const orderExport = require('../services/orderExport');
+
+let db;
+
+test.beforeEach(async () => {
+    db = fakeFirestore.install();
+
+    const orders = [
+        {
+            id: 'ECO-1',
+            merchantId: 'merchant-1',
+            createdAt: new Date('2026-05-01T09:00:00Z'),
+            customerInfo: { name: 'Okafor, Adaeze', phone: '+234 801 234 5678', email: 'ada@example.com' },
+            items: [{ name: '=HYPERLINK("http://evil")' }]
+        },
+        {
+            id: 'ECO-2',
+            merchantId: 'merchant-1',
+            createdAt: new Date('2026-05-02T09:00:00Z'),
+            customerInfo: { name: '=1+1', phone: '+2348012345678' },
+            orderSummary: { total: 2500, currency: 'NGN' }
+        },
+        { id: 'ECO-3', merchantId: 'merchant-2', createdAt: new Date('2026-05-03T09:00:00Z'), customerInfo: { name: 'Bola' } }
+    ];
+    for (const order of orders) {
+        await db.collection('deliveries').doc().set({
+            deliveryType: 'ECOMMERCE',
+            status: 'pending',
+            pickupAddress: { street: '1 Allen Ave', city: 'Ikeja' },
+            deliveryAddress: { street: '2 Herbert Macaulay Way', city: 'Yaba', phone: '+2348000000000' },
+            ...order
+        });
+    }
+});
+
+async function exportTo(format, filters) {
+    const output = new PassThrough();
+    const contents = buffer(output);
+    await orderExport.writeExport(format, output, filters);
+    return contents;
+}
+
+test('csv export has a byte order mark, a header row and the filtered orders newest first', async () => {
+    const csv = (await exportTo('csv', { merchantId: 'merchant-1' })).toString('utf8');
+    const lines = csv.split('\r\n');
+
+    assert.equal(csv.charCodeAt(0), 0xFEFF);
+    assert.match(lines[0], /^﻿Order ID,Created At,Status,/);
+    assert.equal(lines.length, 4);
+    assert.match(lines[1], /^ECO-2,2026-05-02T09:00:00.000Z,pending,/);
+    assert.match(lines[2], /^ECO-1,/);
+    assert.equal(lines[3], '');
+});
+
+test('csv fields are quoted where needed and formulas are defused, phone numbers are not', async () => {
+    const [, second, first] = (await exportTo('csv', { merchantId: 'merchant-1' })).toString('utf8').split('\r\n');
+
+    assert.match(first, /,"Okafor, Adaeze",\+234 801 234 5678,ada@example.com,/);
+    assert.match(second, /,'=1\+1,\+2348012345678,/);
+    assert.match(second, /,2500,NGN,$/);
+});
+
+test('xlsx export writes a worksheet with the same columns', async () => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exportTo('xlsx', {}));
+    const sheet = workbook.getWorksheet('Orders');
+
+    assert.equal(sheet.getCell('A1').value, 'Order ID');
+    assert.deepEqual([2, 3, 4].map(row => sheet.getCell(`A${row}`).value), ['ECO-3', 'ECO-2', 'ECO-1']);
+    assert.equal(sheet.getCell('G2').value, 'Bola');
+});
+
+// A response that takes a chunk at a time, slowly
+function slowOutput(onChunk = () => {}) {
+    const chunks = [];
+    const output = new Writable({
+        highWaterMark: 16,
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            onChunk(output);
+            setImmediate(callback);
+        }
+    });
+    output.contents = () => Buffer.concat(chunks);
+    return output;
+}
+
+test('xlsx export waits for a slow response to drain', async () => {
+    const output = slowOutput();
+    const finished = new Promise(resolve => output.on('finish', resolve));
+
+    await orderExport.writeExport('xlsx', output, {});
+    await finished;
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(output.contents());
+    assert.equal(workbook.getWorksheet('Orders').rowCount, 4);
+});
+
+test('exports stop when the client goes away', async () => {
+    for (const format of ['csv', 'xlsx']) {
+        const output = slowOutput(stream => stream.destroy());
+
+        await orderExport.writeExport(format, output, {});
+
+        assert.equal(output.destroyed, true, format);
+        assert.equal(output.writableEnded, false, format);
+    }
+});
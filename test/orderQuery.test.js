@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const orderQuery = require('../services/orderQuery');
+
+const ORDER_COUNT = orderQuery.MAX_PAGE_SIZE + 5;
+
+test.beforeEach(async () => {
+    const db = fakeFirestore.install();
+    for (let i = 0; i < ORDER_COUNT; i++) {
+        await db.collection('deliveries').doc().set({
+            id: `ECO-${String(i).padStart(3, '0')}`,
+            deliveryType: 'ECOMMERCE',
+            status: 'pending',
+            merchantId: i % 2 === 0 ? 'merchant-1' : 'merchant-2',
+            createdAt: new Date(Date.UTC(2026, 4, 1, 0, i))
+        });
+    }
+});
+
+test('listOrders pages newest first and says when the list goes on', async () => {
+    const first = await orderQuery.listOrders({}, { limit: 100 });
+    assert.equal(first.orders.length, 100);
+    assert.equal(first.orders[0].orderId, `ECO-${ORDER_COUNT - 1}`);
+    assert.ok(first.nextCursor);
+
+    const second = await orderQuery.listOrders({}, { limit: 100, cursor: first.nextCursor });
+    assert.equal(second.orders.length, 5);
+    assert.equal(second.orders.at(-1).orderId, 'ECO-000');
+    assert.equal(second.nextCursor, null);
+});
+
+test('listAllOrders returns every matching order past the page size', async () => {
+    const orders = await orderQuery.listAllOrders({});
+    assert.equal(orders.length, ORDER_COUNT);
+    assert.equal(new Set(orders.map(order => order.orderId)).size, ORDER_COUNT);
+
+    assert.equal((await orderQuery.listAllOrders({ merchantId: 'merchant-2' })).length, Math.floor(ORDER_COUNT / 2));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const orderStatus = require('../services/orderStatus');
+
+test('assertTransition allows the next statuses of each service type', () => {
+    assert.doesNotThrow(() => orderStatus.assertTransition('DELIVERY_ONLY', 'pending', 'confirmed'));
+    assert.doesNotThrow(() => orderStatus.assertTransition('DELIVERY_ONLY', 'confirmed', 'in-progress'));
+    assert.doesNotThrow(() => orderStatus.assertTransition('PICKUP_AND_DELIVERY', 'confirmed', 'pickup-ready'));
+    assert.doesNotThrow(() => orderStatus.assertTransition('PICKUP_AND_DELIVERY', 'picked-up', 'in-progress'));
+});
+
+test('assertTransition rejects skipped and backward steps with the allowed statuses', () => {
+    assert.throws(
+        () => orderStatus.assertTransition('DELIVERY_ONLY', 'pending', 'delivered'),
+        (error) => {
+            assert.ok(error instanceof orderStatus.InvalidStatusTransitionError);
+            assert.equal(error.code, 'INVALID_STATUS_TRANSITION');
+            assert.equal(error.httpStatus, 409);
+            assert.deepEqual(error.details, {
+                currentStatus: 'pending',
+                requestedStatus: 'delivered',
+                allowedNextStatuses: ['confirmed', 'cancelled']
+            });
+            return true;
+        }
+    );
+    assert.throws(() => orderStatus.assertTransition('DELIVERY_ONLY', 'delivered', 'in-progress'));
+    assert.throws(() => orderStatus.assertTransition('DELIVERY_ONLY', 'cancelled', 'confirmed'));
+});
+
+test('assertTransition keeps the pickup steps to pickup orders', () => {
+    assert.throws(() => orderStatus.assertTransition('DELIVERY_ONLY', 'confirmed', 'pickup-ready'));
+    assert.throws(() => orderStatus.assertTransition('PICKUP_AND_DELIVERY', 'confirmed', 'in-progress'));
+});
+
+test('assertTransition allows re-applying the current status', () => {
+    assert.doesNotThrow(() => orderStatus.assertTransition('DELIVERY_ONLY', 'in-progress', 'in-progress'));
+    assert.doesNotThrow(() => orderStatus.assertTransition('DELIVERY_ONLY', 'returned', 'returned'));
+});
+
+test('assertTransition lets orders with a legacy status move anywhere in their graph', () => {
+    assert.doesNotThrow(() => orderStatus.assertTransition('DELIVERY_ONLY', 'processing', 'delivered'));
+    assert.throws(() => orderStatus.assertTransition('DELIVERY_ONLY', 'processing', 'picked-up'));
+});
+
+test('unknown service types use the delivery-only graph', () => {
+    assert.deepEqual(
+        orderStatus.getAllowedNextStatuses(undefined, 'confirmed'),
+        orderStatus.getAllowedNextStatuses('DELIVERY_ONLY', 'confirmed')
+    );
+});
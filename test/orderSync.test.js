@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const fakeFirestore = require('./support/fakeFirestore');
+const orderSync = require('../services/orderSync');
+
+// Runs against the Firestore emulator when FIRESTORE_EMULATOR_HOST is set, e.g.
+//   firebase emulators:exec --only firestore "npm test"
+// and against the in-memory fake otherwise. Order ids are unique per test, so emulator data
+// left behind by a run doesn't matter.
+const useEmulator = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+// Stand-in for the Socket.IO server: records what is emitted to which room. orderSync emits
+// through io.local, since each instance runs listeners for its own subscribers.
+const emitted = [];
+const io = {
+    local: {
+        to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+    }
+};
+
+let db;
+
+test.before(() => {
+    if (useEmulator) {
+        if (admin.apps.length === 0) {
+            admin.initializeApp({ projectId: 'demo-test' });
+        }
+        db = admin.firestore();
+    }
+    orderSync.init(io);
+});
+
+test.beforeEach(() => {
+    if (!useEmulator) {
+        db = fakeFirestore.install();
+    }
+    emitted.length = 0;
+});
+
+// Resolves once check() passes, polling until the listener has caught up
+async function eventually(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        try {
+            return check();
+        } catch (error) {
+            if (Date.now() > deadline) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+}
+
+// Let pending snapshots arrive before asserting that nothing was emitted
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, useEmulator ? 500 : 20));
+}
+
+async function createOrder(data = {}) {
+    const orderId = `ECO-${crypto.randomUUID()}`;
+    const ref = db.collection('deliveries').doc();
+    await ref.set({ id: orderId, status: 'confirmed', adminFeedback: null, ...data });
+    return { orderId, ref };
+}
+
+// Watch an order and wait for the baseline snapshot
+async function watch(orderId) {
+    orderSync.watchOrder(orderId);
+    await settle();
+}
+
+test('direct edits to a watched order are emitted as order-update with the changed fields', async (t) => {
+    const { orderId, ref } = await createOrder();
+    await watch(orderId);
+    t.after(() => orderSync.unwatchOrder(orderId));
+
+    await ref.update({ status: 'in-progress', adminFeedback: 'Rider is on the way' });
+
+    const { room, event, payload } = await eventually(() => {
+        assert.equal(emitted.length, 1);
+        return emitted[0];
+    });
+    assert.equal(room, `order-${orderId}`);
+    assert.equal(event, 'order-update');
+    assert.equal(payload.type, 'status-update');
+    assert.equal(payload.source, 'firestore');
+    assert.deepEqual(payload.changes, { status: 'in-progress', adminFeedback: 'Rider is on the way' });
+});
+
+test('edits to fields that are not watched are not emitted', async (t) => {
+    const { orderId, ref } = await createOrder();
+    await watch(orderId);
+    t.after(() => orderSync.unwatchOrder(orderId));
+
+    await ref.update({ internalNote: 'called the customer' });
+    await settle();
+
+    assert.deepEqual(emitted, []);
+});
+
+test('writes stamped by this server are not emitted again', async (t) => {
+    const { orderId, ref } = await createOrder();
+    await watch(orderId);
+    t.after(() => orderSync.unwatchOrder(orderId));
+
+    await ref.update(orderSync.stampServerWrite({ status: 'in-progress' }));
+    await settle();
+    assert.deepEqual(emitted, []);
+
+    // A later direct edit still is
+    await ref.update({ adminFeedback: 'Delayed by traffic' });
+    await eventually(() => assert.deepEqual(emitted.map(({ payload }) => payload.changes), [{ adminFeedback: 'Delayed by traffic' }]));
+});
+
+test('an order has one listener however often it is watched, and none once unwatched', async () => {
+    const { orderId, ref } = await createOrder();
+    const before = orderSync.getActiveListenerCount();
+
+    orderSync.watchOrder(orderId);
+    orderSync.watchOrder(orderId);
+    await settle();
+    assert.equal(orderSync.getActiveListenerCount(), before + 1);
+
+    orderSync.unwatchOrder(orderId);
+    assert.equal(orderSync.getActiveListenerCount(), before);
+
+    await ref.update({ status: 'in-progress' });
+    await settle();
+    assert.deepEqual(emitted, []);
+});
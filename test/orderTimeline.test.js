@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const orderTimeline = require('../services/orderTimeline');
+
+let db;
+
+test.beforeEach(async () => {
+    db = fakeFirestore.install();
+
+    const ref = db.collection('deliveries').doc();
+    await ref.set({
+        id: 'ECO-1',
+        status: 'in-progress',
+        merchantId: 'merchant-1',
+        customerInfo: { name: 'Adaeze Okafor', uid: 'customer-1' },
+        locationTrail: [{ lat: 6.6, lng: 3.35, heading: null, speed: null, recordedAt: new Date('2026-05-01T10:00:00Z') }]
+    });
+    const batch = db.batch();
+    orderTimeline.appendHistoryEntry(batch, ref, {
+        fromStatus: 'confirmed',
+        toStatus: 'in-progress',
+        changedBy: { uid: 'dispatcher-1', email: 'dispatch@example.com' },
+        feedback: 'Gate code 1234, leave with Mrs Bello',
+        trackingInfo: { vehicle: 'LAG-123-XY' },
+        details: { riderId: 'rider-1', riderName: 'Tunde' }
+    });
+    await batch.commit();
+});
+
+test('anonymous callers get the status history without the trail, details or who made each change', async () => {
+    const timeline = await orderTimeline.getOrderTimeline('ECO-1');
+
+    assert.equal(timeline.currentStatus, 'in-progress');
+    assert.equal(timeline.entries.length, 1);
+    assert.equal(timeline.entries[0].toStatus, 'in-progress');
+    for (const field of ['changedBy', 'feedback', 'trackingInfo', 'details']) {
+        assert.equal(field in timeline.entries[0], false, field);
+    }
+    assert.equal('locationTrail' in timeline, false);
+});
+
+test('the order\'s customer, merchant and tracking token holder see the trail', async () => {
+    for (const options of [
+        { viewer: { uid: 'customer-1' } },
+        { merchantId: 'merchant-1' },
+        { viewer: { trackedOrderId: 'ECO-1' } }
+    ]) {
+        const timeline = await orderTimeline.getOrderTimeline('ECO-1', options);
+        assert.deepEqual(timeline.locationTrail, [
+            { lat: 6.6, lng: 3.35, heading: null, speed: null, recordedAt: '2026-05-01T10:00:00.000Z' }
+        ], JSON.stringify(options));
+        assert.equal(timeline.entries[0].feedback, 'Gate code 1234, leave with Mrs Bello');
+        assert.deepEqual(timeline.entries[0].details, { riderId: 'rider-1', riderName: 'Tunde' });
+        assert.equal('changedBy' in timeline.entries[0], false);
+    }
+
+    assert.equal('locationTrail' in await orderTimeline.getOrderTimeline('ECO-1', { viewer: { uid: 'someone-else', trackedOrderId: 'ECO-2' } }), false);
+});
+
+test('staff see the trail and who made each change', async () => {
+    const timeline = await orderTimeline.getOrderTimeline('ECO-1', { viewer: { staff: true, uid: 'dispatcher-1' } });
+
+    assert.equal(timeline.locationTrail.length, 1);
+    assert.deepEqual(timeline.entries[0].changedBy, { uid: 'dispatcher-1', email: 'dispatch@example.com' });
+});
+
+test('other merchants and unknown orders get nothing', async () => {
+    assert.equal(await orderTimeline.getOrderTimeline('ECO-1', { merchantId: 'merchant-2' }), null);
+    assert.equal(await orderTimeline.getOrderTimeline('ECO-404'), null);
+});
+
+test('canSeeOrderDetails limits order details to staff, the merchant, the customer and tracking token holders', () => {
+    const order = { merchantId: 'merchant-1', customerInfo: { uid: 'customer-1' } };
+    const canSee = options => orderTimeline.canSeeOrderDetails(order, 'ECO-1', options);
+
+    assert.equal(canSee({ viewer: {} }), false);
+    assert.equal(canSee({ viewer: { uid: 'someone-else', trackedOrderId: 'ECO-2' } }), false);
+    assert.equal(canSee({ viewer: { staff: true } }), true);
+    assert.equal(canSee({ merchantId: 'merchant-1', viewer: {} }), true);
+    assert.equal(canSee({ viewer: { uid: 'customer-1' } }), true);
+    assert.equal(canSee({ viewer: { trackedOrderId: 'ECO-1' } }), true);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const fakeFirestore = require('./support/fakeFirestore');
+const pricing = require('../services/pricing');
+const { normalizeOrderPayload } = require('../services/orderPayload');
+
+// Orders without coordinates pay the default zone fee, so the fees below are 3500
+const ORDER = { serviceType: 'DELIVERY_ONLY', pickupCoordinates: null, dropOffCoordinates: null };
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+});
+
+function addCode(code, data) {
+    return db.collection('discount_codes').doc(code).set({ active: true, redemptionCount: 0, ...data });
+}
+
+test('quote charges the zone fee and VAT', async () => {
+    const { orderSummary, pricing: details } = await pricing.quote({ ...ORDER, subtotal: 10000 });
+
+    assert.deepEqual(orderSummary, {
+        currency: 'NGN',
+        subtotal: 10000,
+        deliveryFee: 3500,
+        pickupFee: null,
+        priorityFee: 0,
+        discount: 0,
+        discountCode: null,
+        tax: 262.5,
+        total: 13762.5
+    });
+    assert.equal(details.method, 'zone');
+});
+
+test('quote adds the pickup fee and the express multiplier', async () => {
+    const { orderSummary } = await pricing.quote({ ...ORDER, serviceType: 'PICKUP_AND_DELIVERY', priority: 'express' });
+
+    assert.equal(orderSummary.pickupFee, 1000);
+    assert.equal(orderSummary.priorityFee, 2250);
+    assert.equal(orderSummary.total, 7256.25);
+});
+
+test('quote prices trips with coordinates by distance', async () => {
+    const { orderSummary, pricing: details } = await pricing.quote({
+        serviceType: 'PICKUP_AND_DELIVERY',
+        pickupCoordinates: { lat: 6.4281, lng: 3.4219 },
+        dropOffCoordinates: { lat: 6.6018, lng: 3.3515 }
+    });
+
+    assert.equal(details.method, 'distance');
+    assert.ok(details.distanceKm > 0);
+    assert.ok(orderSummary.deliveryFee >= 1500);
+});
+
+test('quote rejects unknown priorities', async () => {
+    await assert.rejects(pricing.quote({ ...ORDER, priority: 'overnight' }), { code: 'INVALID_PRIORITY' });
+});
+
+test('percent and fixed discounts come off the fees before VAT', async () => {
+    await addCode('SAVE10', { type: 'percent', value: 10 });
+    await addCode('MINUS500', { type: 'fixed', value: 500 });
+
+    const percent = await pricing.quote({ ...ORDER, discountCode: ' save10 ' });
+    assert.equal(percent.orderSummary.discount, 350);
+    assert.equal(percent.orderSummary.discountCode, 'SAVE10');
+    assert.equal(percent.orderSummary.tax, 236.25);
+    assert.equal(percent.orderSummary.total, 3386.25);
+
+    const fixed = await pricing.quote({ ...ORDER, discountCode: 'MINUS500' });
+    assert.equal(fixed.orderSummary.discount, 500);
+    assert.equal(fixed.orderSummary.total, 3225);
+});
+
+test('discounts never exceed the fees', async () => {
+    await addCode('FREE', { type: 'percent', value: 100 });
+    await addCode('BIG', { type: 'fixed', value: 10000 });
+
+    for (const code of ['FREE', 'BIG']) {
+        const { orderSummary } = await pricing.quote({ ...ORDER, subtotal: 2000, discountCode: code });
+        assert.equal(orderSummary.discount, 3500, code);
+        assert.equal(orderSummary.tax, 0, code);
+        assert.equal(orderSummary.total, 2000, code);
+    }
+});
+
+test('percent discounts outside 0-100 and malformed codes are invalid', async () => {
+    await addCode('TOOMUCH', { type: 'percent', value: 150 });
+    await addCode('NEGATIVE', { type: 'fixed', value: -100 });
+    await addCode('NOVALUE', { type: 'percent', value: '10' });
+
+    for (const code of ['TOOMUCH', 'NEGATIVE', 'NOVALUE', 'MISSING', 'a/b', '../SAVE10', 'SAVE 10', 'X'.repeat(51)]) {
+        await assert.rejects(pricing.quote({ ...ORDER, discountCode: code }), { code: 'INVALID_DISCOUNT_CODE' }, code);
+    }
+});
+
+test('inactive, expired, exhausted and below-minimum codes are refused', async () => {
+    await addCode('OFF', { type: 'fixed', value: 100, active: false });
+    await addCode('OLD', { type: 'fixed', value: 100, expiresAt: Timestamp.fromDate(new Date(Date.now() - 1000)) });
+    await addCode('USEDUP', { type: 'fixed', value: 100, maxRedemptions: 2, redemptionCount: 2 });
+    await addCode('BIGORDERS', { type: 'fixed', value: 100, minFees: 5000 });
+
+    await assert.rejects(pricing.quote({ ...ORDER, discountCode: 'OFF' }), { code: 'INVALID_DISCOUNT_CODE' });
+    await assert.rejects(pricing.quote({ ...ORDER, discountCode: 'OLD' }), { code: 'DISCOUNT_CODE_EXPIRED' });
+    await assert.rejects(pricing.quote({ ...ORDER, discountCode: 'USEDUP' }), { code: 'DISCOUNT_CODE_EXHAUSTED' });
+    await assert.rejects(pricing.quote({ ...ORDER, discountCode: 'BIGORDERS' }), { code: 'DISCOUNT_CODE_MINIMUM' });
+
+    const express = await pricing.quote({ ...ORDER, priority: 'express', discountCode: 'BIGORDERS' });
+    assert.equal(express.orderSummary.discount, 100);
+});
+
+test('redemptions are counted in the transaction and stop at maxRedemptions', async () => {
+    await addCode('TWICE', { type: 'fixed', value: 100, maxRedemptions: 2 });
+
+    const results = await Promise.allSettled([1, 2, 3].map(() =>
+        db.runTransaction(transaction => pricing.redeemDiscountCode(transaction, 'TWICE'))
+    ));
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(results[2].reason.code, 'DISCOUNT_CODE_EXHAUSTED');
+    assert.equal(results[2].reason.httpStatus, 400);
+    assert.equal(db.dump('discount_codes').TWICE.redemptionCount, 2);
+});
+
+test('order payloads reject malformed discount codes', () => {
+    const body = { dropOffLocation: '5 Allen Avenue, Ikeja' };
+
+    assert.deepEqual(normalizeOrderPayload({ ...body, discountCode: 'SAVE/10' }, { forQuote: true }).errors, [
+        { field: 'discountCode', message: 'discountCode must be up to 50 letters, digits, - or _' }
+    ]);
+    assert.equal(normalizeOrderPayload({ ...body, discountCode: 'save_10-x' }, { forQuote: true }).order.discountCode, 'save_10-x');
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const admin = require('firebase-admin');
+const fakeFirestore = require('./support/fakeFirestore');
+const push = require('../services/push');
+
+// Local stub of the FCM v1 send endpoint; each test sets how it answers per token
+const stub = { errors: {}, requests: [] };
+let server;
+
+test.before(async () => {
+    if (admin.apps.length === 0) {
+        admin.initializeApp({ projectId: 'demo-test' });
+    }
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const { message } = JSON.parse(body);
+            stub.requests.push({ url: req.url, headers: req.headers, message });
+
+            const errorCode = stub.errors[message.token];
+            if (errorCode) {
+                res.writeHead(404, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+                    error: { status: 'NOT_FOUND', message: 'Requested entity was not found.', details: [{ errorCode }] }
+                }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' })
+                .end(JSON.stringify({ name: `projects/demo-test/messages/${stub.requests.length}` }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.FCM_EMULATOR_HOST = `127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    delete process.env.FCM_EMULATOR_HOST;
+    return new Promise(resolve => server.close(resolve));
+});
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+    stub.errors = {};
+    stub.requests = [];
+});
+
+function addDevice(userId, deviceId, token, platform) {
+    return db.collection('users').doc(userId).collection('deviceTokens').doc(deviceId).set({ token, platform });
+}
+
+const NOTIFICATION = {
+    title: 'Order Delivered',
+    body: 'Your order has been delivered',
+    data: { orderId: 'ECO-1', attempt: 2 },
+    link: 'https://example.com/orders/ECO-1'
+};
+
+test('buildMessage shapes the payload for each platform', () => {
+    const android = push.buildMessage('t1', 'android', NOTIFICATION).message;
+    assert.equal(android.android.priority, 'high');
+    assert.equal(android.apns, undefined);
+
+    const ios = push.buildMessage('t2', 'ios', NOTIFICATION).message;
+    assert.deepEqual(ios.apns.payload.aps.alert, { title: 'Order Delivered', body: 'Your order has been delivered' });
+
+    const web = push.buildMessage('t3', 'web', NOTIFICATION).message;
+    assert.deepEqual(web.webpush.fcm_options, { link: 'https://example.com/orders/ECO-1' });
+
+    // FCM only takes strings in data
+    assert.deepEqual(android.data, { orderId: 'ECO-1', attempt: '2' });
+});
+
+test('sendPushToUsers sends to every device of every user through the stub endpoint', async () => {
+    await addDevice('user-1', 'd1', 'token-android-0001', 'android');
+    await addDevice('user-1', 'd2', 'token-ios-00000002', 'ios');
+    await addDevice('user-2', 'd3', 'token-web-00000003', 'web');
+
+    const outcome = await push.sendPushToUsers(['user-1', 'user-2'], NOTIFICATION);
+
+    assert.equal(outcome.successCount, 3);
+    assert.equal(outcome.failureCount, 0);
+    assert.equal(stub.requests.length, 3);
+    assert.ok(stub.requests.every(({ url }) => url === '/v1/projects/demo-test/messages:send'));
+    assert.deepEqual(stub.requests.map(({ message }) => message.token).sort(),
+        ['token-android-0001', 'token-ios-00000002', 'token-web-00000003']);
+    assert.deepEqual(outcome.results.map(result => result.userId).sort(), ['user-1', 'user-1', 'user-2']);
+});
+
+test('sendPushToUsers reports FCM errors per token with the admin SDK codes', async () => {
+    await addDevice('user-1', 'd1', 'token-live-000001', 'android');
+    await addDevice('user-1', 'd2', 'token-dead-000002', 'android');
+    stub.errors['token-dead-000002'] = 'UNREGISTERED';
+
+    const outcome = await push.sendPushToUsers(['user-1'], NOTIFICATION);
+
+    assert.equal(outcome.successCount, 1);
+    assert.equal(outcome.failureCount, 1);
+    const failed = outcome.results.find(result => !result.success);
+    assert.equal(failed.token, 'token-dead-000002');
+    assert.equal(failed.error.code, 'messaging/registration-token-not-registered');
+});
+
+test('sendPushToUsers does nothing for users without devices', async () => {
+    const outcome = await push.sendPushToUsers(['nobody'], NOTIFICATION);
+
+    assert.deepEqual(outcome, { successCount: 0, failureCount: 0, results: [] });
+    assert.equal(stub.requests.length, 0);
+});
+
+test('dispatchNotification records the outcome on the notification without full tokens', async () => {
+    await addDevice('user-1', 'd1', 'token-android-0001', 'android');
+    const notificationRef = await db.collection('user_notifications').add({ userId: 'user-1', read: false });
+
+    await push.dispatchNotification(notificationRef, ['user-1'], NOTIFICATION);
+
+    const { push: recorded } = db.dump('user_notifications')[notificationRef.id];
+    assert.equal(recorded.successCount, 1);
+    assert.equal(recorded.failureCount, 0);
+    assert.deepEqual(recorded.results, [{
+        userId: 'user-1',
+        platform: 'android',
+        tokenSuffix: 'oid-0001',
+        success: true,
+        messageId: 'projects/demo-test/messages/1',
+        error: null
+    }]);
+    assert.ok(recorded.sentAt);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { buffer } = require('stream/consumers');
+const fakeFirestore = require('./support/fakeFirestore');
+const orderTimeline = require('../services/orderTimeline');
+const receipts = require('../services/receipts');
+
+test.beforeEach(async () => {
+    const db = fakeFirestore.install();
+
+    const ref = db.collection('deliveries').doc();
+    await ref.set({
+        id: 'ECO-1',
+        status: 'delivered',
+        merchantId: 'merchant-1',
+        createdAt: new Date('2026-05-01T09:00:00Z'),
+        customerInfo: { name: 'Adaeze Okafor', phone: '+2348012345678' },
+        pickupAddress: { street: '1 Allen Ave', city: 'Ikeja' },
+        deliveryAddress: { street: '2 Herbert Macaulay Way', city: 'Yaba', phone: '+2348000000000' },
+        items: [{ name: 'Jollof rice', quantity: 2, price: 1500 }],
+        orderSummary: { subtotal: 3000, deliveryFee: 1000, total: 4000, currency: 'NGN' }
+    });
+    const batch = db.batch();
+    orderTimeline.appendHistoryEntry(batch, ref, { fromStatus: 'in-progress', toStatus: 'delivered' });
+    await batch.commit();
+});
+
+test('loadReceipt returns the delivery and its timeline', async () => {
+    const receipt = await receipts.loadReceipt('ECO-1');
+
+    assert.equal(receipt.delivery.id, 'ECO-1');
+    assert.deepEqual(receipt.timelineEntries.map(entry => entry.toStatus), ['delivered']);
+});
+
+test('loadReceipt hides orders that belong to another merchant or do not exist', async () => {
+    assert.ok(await receipts.loadReceipt('ECO-1', { merchantId: 'merchant-1' }));
+    assert.equal(await receipts.loadReceipt('ECO-1', { merchantId: 'merchant-2' }), null);
+    assert.equal(await receipts.loadReceipt('ECO-404'), null);
+});
+
+test('writeReceiptPdf streams a PDF document', async () => {
+    const output = new PassThrough();
+    receipts.writeReceiptPdf(await receipts.loadReceipt('ECO-1'), output);
+
+    const pdf = await buffer(output);
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-6).toString(), /%%EOF/);
+});
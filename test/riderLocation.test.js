@@ -0,0 +1,78 @@
+process.env.RIDER_LOCATION_TRAIL_SIZE = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const riderLocation = require('../services/riderLocation');
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+});
+
+// Pings are rate limited per rider within the process, so each test uses its own riders
+let riderCount = 0;
+
+async function assignedRider(data = {}) {
+    riderCount += 1;
+    const riderId = `rider-${riderCount}`;
+    const orderId = `ECO-${riderCount}`;
+    await db.collection('riders').doc(riderId).set({ status: 'busy', currentOrderId: orderId });
+    const ref = db.collection('deliveries').doc();
+    await ref.set({ id: orderId, status: 'in-progress', riderId, trackingInfo: { carrier: 'bike' }, ...data });
+    return { riderId, orderId, ref };
+}
+
+test('a ping is stored as the last location and appended to the trail', async () => {
+    const { riderId, orderId, ref } = await assignedRider();
+
+    const result = await riderLocation.recordLocation(riderId, { lat: 6.6018, lng: 3.3515, heading: 90 });
+
+    assert.equal(result.orderId, orderId);
+    assert.deepEqual({ ...result.location, recordedAt: undefined }, { lat: 6.6018, lng: 3.3515, heading: 90, speed: null, recordedAt: undefined });
+    assert.ok(!Number.isNaN(Date.parse(result.location.recordedAt)));
+
+    const delivery = db.dump('deliveries')[ref.id];
+    assert.equal(delivery.trackingInfo.carrier, 'bike');
+    assert.equal(delivery.trackingInfo.lastLocation.lat, 6.6018);
+    assert.equal(delivery.locationTrail.length, 1);
+    assert.ok(delivery.serverWriteId);
+});
+
+test('the trail keeps the most recent RIDER_LOCATION_TRAIL_SIZE points', async () => {
+    const { riderId, ref } = await assignedRider({
+        locationTrail: [1, 2, 3].map(n => ({ lat: n, lng: n, heading: null, speed: null, recordedAt: new Date() }))
+    });
+
+    await riderLocation.recordLocation(riderId, { lat: 4, lng: 4 });
+
+    assert.deepEqual(db.dump('deliveries')[ref.id].locationTrail.map(point => point.lat), [2, 3, 4]);
+});
+
+test('pings closer together than the minimum interval are rejected', async () => {
+    const { riderId } = await assignedRider();
+
+    await riderLocation.recordLocation(riderId, { lat: 6.6, lng: 3.35 });
+    await assert.rejects(riderLocation.recordLocation(riderId, { lat: 6.61, lng: 3.36 }), { code: 'LOCATION_RATE_LIMITED', httpStatus: 429 });
+});
+
+test('malformed pings are rejected before anything is read', async () => {
+    const { riderId } = await assignedRider();
+
+    for (const ping of [{}, { lat: 91, lng: 0 }, { lat: 0, lng: '3.3' }, { lat: 0, lng: 0, heading: 400 }, { lat: 0, lng: 0, speed: 120 }]) {
+        await assert.rejects(riderLocation.recordLocation(riderId, ping), { code: 'INVALID_LOCATION', httpStatus: 400 }, JSON.stringify(ping));
+    }
+});
+
+test('riders can only report against the order they are assigned to', async () => {
+    const { riderId, ref } = await assignedRider();
+    await assert.rejects(riderLocation.recordLocation(riderId, { lat: 6.6, lng: 3.35, orderId: 'ECO-other' }), { code: 'NOT_ASSIGNED_TO_ORDER' });
+
+    // Handed to another rider since
+    await ref.update({ riderId: 'someone-else' });
+    await assert.rejects(riderLocation.recordLocation(riderId, { lat: 6.6, lng: 3.35 }), { code: 'NOT_ASSIGNED_TO_ORDER' });
+
+    await db.collection('riders').doc('idle-rider').set({ status: 'available', currentOrderId: null });
+    await assert.rejects(riderLocation.recordLocation('idle-rider', { lat: 6.6, lng: 3.35 }), { code: 'NO_ACTIVE_ORDER' });
+});
@@ -0,0 +1,109 @@
+process.env.SMS_PROVIDER = 'fake';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fakeFirestore = require('./support/fakeFirestore');
+const sms = require('../services/sms');
+const smsProviders = require('../services/smsProviders');
+
+test('normalizePhoneNumber turns local, national and international Nigerian numbers into E.164', () => {
+    for (const raw of ['08031234567', '0803 123 4567', '803-123-4567', '+2348031234567', '2348031234567', '002348031234567', '+234 (0)803 123 4567']) {
+        assert.equal(sms.normalizePhoneNumber(raw), '+2348031234567', raw);
+    }
+    assert.equal(sms.normalizePhoneNumber('09012345678'), '+2349012345678');
+    assert.equal(sms.normalizePhoneNumber(7012345678), '+2347012345678');
+});
+
+test('normalizePhoneNumber keeps valid international numbers', () => {
+    assert.equal(sms.normalizePhoneNumber('+44 20 7946 0958'), '+442079460958');
+    assert.equal(sms.normalizePhoneNumber('001 415 555 2671'), '+14155552671');
+});
+
+test('normalizePhoneNumber rejects numbers it cannot place', () => {
+    for (const raw of ['', 'not a number', '0803123456', '06031234567', '+2340603123456', '12345', '+0123456789', '0803123456a', null, undefined, {}]) {
+        assert.equal(sms.normalizePhoneNumber(raw), null, String(raw));
+    }
+});
+
+test('sendSms sends through the provider and logs the message', async () => {
+    const db = fakeFirestore.install();
+
+    const result = await sms.sendSms('0803 123 4567', 'Your order is on its way', { orderId: 'ECO-1', recipient: 'customer' });
+
+    assert.equal(result.status, 'sent');
+    const outbox = smsProviders.getProvider('fake').getOutbox();
+    assert.deepEqual(outbox.at(-1).to, '+2348031234567');
+    assert.equal(outbox.at(-1).body, 'Your order is on its way');
+
+    const logged = db.dump('sms_messages')[result.messageId];
+    assert.equal(logged.status, 'sent');
+    assert.equal(logged.orderId, 'ECO-1');
+    assert.equal(logged.providerMessageId, outbox.at(-1).providerMessageId);
+});
+
+test('sendSms skips invalid and opted-out numbers', async () => {
+    const db = fakeFirestore.install();
+    const sentBefore = smsProviders.getProvider('fake').getOutbox().length;
+
+    await sms.setOptOut('+2348031234567', true, { source: 'keyword' });
+    const optedOut = await sms.sendSms('08031234567', 'Hello');
+    const invalid = await sms.sendSms('12345', 'Hello');
+
+    assert.equal(optedOut.status, 'skipped');
+    assert.equal(invalid.status, 'skipped');
+    assert.equal(db.dump('sms_messages')[optedOut.messageId].error, 'Recipient opted out');
+    assert.equal(db.dump('sms_messages')[invalid.messageId].error, 'Invalid phone number');
+    assert.equal(smsProviders.getProvider('fake').getOutbox().length, sentBefore);
+});
+
+test('STOP and START replies opt the sender out and back in', async () => {
+    fakeFirestore.install();
+
+    assert.deepEqual(await sms.handleInbound('fake', { from: '08031234567', text: ' stop please' }), {
+        phoneNumber: '+2348031234567',
+        action: 'opted-out'
+    });
+    assert.equal(await sms.isOptedOut('+2348031234567'), true);
+
+    await sms.handleInbound('fake', { from: '+2348031234567', text: 'START' });
+    assert.equal(await sms.isOptedOut('+2348031234567'), false);
+});
+
+test('delivery receipts never move a message back', async () => {
+    const db = fakeFirestore.install();
+    const { messageId } = await sms.sendSms('08031234567', 'Hello');
+    const { providerMessageId } = db.dump('sms_messages')[messageId];
+
+    await sms.handleStatusCallback('fake', { id: providerMessageId, status: 'delivered' });
+    await sms.handleStatusCallback('fake', { id: providerMessageId, status: 'sent' });
+
+    assert.equal(db.dump('sms_messages')[messageId].status, 'delivered');
+});
+
+test('Twilio webhooks are checked against X-Twilio-Signature', (t) => {
+    process.env.TWILIO_AUTH_TOKEN = '12345';
+    t.after(() => { delete process.env.TWILIO_AUTH_TOKEN; });
+
+    // The example from Twilio's webhook security documentation
+    const request = {
+        url: 'https://mycompany.com/myapp.php?foo=1&bar=2',
+        headers: { 'x-twilio-signature': '0/KCTR6DLpKmkAf8muzZqo1nDgQ=' },
+        body: { CallSid: 'CA1234567890ABCDE', Caller: '+12349013030', Digits: '1234', From: '+12349013030', To: '+18005551212' }
+    };
+
+    assert.equal(sms.isAuthenticWebhook('twilio', request), true);
+    assert.equal(sms.isAuthenticWebhook('twilio', { ...request, body: { ...request.body, Digits: '4321' } }), false);
+    assert.equal(sms.isAuthenticWebhook('twilio', { ...request, url: 'https://mycompany.com/myapp.php' }), false);
+    assert.equal(sms.isAuthenticWebhook('twilio', { ...request, headers: {} }), false);
+});
+
+test('providers that do not sign webhooks must send the shared secret', (t) => {
+    process.env.SMS_WEBHOOK_SECRET = 'webhook-secret';
+    t.after(() => { delete process.env.SMS_WEBHOOK_SECRET; });
+    const request = { url: 'https://api.example.com/api/sms/webhooks/fake/status', headers: {}, body: {} };
+
+    assert.equal(sms.isAuthenticWebhook('fake', { ...request, token: 'webhook-secret' }), true);
+    assert.equal(sms.isAuthenticWebhook('fake', { ...request, token: 'wrong-secret' }), false);
+    assert.equal(sms.isAuthenticWebhook('fake', request), false);
+    assert.equal(sms.isAuthenticWebhook('carrier-pigeon', { ...request, token: 'webhook-secret' }), false);
+});
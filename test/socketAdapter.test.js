@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { configureAdapter, getLocalStats, getClusterStats, getCachedClusterStats } = require('../services/socketAdapter');
+
+// Two instances on the in-memory bus, as two servers behind a load balancer would be on Redis
+const instances = [];
+
+async function startInstance() {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    await configureAdapter(io, 'memory');
+    io.on('connection', (socket) => {
+        socket.on('subscribe', (room, ack) => {
+            socket.join(room);
+            ack();
+        });
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+
+    const instance = { io, url: `http://127.0.0.1:${httpServer.address().port}` };
+    instances.push(instance);
+    return instance;
+}
+
+async function connectClient(instance) {
+    const client = connect(instance.url, { transports: ['websocket'], forceNew: true });
+    await new Promise((resolve, reject) => {
+        client.once('connect', resolve);
+        client.once('connect_error', reject);
+    });
+    return client;
+}
+
+async function subscribe(client, room) {
+    await new Promise(resolve => client.emit('subscribe', room, resolve));
+}
+
+function nextEvent(client, event) {
+    return new Promise(resolve => client.once(event, resolve));
+}
+
+const clients = [];
+
+test.afterEach(async () => {
+    clients.splice(0).forEach(client => client.disconnect());
+    await Promise.all(instances.splice(0).map(({ io }) => new Promise(resolve => io.close(resolve))));
+});
+
+test('a room broadcast on one instance reaches subscribers connected to another', async () => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    const subscriber = await connectClient(b);
+    clients.push(subscriber);
+    await subscribe(subscriber, 'order-ECO-1');
+
+    const received = nextEvent(subscriber, 'order-update');
+    a.io.to('order-ECO-1').emit('order-update', { orderId: 'ECO-1', status: 'in-progress' });
+
+    assert.deepEqual(await received, { orderId: 'ECO-1', status: 'in-progress' });
+});
+
+test('local emits stay on their instance', async () => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    const onA = await connectClient(a);
+    const onB = await connectClient(b);
+    clients.push(onA, onB);
+    await subscribe(onA, 'order-ECO-1');
+    await subscribe(onB, 'order-ECO-1');
+
+    let leaked = false;
+    onB.on('order-update', () => { leaked = true; });
+    const received = nextEvent(onA, 'order-update');
+    a.io.local.to('order-ECO-1').emit('order-update', { orderId: 'ECO-1' });
+
+    await received;
+    // Give a cross-instance message time to arrive if one was sent
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(leaked, false);
+});
+
+test('fetchSockets sees the room members of every instance', async () => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    const onA = await connectClient(a);
+    const onB = await connectClient(b);
+    clients.push(onA, onB);
+    await subscribe(onA, 'order-ECO-1');
+    await subscribe(onB, 'order-ECO-1');
+
+    const sockets = await a.io.in('order-ECO-1').fetchSockets();
+
+    assert.deepEqual(sockets.map(socket => socket.id).sort(), [onA.id, onB.id].sort());
+});
+
+test('local stats count this instance only, cluster stats every instance', async () => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    const onA = await connectClient(a);
+    const onB = await connectClient(b);
+    clients.push(onA, onB);
+    await subscribe(onA, 'order-ECO-1');
+    await subscribe(onB, 'order-ECO-2');
+    await subscribe(onB, 'admins');
+
+    assert.deepEqual(getLocalStats(a.io), { connectedClients: 1, activeSubscriptions: 1 });
+    assert.deepEqual(getLocalStats(b.io), { connectedClients: 1, activeSubscriptions: 1 });
+    assert.deepEqual(await getClusterStats(a.io), { servers: 2, connectedClients: 2, activeSubscriptions: 2 });
+});
+
+test('cached cluster stats ask the other instances once per interval', async (t) => {
+    const [a, b] = [await startInstance(), await startInstance()];
+    const onB = await connectClient(b);
+    clients.push(onB);
+    await subscribe(onB, 'order-ECO-1');
+    const fetchSockets = t.mock.method(a.io, 'fetchSockets');
+
+    const first = await getCachedClusterStats(a.io, 60 * 1000);
+    clients.push(await connectClient(b));
+    const second = await getCachedClusterStats(a.io, 60 * 1000);
+
+    assert.equal(fetchSockets.mock.callCount(), 1);
+    assert.deepEqual(second, first);
+    assert.equal(first.connectedClients, 1);
+    assert.equal(first.activeSubscriptions, 1);
+    assert.ok(first.cachedAt);
+
+    assert.equal((await getCachedClusterStats(a.io, 0)).connectedClients, 2);
+    assert.equal(fetchSockets.mock.callCount(), 2);
+});
+
+test('configureAdapter rejects unknown adapters', async () => {
+    await assert.rejects(configureAdapter(new Server(), 'carrier-pigeon'), /Unknown SOCKET_ADAPTER: carrier-pigeon/);
+});
@@ -0,0 +1,429 @@
+const admin = require('firebase-admin');
+const { Readable } = require('stream');
+const { Timestamp, FieldPath } = require('firebase-admin/firestore');
+
+// In-memory stand-in for the part of the Firestore API the services use, so they can be tested
+// without a project or the emulator. install() points admin.firestore() at a fresh database and
+// returns it; tests seed and inspect documents through db.dump() / docRef.set().
+//
+// Writes follow Firestore's rules where the services rely on them: Dates become Timestamps,
+// serverTimestamp() and increment() are applied on write, dotted update() keys are field paths,
+// a missing field never matches a where() filter (not even == null), transactions run one
+// at a time with their writes applied when the callback resolves, and onSnapshot() listeners
+// get the query's results first and again (asynchronously) whenever a write changes them.
+
+const SERVER_TIMESTAMP = Symbol('serverTimestamp');
+const DELETE_FIELD = Symbol('deleteField');
+
+class Increment {
+    constructor(operand) {
+        this.operand = operand;
+    }
+}
+
+const FieldValue = {
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    increment: operand => new Increment(operand),
+    delete: () => DELETE_FIELD
+};
+
+let autoId = 0;
+
+function nextId() {
+    autoId += 1;
+    return `auto${String(autoId).padStart(6, '0')}`;
+}
+
+function clone(value) {
+    if (value instanceof Timestamp || value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, clone(nested)]));
+}
+
+// Stored form of a written value, given the field's current value for increments
+function resolveValue(value, current) {
+    if (value === SERVER_TIMESTAMP) {
+        return Timestamp.now();
+    }
+    if (value instanceof Increment) {
+        return (typeof current === 'number' ? current : 0) + value.operand;
+    }
+    if (value instanceof Date) {
+        return Timestamp.fromDate(value);
+    }
+    if (value instanceof Timestamp || value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveValue(item));
+    }
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, nested]) => nested !== undefined && nested !== DELETE_FIELD)
+        .map(([key, nested]) => [key, resolveValue(nested, current?.[key])]));
+}
+
+function getField(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!node[key] || typeof node[key] !== 'object') {
+            node[key] = {};
+        }
+        return node[key];
+    }, data);
+
+    if (value === DELETE_FIELD) {
+        delete parent[last];
+    } else {
+        parent[last] = resolveValue(value, parent[last]);
+    }
+}
+
+function comparable(value) {
+    if (value instanceof Timestamp) {
+        return value.toMillis();
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    return value;
+}
+
+function compare(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) {
+        return 0;
+    }
+    if (left === undefined || left === null) {
+        return -1;
+    }
+    if (right === undefined || right === null) {
+        return 1;
+    }
+    return left < right ? -1 : 1;
+}
+
+const OPERATORS = {
+    '==': (value, operand) => compare(value, operand) === 0,
+    '!=': (value, operand) => compare(value, operand) !== 0,
+    '<': (value, operand) => value !== null && compare(value, operand) < 0,
+    '<=': (value, operand) => value !== null && compare(value, operand) <= 0,
+    '>': (value, operand) => value !== null && compare(value, operand) > 0,
+    '>=': (value, operand) => value !== null && compare(value, operand) >= 0,
+    'in': (value, operand) => operand.some(candidate => compare(value, candidate) === 0),
+    'array-contains': (value, operand) => Array.isArray(value) && value.some(item => compare(item, operand) === 0)
+};
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(field) {
+        return this.exists ? clone(getField(this._data, field)) : undefined;
+    }
+}
+
+class DocumentReference {
+    constructor(db, path) {
+        this._db = db;
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    collection(name) {
+        return new CollectionReference(this._db, `${this.path}/${name}`);
+    }
+
+    async get() {
+        return this._db._snapshot(this);
+    }
+
+    async set(data, options) {
+        this._db._set(this, data, options);
+    }
+
+    async update(data) {
+        this._db._update(this, data);
+    }
+
+    async delete() {
+        this._db._delete(this);
+    }
+}
+
+class Query {
+    constructor(db, collectionPath, { filters = [], orders = [], limit = null, startAfter = null } = {}) {
+        this._db = db;
+        this._collectionPath = collectionPath;
+        this._filters = filters;
+        this._orders = orders;
+        this._limit = limit;
+        this._startAfter = startAfter;
+    }
+
+    _with(changes) {
+        return new Query(this._db, this._collectionPath, {
+            filters: this._filters,
+            orders: this._orders,
+            limit: this._limit,
+            startAfter: this._startAfter,
+            ...changes
+        });
+    }
+
+    where(field, op, value) {
+        if (!OPERATORS[op]) {
+            throw new Error(`fakeFirestore: unsupported operator ${op}`);
+        }
+        return this._with({ filters: [...this._filters, { field, op, value }] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        const path = field instanceof FieldPath ? '__name__' : field;
+        return this._with({ orders: [...this._orders, { field: path, direction }] });
+    }
+
+    limit(limit) {
+        return this._with({ limit });
+    }
+
+    startAfter(...values) {
+        return this._with({ startAfter: values });
+    }
+
+    select() {
+        return this;
+    }
+
+    count() {
+        return {
+            get: async () => {
+                const { docs } = await this._with({ limit: null }).get();
+                return { data: () => ({ count: docs.length }) };
+            }
+        };
+    }
+
+    _orderValue(snapshot, field) {
+        return field === '__name__' ? snapshot.id : snapshot.get(field);
+    }
+
+    _compareDocs(a, b) {
+        for (const { field, direction } of this._orders) {
+            const order = compare(this._orderValue(a, field), this._orderValue(b, field));
+            if (order !== 0) {
+                return direction === 'desc' ? -order : order;
+            }
+        }
+        return compare(a.id, b.id);
+    }
+
+    async get() {
+        let docs = this._db._listCollection(this._collectionPath)
+            .filter(snapshot => this._filters.every(({ field, op, value }) => {
+                const fieldValue = snapshot.get(field);
+                return fieldValue !== undefined && OPERATORS[op](fieldValue, value);
+            }))
+            .sort((a, b) => this._compareDocs(a, b));
+
+        if (this._startAfter) {
+            // A document snapshot, or values for the orderBy() fields in order
+            const cursor = this._startAfter[0] instanceof DocumentSnapshot
+                ? this._startAfter[0]
+                : {
+                    id: this._startAfter[this._orders.findIndex(order => order.field === '__name__')],
+                    get: field => this._startAfter[this._orders.findIndex(order => order.field === field)]
+                };
+            docs = docs.filter(snapshot => this._compareDocs(snapshot, cursor) > 0);
+        }
+        if (this._limit !== null) {
+            docs = docs.slice(0, this._limit);
+        }
+        return { docs, empty: docs.length === 0, size: docs.length, forEach: fn => docs.forEach(fn) };
+    }
+
+    // Readable of document snapshots, like the SDK's query.stream()
+    stream() {
+        return Readable.from((async function* (query) {
+            const { docs } = await query.get();
+            yield* docs;
+        })(this));
+    }
+
+    onSnapshot(onNext) {
+        return this._db._listen(this, onNext);
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(db, path) {
+        super(db, path);
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    doc(id = nextId()) {
+        return new DocumentReference(this._db, `${this.path}/${id}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class FakeFirestore {
+    constructor() {
+        this._docs = new Map();
+        this._transactionQueue = Promise.resolve();
+        this._listeners = new Set();
+    }
+
+    collection(name) {
+        return new CollectionReference(this, name);
+    }
+
+    settings() {}
+
+    _snapshot(ref) {
+        return new DocumentSnapshot(ref, this._docs.get(ref.path));
+    }
+
+    _listCollection(collectionPath) {
+        const depth = collectionPath.split('/').length + 1;
+        return [...this._docs.keys()]
+            .filter(path => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+            .map(path => this._snapshot(new DocumentReference(this, path)));
+    }
+
+    _set(ref, data, { merge = false } = {}) {
+        const current = merge ? this._docs.get(ref.path) || {} : {};
+        const next = clone(current);
+        Object.entries(data).forEach(([key, value]) => {
+            if (value !== undefined) {
+                if (merge && value && typeof value === 'object' && !(value instanceof Date) &&
+                    !(value instanceof Timestamp) && !(value instanceof Increment) && !Array.isArray(value)) {
+                    Object.entries(value).forEach(([nestedKey, nested]) => setField(next, `${key}.${nestedKey}`, nested));
+                } else {
+                    setField(next, key, value);
+                }
+            }
+        });
+        this._docs.set(ref.path, next);
+        this._notify();
+    }
+
+    _update(ref, data) {
+        const current = this._docs.get(ref.path);
+        if (!current) {
+            const error = new Error(`No document to update: ${ref.path}`);
+            error.code = 5;
+            throw error;
+        }
+        const next = clone(current);
+        Object.entries(data).forEach(([path, value]) => {
+            if (value !== undefined) {
+                setField(next, path, value);
+            }
+        });
+        this._docs.set(ref.path, next);
+        this._notify();
+    }
+
+    _delete(ref) {
+        this._docs.delete(ref.path);
+        this._notify();
+    }
+
+    // Listeners compare the query's results after every write and only hear about changes
+    _listen(query, onNext) {
+        const listener = { query, onNext, last: undefined };
+        this._listeners.add(listener);
+        this._deliver(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    _notify() {
+        this._listeners.forEach(listener => this._deliver(listener));
+    }
+
+    _deliver(listener) {
+        setImmediate(async () => {
+            if (!this._listeners.has(listener)) {
+                return;
+            }
+            const snapshot = await listener.query.get();
+            const state = JSON.stringify(snapshot.docs.map(doc => [doc.id, doc.data()]));
+            if (state !== listener.last) {
+                listener.last = state;
+                listener.onNext(snapshot);
+            }
+        });
+    }
+
+    batch() {
+        const writes = [];
+        const batch = {
+            set: (ref, data, options) => { writes.push(() => this._set(ref, data, options)); return batch; },
+            update: (ref, data) => { writes.push(() => this._update(ref, data)); return batch; },
+            delete: (ref) => { writes.push(() => this._delete(ref)); return batch; },
+            commit: async () => writes.forEach(write => write())
+        };
+        return batch;
+    }
+
+    // Transactions are serialized, which is what Firestore's retries amount to for the callers
+    runTransaction(callback) {
+        const run = this._transactionQueue.then(async () => {
+            const writes = [];
+            const transaction = {
+                get: refOrQuery => refOrQuery.get(),
+                set: (ref, data, options) => { writes.push(() => this._set(ref, data, options)); return transaction; },
+                update: (ref, data) => { writes.push(() => this._update(ref, data)); return transaction; },
+                delete: (ref) => { writes.push(() => this._delete(ref)); return transaction; }
+            };
+            const result = await callback(transaction);
+            writes.forEach(write => write());
+            return result;
+        });
+        this._transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Every document as { path: data }, for assertions
+    dump(collectionPath) {
+        return Object.fromEntries(this._listCollection(collectionPath).map(doc => [doc.id, doc.data()]));
+    }
+}
+
+// Point admin.firestore() at a new, empty fake database and resolve it
+function install() {
+    const db = new FakeFirestore();
+    const firestore = () => db;
+    Object.assign(firestore, { FieldValue, Timestamp, FieldPath });
+    Object.defineProperty(admin, 'firestore', { value: firestore, configurable: true, writable: true });
+    return db;
+}
+
+module.exports = {
+    install,
+    FieldValue
+};
@@ -0,0 +1,6 @@
+const util = require('util');
+
+// Loaded with --require by `npm test`. The services log progress with console.log; on stdout
+// those lines can split the test runner's own messages from a test file and fail the run, so
+// they go to stderr, which the runner only echoes.
+console.log = (...args) => process.stderr.write(`${util.format(...args)}\n`);
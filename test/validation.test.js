@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, coerceStrings } = require('../services/validation');
+
+const schema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 5 },
+        quantity: { type: 'number', integer: true, min: 1 },
+        items: { type: 'array', maxItems: 2, items: { type: 'string', enum: ['a', 'b'] } }
+    }
+};
+
+test('valid values have no errors', () => {
+    assert.deepEqual(validate(schema, { name: 'Ada', quantity: 2, items: ['a', 'b'] }), []);
+});
+
+test('errors name the field with a dotted path', () => {
+    assert.deepEqual(validate(schema, { name: '   ', quantity: 1.5, items: ['a', 'c'] }), [
+        { field: 'name', message: 'name is required' },
+        { field: 'quantity', message: 'quantity must be a whole number' },
+        { field: 'items[1]', message: 'items[1] must be one of: a, b' }
+    ]);
+});
+
+test('padding does not get a string past maxLength or up to minLength', () => {
+    assert.deepEqual(validate(schema, { name: '  Ada   ' }), [
+        { field: 'name', message: 'name must be at most 5 characters' }
+    ]);
+    assert.deepEqual(validate(schema, { name: ' A  ' }), [
+        { field: 'name', message: 'name must be at least 2 characters' }
+    ]);
+});
+
+test('coerceStrings converts query strings the schema expects as numbers or booleans', () => {
+    const querySchema = { type: 'object', properties: { limit: { type: 'number' }, unreadOnly: { type: 'boolean' } } };
+
+    assert.deepEqual(coerceStrings(querySchema, { limit: '20', unreadOnly: 'true', cursor: 'abc' }), { limit: 20, unreadOnly: true, cursor: 'abc' });
+    assert.deepEqual(coerceStrings(querySchema, { limit: 'ten', unreadOnly: 'yes' }), { limit: 'ten', unreadOnly: 'yes' });
+});
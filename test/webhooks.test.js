@@ -0,0 +1,210 @@
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BASE_RETRY_DELAY_MS = '1000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const fakeFirestore = require('./support/fakeFirestore');
+const webhooks = require('../services/webhooks');
+
+// Local receiver; each test sets the status it answers with and reads what it was sent
+const receiver = { status: 200, requests: [] };
+let server;
+let receiverUrl;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.status).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+let db;
+
+test.beforeEach(() => {
+    db = fakeFirestore.install();
+    receiver.status = 200;
+    receiver.requests = [];
+    // The receiver is plain http on loopback
+    process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+});
+
+test.afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_INSECURE_URLS;
+});
+
+async function queueDelivery(url = receiverUrl) {
+    const { webhookId, secret } = await webhooks.registerWebhook('merchant-1', { url });
+    const deliveryRef = db.collection('webhook_deliveries').doc();
+    await deliveryRef.set({
+        webhookId,
+        merchantId: 'merchant-1',
+        url,
+        event: 'status-update',
+        orderId: 'ECO-1',
+        payload: { id: deliveryRef.id, type: 'status-update', data: { orderId: 'ECO-1', status: 'delivered' } },
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+    });
+    return { deliveryId: deliveryRef.id, secret };
+}
+
+function delivery(deliveryId) {
+    return db.dump('webhook_deliveries')[deliveryId];
+}
+
+// Skip the backoff wait
+async function makeDue(deliveryId) {
+    await db.collection('webhook_deliveries').doc(deliveryId).update({ nextAttemptAt: new Date(Date.now() - 1) });
+}
+
+test('deliveries are signed with the webhook secret over the timestamp and raw body', async () => {
+    const { deliveryId, secret } = await queueDelivery();
+
+    assert.equal(await webhooks.processDueDeliveries(), 1);
+
+    assert.equal(receiver.requests.length, 1);
+    const { headers, body } = receiver.requests[0];
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    assert.equal(signature, expected);
+    assert.equal(signature, webhooks.signPayload(secret, timestamp, body));
+    assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+    assert.equal(headers['x-webhook-id'], deliveryId);
+    assert.equal(headers['x-webhook-event'], 'status-update');
+    assert.deepEqual(JSON.parse(body).data, { orderId: 'ECO-1', status: 'delivered' });
+
+    assert.equal(delivery(deliveryId).status, 'delivered');
+    assert.equal(delivery(deliveryId).attempts, 1);
+});
+
+test('failed attempts are retried with exponential backoff', async () => {
+    receiver.status = 500;
+    const { deliveryId } = await queueDelivery();
+
+    const firstAttemptAt = Date.now();
+    await webhooks.processDueDeliveries();
+    const first = delivery(deliveryId);
+    assert.equal(first.status, 'pending');
+    assert.equal(first.attempts, 1);
+    assert.equal(first.lastResponseStatus, 500);
+    assert.equal(first.lastError, 'Receiver responded with HTTP 500');
+    const firstDelay = first.nextAttemptAt.toMillis() - firstAttemptAt;
+    assert.ok(firstDelay >= 1000 && firstDelay <= 1100 + 1000, `first retry in ${firstDelay}ms`);
+
+    // Not due yet
+    assert.equal(await webhooks.processDueDeliveries(), 0);
+
+    await makeDue(deliveryId);
+    const secondAttemptAt = Date.now();
+    await webhooks.processDueDeliveries();
+    const secondDelay = delivery(deliveryId).nextAttemptAt.toMillis() - secondAttemptAt;
+    assert.equal(delivery(deliveryId).attempts, 2);
+    assert.ok(secondDelay >= 2000 && secondDelay <= 2200 + 1000, `second retry in ${secondDelay}ms`);
+
+    receiver.status = 204;
+    await makeDue(deliveryId);
+    await webhooks.processDueDeliveries();
+    assert.equal(delivery(deliveryId).status, 'delivered');
+    assert.equal(delivery(deliveryId).attempts, 3);
+});
+
+test('deliveries are dead-lettered after the last attempt and can be replayed', async () => {
+    receiver.status = 503;
+    const { deliveryId } = await queueDelivery();
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        await makeDue(deliveryId);
+        await webhooks.processDueDeliveries();
+    }
+
+    assert.equal(delivery(deliveryId).status, 'dead');
+    assert.equal(delivery(deliveryId).attempts, 3);
+    assert.equal(receiver.requests.length, 3);
+
+    // Dead deliveries are not retried
+    await makeDue(deliveryId);
+    assert.equal(await webhooks.processDueDeliveries(), 0);
+
+    receiver.status = 200;
+    const replayed = await webhooks.replayDelivery(deliveryId);
+    assert.equal(replayed.status, 'delivered');
+    assert.equal(replayed.attempts, 1);
+    assert.equal(delivery(deliveryId).replayCount, 1);
+});
+
+test('deliveries to removed endpoints are dead-lettered without a request', async () => {
+    const { deliveryId } = await queueDelivery();
+    const { webhookId } = delivery(deliveryId);
+
+    assert.equal(await webhooks.deleteWebhook('merchant-1', webhookId), true);
+    await webhooks.processDueDeliveries();
+
+    assert.equal(delivery(deliveryId).status, 'dead');
+    assert.equal(receiver.requests.length, 0);
+});
+
+test('deliveries to non-public addresses are dead-lettered on the first attempt', async () => {
+    delete process.env.WEBHOOK_ALLOW_INSECURE_URLS;
+    const literal = await queueDelivery('https://127.0.0.1/hooks');
+    const resolved = await queueDelivery('https://localhost:9/hooks');
+
+    await webhooks.processDueDeliveries();
+
+    assert.equal(delivery(literal.deliveryId).status, 'dead');
+    assert.equal(delivery(literal.deliveryId).attempts, 1);
+    assert.equal(delivery(literal.deliveryId).lastError, 'url must not point to a private or reserved address');
+    assert.equal(delivery(resolved.deliveryId).status, 'dead');
+    assert.match(delivery(resolved.deliveryId).lastError, /localhost resolves to a non-public address/);
+});
+
+test('enqueueOrderEvent sends to the merchant endpoints subscribed to the event', async () => {
+    await webhooks.registerWebhook('merchant-1', { url: receiverUrl, events: ['status-update'] });
+    await webhooks.registerWebhook('merchant-1', { url: `${receiverUrl}/created`, events: ['order-created'] });
+    await webhooks.registerWebhook('merchant-2', { url: `${receiverUrl}/other`, events: ['status-update'] });
+
+    const [deliveryId] = await webhooks.enqueueOrderEvent('merchant-1', 'ECO-1', { type: 'status-update', status: 'in-progress' });
+
+    // The first attempt runs in the background
+    for (let wait = 0; wait < 50 && delivery(deliveryId).status === 'pending'; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(delivery(deliveryId).status, 'delivered');
+    assert.equal(receiver.requests.length, 1);
+    assert.deepEqual(JSON.parse(receiver.requests[0].body).data, { orderId: 'ECO-1', type: 'status-update', status: 'in-progress' });
+});
+
+test('checkUrl refuses insecure and non-public URLs', async () => {
+    delete process.env.WEBHOOK_ALLOW_INSECURE_URLS;
+
+    for (const url of [
+        'not a url',
+        'ftp://example.com/hooks',
+        'http://8.8.8.8/hooks',
+        'https://10.1.2.3/hooks',
+        'https://169.254.169.254/latest/meta-data',
+        'https://[::1]/hooks',
+        'https://[::ffff:127.0.0.1]/hooks',
+        'https://[fd00::1]/hooks',
+        'https://2130706433/hooks',
+        'https://localhost/hooks'
+    ]) {
+        assert.notEqual(await webhooks.checkUrl(url), null, url);
+    }
+    assert.equal(await webhooks.checkUrl('https://8.8.8.8/hooks'), null);
+
+    process.env.WEBHOOK_ALLOW_INSECURE_URLS = 'true';
+    assert.equal(await webhooks.checkUrl('http://localhost:3000/hooks'), null);
+    assert.notEqual(await webhooks.checkUrl('ftp://localhost/hooks'), null);
+});